@@ -0,0 +1,145 @@
+const VARIANT_IDS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const MAX_VARIANTS = 10;
+
+const DEFAULT_AB_TEST = {
+  testSharePercent: 100,
+  windowHours: 24,
+  sendWinnerToRest: false,
+  requireSignificance: false
+};
+
+/** Two-sided z thresholds for the significance indicator */
+const SIGNIFICANCE_LEVELS = [
+  { level: 'significant', confidence: 95, z: 1.96 },
+  { level: 'likely', confidence: 90, z: 1.645 }
+];
+
+/** Below this many eligible readers per variant the comparison is reported as insufficient */
+const MIN_SAMPLE_PER_VARIANT = 20;
+
+/**
+ * Validate message variants. Strings or { label, messageText } objects; IDs are assigned A, B, C...
+ * @param {Array<string|object>} input
+ * @returns {Array<{ id: string, label: string, messageText: string }>}
+ */
+function normalizeVariants(input) {
+  if (!Array.isArray(input)) throw new Error('variants must be an array of message texts');
+  const variants = input.map((entry, index) => {
+    const raw = typeof entry === 'string' ? { messageText: entry } : (entry || {});
+    const messageText = String(raw.messageText ?? raw.message_text ?? raw.text ?? '').trim();
+    if (!messageText) throw new Error(`variants[${index}] needs message text`);
+    const id = VARIANT_IDS[index];
+    return { id, label: String(raw.label || '').trim() || `Variant ${id}`, messageText };
+  });
+  if (variants.length < 2) throw new Error('An A/B test needs at least two variants');
+  if (variants.length > MAX_VARIANTS) throw new Error(`An A/B test supports at most ${MAX_VARIANTS} variants`);
+  return variants;
+}
+
+/**
+ * Validate A/B test options.
+ * @param {object} input - { testSharePercent, windowHours, sendWinnerToRest, requireSignificance }
+ * @returns {object}
+ */
+function normalizeAbTestOptions(input = {}) {
+  const options = { ...DEFAULT_AB_TEST };
+  if (input.testSharePercent !== undefined && input.testSharePercent !== '') {
+    const value = Number(input.testSharePercent);
+    if (!Number.isFinite(value) || value <= 0 || value > 100) {
+      throw new Error('abTest.testSharePercent must be a number above 0 and at most 100');
+    }
+    options.testSharePercent = value;
+  }
+  if (input.windowHours !== undefined && input.windowHours !== '') {
+    const value = Number(input.windowHours);
+    if (!Number.isFinite(value) || value < 0 || value > 14 * 24) {
+      throw new Error('abTest.windowHours must be a number between 0 and 336');
+    }
+    options.windowHours = value;
+  }
+  if (input.sendWinnerToRest !== undefined) options.sendWinnerToRest = input.sendWinnerToRest === true;
+  if (input.requireSignificance !== undefined) options.requireSignificance = input.requireSignificance === true;
+  return options;
+}
+
+/**
+ * Randomly pick the test groups and deal them out to the variants in turn.
+ * @param {object[]} targets
+ * @param {object[]} variants
+ * @param {number} testSharePercent
+ * @param {Function} [random]
+ * @returns {{ assignments: Array<{ target: object, variantId: string }>, remaining: object[] }}
+ */
+function splitTargets(targets, variants, testSharePercent, random = Math.random) {
+  if (targets.length < variants.length) {
+    throw new Error(`An A/B test with ${variants.length} variants needs at least ${variants.length} groups`);
+  }
+  const shuffled = targets.slice();
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  const testCount = Math.min(targets.length, Math.max(variants.length, Math.ceil(targets.length * testSharePercent / 100)));
+  return {
+    assignments: shuffled.slice(0, testCount).map((target, index) => ({ target, variantId: variants[index % variants.length].id })),
+    remaining: shuffled.slice(testCount)
+  };
+}
+
+/**
+ * Sum engagement for one variant's messages. A message's engaged readers are estimated from its
+ * engagement_rate (unique engaged / (members - 1), as the scraper computes it).
+ * @param {Array<{ seen, reactions, replies, totalMembers, engagementRate }>} stats - One entry per measured message
+ * @returns {object}
+ */
+function summarizeVariant(stats) {
+  const summary = { measured: stats.length, seen: 0, reactions: 0, replies: 0, eligible: 0, engaged: 0, seenRate: 0, engagementRate: 0 };
+  for (const item of stats) {
+    const eligible = Math.max(0, item.totalMembers - 1);
+    summary.seen += item.seen;
+    summary.reactions += item.reactions;
+    summary.replies += item.replies;
+    summary.eligible += eligible;
+    summary.engaged += Math.round(eligible * item.engagementRate / 100);
+  }
+  if (summary.eligible > 0) {
+    summary.seenRate = Number((Math.min(summary.seen / summary.eligible, 1) * 100).toFixed(2));
+    summary.engagementRate = Number((summary.engaged / summary.eligible * 100).toFixed(2));
+  }
+  return summary;
+}
+
+/**
+ * Compare the two best variants by pooled engagement rate with a two-proportion z-test.
+ * @param {Array<{ variantId: string, eligible: number, engaged: number }>} summaries
+ * @returns {{ leader: string|null, runnerUp: string|null, zScore: number|null, level: string, confidence: number|null }}
+ */
+function compareVariants(summaries) {
+  const ranked = summaries
+    .filter(summary => summary.eligible > 0)
+    .sort((a, b) => (b.engaged / b.eligible) - (a.engaged / a.eligible));
+  const result = { leader: ranked[0]?.variantId || null, runnerUp: ranked[1]?.variantId || null, zScore: null, level: 'insufficient_data', confidence: null };
+  if (ranked.length < 2) return result;
+
+  const [a, b] = ranked;
+  if (a.eligible < MIN_SAMPLE_PER_VARIANT || b.eligible < MIN_SAMPLE_PER_VARIANT) return result;
+  const p1 = a.engaged / a.eligible;
+  const p2 = b.engaged / b.eligible;
+  const pooled = (a.engaged + b.engaged) / (a.eligible + b.eligible);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / a.eligible + 1 / b.eligible));
+  const z = standardError > 0 ? (p1 - p2) / standardError : 0;
+  result.zScore = Number(z.toFixed(2));
+  const match = SIGNIFICANCE_LEVELS.find(entry => Math.abs(z) >= entry.z);
+  result.level = match ? match.level : 'not_significant';
+  result.confidence = match ? match.confidence : null;
+  return result;
+}
+
+module.exports = {
+  DEFAULT_AB_TEST,
+  normalizeVariants,
+  normalizeAbTestOptions,
+  splitTargets,
+  summarizeVariant,
+  compareVariants
+};
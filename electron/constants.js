@@ -3,6 +3,12 @@ const path = require('path');
 /** Milliseconds per day */
 const MS_PER_DAY = 24 * 60 * 60 * 1000;
 
+/** How long WhatsApp lets the sender edit a message (ms) */
+const WHATSAPP_EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+/** How long WhatsApp lets the sender delete a message for everyone (ms): 2 days and 12 hours */
+const WHATSAPP_DELETE_WINDOW_MS = 60 * 60 * 60 * 1000;
+
 /** SSE heartbeat interval (ms) */
 const SSE_HEARTBEAT_MS = 30000;
 
@@ -32,6 +38,8 @@ const ENGAGEMENT_TRACKING_CONFIG_PATH = path.join(__dirname, 'engagement-trackin
 
 module.exports = {
   MS_PER_DAY,
+  WHATSAPP_EDIT_WINDOW_MS,
+  WHATSAPP_DELETE_WINDOW_MS,
   SSE_HEARTBEAT_MS,
   DEFAULT_ANALYTICS_MESSAGE_LIMIT,
   MAX_RUNS_KEPT,
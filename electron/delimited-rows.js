@@ -0,0 +1,52 @@
+/**
+ * Parse pasted or uploaded CSV/TSV text into row objects keyed by the header line.
+ * @param {string} inputText
+ * @param {string|null} [explicitDelimiter] - ',' or '\t'; detected from the header line when omitted
+ * @returns {{ delimiter: string, headers: string[], rows: object[] }} rows carry __rowNumber (1-based, header is row 1)
+ */
+function parseDelimitedRows(inputText, explicitDelimiter = null) {
+  const text = String(inputText || '').replace(/\r\n/g, '\n').trim();
+  if (!text) return { delimiter: explicitDelimiter || ',', headers: [], rows: [] };
+  const lines = text.split('\n').filter(Boolean);
+  if (lines.length === 0) return { delimiter: explicitDelimiter || ',', headers: [], rows: [] };
+
+  const delimiter = explicitDelimiter || (lines[0].includes('\t') ? '\t' : ',');
+  const parseLine = (line) => {
+    const cells = [];
+    let current = '';
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (ch === '"') {
+        if (inQuotes && line[i + 1] === '"') {
+          current += '"';
+          i += 1;
+        } else {
+          inQuotes = !inQuotes;
+        }
+        continue;
+      }
+      if (ch === delimiter && !inQuotes) {
+        cells.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += ch;
+    }
+    cells.push(current.trim());
+    return cells;
+  };
+
+  const headers = parseLine(lines[0]).map(h => h.trim());
+  const rows = lines.slice(1).map(parseLine).map((cells, rowIndex) => {
+    const obj = {};
+    headers.forEach((header, idx) => {
+      obj[header] = cells[idx] || '';
+    });
+    obj.__rowNumber = rowIndex + 2;
+    return obj;
+  });
+  return { delimiter, headers, rows };
+}
+
+module.exports = { parseDelimitedRows };
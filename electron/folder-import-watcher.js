@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const { parseDelimitedRows } = require('./delimited-rows');
+const { readWorkbookRows } = require('./xlsx-import');
+
+const DEFAULT_FOLDER_IMPORT_SETTINGS = {
+  enabled: false,
+  path: '',
+  pollSeconds: 10
+};
+
+const IMPORT_EXTENSIONS = new Set(['.csv', '.tsv', '.xlsx']);
+const PROCESSED_DIR = 'processed';
+const FAILED_DIR = 'failed';
+const MAX_RESULTS_KEPT = 50;
+// Errors that mean another program still has the file open; try again on the next scan
+const BUSY_ERROR_CODES = new Set(['EBUSY', 'EPERM', 'EACCES']);
+
+/**
+ * Validate watched-folder settings. The folder must be an absolute path while enabled.
+ * @param {object} input - { enabled, path, pollSeconds }
+ * @param {object} [current]
+ * @returns {{ enabled: boolean, path: string, pollSeconds: number }}
+ */
+function normalizeFolderImportSettings(input = {}, current = DEFAULT_FOLDER_IMPORT_SETTINGS) {
+  const settings = { ...DEFAULT_FOLDER_IMPORT_SETTINGS, ...current };
+  if (input?.enabled !== undefined) settings.enabled = input.enabled === true || input.enabled === 'true';
+  if (input?.path !== undefined) settings.path = String(input.path || '').trim();
+  if (input?.pollSeconds !== undefined && input.pollSeconds !== '') {
+    const seconds = Number(input.pollSeconds);
+    if (!Number.isInteger(seconds) || seconds < 2 || seconds > 3600) {
+      throw new Error('folderImport.pollSeconds must be a whole number between 2 and 3600');
+    }
+    settings.pollSeconds = seconds;
+  }
+  if (settings.enabled && !path.isAbsolute(settings.path)) {
+    throw new Error('folderImport.path must be an absolute folder path');
+  }
+  return settings;
+}
+
+/**
+ * Imports CSV, TSV and XLSX files dropped into a folder. Each file is checked on two scans in a row and
+ * only read once its size and modified time stop changing, so half-written files are left alone.
+ * A file imports all of its rows or none: valid files move to processed/, others to failed/ with a
+ * "<file>.errors.txt" report next to them. Results are emitted as { type: 'folder_import' } updates.
+ */
+class FolderImportWatcher {
+  /**
+   * @param {object} postQueueService - Validates and creates the jobs, and carries the update events
+   * @param {object} logger
+   */
+  constructor(postQueueService, logger) {
+    this.postQueueService = postQueueService;
+    this.logger = logger;
+    this.settings = { ...DEFAULT_FOLDER_IMPORT_SETTINGS };
+    this.timer = null;
+    this.scanning = null;
+    this.seen = new Map();
+    this.results = [];
+    this.lastScanAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Start, restart or stop watching to match the settings.
+   * @param {object} settings - settings.folderImport
+   */
+  configure(settings = DEFAULT_FOLDER_IMPORT_SETTINGS) {
+    const changed = settings.enabled !== this.settings.enabled || settings.path !== this.settings.path
+      || settings.pollSeconds !== this.settings.pollSeconds;
+    this.settings = { ...settings };
+    if (!changed && (this.timer || !settings.enabled)) return;
+    this.stop();
+    if (!settings.enabled) return;
+    try {
+      for (const dir of [settings.path, path.join(settings.path, PROCESSED_DIR), path.join(settings.path, FAILED_DIR)]) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = `Cannot use ${settings.path}: ${error.message}`;
+      this.logger.error('Folder import disabled', { error: this.lastError });
+      return;
+    }
+    this.timer = setInterval(() => this.scan(), settings.pollSeconds * 1000);
+    this.scan();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.seen.clear();
+  }
+
+  getStatus() {
+    return {
+      ...this.settings,
+      watching: Boolean(this.timer),
+      lastScanAt: this.lastScanAt,
+      lastError: this.lastError,
+      results: this.results.slice().reverse()
+    };
+  }
+
+  /**
+   * Look for new files and import the ones that have stopped changing.
+   * @param {object} [opts]
+   * @param {boolean} [opts.now] - Import every file right away, without waiting for a second scan
+   * @returns {Promise<object[]>} Results for the files imported in this scan
+   */
+  async scan({ now = false } = {}) {
+    if (this.scanning) return this.scanning;
+    this.scanning = this.runScan(now).finally(() => {
+      this.scanning = null;
+    });
+    return this.scanning;
+  }
+
+  async runScan(now) {
+    const folder = this.settings.path;
+    if (!folder) return [];
+    let names;
+    try {
+      names = fs.readdirSync(folder);
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = `Cannot read ${folder}: ${error.message}`;
+      return [];
+    }
+    this.lastScanAt = new Date().toISOString();
+
+    const results = [];
+    const present = new Set();
+    for (const name of names) {
+      if (name.startsWith('.') || name.startsWith('~$') || !IMPORT_EXTENSIONS.has(path.extname(name).toLowerCase())) continue;
+      const filePath = path.join(folder, name);
+      let stat;
+      try {
+        stat = fs.statSync(filePath);
+      } catch (error) {
+        continue;
+      }
+      if (!stat.isFile()) continue;
+      present.add(name);
+      const previous = this.seen.get(name);
+      this.seen.set(name, { size: stat.size, mtimeMs: stat.mtimeMs });
+      if (!now && (!previous || previous.size !== stat.size || previous.mtimeMs !== stat.mtimeMs)) continue;
+
+      const result = this.importFile(filePath);
+      if (!result) continue;
+      this.seen.delete(name);
+      results.push(result);
+    }
+    for (const name of this.seen.keys()) {
+      if (!present.has(name)) this.seen.delete(name);
+    }
+    return results;
+  }
+
+  readRows(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.xlsx') return readWorkbookRows(fs.readFileSync(filePath)).rows;
+    const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+    return parseDelimitedRows(text, extension === '.tsv' ? '\t' : ',').rows;
+  }
+
+  /**
+   * Validate and import one file, then move it out of the watched folder.
+   * @returns {object|null} The result, or null if the file is still in use
+   */
+  importFile(filePath) {
+    const name = path.basename(filePath);
+    const result = { file: name, at: new Date().toISOString(), status: 'failed', createdCount: 0, jobIds: [], errors: [], movedTo: '' };
+    try {
+      const rows = this.readRows(filePath);
+      if (rows.length === 0) throw new Error('File has no data rows');
+      result.errors = this.postQueueService.validateRows(rows)
+        .filter(({ error }) => error)
+        .map(({ row, error }) => ({ rowNumber: row.__rowNumber, rowId: row.row_id || row.rowId || '', error }));
+      if (result.errors.length === 0) {
+        const created = this.postQueueService.createJobs(rows, 'folder_import');
+        result.status = 'imported';
+        result.createdCount = created.length;
+        result.jobIds = created.map(job => job.id);
+      }
+    } catch (error) {
+      if (BUSY_ERROR_CODES.has(error.code)) return null;
+      result.errors = [{ rowNumber: null, rowId: '', error: error.message }];
+    }
+
+    try {
+      result.movedTo = this.moveFile(filePath, result.status === 'imported' ? PROCESSED_DIR : FAILED_DIR);
+      if (result.status === 'failed') fs.writeFileSync(`${result.movedTo}.errors.txt`, formatErrorReport(result));
+    } catch (error) {
+      // Leaving the file in place would import it again on the next scan, so stop watching
+      this.lastError = `Could not move ${name} out of the folder, stopped watching: ${error.message}`;
+      this.logger.error('Folder import could not move file', { file: name, error: error.message });
+      this.stop();
+    }
+
+    this.results.push(result);
+    if (this.results.length > MAX_RESULTS_KEPT) this.results.shift();
+    this.logger.info(`Folder import ${result.status}: ${name}`, { createdCount: result.createdCount, errors: result.errors.length });
+    this.postQueueService.emit('update', { type: 'folder_import', result });
+    return result;
+  }
+
+  moveFile(filePath, subfolder) {
+    const { name, ext } = path.parse(filePath);
+    const dir = path.join(path.dirname(filePath), subfolder);
+    fs.mkdirSync(dir, { recursive: true });
+    let target = path.join(dir, `${name}${ext}`);
+    if (fs.existsSync(target)) target = path.join(dir, `${name}-${new Date().toISOString().replace(/[:.]/g, '-')}${ext}`);
+    fs.renameSync(filePath, target);
+    return target;
+  }
+}
+
+function formatErrorReport(result) {
+  const lines = [
+    `Import failed: ${result.file}`,
+    `Checked: ${result.at}`,
+    'No rows were imported. Fix the rows below and drop the file into the folder again.',
+    ''
+  ];
+  for (const { rowNumber, rowId, error } of result.errors) {
+    const where = rowNumber ? `Row ${rowNumber}${rowId ? ` (row_id ${rowId})` : ''}` : 'File';
+    lines.push(`${where}: ${error}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = FolderImportWatcher;
+module.exports.DEFAULT_FOLDER_IMPORT_SETTINGS = DEFAULT_FOLDER_IMPORT_SETTINGS;
+module.exports.normalizeFolderImportSettings = normalizeFolderImportSettings;
@@ -0,0 +1,177 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for the post queue feed. Only what calendar apps need to show
+ * planned posts: one VEVENT per job, an optional RRULE for a recurring series, CRLF lines folded at 75 bytes.
+ */
+const { getZonedParts, getOffsetTransitions } = require('./timezone-util');
+
+const ICS_LINE_LIMIT = 75;
+/** Posts are instant; give each event a short length so calendar apps draw it */
+const DEFAULT_EVENT_MINUTES = 15;
+
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * Escape a TEXT value (SUMMARY, DESCRIPTION, CATEGORIES item).
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so no physical line is longer than 75 bytes; continuation lines start with a space.
+ * Never splits a multi-byte character.
+ * @param {string} line
+ * @returns {string}
+ */
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one byte to the leading space
+    const limit = parts.length === 0 ? ICS_LINE_LIMIT : ICS_LINE_LIMIT - 1;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * @param {Date|string} value
+ * @returns {string} UTC date-time, e.g. "20260105T090000Z"
+ */
+function formatIcsUtc(value) {
+  const d = new Date(value);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T` +
+    `${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+}
+
+/**
+ * @param {Date|string} value
+ * @param {string|null} timeZone - IANA zone; null means machine-local time
+ * @returns {string} Floating wall-clock date-time for a TZID property, e.g. "20260105T100000"
+ */
+function formatIcsLocal(value, timeZone) {
+  const p = getZonedParts(new Date(value), timeZone);
+  return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+}
+
+/**
+ * @param {number} minutes
+ * @returns {string} UTC offset for TZOFFSETFROM/TZOFFSETTO, e.g. "+0530"
+ */
+function formatIcsOffset(minutes) {
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+}
+
+/**
+ * VTIMEZONE lines for a zone, so a DTSTART;TZID can refer to it (RFC 5545 §3.6.5).
+ * Each yearly DST change becomes an observance with an RRULE (nth or last weekday of its month),
+ * taken from the year before `fromYear` so every event from then on is covered.
+ * Zones without DST get one STANDARD observance.
+ * @param {string} timeZone - IANA zone
+ * @param {number} fromYear - Year of the earliest event that uses the zone
+ * @returns {string[]}
+ */
+function buildIcsTimeZone(timeZone, fromYear) {
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  const transitions = getOffsetTransitions(fromYear - 1, timeZone);
+  if (transitions.length === 0) {
+    const utcMs = Date.UTC(fromYear, 0, 1);
+    const p = getZonedParts(new Date(utcMs), timeZone);
+    const utcOffset = formatIcsOffset(Math.round((Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - utcMs) / 60000));
+    lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${utcOffset}`, `TZOFFSETTO:${utcOffset}`, 'END:STANDARD');
+  }
+  for (const { at, offsetFromMinutes, offsetToMinutes } of transitions) {
+    // The onset is written in the wall-clock time that was in force just before the change
+    const onset = new Date(at.getTime() + offsetFromMinutes * 60 * 1000);
+    const day = onset.getUTCDate();
+    const daysInMonth = new Date(Date.UTC(onset.getUTCFullYear(), onset.getUTCMonth() + 1, 0)).getUTCDate();
+    const week = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+    const kind = offsetToMinutes > offsetFromMinutes ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${formatIcsUtc(onset).slice(0, -1)}`,
+      `RRULE:FREQ=YEARLY;BYMONTH=${onset.getUTCMonth() + 1};BYDAY=${week}${ICS_WEEKDAYS[onset.getUTCDay()]}`,
+      `TZOFFSETFROM:${formatIcsOffset(offsetFromMinutes)}`,
+      `TZOFFSETTO:${formatIcsOffset(offsetToMinutes)}`,
+      `END:${kind}`
+    );
+  }
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Build a VCALENDAR document.
+ * Events with an rrule are written with DTSTART;TZID so the series follows the zone's DST changes,
+ * with a VTIMEZONE for every zone used; single events are written in UTC.
+ * @param {object} opts
+ * @param {string} opts.name - Calendar name shown by subscribing apps
+ * @param {object[]} opts.events - [{ uid, start, summary, description, categories, status, rrule, timeZone, sequence, updatedAt }]
+ * @param {Date} [opts.now]
+ * @returns {string}
+ */
+function buildIcsCalendar({ name, events = [], now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//GroupIQ//Post Queue//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`
+  ];
+  const zoneYears = new Map();
+  for (const event of events) {
+    if (!event.rrule || !event.timeZone) continue;
+    const year = getZonedParts(new Date(event.start), event.timeZone).year;
+    zoneYears.set(event.timeZone, Math.min(year, zoneYears.get(event.timeZone) ?? year));
+  }
+  for (const [timeZone, year] of zoneYears) lines.push(...buildIcsTimeZone(timeZone, year));
+  for (const event of events) {
+    const start = new Date(event.start);
+    const end = new Date(start.getTime() + (event.durationMinutes || DEFAULT_EVENT_MINUTES) * 60 * 1000);
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${formatIcsUtc(now)}`);
+    if (event.rrule && event.timeZone) {
+      lines.push(`DTSTART;TZID=${event.timeZone}:${formatIcsLocal(start, event.timeZone)}`);
+      lines.push(`DTEND;TZID=${event.timeZone}:${formatIcsLocal(end, event.timeZone)}`);
+    } else {
+      lines.push(`DTSTART:${formatIcsUtc(start)}`, `DTEND:${formatIcsUtc(end)}`);
+    }
+    if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+    lines.push(`SUMMARY:${escapeIcsText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+    if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeIcsText).join(',')}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    if (event.sequence) lines.push(`SEQUENCE:${event.sequence}`);
+    if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatIcsUtc(event.updatedAt)}`);
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  escapeIcsText,
+  foldIcsLine,
+  formatIcsUtc,
+  formatIcsLocal,
+  buildIcsTimeZone,
+  buildIcsCalendar
+};
@@ -1,10 +1,29 @@
 const DataPersistence = require('./data-persistence');
+const { mergeReaders, summarizeReaders } = require('./read-receipts');
+const { summarizeReactions } = require('./reactions');
+const { mergeReplies, summarizeReplies, latencyStats } = require('./reply-threads');
 const {
   MS_PER_DAY,
   MAX_RUNS_KEPT,
   DEFAULT_MESSAGE_LIMIT
 } = require('./constants');
 
+/**
+ * Members who read, reacted to or replied to a message, as a percentage of the group without the sender.
+ * @param {object} message - Stored message with readers, reactions and replies
+ * @returns {number} 0-100, two decimals
+ */
+function getEngagementRate(message) {
+  const totalMembers = Number(message.total_members) || 0;
+  if (totalMembers <= 1) return 0;
+  const engaged = new Set([
+    ...(message.readers || []).filter(reader => reader.read_at || reader.played_at).map(reader => reader.jid),
+    ...(message.reactions || []).map(reaction => reaction.jid),
+    ...(message.replies || []).map(reply => reply.author)
+  ].filter(Boolean));
+  return parseFloat(Math.min((engaged.size / (totalMembers - 1)) * 100, 100).toFixed(2));
+}
+
 /**
  * Local Data Store for Electron App
  * Stores scraped messages in memory and persists to file
@@ -57,11 +76,24 @@ class LocalDataStore {
       const existingIndex = this.messages.findIndex(m => m.message_id === msg.message_id);
 
       if (existingIndex >= 0) {
-        this.messages[existingIndex] = {
-          ...this.messages[existingIndex],
+        const existing = this.messages[existingIndex];
+        // Replies from earlier cycles may have dropped out of the scrape's fetched window
+        const replies = msg.replies || existing.replies ? mergeReplies(existing.replies, msg.replies) : null;
+        const merged = {
+          ...existing,
           ...msg,
+          // Receipts only accumulate; a scrape where getInfo() failed must not wipe earlier readers
+          ...(msg.readers || existing.readers ? { readers: mergeReaders(existing.readers, msg.readers) } : {}),
+          ...(replies ? { replies, replies_count: Math.max(Number(msg.replies_count) || 0, replies.length) } : {}),
+          // Reactions are replaced on each scrape, except when reading them failed (null)
+          ...(msg.reactions === null && existing.reactions
+            ? { reactions: existing.reactions, reactions_count: existing.reactions_count }
+            : {}),
           updated_at: new Date().toISOString()
         };
+        // The scrape's rate only counts what it saw; merged readers and replies can add members
+        merged.engagement_rate = Math.max(Number(merged.engagement_rate) || 0, getEngagementRate(merged));
+        this.messages[existingIndex] = merged;
       } else {
         this.messages.push({
           ...msg,
@@ -157,6 +189,126 @@ class LocalDataStore {
     return this.messages.find(m => m.message_id === messageId);
   }
 
+  /**
+   * Per-reader receipts of a message with read counts and time-to-read distribution.
+   * `receipts_captured` is false until a scrape has fetched the message's receipts.
+   */
+  getMessageReaders(messageId) {
+    const message = this.getMessageById(messageId);
+    if (!message) return null;
+    const readers = message.readers || [];
+    return {
+      message_id: message.message_id,
+      group_id: message.group_id,
+      group_name: message.group_name,
+      message_timestamp: message.message_timestamp,
+      total_members: message.total_members,
+      receipts_captured: Array.isArray(message.readers),
+      summary: summarizeReaders(readers, message.message_timestamp),
+      readers
+    };
+  }
+
+  /**
+   * Reactions of a message, one per reactor, with per-emoji counts and the sentiment mix.
+   * `reactions_captured` is false until a scrape has read the message's reactions.
+   */
+  getMessageReactions(messageId) {
+    const message = this.getMessageById(messageId);
+    if (!message) return null;
+    const reactions = message.reactions || [];
+    return {
+      message_id: message.message_id,
+      group_id: message.group_id,
+      group_name: message.group_name,
+      message_timestamp: message.message_timestamp,
+      reactions_count: message.reactions_count,
+      reactions_captured: Array.isArray(message.reactions),
+      summary: summarizeReactions(reactions),
+      reactions
+    };
+  }
+
+  /**
+   * Reaction breakdown across a group's messages of the last `days` days, plus the mix of each message.
+   */
+  getGroupReactions(groupName, days = 30) {
+    const cutoffDate = new Date(Date.now() - days * MS_PER_DAY);
+    const messages = this.messages.filter(m =>
+      m.group_name === groupName && new Date(m.message_timestamp) >= cutoffDate
+    );
+    const captured = messages.filter(m => Array.isArray(m.reactions));
+    return {
+      group_name: groupName,
+      days,
+      message_count: messages.length,
+      messages_with_reactions_captured: captured.length,
+      summary: summarizeReactions(captured.flatMap(m => m.reactions)),
+      messages: captured.map(m => {
+        const { total, sentiment } = summarizeReactions(m.reactions);
+        return {
+          message_id: m.message_id,
+          message_timestamp: m.message_timestamp,
+          message_content: m.message_content,
+          total,
+          sentiment
+        };
+      })
+    };
+  }
+
+  /**
+   * Reply thread of a message, oldest reply first, with reply counts and latency.
+   * `replies_captured` is false for messages last scraped before replies were stored.
+   */
+  getMessageReplies(messageId) {
+    const message = this.getMessageById(messageId);
+    if (!message) return null;
+    const replies = message.replies || [];
+    return {
+      message_id: message.message_id,
+      group_id: message.group_id,
+      group_name: message.group_name,
+      message_content: message.message_content,
+      message_timestamp: message.message_timestamp,
+      replies_captured: Array.isArray(message.replies),
+      summary: summarizeReplies(replies, message.message_timestamp),
+      replies
+    };
+  }
+
+  /**
+   * Reply statistics across a group's messages of the last `days` days.
+   * firstReplyMinutes is over each message's first reply, latencyMinutes over every reply.
+   */
+  getGroupReplyStats(groupName, days = 30) {
+    const cutoffDate = new Date(Date.now() - days * MS_PER_DAY);
+    const captured = this.messages.filter(m =>
+      m.group_name === groupName && new Date(m.message_timestamp) >= cutoffDate && Array.isArray(m.replies)
+    );
+    const messages = captured.map(m => ({
+      message_id: m.message_id,
+      message_timestamp: m.message_timestamp,
+      message_content: m.message_content,
+      ...summarizeReplies(m.replies, m.message_timestamp)
+    }));
+    const replyMinutes = captured.flatMap(m => {
+      const sentMs = new Date(m.message_timestamp).getTime();
+      return m.replies.map(reply => (new Date(reply.replied_at).getTime() - sentMs) / 60000);
+    });
+    return {
+      group_name: groupName,
+      days,
+      messages_with_replies_captured: captured.length,
+      messages_with_replies: messages.filter(m => m.count > 0).length,
+      replies: replyMinutes.length,
+      repliers: new Set(captured.flatMap(m => m.replies.map(reply => reply.author)).filter(Boolean)).size,
+      firstReplyMinutes: latencyStats(messages.filter(m => m.count > 0).map(m => m.firstReplyMinutes)),
+      latencyMinutes: latencyStats(replyMinutes),
+      messages
+    };
+  }
+
   /**
    * Resolve UI-provided message IDs to canonical stored message IDs.
    * Supports IDs like:
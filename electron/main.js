@@ -36,6 +36,17 @@ const ScraperService = require('./scraper-service');
 const EngagementTrackingService = require('./engagement-tracking-service');
 const localDataStore = require('./local-data-store');
 const PostQueueService = require('./post-queue-service');
+const FolderImportWatcher = require('./folder-import-watcher');
+const { formatRecurrence } = require('./recurrence-util');
+const { getMediaKind } = require('./media-library');
+const { readPayloadInput, normalizePayload, describePayload, getMessageType } = require('./message-payload');
+const { normalizeMentions, getMentionCap } = require('./mention-util');
+const { isValidTimeZone, formatInTimeZone } = require('./timezone-util');
+const { readWorkbookRows } = require('./xlsx-import');
+const { parseDelimitedRows } = require('./delimited-rows');
+const { buildIcsCalendar } = require('./ics-util');
+const { findUnseenMembers } = require('./read-receipts');
+const { summarizeReactions } = require('./reactions');
 
 // Environment detection
 const isDev = process.env.NODE_ENV === 'development' || !app.isPackaged;
@@ -48,6 +59,7 @@ let whatsappProcess = null;
 let sseClients = [];
 let trackingService = null;
 let postQueueService = null;
+let folderImportWatcher = null;
 let rendererNetworkLoggingAttached = false;
 
 // VPS auth token: stored when user logs in or sends token (e.g. scraper run); used for analytics proxy
@@ -99,51 +111,6 @@ function startLocalServer() {
     // Default to full dashboard (React UI with Compose, Send Messages). Set POSTING_FOCUSED_MODE=true for autopost at /
     const postingFocusedMode = process.env.POSTING_FOCUSED_MODE === 'true';
 
-    function parseDelimitedRows(inputText, explicitDelimiter = null) {
-      const text = String(inputText || '').replace(/\r\n/g, '\n').trim();
-      if (!text) return { delimiter: explicitDelimiter || ',', headers: [], rows: [] };
-      const lines = text.split('\n').filter(Boolean);
-      if (lines.length === 0) return { delimiter: explicitDelimiter || ',', headers: [], rows: [] };
-
-      const delimiter = explicitDelimiter || (lines[0].includes('\t') ? '\t' : ',');
-      const parseLine = (line) => {
-        const cells = [];
-        let current = '';
-        let inQuotes = false;
-        for (let i = 0; i < line.length; i++) {
-          const ch = line[i];
-          if (ch === '"') {
-            if (inQuotes && line[i + 1] === '"') {
-              current += '"';
-              i += 1;
-            } else {
-              inQuotes = !inQuotes;
-            }
-            continue;
-          }
-          if (ch === delimiter && !inQuotes) {
-            cells.push(current.trim());
-            current = '';
-            continue;
-          }
-          current += ch;
-        }
-        cells.push(current.trim());
-        return cells;
-      };
-
-      const headers = parseLine(lines[0]).map(h => h.trim());
-      const rows = lines.slice(1).map(parseLine).map((cells, rowIndex) => {
-        const obj = {};
-        headers.forEach((header, idx) => {
-          obj[header] = cells[idx] || '';
-        });
-        obj.__rowNumber = rowIndex + 2;
-        return obj;
-      });
-      return { delimiter, headers, rows };
-    }
-
     // Helper to serve HTML files (works with asar paths)
     function serveHtmlFile(filename) {
       return (req, res) => {
@@ -224,8 +191,18 @@ function startLocalServer() {
       fs.writeFileSync(getGroupsConfigPath(), JSON.stringify(config, null, 2));
     }
 
+    // Reader lists can hold hundreds of JIDs per message; they are served by /api/messages/:id/readers
     function transformMessageForFrontend(msg) {
-      return { ...msg, id: msg.message_id, message_member_count: msg.total_members };
+      const { readers, reactions, replies, ...rest } = msg;
+      // Per-emoji counts instead of the reactor list; null until the message is scraped with reactions
+      const reactionSummary = Array.isArray(reactions) ? summarizeReactions(reactions) : null;
+      return {
+        ...rest,
+        id: msg.message_id,
+        message_member_count: msg.total_members,
+        reaction_breakdown: reactionSummary?.byEmoji || null,
+        reaction_sentiment: reactionSummary?.sentiment || null
+      };
     }
 
     // Shared ScraperService instance (used by scraper/run, scraper/test, messages/refresh, tracking-service)
@@ -455,6 +432,61 @@ function startLocalServer() {
       }
     });
 
+    expressApp.get('/api/posting/recovery', (req, res) => {
+      try {
+        res.json({ success: true, recovery: postQueueService.lastRecovery });
+      } catch (error) {
+        sendError(res, 500, error.message);
+      }
+    });
+
+    expressApp.get('/api/posting/dry-run', (req, res) => {
+      try {
+        res.json({
+          success: true,
+          dryRun: postQueueService.getSettings().dryRun,
+          lastRun: postQueueService.lastDryRun,
+          log: postQueueService.dryRunLog
+        });
+      } catch (error) {
+        sendError(res, 500, error.message);
+      }
+    });
+
+    expressApp.post('/api/posting/dry-run', async (req, res) => {
+      try {
+        const report = await postQueueService.runDryRun({
+          ids: Array.isArray(req.body?.ids) ? req.body.ids : [],
+          campaignId: req.body?.campaignId
+        });
+        res.json({ success: true, report });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    expressApp.get('/api/posting/folder-import', (req, res) => {
+      try {
+        if (!folderImportWatcher) return sendError(res, 503, 'Folder import watcher not initialized');
+        res.json({ success: true, folderImport: folderImportWatcher.getStatus() });
+      } catch (error) {
+        sendError(res, 500, error.message);
+      }
+    });
+
+    expressApp.post('/api/posting/folder-import/scan', async (req, res) => {
+      try {
+        if (!folderImportWatcher) return sendError(res, 503, 'Folder import watcher not initialized');
+        if (!folderImportWatcher.getStatus().watching) {
+          return sendError(res, 400, 'Folder import is not enabled');
+        }
+        const results = await folderImportWatcher.scan({ now: true });
+        res.json({ success: true, results });
+      } catch (error) {
+        sendError(res, 500, error.message);
+      }
+    });
+
     expressApp.post('/api/posting/import/csv-preview', (req, res) => {
       try {
         const csvText = req.body?.csvText;
@@ -462,14 +494,9 @@ function startLocalServer() {
           return sendError(res, 400, 'csvText is required');
         }
         const parsed = parseDelimitedRows(csvText, ',');
-        const validation = parsed.rows.map((row) => {
-          try {
-            postQueueService.normalizeRow(row);
-            return { rowNumber: row.__rowNumber, valid: true, error: '' };
-          } catch (err) {
-            return { rowNumber: row.__rowNumber, valid: false, error: err.message };
-          }
-        });
+        const validation = postQueueService.validateRows(parsed.rows).map(({ row, error }) => (
+          { rowNumber: row.__rowNumber, valid: !error, error }
+        ));
         res.json({
           success: true,
           headers: parsed.headers,
@@ -490,13 +517,9 @@ function startLocalServer() {
         const parsed = parseDelimitedRows(csvText, ',');
         const validRows = [];
         const errors = [];
-        parsed.rows.forEach((row) => {
-          try {
-            postQueueService.normalizeRow(row);
-            validRows.push(row);
-          } catch (err) {
-            errors.push({ rowNumber: row.__rowNumber, rowId: row.row_id || row.rowId || '', error: err.message });
-          }
+        postQueueService.validateRows(parsed.rows).forEach(({ row, error }) => {
+          if (!error) validRows.push(row);
+          else errors.push({ rowNumber: row.__rowNumber, rowId: row.row_id || row.rowId || '', error });
         });
         const created = postQueueService.createJobs(validRows, 'csv_upload');
         res.json({
@@ -519,13 +542,9 @@ function startLocalServer() {
         const parsed = parseDelimitedRows(text);
         const validRows = [];
         const errors = [];
-        parsed.rows.forEach((row) => {
-          try {
-            postQueueService.normalizeRow(row);
-            validRows.push(row);
-          } catch (err) {
-            errors.push({ rowNumber: row.__rowNumber, rowId: row.row_id || row.rowId || '', error: err.message });
-          }
+        postQueueService.validateRows(parsed.rows).forEach(({ row, error }) => {
+          if (!error) validRows.push(row);
+          else errors.push({ rowNumber: row.__rowNumber, rowId: row.row_id || row.rowId || '', error });
         });
         const created = postQueueService.createJobs(validRows, 'bulk_paste');
         res.json({
@@ -540,6 +559,56 @@ function startLocalServer() {
       }
     });
 
+    // Excel import: multipart field `file`, plus optional `sheet`, `headerRow` and `mapping` (JSON)
+    const xlsxUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+    function readXlsxUpload(req) {
+      if (!req.file) throw new Error('file is required');
+      let mapping = req.body?.mapping || {};
+      if (typeof mapping === 'string') {
+        try {
+          mapping = mapping.trim() ? JSON.parse(mapping) : {};
+        } catch (error) {
+          throw new Error('mapping must be valid JSON');
+        }
+      }
+      return readWorkbookRows(req.file.buffer, { sheet: req.body?.sheet, headerRow: req.body?.headerRow, mapping });
+    }
+
+    expressApp.post('/api/posting/import/xlsx-preview', xlsxUpload.single('file'), (req, res) => {
+      try {
+        const parsed = readXlsxUpload(req);
+        const validation = postQueueService.validateRows(parsed.rows).map(({ row, error }) => (
+          { rowNumber: row.__rowNumber, valid: !error, error }
+        ));
+        res.json({ success: true, ...parsed, validation });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    expressApp.post('/api/posting/import/xlsx', xlsxUpload.single('file'), (req, res) => {
+      try {
+        const parsed = readXlsxUpload(req);
+        const validRows = [];
+        const errors = [];
+        postQueueService.validateRows(parsed.rows).forEach(({ row, error }) => {
+          if (!error) validRows.push(row);
+          else errors.push({ rowNumber: row.__rowNumber, rowId: row.row_id || row.rowId || '', error });
+        });
+        const created = postQueueService.createJobs(validRows, 'xlsx_upload');
+        res.json({
+          success: true,
+          sheet: parsed.sheet,
+          createdCount: created.length,
+          created,
+          errors
+        });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
     expressApp.post('/api/posting/jobs', (req, res) => {
       try {
         const rows = Array.isArray(req.body?.rows) ? req.body.rows : [req.body];
@@ -567,6 +636,27 @@ function startLocalServer() {
             String(job.resolvedGroup?.name || '').toLowerCase().includes(search)
           );
         }
+        const occurrenceLimit = Math.min(Math.max(parseInt(req.query.occurrences || 5), 0), 50);
+        const dependentIds = new Map();
+        for (const job of postQueueService.listJobs()) {
+          if (!job.dependsOn) continue;
+          dependentIds.set(job.dependsOn.jobId, [...(dependentIds.get(job.dependsOn.jobId) || []), job.id]);
+        }
+        jobs = jobs.map((job) => {
+          let result = job;
+          if (job.recurrence) {
+            result = { ...result, upcomingOccurrences: postQueueService.getUpcomingOccurrences(job, occurrenceLimit) };
+          }
+          // Live stats from the engagement tracker; null until the sent message is in the store
+          if (job.status === 'sent' || job.status === 'edited') {
+            result = { ...result, engagement: postQueueService.getJobEngagement(job) };
+          }
+          // Sequence steps that come after this job
+          if (dependentIds.has(job.id)) {
+            result = { ...result, dependentIds: dependentIds.get(job.id) };
+          }
+          return result;
+        });
         res.json({ success: true, jobs });
       } catch (error) {
         sendError(res, 500, error.message);
@@ -583,6 +673,16 @@ function startLocalServer() {
       }
     });
 
+    expressApp.get('/api/posting/jobs/:id/chain', (req, res) => {
+      try {
+        const chain = postQueueService.getJobChain(req.params.id);
+        if (!chain) return sendError(res, 404, 'Job not found');
+        res.json({ success: true, chain });
+      } catch (error) {
+        sendError(res, 500, error.message);
+      }
+    });
+
     expressApp.patch('/api/posting/jobs/:id', (req, res) => {
       try {
         const updated = postQueueService.updateJob(req.params.id, req.body || {}, 'manual_edit');
@@ -611,9 +711,14 @@ function startLocalServer() {
       }
     });
 
-    expressApp.post('/api/posting/jobs/enqueue', (req, res) => {
+    expressApp.post('/api/posting/jobs/enqueue', async (req, res) => {
       try {
         const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
+        if (req.body?.dryRun === true) {
+          if (ids.length === 0) return sendError(res, 400, 'ids are required for a dry run');
+          const report = await postQueueService.runDryRun({ ids });
+          return res.json({ success: true, dryRun: true, report });
+        }
         const jobs = postQueueService.enqueueJobs(ids);
         res.json({ success: true, jobs });
       } catch (error) {
@@ -651,6 +756,64 @@ function startLocalServer() {
       }
     });
 
+    // Approval workflow: writers submit, a lead approves (optionally enqueueing) or rejects with a reason
+    expressApp.post('/api/posting/jobs/submit-approval', (req, res) => {
+      try {
+        const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
+        const jobs = postQueueService.submitForApproval(ids, { by: req.body?.by, comment: req.body?.comment });
+        res.json({ success: true, jobs });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    expressApp.post('/api/posting/jobs/approve', (req, res) => {
+      try {
+        const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
+        const jobs = postQueueService.approveJobs(ids, {
+          by: req.body?.by,
+          comment: req.body?.comment,
+          enqueue: req.body?.enqueue === true
+        });
+        res.json({ success: true, jobs });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    expressApp.post('/api/posting/jobs/reject', (req, res) => {
+      try {
+        const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
+        const jobs = postQueueService.rejectJobs(ids, { by: req.body?.by, reason: req.body?.reason, comment: req.body?.comment });
+        res.json({ success: true, jobs });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    // Sent messages: delete for everyone / edit in place, within WhatsApp's time limits; results are per job
+    expressApp.post('/api/posting/jobs/retract', async (req, res) => {
+      try {
+        const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
+        if (ids.length === 0) return sendError(res, 400, 'ids are required');
+        const results = await postQueueService.retractSentJobs(ids, { by: req.body?.by, reason: req.body?.reason });
+        res.json({ success: true, results, retracted: results.filter(result => result.success).length });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    expressApp.post('/api/posting/jobs/edit-sent', async (req, res) => {
+      try {
+        const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
+        if (ids.length === 0) return sendError(res, 400, 'ids are required');
+        const results = await postQueueService.editSentJobs(ids, { messageText: req.body?.messageText, by: req.body?.by });
+        res.json({ success: true, results, edited: results.filter(result => result.success).length });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
     expressApp.post('/api/posting/jobs/randomize-times', (req, res) => {
       try {
         const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
@@ -663,20 +826,236 @@ function startLocalServer() {
       }
     });
 
+    expressApp.get('/api/posting/calendar', (req, res) => {
+      try {
+        const entries = postQueueService.getCalendarEntries({
+          from: req.query.from,
+          to: req.query.to,
+          campaignId: req.query.campaignId,
+          group: req.query.group
+        });
+        res.json({ success: true, entries });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    // Drag-and-drop from the calendar view; recorded as a 'calendar_drag' revision
+    expressApp.post('/api/posting/calendar/reschedule', (req, res) => {
+      try {
+        const job = postQueueService.rescheduleFromCalendar(req.body?.jobId, req.body?.scheduledAt);
+        res.json({ success: true, job });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    // Subscribable feed: ?campaignId= or ?group= gives one calendar per campaign or group
+    expressApp.get('/api/posting/calendar.ics', (req, res) => {
+      try {
+        const filter = { campaignId: req.query.campaignId, group: req.query.group };
+        const events = postQueueService.getCalendarFeedEvents(filter);
+        const campaign = filter.campaignId ? postQueueService.getCampaignById(filter.campaignId) : null;
+        const name = ['GroupIQ posts', campaign?.name, filter.group].filter(Boolean).join(' - ');
+        res.type('text/calendar; charset=utf-8').send(buildIcsCalendar({ name, events }));
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    expressApp.get('/api/posting/campaigns', (req, res) => {
+      try {
+        res.json({ success: true, campaigns: postQueueService.listCampaigns() });
+      } catch (error) {
+        sendError(res, 500, error.message);
+      }
+    });
+
+    expressApp.post('/api/posting/campaigns', (req, res) => {
+      try {
+        const campaign = postQueueService.createCampaign(req.body || {});
+        res.json({ success: true, campaign });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    expressApp.get('/api/posting/campaigns/:id', (req, res) => {
+      try {
+        const campaign = postQueueService.getCampaignById(req.params.id);
+        if (!campaign) return sendError(res, 404, 'Campaign not found');
+        res.json({
+          success: true,
+          campaign: postQueueService.describeCampaign(campaign),
+          jobs: postQueueService.getCampaignJobs(campaign.id)
+        });
+      } catch (error) {
+        sendError(res, 500, error.message);
+      }
+    });
+
+    expressApp.post('/api/posting/campaigns/:id/enqueue', async (req, res) => {
+      try {
+        if (req.body?.dryRun === true) {
+          const report = await postQueueService.runDryRun({ campaignId: req.params.id });
+          return res.json({ success: true, dryRun: true, report });
+        }
+        const campaign = postQueueService.enqueueCampaign(req.params.id);
+        res.json({ success: true, campaign });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    expressApp.post('/api/posting/campaigns/:id/cancel', (req, res) => {
+      try {
+        const campaign = postQueueService.cancelCampaign(req.params.id);
+        res.json({ success: true, campaign });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    expressApp.post('/api/posting/campaigns/:id/send-winner', (req, res) => {
+      try {
+        const campaign = postQueueService.sendAbTestWinner(req.params.id, req.body?.variantId);
+        res.json({ success: true, campaign });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    expressApp.delete('/api/posting/campaigns/:id', (req, res) => {
+      try {
+        postQueueService.deleteCampaign(req.params.id);
+        res.json({ success: true });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    expressApp.get('/api/posting/audiences', (req, res) => {
+      try {
+        res.json({ success: true, audiences: postQueueService.listAudiences() });
+      } catch (error) {
+        sendError(res, 500, error.message);
+      }
+    });
+
+    expressApp.post('/api/posting/audiences', (req, res) => {
+      try {
+        const audience = postQueueService.saveAudience(req.body || {});
+        res.json({ success: true, audience });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    expressApp.put('/api/posting/audiences/:id', (req, res) => {
+      try {
+        const audience = postQueueService.saveAudience({ ...(req.body || {}), id: req.params.id });
+        res.json({ success: true, audience });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    expressApp.delete('/api/posting/audiences/:id', (req, res) => {
+      try {
+        postQueueService.deleteAudience(req.params.id);
+        res.json({ success: true });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    expressApp.get('/api/posting/templates', (req, res) => {
+      try {
+        res.json({ success: true, templates: postQueueService.templateStore.list() });
+      } catch (error) {
+        sendError(res, 500, error.message);
+      }
+    });
+
+    expressApp.post('/api/posting/templates', (req, res) => {
+      try {
+        const { name, body } = req.body || {};
+        const template = postQueueService.templateStore.upsert({ name, body });
+        res.json({ success: true, template });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    expressApp.post('/api/posting/templates/preview', async (req, res) => {
+      try {
+        const previews = await postQueueService.previewTemplate(req.body || {});
+        res.json({ success: true, previews });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    expressApp.put('/api/posting/templates/:id', (req, res) => {
+      try {
+        const { name, body } = req.body || {};
+        const template = postQueueService.templateStore.upsert({ id: req.params.id, name, body });
+        res.json({ success: true, template });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    expressApp.delete('/api/posting/templates/:id', (req, res) => {
+      try {
+        const inUse = postQueueService.listJobs().filter(job =>
+          String(job.templateId) === String(req.params.id) && ['uploaded', 'queued', 'scheduled', 'deferred', 'retrying'].includes(job.status));
+        if (inUse.length > 0) {
+          return sendError(res, 400, `Template is used by ${inUse.length} pending job(s)`, { jobIds: inUse.map(job => job.id) });
+        }
+        if (!postQueueService.templateStore.remove(req.params.id)) {
+          return sendError(res, 404, 'Template not found');
+        }
+        res.json({ success: true });
+      } catch (error) {
+        sendError(res, 500, error.message);
+      }
+    });
+
     // ── Send Report ──────────────────────────────────────────────────────────
     function buildReportCSV(jobs) {
-      const headers = ['ID', 'Group Name', 'Message', 'Scheduled At', 'Actual Send At', 'Status', 'Status Reason', 'Created At'];
+      const headers = ['ID', 'Group Name', 'Message', 'Type', 'Media', 'Scheduled At', 'Scheduled At (Group Time)', 'Actual Send At', 'Status', 'Status Reason', 'Approval', 'Approval By', 'Attempts', 'Recurrence', 'Series ID', 'Occurrence', 'After Job', 'Campaign ID', 'Variant', 'Message ID', 'Seen', 'Reactions', 'Replies', 'Engagement Rate', 'Created At'];
       const esc = v => '"' + String(v == null ? '' : v).replace(/"/g, '""') + '"';
-      const rows = jobs.map(j => [
-        j.id,
-        (j.resolvedGroup && j.resolvedGroup.name) || j.groupName || '',
-        j.messageText || '',
-        j.scheduledAt || '',
-        j.actualSendAt || '',
-        j.status || '',
-        j.statusReason || '',
-        j.createdAt || '',
-      ].map(esc).join(','));
+      const rows = jobs.map(j => {
+        const engagement = postQueueService.getJobEngagement(j);
+        return [
+          j.id,
+          (j.resolvedGroup && j.resolvedGroup.name) || j.groupName || '',
+          j.renderedText || j.messageText || '',
+          describePayload(j.payload) || getMessageType(null, j.media),
+          (j.media && j.media.originalName) || '',
+          j.scheduledAt || '',
+          j.timeZone && j.scheduledAt ? `${formatInTimeZone(j.scheduledAt, j.timeZone)} ${j.timeZone}` : '',
+          j.actualSendAt || '',
+          j.status || '',
+          j.statusReason || '',
+          j.approvalStatus || '',
+          (j.approval && j.approval.by) || '',
+          j.attempts || 0,
+          formatRecurrence(j.recurrence),
+          j.seriesId || '',
+          j.occurrence || '',
+          j.dependsOn ? `${j.dependsOn.jobId} +${j.dependsOn.offsetMinutes} min` : '',
+          j.campaignId || '',
+          j.variantId || '',
+          j.messageId || '',
+          engagement ? engagement.seen : '',
+          engagement ? engagement.reactions : '',
+          engagement ? engagement.replies : '',
+          engagement ? engagement.engagementRate : '',
+          j.createdAt || '',
+        ].map(esc).join(',');
+      });
       return [headers.join(','), ...rows].join('\n');
     }
 
@@ -719,6 +1098,7 @@ function startLocalServer() {
         const groupJid = body.groupJid != null ? String(body.groupJid) : '';
         const imageData = body.imageData;
         const imageMimetype = body.imageMimetype;
+        const mediaId = body.mediaId != null ? String(body.mediaId).trim() : '';
 
         if (!groupName && !groupJid) {
           return sendError(res, 400, 'groupName or groupJid is required');
@@ -728,34 +1108,67 @@ function startLocalServer() {
         const hasImageFile = req.file && req.file.path && fs.existsSync(req.file.path);
         const hasImageBase64 = imageData && imageMimetype;
 
-        if (!hasText && !hasImageFile && !hasImageBase64) {
-          return sendError(res, 400, 'messageText or image is required');
-        }
-
         let image = null;
         if (hasImageFile) {
           image = { filePath: req.file.path };
+          const kind = getMediaKind(req.file.mimetype);
+          if (kind) Object.assign(image, { mimetype: req.file.mimetype, filename: req.file.originalname, kind });
         } else if (hasImageBase64) {
           image = {
             data: String(imageData),
             mimetype: String(imageMimetype)
           };
+        } else if (mediaId) {
+          image = postQueueService.mediaLibrary.getSendable(mediaId);
+          if (!image) return sendError(res, 400, `Media not found: ${mediaId}`);
+        }
+
+        // Typed messages: a payload object (JSON body or JSON string in multipart) or flat message_type fields
+        let payload;
+        try {
+          payload = normalizePayload(readPayloadInput(body), {
+            messageText: messageText.trim(),
+            mediaKind: image ? (image.kind || getMediaKind(image.mimetype) || 'image') : null
+          });
+        } catch (error) {
+          return sendError(res, 400, `payload is invalid: ${error.message}`);
+        }
+
+        if (!hasText && !image && !payload) {
+          return sendError(res, 400, 'messageText or image is required');
+        }
+
+        // Mentions: JIDs/phone numbers (array, or a string in multipart) plus {{mention_all}} in the text
+        let mentions;
+        try {
+          mentions = normalizeMentions(typeof body.mentions === 'string' && body.mentions.trim().startsWith('[') ? JSON.parse(body.mentions) : body.mentions);
+        } catch (error) {
+          return sendError(res, 400, `mentions are invalid: ${error.message}`);
+        }
+        if (mentions.length > 0 && !hasText) {
+          return sendError(res, 400, 'mentions need messageText to appear in');
         }
 
         const result = await whatsappManager.sendMessageToGroup({
           groupJid: groupJid.trim(),
           groupName: groupName.trim(),
           messageText: messageText.trim(),
-          image
+          image,
+          payload,
+          mentions,
+          maxMentions: getMentionCap(postQueueService.getSettings(), { groupJid: groupJid.trim(), groupName: groupName.trim() })
         });
         if (result.success) {
-          const displayText = messageText.trim() || '(Image)';
+          const displayText = messageText.trim() || (payload ? `(${describePayload(payload)})` : '(Image)');
           postQueueService.recordComposeSent({
             messageText: displayText,
             groupName: groupName.trim(),
             groupJid: result.group?.id,
             resolvedGroup: result.group,
-            messageId: result.messageId
+            messageId: result.messageId,
+            messageShortId: result.messageShortId,
+            payload,
+            mentions
           });
           res.json({ success: true, messageId: result.messageId, group: result.group });
         } else {
@@ -770,6 +1183,57 @@ function startLocalServer() {
       }
     });
 
+    // Media library for scheduled jobs: uploads are copied under the data dir and referenced by ID
+    const mediaUpload = multer({
+      storage: multer.diskStorage({
+        destination: sendNowTempDir,
+        filename: (_, file, cb) => cb(null, `media-${Date.now()}-${Math.random().toString(36).slice(2)}${path.extname(file.originalname || '') || '.bin'}`)
+      })
+    });
+
+    expressApp.get('/api/posting/media', (req, res) => {
+      try {
+        res.json({ success: true, media: postQueueService.mediaLibrary.list() });
+      } catch (error) {
+        sendError(res, 500, error.message);
+      }
+    });
+
+    expressApp.post('/api/posting/media', mediaUpload.single('file'), (req, res) => {
+      const tempFilePath = req.file && req.file.path;
+      try {
+        if (!tempFilePath) {
+          return sendError(res, 400, 'file is required');
+        }
+        const item = postQueueService.mediaLibrary.addFromPath(tempFilePath, {
+          originalName: req.file.originalname,
+          mimetype: req.file.mimetype
+        });
+        res.json({ success: true, media: item });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      } finally {
+        if (tempFilePath && fs.existsSync(tempFilePath)) {
+          try { fs.unlinkSync(tempFilePath); } catch (e) { /* ignore */ }
+        }
+      }
+    });
+
+    expressApp.delete('/api/posting/media/:id', (req, res) => {
+      try {
+        const inUse = postQueueService.listJobs().filter(job => job.media?.mediaId === req.params.id);
+        if (inUse.length > 0) {
+          return sendError(res, 400, `Media is used by ${inUse.length} job(s)`, { jobIds: inUse.map(job => job.id) });
+        }
+        if (!postQueueService.mediaLibrary.remove(req.params.id)) {
+          return sendError(res, 404, 'Media not found');
+        }
+        res.json({ success: true });
+      } catch (error) {
+        sendError(res, 500, error.message);
+      }
+    });
+
     expressApp.get('/api/posting/events', (req, res) => {
       res.setHeader('Content-Type', 'text/event-stream');
       res.setHeader('Cache-Control', 'no-cache');
@@ -1000,6 +1464,140 @@ function startLocalServer() {
       }
     });
 
+    expressApp.get('/api/messages/:id/readers', (req, res) => {
+      try {
+        const messageId = localDataStore.resolveMessageId(req.params.id) || req.params.id;
+        const result = localDataStore.getMessageReaders(messageId);
+        if (!result) return sendError(res, 404, 'Message not found');
+        res.json({ success: true, ...result });
+      } catch (error) {
+        sendError(res, 500, error.message);
+      }
+    });
+
+    expressApp.get('/api/messages/:id/reactions', (req, res) => {
+      try {
+        const messageId = localDataStore.resolveMessageId(req.params.id) || req.params.id;
+        const result = localDataStore.getMessageReactions(messageId);
+        if (!result) return sendError(res, 404, 'Message not found');
+        res.json({ success: true, ...result });
+      } catch (error) {
+        sendError(res, 500, error.message);
+      }
+    });
+
+    expressApp.get('/api/messages/:id/replies', (req, res) => {
+      try {
+        const messageId = localDataStore.resolveMessageId(req.params.id) || req.params.id;
+        const result = localDataStore.getMessageReplies(messageId);
+        if (!result) return sendError(res, 404, 'Message not found');
+        res.json({ success: true, ...result });
+      } catch (error) {
+        sendError(res, 500, error.message);
+      }
+    });
+
+    const MAX_UNSEEN_LAST_MESSAGES = 50;
+    const MAX_UNSEEN_HOURS = 30 * 24;
+
+    /**
+     * Members of a group who have seen none of: one stored message (messageId), or our last `last` messages
+     * in the group (groupName). The member list comes live from WhatsApp.
+     */
+    async function findUnseenForRequest({ messageId, groupName, last, hours }) {
+      const minHours = hours === undefined || hours === '' ? 24 : Number(hours);
+      if (!Number.isFinite(minHours) || minHours < 0 || minHours > MAX_UNSEEN_HOURS) {
+        throw new Error(`hours must be between 0 and ${MAX_UNSEEN_HOURS}`);
+      }
+      let messages;
+      if (messageId) {
+        const message = localDataStore.getMessageById(localDataStore.resolveMessageId(messageId) || messageId);
+        if (!message) throw new Error('Message not found');
+        messages = [message];
+      } else if (groupName) {
+        const count = last === undefined || last === '' ? 5 : Number(last);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_UNSEEN_LAST_MESSAGES) {
+          throw new Error(`last must be a whole number between 1 and ${MAX_UNSEEN_LAST_MESSAGES}`);
+        }
+        messages = localDataStore.getGroupMessages(groupName, count);
+        if (messages.length === 0) throw new Error(`No stored messages for group "${groupName}"`);
+      } else {
+        throw new Error('messageId or groupName is required');
+      }
+
+      if (whatsappManager.getStatus().status !== 'ready') throw new Error('WhatsApp not connected');
+      const group = messages[0].group_id
+        ? { id: messages[0].group_id, name: messages[0].group_name }
+        : await whatsappManager.resolveGroupTarget({ groupName: messages[0].group_name });
+      const participants = await whatsappManager.getGroupParticipantIds(group.id);
+      const selfJid = whatsappManager.getClient()?.info?.wid?._serialized || '';
+      const result = findUnseenMembers({ messages, participants, selfJid, hours: minHours });
+      return { group: { id: group.id, name: group.name }, hours: minHours, memberCount: participants.length, ...result };
+    }
+
+    function buildUnseenCSV(result) {
+      const esc = v => '"' + String(v == null ? '' : v).replace(/"/g, '""') + '"';
+      const headers = ['Phone', 'JID', 'Unread Messages', 'Delivered To Phone', 'Group'];
+      const rows = result.members.map(m => [m.phone, m.jid, m.unread, m.delivered, result.group.name].map(esc).join(','));
+      return [headers.join(','), ...rows].join('\n');
+    }
+
+    function sendUnseen(req, res, result) {
+      if (req.query.format !== 'csv') return res.json({ success: true, ...result });
+      const slug = String(result.group.name || 'group').replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+      res.type('text/csv').attachment(`unseen-${slug}-${new Date().toISOString().slice(0, 10)}.csv`).send(buildUnseenCSV(result));
+    }
+
+    expressApp.get('/api/messages/:id/unseen', async (req, res) => {
+      try {
+        const result = await findUnseenForRequest({ messageId: req.params.id, hours: req.query.hours });
+        sendUnseen(req, res, result);
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    expressApp.get('/api/groups/:id/unseen', async (req, res) => {
+      try {
+        const result = await findUnseenForRequest({
+          groupName: decodeURIComponent(req.params.id),
+          last: req.query.last,
+          hours: req.query.hours
+        });
+        sendUnseen(req, res, result);
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
+    // Follow-up jobs for members who have not seen a message: one direct message each, or one group post
+    // that @mentions them all. Jobs are created 'uploaded' and go through the queue like any other row.
+    expressApp.post('/api/posting/follow-ups', async (req, res) => {
+      try {
+        const body = req.body || {};
+        const mode = body.mode || 'direct';
+        if (!['direct', 'mention'].includes(mode)) throw new Error('mode must be direct or mention');
+        const result = await findUnseenForRequest(body);
+        if (result.considered.length === 0) {
+          const reasons = [...new Set(result.skipped.map(message => message.reason))].join('; ');
+          throw new Error(`No message to follow up on: ${reasons}`);
+        }
+        if (result.members.length === 0) throw new Error('Everyone has seen it; no follow-up needed');
+        const base = {
+          message_text: body.messageText || '',
+          template: body.template || '',
+          scheduled_at: body.scheduledAt || new Date(Date.now() + 5 * 60 * 1000).toISOString()
+        };
+        const rows = mode === 'direct'
+          ? result.members.map(member => ({ ...base, group_jid: member.jid, group_name: member.phone || member.jid }))
+          : [{ ...base, group_jid: result.group.id, group_name: result.group.name, mentions: result.members.map(member => member.jid) }];
+        const created = postQueueService.createJobs(rows, 'follow_up');
+        res.json({ success: true, created, members: result.members, skipped: result.skipped });
+      } catch (error) {
+        sendError(res, 400, error.message);
+      }
+    });
+
     expressApp.post('/api/messages/:id/refresh', async (req, res) => {
       try {
         const requestedMessageId = req.params.id;
@@ -1192,6 +1790,30 @@ function startLocalServer() {
       }
     });
 
+    expressApp.get('/api/groups/:id/reactions', (req, res) => {
+      try {
+        const days = req.query.days === undefined ? 30 : Number(req.query.days);
+        if (!Number.isInteger(days) || days < 1 || days > 365) {
+          return sendError(res, 400, 'days must be a whole number between 1 and 365');
+        }
+        res.json({ success: true, ...localDataStore.getGroupReactions(decodeURIComponent(req.params.id), days) });
+      } catch (error) {
+        sendError(res, 500, error.message);
+      }
+    });
+
+    expressApp.get('/api/groups/:id/replies', (req, res) => {
+      try {
+        const days = req.query.days === undefined ? 30 : Number(req.query.days);
+        if (!Number.isInteger(days) || days < 1 || days > 365) {
+          return sendError(res, 400, 'days must be a whole number between 1 and 365');
+        }
+        res.json({ success: true, ...localDataStore.getGroupReplyStats(decodeURIComponent(req.params.id), days) });
+      } catch (error) {
+        sendError(res, 500, error.message);
+      }
+    });
+
     function getAnalyticsAuthHeader(req) {
       return req.headers.authorization || (storedVpsToken ? `Bearer ${storedVpsToken}` : '');
     }
@@ -1419,12 +2041,18 @@ function startLocalServer() {
     expressApp.post('/api/config/groups/add', (req, res) => {
       try {
         const config = readGroupsConfig();
-        const { name, enabled, notes } = req.body;
+        const { name, enabled, notes, variables, timezone } = req.body;
         const existingGroup = config.groups.find(g => g.name === name);
         if (existingGroup) {
           return sendError(res, 400, 'Group already exists');
         }
-        config.groups.push({ name, enabled, notes: notes || '' });
+        if (timezone && !isValidTimeZone(timezone)) {
+          return sendError(res, 400, `timezone "${timezone}" is not an IANA timezone (e.g. Europe/Berlin)`);
+        }
+        const group = { name, enabled, notes: notes || '' };
+        if (variables && typeof variables === 'object') group.variables = variables;
+        if (timezone) group.timezone = timezone;
+        config.groups.push(group);
         writeGroupsConfig(config);
         res.json({ success: true, message: 'Group added successfully' });
       } catch (error) {
@@ -1443,6 +2071,19 @@ function startLocalServer() {
         }
         if (updates.enabled !== undefined) group.enabled = updates.enabled;
         if (updates.notes !== undefined) group.notes = updates.notes;
+        if (updates.variables !== undefined) {
+          if (!updates.variables || typeof updates.variables !== 'object' || Array.isArray(updates.variables)) {
+            return sendError(res, 400, 'variables must be an object of name/value pairs');
+          }
+          group.variables = updates.variables;
+        }
+        if (updates.timezone !== undefined) {
+          if (updates.timezone && !isValidTimeZone(updates.timezone)) {
+            return sendError(res, 400, `timezone "${updates.timezone}" is not an IANA timezone (e.g. Europe/Berlin)`);
+          }
+          if (updates.timezone) group.timezone = updates.timezone;
+          else delete group.timezone;
+        }
         writeGroupsConfig(config);
         res.json({ success: true, message: 'Group updated successfully' });
       } catch (error) {
@@ -1528,17 +2169,40 @@ function startLocalServer() {
 
     localServer = http.createServer(expressApp);
 
+    // Post queue and its folder watcher come up together, before engagement tracking, so a failure
+    // there can't leave the folder-import routes without a watcher
+    try {
+      postQueueService = new PostQueueService(whatsappManager, console, localDataStore);
+      folderImportWatcher = new FolderImportWatcher(postQueueService, console);
+      postQueueService.on('update', (payload) => {
+        if (payload.type === 'settings') {
+          folderImportWatcher.configure(payload.settings.folderImport);
+        } else if (payload.type === 'folder_import' && Notification.isSupported()) {
+          const { result } = payload;
+          const body = result.status === 'imported'
+            ? `${result.file}: ${result.createdCount} job(s) imported`
+            : `${result.file}: not imported, ${result.errors.length} error(s)${result.movedTo ? `; see failed/${path.basename(result.movedTo)}.errors.txt` : ''}`;
+          new Notification({ title: 'GroupIQ – folder import', body }).show();
+        }
+      });
+      folderImportWatcher.configure(postQueueService.getSettings().folderImport);
+      const recovery = postQueueService.start();
+      if (recovery.total > 0 && Notification.isSupported()) {
+        new Notification({ title: 'GroupIQ – missed posts', body: recovery.message }).show();
+      }
+      console.log('Post queue service initialized and started');
+    } catch (error) {
+      console.error('Failed to start post queue service:', error.message);
+    }
+
     // Initialize and start engagement tracking service (shared ScraperService used by routes)
     try {
-      postQueueService = new PostQueueService(whatsappManager, console);
-      postQueueService.start();
       sharedScraperService = new ScraperService(whatsappManager);
       trackingService = new EngagementTrackingService(sharedScraperService, localDataStore);
       trackingService.start();
       console.log('Engagement tracking service initialized and started');
       console.log('→ Tracking messages for 30 days with progressive delays');
       console.log('→ Old messages (7-30 days) get 15s delay for accurate data capture');
-      console.log('Post queue service initialized and started');
     } catch (error) {
       console.error('Failed to start engagement tracking service:', error.message);
     }
@@ -1784,8 +2448,12 @@ app.on('before-quit', () => {
     localServer.close();
   }
 
+  if (folderImportWatcher) {
+    folderImportWatcher.stop();
+  }
+
   if (postQueueService) {
-    postQueueService.stop();
+    postQueueService.close();
   }
 });
 
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+
+/** Extension → MIME type for the attachment kinds WhatsApp accepts on scheduled jobs */
+const MIME_BY_EXTENSION = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.3gp': 'video/3gpp',
+  '.mov': 'video/quicktime',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.zip': 'application/zip',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.wav': 'audio/wav'
+};
+
+/** Files sent as documents (WhatsApp shows them with their file name instead of a preview) */
+const DOCUMENT_MIME_TYPES = new Set([
+  ...Object.values(MIME_BY_EXTENSION).filter(type => !/^(image|video|audio)\//.test(type)),
+  'application/x-zip-compressed'
+]);
+
+/**
+ * Classify a MIME type into a sendable attachment kind.
+ * @param {string} mimetype
+ * @returns {'image'|'video'|'audio'|'document'|null}
+ */
+function getMediaKind(mimetype) {
+  const type = String(mimetype || '').toLowerCase();
+  if (type.startsWith('image/')) return 'image';
+  if (type.startsWith('video/')) return 'video';
+  if (type.startsWith('audio/')) return 'audio';
+  if (DOCUMENT_MIME_TYPES.has(type)) return 'document';
+  return null;
+}
+
+/**
+ * Media Library
+ * Stores attachments for scheduled posts under <dataDir>/media with a JSON index,
+ * so jobs reference files by ID instead of holding temp upload paths.
+ */
+class MediaLibrary {
+  constructor(dataDir, logger = console) {
+    this.logger = logger;
+    this.mediaDir = path.join(dataDir, 'media');
+    this.indexPath = path.join(dataDir, 'media-library.json');
+    this.items = [];
+    this.load();
+  }
+
+  /**
+   * Ensure the media directory exists
+   */
+  ensureMediaDir() {
+    if (!fs.existsSync(this.mediaDir)) {
+      fs.mkdirSync(this.mediaDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Load the media index from disk
+   */
+  load() {
+    this.ensureMediaDir();
+    try {
+      if (fs.existsSync(this.indexPath)) {
+        const parsed = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+        this.items = Array.isArray(parsed.items) ? parsed.items : [];
+      }
+    } catch (error) {
+      this.logger.error('Failed to load media library index', { error: error.message });
+      this.items = [];
+    }
+  }
+
+  /**
+   * Persist the media index to disk
+   */
+  save() {
+    this.ensureMediaDir();
+    fs.writeFileSync(this.indexPath, JSON.stringify({ items: this.items }, null, 2), 'utf8');
+  }
+
+  list() {
+    return this.items.slice();
+  }
+
+  getById(mediaId) {
+    return this.items.find(item => item.id === String(mediaId));
+  }
+
+  getFilePath(item) {
+    return path.join(this.mediaDir, item.fileName);
+  }
+
+  /**
+   * Copy a file into the library.
+   * @param {string} sourcePath - File to copy (left untouched)
+   * @param {object} [opts]
+   * @param {string} [opts.originalName] - Display/file name sent to WhatsApp (defaults to basename)
+   * @param {string} [opts.mimetype] - MIME type (defaults to lookup by extension)
+   * @returns {object} Library item
+   */
+  addFromPath(sourcePath, { originalName, mimetype } = {}) {
+    if (!sourcePath || !fs.existsSync(sourcePath)) {
+      throw new Error(`Media file not found: ${sourcePath}`);
+    }
+    const name = originalName || path.basename(sourcePath);
+    const ext = path.extname(name).toLowerCase() || path.extname(sourcePath).toLowerCase();
+    // Browsers report unknown office formats as application/octet-stream; fall back to the extension
+    const type = (getMediaKind(mimetype) ? mimetype : MIME_BY_EXTENSION[ext]) || mimetype || '';
+    const kind = getMediaKind(type);
+    if (!kind) {
+      throw new Error(`Unsupported media type "${type || ext || 'unknown'}" (use image, video, audio or a document: PDF, Office, text, CSV or ZIP)`);
+    }
+
+    this.ensureMediaDir();
+    const id = `media-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const fileName = `${id}${ext || ''}`;
+    fs.copyFileSync(sourcePath, path.join(this.mediaDir, fileName));
+
+    const item = {
+      id,
+      fileName,
+      originalName: name,
+      mimetype: type,
+      kind,
+      size: fs.statSync(path.join(this.mediaDir, fileName)).size,
+      createdAt: new Date().toISOString()
+    };
+    this.items.push(item);
+    this.save();
+    return item;
+  }
+
+  /**
+   * Resolve a CSV/API media reference (library ID or absolute file path) without copying anything.
+   * @param {string|object} ref
+   * @returns {{ mediaId: string }|{ filePath: string }|null}
+   */
+  resolveReference(ref) {
+    if (ref === undefined || ref === null || ref === '') return null;
+    if (typeof ref === 'object') {
+      return this.resolveReference(ref.mediaId || ref.filePath || '');
+    }
+    const value = String(ref).trim();
+    if (!value) return null;
+    if (this.getById(value)) return { mediaId: value };
+    if (path.isAbsolute(value) && fs.existsSync(value)) {
+      const ext = path.extname(value).toLowerCase();
+      if (!getMediaKind(MIME_BY_EXTENSION[ext])) {
+        throw new Error(`Unsupported media file type "${ext || 'unknown'}" (use image, video, audio or a document: PDF, Office, text, CSV or ZIP)`);
+      }
+      return { filePath: value };
+    }
+    throw new Error(`media "${value}" is not a media library ID or an existing absolute file path`);
+  }
+
+  /**
+   * Media kind of a resolved reference, without importing it.
+   * @param {{ mediaId: string }|{ filePath: string }|null} ref
+   * @returns {'image'|'video'|'audio'|'document'|null}
+   */
+  getReferenceKind(ref) {
+    if (!ref) return null;
+    if (ref.mediaId) return this.getById(ref.mediaId)?.kind || null;
+    return getMediaKind(MIME_BY_EXTENSION[path.extname(ref.filePath).toLowerCase()]);
+  }
+
+  /**
+   * Turn a resolved reference into the job-level media descriptor, importing file paths into the library.
+   * @param {{ mediaId: string }|{ filePath: string }|null} ref
+   * @returns {object|null} { mediaId, originalName, mimetype, kind }
+   */
+  attach(ref) {
+    if (!ref) return null;
+    const item = ref.mediaId ? this.getById(ref.mediaId) : this.addFromPath(ref.filePath);
+    if (!item) throw new Error(`Media not found: ${ref.mediaId}`);
+    return {
+      mediaId: item.id,
+      originalName: item.originalName,
+      mimetype: item.mimetype,
+      kind: item.kind
+    };
+  }
+
+  /**
+   * Build the payload WhatsAppManager.sendMessageToGroup expects for a library item.
+   * @param {string} mediaId
+   * @returns {object|null} { filePath, mimetype, filename, kind }, or null if the file is gone
+   */
+  getSendable(mediaId) {
+    const item = this.getById(mediaId);
+    if (!item) return null;
+    const filePath = this.getFilePath(item);
+    if (!fs.existsSync(filePath)) return null;
+    return { filePath, mimetype: item.mimetype, filename: item.originalName, kind: item.kind };
+  }
+
+  /**
+   * Delete a library item and its file.
+   * @param {string} mediaId
+   * @returns {boolean} true if an item was removed
+   */
+  remove(mediaId) {
+    const item = this.getById(mediaId);
+    if (!item) return false;
+    const filePath = this.getFilePath(item);
+    try {
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    } catch (error) {
+      this.logger.error('Failed to delete media file', { mediaId, error: error.message });
+    }
+    this.items = this.items.filter(entry => entry.id !== item.id);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Remove the given items if no remaining job still references them.
+   * @param {string[]} mediaIds - Candidates (typically media of deleted jobs)
+   * @param {Set<string>} stillReferenced - Media IDs used by remaining jobs
+   * @returns {string[]} Removed IDs
+   */
+  removeOrphans(mediaIds, stillReferenced) {
+    const removed = [];
+    for (const mediaId of new Set(mediaIds.filter(Boolean))) {
+      if (stillReferenced.has(mediaId)) continue;
+      if (this.remove(mediaId)) removed.push(mediaId);
+    }
+    return removed;
+  }
+}
+
+module.exports = MediaLibrary;
+module.exports.getMediaKind = getMediaKind;
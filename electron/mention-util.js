@@ -0,0 +1,144 @@
+/** Placeholder that expands to an @mention of every group member at send time */
+const MENTION_ALL_TOKEN = '{{mention_all}}';
+const MENTION_ALL_PATTERN = /\{\{\s*mention_all\s*\}\}/i;
+
+const DEFAULT_MENTION_SETTINGS = {
+  maxPerMessage: 50,
+  perGroup: {}
+};
+
+const MAX_MENTION_CAP = 5000;
+
+/**
+ * @param {string} text
+ * @returns {boolean} Whether the text asks to mention everyone
+ */
+function hasMentionAll(text) {
+  return MENTION_ALL_PATTERN.test(String(text || ''));
+}
+
+const CONTACT_JID_PATTERN = /^\d{5,20}@(c\.us|lid)$/;
+
+/**
+ * @param {string} jid
+ * @returns {boolean} true for a member's own chat (123@c.us, 123@lid) rather than a group
+ */
+function isContactJid(jid) {
+  return CONTACT_JID_PATTERN.test(String(jid || ''));
+}
+
+/**
+ * Validate explicit mentions: participant JIDs (123@c.us, 123@lid) or phone numbers, which become @c.us JIDs.
+ * @param {Array<string>|string} input - Array, or one string separated by |, commas, semicolons or new lines
+ * @returns {string[]} De-duplicated JIDs
+ */
+function normalizeMentions(input) {
+  if (input === undefined || input === null || input === '') return [];
+  const list = Array.isArray(input) ? input : String(input).split(/[|,;\n]+/);
+  const jids = new Set();
+  for (const raw of list) {
+    const value = String(raw ?? '').trim().replace(/^@/, '');
+    if (!value) continue;
+    if (isContactJid(value)) {
+      jids.add(value);
+      continue;
+    }
+    const digits = value.replace(/[\s\-().+]/g, '');
+    if (!/^\d{6,15}$/.test(digits)) {
+      throw new Error(`"${value}" is not a participant JID or phone number with country code`);
+    }
+    jids.add(`${digits}@c.us`);
+  }
+  return [...jids];
+}
+
+function parseCap(value, label) {
+  const cap = Number(value);
+  if (!Number.isInteger(cap) || cap < 0 || cap > MAX_MENTION_CAP) {
+    throw new Error(`${label} must be a whole number between 0 and ${MAX_MENTION_CAP}`);
+  }
+  return cap;
+}
+
+/**
+ * Validate mention caps. 0 disables mentions for the group.
+ * @param {object} input - { maxPerMessage, perGroup: { [groupJidOrName]: number } }
+ * @param {object} [current]
+ * @returns {{ maxPerMessage: number, perGroup: object }}
+ */
+function normalizeMentionSettings(input = {}, current = DEFAULT_MENTION_SETTINGS) {
+  const settings = {
+    maxPerMessage: current.maxPerMessage ?? DEFAULT_MENTION_SETTINGS.maxPerMessage,
+    perGroup: { ...(current.perGroup || {}) }
+  };
+  if (input?.maxPerMessage !== undefined && input.maxPerMessage !== '') {
+    settings.maxPerMessage = parseCap(input.maxPerMessage, 'mentions.maxPerMessage');
+  }
+  if (input?.perGroup !== undefined) {
+    if (!input.perGroup || typeof input.perGroup !== 'object' || Array.isArray(input.perGroup)) {
+      throw new Error('mentions.perGroup must be an object keyed by group JID or name');
+    }
+    settings.perGroup = {};
+    for (const [key, value] of Object.entries(input.perGroup)) {
+      const groupKey = String(key).trim();
+      if (!groupKey || value === null || value === '') continue;
+      settings.perGroup[groupKey] = parseCap(value, `mentions.perGroup["${groupKey}"]`);
+    }
+  }
+  return settings;
+}
+
+/**
+ * The most members one message may mention in a group: its own cap, else the default.
+ * @param {object} settings - Queue settings with `mentions`
+ * @param {{ groupJid?: string, groupName?: string, resolvedGroup?: object }} target
+ * @returns {number}
+ */
+function getMentionCap(settings, target = {}) {
+  const mentions = settings?.mentions || DEFAULT_MENTION_SETTINGS;
+  const candidates = [target.groupJid, target.resolvedGroup?.id, target.groupName, target.resolvedGroup?.name]
+    .filter(Boolean)
+    .map(value => String(value).trim().toLowerCase());
+  for (const [key, cap] of Object.entries(mentions.perGroup || {})) {
+    if (candidates.includes(key.toLowerCase())) return cap;
+  }
+  return mentions.maxPerMessage;
+}
+
+const userPart = jid => String(jid).split('@')[0];
+
+/**
+ * Expand {{mention_all}} and make sure every mentioned participant appears as @number in the text
+ * (WhatsApp only highlights mentions that are written out).
+ * @param {string} text
+ * @param {object} opts
+ * @param {string[]} [opts.mentions] - Explicit participant JIDs
+ * @param {string[]} [opts.participants] - Group member JIDs, needed when the text has {{mention_all}}
+ * @param {string} [opts.selfJid] - Our own JID, never mentioned
+ * @returns {{ text: string, mentions: string[] }}
+ */
+function buildMentionText(text, { mentions = [], participants = [], selfJid = '' } = {}) {
+  const members = participants.filter(jid => jid !== selfJid);
+  let result = String(text || '');
+  const all = new Set(mentions.filter(jid => jid !== selfJid));
+  if (hasMentionAll(result)) {
+    result = result.replace(new RegExp(MENTION_ALL_PATTERN.source, 'gi'), members.map(jid => `@${userPart(jid)}`).join(' '));
+    for (const jid of members) all.add(jid);
+  }
+  const missing = [...all].filter(jid => !new RegExp(`@${userPart(jid)}(?!\\d)`).test(result));
+  if (missing.length > 0) {
+    result = `${result}${result ? '\n' : ''}${missing.map(jid => `@${userPart(jid)}`).join(' ')}`;
+  }
+  return { text: result, mentions: [...all] };
+}
+
+module.exports = {
+  MENTION_ALL_TOKEN,
+  DEFAULT_MENTION_SETTINGS,
+  hasMentionAll,
+  isContactJid,
+  normalizeMentions,
+  normalizeMentionSettings,
+  getMentionCap,
+  buildMentionText
+};
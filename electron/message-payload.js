@@ -0,0 +1,252 @@
+const path = require('path');
+
+/** Message types a job or send-now request can declare; untyped rows stay text/media as before */
+const MESSAGE_TYPES = ['text', 'image', 'video', 'audio', 'voice', 'document', 'poll', 'location', 'contact'];
+
+/** Types that carry their own content and are sent without an attachment */
+const STRUCTURED_TYPES = new Set(['poll', 'location', 'contact']);
+
+/** Media kind each attachment type requires (document accepts any kind and sends it as a file) */
+const MEDIA_KIND_BY_TYPE = {
+  image: 'image',
+  video: 'video',
+  audio: 'audio',
+  voice: 'audio'
+};
+
+/** whatsapp-web.js message type names, as the scraper stores them */
+const WHATSAPP_TYPE_BY_TYPE = {
+  voice: 'ptt',
+  poll: 'poll_creation',
+  location: 'location',
+  contact: 'vcard'
+};
+
+const POLL_MIN_OPTIONS = 2;
+const POLL_MAX_OPTIONS = 12;
+const POLL_MAX_OPTION_LENGTH = 100;
+const POLL_MAX_QUESTION_LENGTH = 255;
+const MAX_LABEL_LENGTH = 256;
+
+const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+
+const parseFlag = value => value === true || ['true', '1', 'yes', 'y'].includes(String(value ?? '').trim().toLowerCase());
+
+function cleanLabel(value, label) {
+  const text = String(value ?? '').trim();
+  if (text.length > MAX_LABEL_LENGTH) throw new Error(`${label} must be at most ${MAX_LABEL_LENGTH} characters`);
+  return text;
+}
+
+function parseCoordinate(value, label, limit) {
+  if (isBlank(value)) throw new Error(`${label} is required`);
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < -limit || number > limit) {
+    throw new Error(`${label} must be a number between -${limit} and ${limit}`);
+  }
+  return number;
+}
+
+/**
+ * Collect the typed-message fields of a job row: a `payload` object (or JSON string) from the API,
+ * or the flat message_type / poll_* / location_* / contact_* columns of a CSV row.
+ * @param {object} row
+ * @returns {object|null} Raw payload input, or null for an untyped row
+ */
+function readPayloadInput(row = {}) {
+  if (row.payload !== undefined && row.payload !== null && row.payload !== '') {
+    if (typeof row.payload === 'object') return row.payload;
+    try {
+      const parsed = JSON.parse(String(row.payload));
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    } catch (error) {
+      // Reported below
+    }
+    throw new Error('payload must be a JSON object');
+  }
+
+  const type = row.messageType ?? row.message_type;
+  if (isBlank(type)) return null;
+  return {
+    type,
+    options: row.pollOptions ?? row.poll_options,
+    allowMultipleAnswers: row.pollMulti ?? row.poll_multi,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    name: row.locationName ?? row.location_name ?? row.contactName ?? row.contact_name,
+    address: row.locationAddress ?? row.location_address,
+    url: row.locationUrl ?? row.location_url,
+    phone: row.contactPhone ?? row.contact_phone,
+    organization: row.contactOrg ?? row.contact_org,
+    email: row.contactEmail ?? row.contact_email,
+    vcard: row.vcard ?? row.contact_vcard,
+    filename: row.filename
+  };
+}
+
+function normalizePoll(input, { messageText, hasTemplate }) {
+  const raw = Array.isArray(input.options) ? input.options : String(input.options ?? '').split('|');
+  const options = raw.map(option => String(option ?? '').trim()).filter(Boolean);
+  if (options.length < POLL_MIN_OPTIONS || options.length > POLL_MAX_OPTIONS) {
+    throw new Error(`a poll needs between ${POLL_MIN_OPTIONS} and ${POLL_MAX_OPTIONS} options (poll_options separated by |)`);
+  }
+  const tooLong = options.find(option => option.length > POLL_MAX_OPTION_LENGTH);
+  if (tooLong) throw new Error(`poll option "${tooLong.slice(0, 20)}…" is longer than ${POLL_MAX_OPTION_LENGTH} characters`);
+  if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+    throw new Error('poll options must be unique');
+  }
+  if (!messageText && !hasTemplate) throw new Error('a poll needs its question in message_text');
+  if (messageText.length > POLL_MAX_QUESTION_LENGTH) {
+    throw new Error(`a poll question must be at most ${POLL_MAX_QUESTION_LENGTH} characters`);
+  }
+  return { type: 'poll', options, allowMultipleAnswers: parseFlag(input.allowMultipleAnswers) };
+}
+
+function normalizeLocation(input) {
+  const url = cleanLabel(input.url, 'location url');
+  if (url && !/^https?:\/\//i.test(url)) throw new Error('location url must start with http:// or https://');
+  return {
+    type: 'location',
+    latitude: parseCoordinate(input.latitude, 'latitude', 90),
+    longitude: parseCoordinate(input.longitude, 'longitude', 180),
+    name: cleanLabel(input.name, 'location name'),
+    address: cleanLabel(input.address, 'location address'),
+    url
+  };
+}
+
+function normalizeContact(input) {
+  const vcard = String(input.vcard ?? '').trim();
+  if (vcard) {
+    if (!/^BEGIN:VCARD/i.test(vcard) || !/END:VCARD$/i.test(vcard)) {
+      throw new Error('vcard must start with BEGIN:VCARD and end with END:VCARD');
+    }
+    const name = /^FN[^:]*:(.*)$/im.exec(vcard);
+    return { type: 'contact', name: name ? name[1].trim() : '', vcard };
+  }
+
+  const name = cleanLabel(input.name, 'contact name');
+  if (!name) throw new Error('contact_name is required for a contact card');
+  const phone = String(input.phone ?? '').trim();
+  const digits = phone.replace(/[\s\-().]/g, '');
+  if (!/^\+?\d{6,15}$/.test(digits)) {
+    throw new Error('contact_phone must be a phone number with 6-15 digits, ideally with country code');
+  }
+  const email = cleanLabel(input.email, 'contact email');
+  if (email && !/^[^\s@]+@[^\s@]+$/.test(email)) throw new Error('contact email is not a valid address');
+  return {
+    type: 'contact',
+    name,
+    phone: digits,
+    organization: cleanLabel(input.organization, 'contact organization'),
+    email
+  };
+}
+
+/**
+ * Validate a typed message payload against the row's text and attachment.
+ * @param {object|null} input - From readPayloadInput
+ * @param {object} context
+ * @param {string} [context.messageText] - The row's text (a poll's question)
+ * @param {boolean} [context.hasTemplate] - Text comes from a template at send time
+ * @param {string|null} [context.mediaKind] - Kind of the attached media, if any
+ * @returns {object|null} Normalized payload, or null for plain text/media
+ */
+function normalizePayload(input, { messageText = '', hasTemplate = false, mediaKind = null } = {}) {
+  if (!input) return null;
+  const type = String(input.type ?? '').trim().toLowerCase();
+  if (!MESSAGE_TYPES.includes(type)) {
+    throw new Error(`message_type "${input.type}" is not supported (use ${MESSAGE_TYPES.join(', ')})`);
+  }
+
+  if (STRUCTURED_TYPES.has(type) && mediaKind) {
+    throw new Error(`a ${type} message cannot carry media`);
+  }
+  if (type === 'poll') return normalizePoll(input, { messageText, hasTemplate });
+  if (type === 'location') return normalizeLocation(input);
+  if (type === 'contact') return normalizeContact(input);
+
+  if (type === 'text') {
+    if (mediaKind) throw new Error('a text message cannot carry media (use the media kind as message_type)');
+    return null;
+  }
+  if (!mediaKind) throw new Error(`a ${type} message needs media`);
+  if (type === 'document') {
+    const filename = path.basename(cleanLabel(input.filename, 'filename'));
+    return filename ? { type, filename } : { type };
+  }
+  if (MEDIA_KIND_BY_TYPE[type] !== mediaKind) {
+    throw new Error(`a ${type} message needs ${MEDIA_KIND_BY_TYPE[type]} media, got ${mediaKind}`);
+  }
+  return { type };
+}
+
+const escapeVCard = value => String(value).replace(/\\/g, '\\\\').replace(/([,;])/g, '\\$1').replace(/\r?\n/g, '\\n');
+
+/**
+ * Build a vCard 3.0 for a contact payload. The waid parameter lets WhatsApp offer "Message" on the card.
+ * @param {object} contact - { name, phone, organization, email } or { vcard }
+ * @returns {string}
+ */
+function buildVCard(contact) {
+  if (contact.vcard) return contact.vcard;
+  const waid = contact.phone.replace(/^\+/, '');
+  const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${escapeVCard(contact.name)}`];
+  if (contact.organization) lines.push(`ORG:${escapeVCard(contact.organization)}`);
+  lines.push(`TEL;type=CELL;type=VOICE;waid=${waid}:+${waid}`);
+  if (contact.email) lines.push(`EMAIL:${escapeVCard(contact.email)}`);
+  lines.push('END:VCARD');
+  return lines.join('\n');
+}
+
+/**
+ * The message type a job is sent as.
+ * @param {object|null} payload
+ * @param {object|null} media - Job media ({ kind })
+ * @returns {string}
+ */
+function getMessageType(payload, media) {
+  if (payload?.type) return payload.type;
+  return media?.kind || 'text';
+}
+
+/**
+ * @returns {string} whatsapp-web.js type name ('chat', 'image', 'ptt', 'poll_creation', ...)
+ */
+function getWhatsAppMessageType(payload, media) {
+  const type = getMessageType(payload, media);
+  if (type === 'text') return 'chat';
+  return WHATSAPP_TYPE_BY_TYPE[type] || type;
+}
+
+/**
+ * One-line description for reports and logs, e.g. "poll (3 options, multi-select)".
+ * @param {object|null} payload
+ * @returns {string}
+ */
+function describePayload(payload) {
+  if (!payload) return '';
+  switch (payload.type) {
+    case 'poll':
+      return `poll (${payload.options.length} options${payload.allowMultipleAnswers ? ', multi-select' : ''})`;
+    case 'location':
+      return `location: ${payload.name || `${payload.latitude}, ${payload.longitude}`}`;
+    case 'contact':
+      return `contact: ${payload.name || 'vCard'}`;
+    case 'document':
+      return payload.filename ? `document: ${payload.filename}` : 'document';
+    default:
+      return payload.type;
+  }
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  STRUCTURED_TYPES,
+  readPayloadInput,
+  normalizePayload,
+  buildVCard,
+  getMessageType,
+  getWhatsAppMessageType,
+  describePayload
+};
@@ -1,55 +1,231 @@
-const fs = require('fs');
 const path = require('path');
 const EventEmitter = require('events');
+const { parseRecurrence, formatRecurrence, getNextOccurrence, getNextPendingOccurrence, listUpcomingOccurrences } = require('./recurrence-util');
+const MediaLibrary = require('./media-library');
+const TemplateStore = require('./template-store');
+const PostQueueStore = require('./post-queue-store');
+const { renderTemplate, hasPlaceholders } = TemplateStore;
+const { RATE_WINDOWS, DEFAULT_RATE_LIMITS, normalizeRateLimits, pruneSendLog, checkRateLimit } = require('./send-rate-limiter');
+const {
+  normalizeQuietHours,
+  normalizeGroupSendWindows,
+  getSendRules,
+  isSendAllowed,
+  getAllowedIntervals,
+  getNextAllowedTime,
+  describeRules
+} = require('./send-window-util');
+const { DEFAULT_RETRY_POLICY, normalizeRetryPolicy, classifySendError, getRetryDelayMs } = require('./send-retry-policy');
+const { normalizeVariants, normalizeAbTestOptions, splitTargets, summarizeVariant, compareVariants } = require('./ab-test-util');
+const { STRUCTURED_TYPES, readPayloadInput, normalizePayload, getMessageType, getWhatsAppMessageType } = require('./message-payload');
+const { MS_PER_DAY, WHATSAPP_EDIT_WINDOW_MS, WHATSAPP_DELETE_WINDOW_MS } = require('./constants');
+const { DEFAULT_MENTION_SETTINGS, hasMentionAll, isContactJid, normalizeMentions, normalizeMentionSettings, getMentionCap, buildMentionText } = require('./mention-util');
+const { normalizeTimeZone, zonedTimeToUtc } = require('./timezone-util');
+const { DEFAULT_FOLDER_IMPORT_SETTINGS, normalizeFolderImportSettings } = require('./folder-import-watcher');
+const { summarizeReactions } = require('./reactions');
 
 const DEFAULT_STATE = {
   nextId: 1,
+  nextCampaignId: 1,
+  nextAudienceId: 1,
   settings: {
-    randomDelayMaxMinutes: 0
+    randomDelayMaxMinutes: 0,
+    rateLimits: DEFAULT_RATE_LIMITS,
+    quietHours: null,
+    groupSendWindows: {},
+    missedJobPolicy: { mode: 'send_now', graceMinutes: 60 },
+    retryPolicy: DEFAULT_RETRY_POLICY,
+    approval: { enabled: false, approvers: [] },
+    mentions: DEFAULT_MENTION_SETTINGS,
+    dryRun: false,
+    folderImport: DEFAULT_FOLDER_IMPORT_SETTINGS
   },
-  jobs: []
+  jobs: [],
+  campaigns: [],
+  audiences: [],
+  sendLog: []
 };
 
-const MUTABLE_STATUSES = new Set(['uploaded', 'queued', 'scheduled', 'failed', 'cancelled']);
+const MUTABLE_STATUSES = new Set(['uploaded', 'queued', 'scheduled', 'deferred', 'retrying', 'waiting', 'blocked', 'failed', 'cancelled', 'missed', 'simulated']);
+const PENDING_STATUSES = new Set(['uploaded', 'queued', 'scheduled', 'deferred', 'retrying', 'waiting', 'blocked']);
+// Armed with a timer; 'waiting' and 'blocked' jobs are held until their predecessor settles
+const WAITING_STATUSES = new Set(['queued', 'scheduled', 'deferred', 'retrying']);
+const HELD_STATUSES = new Set(['waiting', 'blocked']);
+// A predecessor in one of these (or deleted) will not send, so its dependents block or cancel
+const PREDECESSOR_FAILED_STATUSES = new Set(['failed', 'cancelled', 'missed', 'retracted']);
+// Delivered messages that are still visible in the group
+const DELIVERED_STATUSES = new Set(['sent', 'edited']);
+// Anything that went out; editing one of these re-queues it as a new send
+const SENT_STATUSES = new Set(['sent', 'edited', 'retracted']);
+const MAX_CAMPAIGN_SPREAD_MINUTES = 7 * 24 * 60;
+// Sends logged by the dry-run sender, kept in memory for the dry-run timeline
+const MAX_DRY_RUN_LOG = 500;
+// Longest range one calendar request may cover
+const MAX_CALENDAR_RANGE_DAYS = 366;
+// Upcoming dates listed per recurring series: calendar range cap, and the ICS feed's cron expansion
+const MAX_CALENDAR_OCCURRENCES = 500;
+const MAX_FEED_CRON_OCCURRENCES = 50;
+
+const MISSED_JOB_MODES = ['send_now', 'send_within_grace', 'mark_missed', 'reschedule'];
+// A job is only "missed" if the app started this long after it was due
+const MISSED_TOLERANCE_MS = 60 * 1000;
+
+/**
+ * Validate the startup policy for jobs that came due while the app was closed.
+ * @param {object} input - { mode, graceMinutes }
+ * @param {object} [current]
+ * @returns {{ mode: string, graceMinutes: number }}
+ */
+function normalizeMissedJobPolicy(input = {}, current = DEFAULT_STATE.settings.missedJobPolicy) {
+  const mode = input?.mode === undefined ? current.mode : String(input.mode);
+  if (!MISSED_JOB_MODES.includes(mode)) {
+    throw new Error(`missedJobPolicy.mode must be one of: ${MISSED_JOB_MODES.join(', ')}`);
+  }
+  const graceMinutes = input?.graceMinutes === undefined ? current.graceMinutes : Number(input.graceMinutes);
+  if (!Number.isFinite(graceMinutes) || graceMinutes < 0 || graceMinutes > 7 * 24 * 60) {
+    throw new Error('missedJobPolicy.graceMinutes must be a number between 0 and 10080');
+  }
+  return { mode, graceMinutes };
+}
+
+// Approval runs alongside the send status: draft → pending_approval → approved (or rejected → resubmit)
+const APPROVAL_STATUSES = new Set(['draft', 'pending_approval', 'approved', 'rejected']);
+const MAX_APPROVAL_NOTE_LENGTH = 1000;
+
+/**
+ * Validate approval settings. An empty approvers list lets anyone who gives a name approve.
+ * @param {object} input - { enabled, approvers: string[] }
+ * @param {object} [current]
+ * @returns {{ enabled: boolean, approvers: string[] }}
+ */
+function normalizeApprovalSettings(input = {}, current = DEFAULT_STATE.settings.approval) {
+  const enabled = input?.enabled === undefined ? Boolean(current.enabled) : input.enabled === true || input.enabled === 'true';
+  let approvers = current.approvers || [];
+  if (input?.approvers !== undefined) {
+    const list = Array.isArray(input.approvers) ? input.approvers : String(input.approvers || '').split(',');
+    approvers = [...new Set(list.map(name => String(name).trim()).filter(Boolean))];
+  }
+  return { enabled, approvers };
+}
+
+function cleanApprovalNote(value, label) {
+  const text = String(value ?? '').trim();
+  if (text.length > MAX_APPROVAL_NOTE_LENGTH) {
+    throw new Error(`${label} must be at most ${MAX_APPROVAL_NOTE_LENGTH} characters`);
+  }
+  return text;
+}
+
+// What happens to a held job when its predecessor will not send
+const DEPENDENCY_FAILURE_MODES = ['block', 'cancel'];
+const MAX_DEPENDENCY_OFFSET_MINUTES = 7 * 24 * 60;
+
+/**
+ * Read a row's sequence step: `after` (job ID, or row_id of an earlier row in the same import),
+ * `after_offset_minutes` and `on_predecessor_failure`.
+ * @param {object} row
+ * @returns {{ ref: string, offsetMinutes: number, onFailure: string }|null}
+ */
+function readDependencyInput(row) {
+  const ref = String(row.after ?? row.afterJobId ?? row.after_job_id ?? '').trim().replace(/^#/, '');
+  if (!ref) return null;
+  const offsetRaw = row.afterOffsetMinutes ?? row.after_offset_minutes;
+  const offsetMinutes = offsetRaw === undefined || offsetRaw === null || offsetRaw === '' ? 0 : Number(offsetRaw);
+  if (!Number.isInteger(offsetMinutes) || offsetMinutes < 0 || offsetMinutes > MAX_DEPENDENCY_OFFSET_MINUTES) {
+    throw new Error(`after_offset_minutes must be a whole number between 0 and ${MAX_DEPENDENCY_OFFSET_MINUTES}`);
+  }
+  const onFailure = String(row.onPredecessorFailure ?? row.on_predecessor_failure ?? '').trim().toLowerCase() || 'block';
+  if (!DEPENDENCY_FAILURE_MODES.includes(onFailure)) {
+    throw new Error(`on_predecessor_failure must be one of: ${DEPENDENCY_FAILURE_MODES.join(', ')}`);
+  }
+  return { ref, offsetMinutes, onFailure };
+}
+
+/**
+ * @param {string} status - Job status
+ * @returns {string} ICS VEVENT STATUS
+ */
+function getIcsStatus(status) {
+  if (DELIVERED_STATUSES.has(status)) return 'CONFIRMED';
+  if (status === 'cancelled' || status === 'retracted') return 'CANCELLED';
+  return 'TENTATIVE';
+}
+
+// setTimeout overflows above ~24.8 days and fires immediately; longer waits are re-armed in chunks
+const MAX_TIMER_DELAY_MS = 2147483647;
 
 class PostQueueService extends EventEmitter {
-  constructor(whatsappManager, logger) {
+  /**
+   * @param {object} whatsappManager
+   * @param {object} logger
+   * @param {object} [engagementStore] - Scraped message store (localDataStore) used for campaign engagement
+   */
+  constructor(whatsappManager, logger, engagementStore = null) {
     super();
     this.whatsappManager = whatsappManager;
     this.logger = logger;
+    this.engagementStore = engagementStore;
     this.timers = new Map();
+    this.abTestTimers = new Map();
     this.state = { ...DEFAULT_STATE };
     this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
-    this.statePath = path.join(this.dataDir, 'post-queue.json');
+    this.store = new PostQueueStore(this.dataDir, logger);
+    this.mediaLibrary = new MediaLibrary(this.dataDir, logger);
+    this.templateStore = new TemplateStore(this.dataDir, logger);
     this.started = false;
+    this.lastRecovery = null;
+    // Dry-run mode: sends the fake sender logged, a separate rate-limit log, and the last simulated run
+    this.dryRunLog = [];
+    this.dryRunSendLog = [];
+    this.lastDryRun = null;
     this.loadState();
   }
 
-  ensureDataDir() {
-    if (!fs.existsSync(this.dataDir)) {
-      fs.mkdirSync(this.dataDir, { recursive: true });
-    }
-  }
-
   loadState() {
-    this.ensureDataDir();
     try {
-      if (!fs.existsSync(this.statePath)) {
+      const parsed = this.store.load();
+      if (!parsed) {
         this.state = JSON.parse(JSON.stringify(DEFAULT_STATE));
         return;
       }
-      const parsed = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
       this.state = {
         nextId: Number(parsed.nextId) || 1,
+        nextCampaignId: Number(parsed.nextCampaignId) || 1,
+        nextAudienceId: Number(parsed.nextAudienceId) || 1,
         settings: {
-          randomDelayMaxMinutes: Number(parsed?.settings?.randomDelayMaxMinutes) || 0
+          randomDelayMaxMinutes: Number(parsed?.settings?.randomDelayMaxMinutes) || 0,
+          rateLimits: this.loadSetting('rateLimits', value => normalizeRateLimits(value || {}), parsed?.settings?.rateLimits, DEFAULT_RATE_LIMITS),
+          quietHours: this.loadSetting('quietHours', normalizeQuietHours, parsed?.settings?.quietHours, null),
+          groupSendWindows: this.loadSetting('groupSendWindows', normalizeGroupSendWindows, parsed?.settings?.groupSendWindows, {}),
+          missedJobPolicy: this.loadSetting('missedJobPolicy', normalizeMissedJobPolicy, parsed?.settings?.missedJobPolicy, DEFAULT_STATE.settings.missedJobPolicy),
+          retryPolicy: this.loadSetting('retryPolicy', value => normalizeRetryPolicy(value || {}), parsed?.settings?.retryPolicy, DEFAULT_RETRY_POLICY),
+          approval: this.loadSetting('approval', normalizeApprovalSettings, parsed?.settings?.approval, DEFAULT_STATE.settings.approval),
+          mentions: this.loadSetting('mentions', normalizeMentionSettings, parsed?.settings?.mentions, DEFAULT_MENTION_SETTINGS),
+          dryRun: parsed?.settings?.dryRun === true,
+          folderImport: this.loadSetting('folderImport', value => normalizeFolderImportSettings(value || {}), parsed?.settings?.folderImport, DEFAULT_FOLDER_IMPORT_SETTINGS)
         },
-        jobs: Array.isArray(parsed.jobs) ? parsed.jobs : []
+        jobs: Array.isArray(parsed.jobs) ? parsed.jobs : [],
+        campaigns: Array.isArray(parsed.campaigns) ? parsed.campaigns : [],
+        audiences: Array.isArray(parsed.audiences) ? parsed.audiences : [],
+        sendLog: pruneSendLog(Array.isArray(parsed.sendLog) ? parsed.sendLog : [])
       };
       for (const job of this.state.jobs) {
         job.revisions = Array.isArray(job.revisions) ? job.revisions : [];
         job.statusHistory = Array.isArray(job.statusHistory) ? job.statusHistory : [];
         if (job.deliveryType == null) job.deliveryType = 'scheduled';
+        if (job.recurrence === undefined) job.recurrence = null;
+        if (job.media === undefined) job.media = null;
+        if (job.payload === undefined) job.payload = null;
+        if (job.timeZone === undefined) job.timeZone = null;
+        if (job.dependsOn === undefined) job.dependsOn = null;
+        if (job.mentions === undefined) job.mentions = [];
+        if (job.campaignId === undefined) job.campaignId = null;
+        if (job.templateId === undefined) job.templateId = null;
+        if (job.attempts === undefined) job.attempts = 0;
+        if (job.retryPolicy === undefined) job.retryPolicy = null;
+        if (job.approvalStatus === undefined) job.approvalStatus = job.deliveryType === 'compose' ? null : 'draft';
+        if (job.approval === undefined) job.approval = null;
+        if (job.variantId === undefined) job.variantId = null;
       }
     } catch (error) {
       this.logger.error('Failed to load post queue state', { error: error.message });
@@ -57,31 +233,166 @@ class PostQueueService extends EventEmitter {
     }
   }
 
-  saveState() {
-    this.ensureDataDir();
-    fs.writeFileSync(this.statePath, JSON.stringify(this.state, null, 2), 'utf8');
+  loadSetting(name, normalize, stored, fallback) {
+    try {
+      return normalize(stored);
+    } catch (error) {
+      this.logger.error(`Invalid stored ${name} setting, using default`, { error: error.message });
+      return JSON.parse(JSON.stringify(fallback));
+    }
+  }
+
+  /**
+   * Persist counters and settings plus the rows that changed, in one transaction.
+   * @param {object} [changes] - { jobs, deletedJobIds, campaigns, deletedCampaignIds, audiences, deletedAudienceIds }
+   */
+  saveState(changes = {}) {
+    const { nextId, nextCampaignId, nextAudienceId, settings } = this.state;
+    this.store.save({ ...changes, meta: { nextId, nextCampaignId, nextAudienceId, settings } });
   }
 
+  /**
+   * Record a send in the rate-limit log (memory and store).
+   */
+  logSend(entry) {
+    this.state.sendLog.push(entry);
+    const oldestUsefulMs = new Date(entry.at).getTime() - RATE_WINDOWS[RATE_WINDOWS.length - 1].ms;
+    this.store.appendSendLog(entry, new Date(oldestUsefulMs).toISOString());
+  }
+
+  /**
+   * Give back the slot reserveSendSlot took for a job whose send failed, so failed and retried
+   * sends don't use up the rate-limit budget.
+   * @param {object} job
+   * @param {object} [opts]
+   * @param {boolean} [opts.dryRun]
+   */
+  releaseSendSlot(job, { dryRun = false } = {}) {
+    const log = dryRun ? this.dryRunSendLog : this.state.sendLog;
+    let index = -1;
+    for (let i = log.length - 1; i >= 0; i--) {
+      if (log[i].jobId === job.id) {
+        index = i;
+        break;
+      }
+    }
+    if (index < 0) return;
+    const [entry] = log.splice(index, 1);
+    if (!dryRun) this.store.removeSendLogEntry(entry);
+  }
+
+  /**
+   * Apply the missed-job policy, then arm timers for every waiting job.
+   * @returns {object} Recovery summary (see recoverMissedJobs)
+   */
   start() {
-    if (this.started) return;
+    if (this.started) return this.lastRecovery;
     this.started = true;
+    this.lastRecovery = this.recoverMissedJobs();
     for (const job of this.state.jobs) {
-      if (job.status === 'scheduled' || job.status === 'queued') {
+      if (WAITING_STATUSES.has(job.status)) {
         this.scheduleJob(job.id);
       }
     }
+    for (const campaign of this.state.campaigns) {
+      if (campaign.abTest?.status === 'testing') this.checkAbTest(campaign.id);
+    }
+    return this.lastRecovery;
+  }
+
+  /**
+   * Handle jobs that came due while the app was closed, according to settings.missedJobPolicy:
+   * send_now, send_within_grace (send if at most graceMinutes late, else mark missed),
+   * mark_missed (hold for manual review), or reschedule (next allowed send slot from now).
+   * @returns {{ checkedAt: string, mode: string, total: number, sent: number, rescheduled: number, missed: number, jobs: object[], message: string }}
+   */
+  recoverMissedJobs() {
+    const policy = this.state.settings.missedJobPolicy || DEFAULT_STATE.settings.missedJobPolicy;
+    const now = new Date();
+    const summary = { checkedAt: now.toISOString(), mode: policy.mode, total: 0, sent: 0, rescheduled: 0, missed: 0, jobs: [], message: '' };
+    const changed = [];
+
+    for (const job of this.state.jobs.slice()) {
+      if (!WAITING_STATUSES.has(job.status)) continue;
+      if (job.dryRunHeldAt && this.state.settings.dryRun) continue;
+      const dueAt = this.getDueAt(job);
+      const lateMs = now.getTime() - new Date(dueAt).getTime();
+      if (!(lateMs > MISSED_TOLERANCE_MS)) continue;
+
+      let action = policy.mode;
+      if (action === 'send_within_grace') {
+        action = lateMs <= policy.graceMinutes * 60 * 1000 ? 'send_now' : 'mark_missed';
+      }
+      const lateMinutes = Math.round(lateMs / 60000);
+      let nextAt = null;
+      if (action === 'reschedule') {
+        nextAt = getNextAllowedTime(now, getSendRules(this.state.settings, job));
+        if (!nextAt) action = 'mark_missed';
+      }
+
+      job.deferredUntil = null;
+      job.nextRetryAt = null;
+      if (action === 'send_now') {
+        this.setStatus(job, 'scheduled', `Missed by ${lateMinutes} min while the app was closed; sending now`);
+        summary.sent++;
+      } else if (action === 'reschedule') {
+        const previousScheduledAt = job.scheduledAt;
+        job.scheduledAt = nextAt.toISOString();
+        job.revisions.push({
+          revisionId: job.revisions.length + 1,
+          timestamp: now.toISOString(),
+          source: 'missed_recovery',
+          data: { previousScheduledAt, scheduledAt: job.scheduledAt }
+        });
+        this.setStatus(job, 'scheduled', `Missed by ${lateMinutes} min while the app was closed; rescheduled to ${job.scheduledAt}`);
+        summary.rescheduled++;
+      } else {
+        this.setStatus(job, 'missed', `Missed by ${lateMinutes} min while the app was closed; needs review`);
+        const nextJob = this.spawnNextOccurrence(job);
+        if (nextJob) changed.push(nextJob);
+        summary.missed++;
+      }
+      summary.total++;
+      summary.jobs.push({ jobId: job.id, groupName: job.groupName || job.groupJid, scheduledAt: dueAt, action });
+      changed.push(job);
+    }
+
+    for (const job of changed) {
+      if (job.status === 'missed') this.settleDependents(job);
+    }
+    if (summary.total > 0) {
+      const parts = [];
+      if (summary.sent) parts.push(`${summary.sent} sending now`);
+      if (summary.rescheduled) parts.push(`${summary.rescheduled} rescheduled`);
+      if (summary.missed) parts.push(`${summary.missed} marked missed`);
+      summary.message = `${summary.total} post(s) came due while the app was closed: ${parts.join(', ')}.`;
+      this.logger.info(summary.message);
+      this.saveState({ jobs: changed });
+      this.emit('update', { type: 'jobs', jobs: changed });
+      this.emit('update', { type: 'recovery', summary });
+    }
+    return summary;
   }
 
   stop() {
-    for (const timer of this.timers.values()) {
+    for (const timer of [...this.timers.values(), ...this.abTestTimers.values()]) {
       clearTimeout(timer);
     }
     this.timers.clear();
+    this.abTestTimers.clear();
     this.started = false;
   }
 
+  /**
+   * Stop timers and close the database (app shutdown).
+   */
+  close() {
+    this.stop();
+    this.store.close();
+  }
+
   getSettings() {
-    return { ...this.state.settings };
+    return JSON.parse(JSON.stringify(this.state.settings));
   }
 
   updateSettings(settings = {}) {
@@ -92,6 +403,36 @@ class PostQueueService extends EventEmitter {
       }
       this.state.settings.randomDelayMaxMinutes = value;
     }
+    if (settings.rateLimits !== undefined) {
+      this.state.settings.rateLimits = normalizeRateLimits(settings.rateLimits, this.state.settings.rateLimits);
+    }
+    if (settings.quietHours !== undefined) {
+      this.state.settings.quietHours = normalizeQuietHours(settings.quietHours);
+    }
+    if (settings.groupSendWindows !== undefined) {
+      this.state.settings.groupSendWindows = normalizeGroupSendWindows(settings.groupSendWindows);
+    }
+    if (settings.missedJobPolicy !== undefined) {
+      this.state.settings.missedJobPolicy = normalizeMissedJobPolicy(settings.missedJobPolicy, this.state.settings.missedJobPolicy);
+    }
+    if (settings.retryPolicy !== undefined) {
+      this.state.settings.retryPolicy = normalizeRetryPolicy(settings.retryPolicy, this.state.settings.retryPolicy);
+    }
+    if (settings.approval !== undefined) {
+      this.state.settings.approval = normalizeApprovalSettings(settings.approval, this.state.settings.approval);
+    }
+    if (settings.mentions !== undefined) {
+      this.state.settings.mentions = normalizeMentionSettings(settings.mentions, this.state.settings.mentions);
+    }
+    if (settings.dryRun !== undefined) {
+      if (typeof settings.dryRun !== 'boolean') throw new Error('dryRun must be true or false');
+      const turnedOff = this.state.settings.dryRun && !settings.dryRun;
+      this.state.settings.dryRun = settings.dryRun;
+      if (turnedOff) this.releaseDryRunHolds();
+    }
+    if (settings.folderImport !== undefined) {
+      this.state.settings.folderImport = normalizeFolderImportSettings(settings.folderImport, this.state.settings.folderImport);
+    }
     this.saveState();
     this.emit('update', { type: 'settings', settings: this.getSettings() });
     return this.getSettings();
@@ -107,7 +448,7 @@ class PostQueueService extends EventEmitter {
     return this.state.jobs.find(job => String(job.id) === String(jobId));
   }
 
-  recordComposeSent({ messageText, groupName, groupJid, resolvedGroup, messageId }) {
+  recordComposeSent({ messageText, groupName, groupJid, resolvedGroup, messageId, messageShortId, payload = null, mentions = [] }) {
     const now = new Date().toISOString();
     const id = this.state.nextId++;
     const job = {
@@ -115,6 +456,7 @@ class PostQueueService extends EventEmitter {
       rowId: `compose-${id}`,
       messageText: messageText || '(Image)',
       scheduledAt: now,
+      timeZone: null,
       groupJid: groupJid || '',
       groupName: groupName || '',
       enabled: true,
@@ -124,34 +466,50 @@ class PostQueueService extends EventEmitter {
       actualSendAt: now,
       resolvedGroup: resolvedGroup ? { id: resolvedGroup.id || '', name: resolvedGroup.name || '' } : null,
       deliveryType: 'compose',
+      payload,
+      mentions,
+      dependsOn: null,
+      variantId: null,
+      messageId: messageId || null,
+      trackedMessageId: null,
+      approvalStatus: null,
+      approval: null,
       createdAt: now,
       updatedAt: now,
       revisions: [{ revisionId: 1, timestamp: now, source: 'compose', data: { messageText: messageText || '(Image)', groupName, groupJid } }],
       statusHistory: [{ status: 'sent', timestamp: now, reason: 'Sent via Compose' }]
     };
     this.state.jobs.push(job);
-    this.saveState();
+    // Compose sends are never blocked, but they use up the account's rate-limit budget
+    this.logSend({ at: now, group: this.getGroupKey(job), jobId: id });
+    this.trackSentMessage(job, { messageShortId });
+    this.saveState({ jobs: [job] });
     this.emit('update', { type: 'jobs', jobs: [job] });
     return job;
   }
 
-  createJobs(rows, source = 'csv_upload') {
+  createJobs(rows, source = 'csv_upload', { campaignId = null, variantIds = [] } = {}) {
     const created = [];
-    for (const row of rows) {
+    const batch = new Map();
+    for (const [index, row] of rows.entries()) {
       const normalized = this.normalizeRow(row);
+      const dependsOn = this.resolveDependency(normalized, { batch });
+      const scheduledAt = dependsOn ? this.getDependentTime(dependsOn) : normalized.scheduledAt;
+      const media = this.mediaLibrary.attach(normalized.media);
       const now = new Date().toISOString();
       const id = this.state.nextId++;
       const revision = {
         revisionId: 1,
         timestamp: now,
         source,
-        data: normalized
+        data: { ...normalized, scheduledAt, media, dependsOn }
       };
       const job = {
         id,
         rowId: normalized.rowId || `row-${id}`,
         messageText: normalized.messageText,
-        scheduledAt: normalized.scheduledAt,
+        scheduledAt,
+        timeZone: normalized.timeZone,
         groupJid: normalized.groupJid || '',
         groupName: normalized.groupName || '',
         enabled: normalized.enabled !== false,
@@ -161,6 +519,26 @@ class PostQueueService extends EventEmitter {
         actualSendAt: null,
         resolvedGroup: null,
         deliveryType: 'scheduled',
+        media,
+        payload: normalized.payload,
+        mentions: normalized.mentions,
+        templateId: normalized.templateId,
+        renderedText: null,
+        retryPolicy: normalized.retryPolicy || { ...this.state.settings.retryPolicy },
+        attempts: 0,
+        nextRetryAt: null,
+        recurrence: normalized.recurrence,
+        seriesId: normalized.recurrence ? id : null,
+        seriesStartAt: normalized.recurrence ? normalized.scheduledAt : null,
+        occurrence: normalized.recurrence ? 1 : null,
+        nextOccurrenceJobId: null,
+        dependsOn,
+        campaignId,
+        variantId: variantIds[index] || null,
+        messageId: null,
+        trackedMessageId: null,
+        approvalStatus: 'draft',
+        approval: null,
         createdAt: now,
         updatedAt: now,
         revisions: [revision],
@@ -168,56 +546,128 @@ class PostQueueService extends EventEmitter {
       };
       this.state.jobs.push(job);
       created.push(job);
+      if (normalized.rowId) batch.set(String(normalized.rowId), job);
     }
-    this.saveState();
+    this.saveState({ jobs: created });
     this.emit('update', { type: 'jobs', jobs: created });
     return created;
   }
 
-  updateJob(jobId, updates, source = 'manual_edit') {
-    const job = this.getJobById(jobId);
-    if (!job) throw new Error('Job not found');
-
-    if (!MUTABLE_STATUSES.has(job.status) && job.status !== 'sent') {
+  /**
+   * Validate an edit against a job without changing anything, so batch edits can check every job first.
+   * @returns {{ merged: object, dependsOn: object|null, scheduledAt: string }}
+   */
+  prepareJobUpdate(job, updates) {
+    if (!MUTABLE_STATUSES.has(job.status) && !SENT_STATUSES.has(job.status)) {
       throw new Error(`Cannot edit job in status: ${job.status}`);
     }
 
+    const groupChanged = (updates.groupJid !== undefined && updates.groupJid !== job.groupJid) ||
+      (updates.groupName !== undefined && updates.groupName !== job.groupName);
+    const after = updates.after !== undefined ? updates.after : job.dependsOn?.jobId;
+    // A sequence step's scheduledAt is derived; only its explicit earliest time carries over
+    const keptScheduledAt = job.dependsOn && after ? job.dependsOn.notBefore : job.scheduledAt;
     const merged = this.normalizeRow({
       rowId: updates.rowId !== undefined ? updates.rowId : job.rowId,
       messageText: updates.messageText !== undefined ? updates.messageText : job.messageText,
-      scheduledAt: updates.scheduledAt !== undefined ? updates.scheduledAt : job.scheduledAt,
+      scheduledAt: updates.scheduledAt !== undefined ? updates.scheduledAt : keptScheduledAt,
+      // A new group brings its own default timezone unless one is given
+      timeZone: updates.timeZone !== undefined ? updates.timeZone : (groupChanged ? undefined : job.timeZone),
       groupJid: updates.groupJid !== undefined ? updates.groupJid : job.groupJid,
       groupName: updates.groupName !== undefined ? updates.groupName : job.groupName,
-      enabled: updates.enabled !== undefined ? updates.enabled : job.enabled
+      enabled: updates.enabled !== undefined ? updates.enabled : job.enabled,
+      recurrence: updates.recurrence !== undefined ? updates.recurrence : job.recurrence,
+      media: updates.media !== undefined ? updates.media : job.media,
+      payload: updates.payload !== undefined ? updates.payload : job.payload,
+      mentions: updates.mentions !== undefined ? updates.mentions : job.mentions,
+      templateId: updates.templateId !== undefined ? updates.templateId : (updates.template !== undefined ? updates.template : job.templateId),
+      retryPolicy: updates.retryPolicy !== undefined ? updates.retryPolicy : job.retryPolicy,
+      after,
+      afterOffsetMinutes: updates.afterOffsetMinutes !== undefined ? updates.afterOffsetMinutes : job.dependsOn?.offsetMinutes,
+      onPredecessorFailure: updates.onPredecessorFailure !== undefined ? updates.onPredecessorFailure : job.dependsOn?.onFailure
     });
+    const dependsOn = this.resolveDependency(merged, { jobId: job.id });
+    const scheduledAt = dependsOn ? this.getDependentTime(dependsOn) : merged.scheduledAt;
+    return { merged, dependsOn, scheduledAt };
+  }
+
+  updateJob(jobId, updates, source = 'manual_edit') {
+    const job = this.getJobById(jobId);
+    if (!job) throw new Error('Job not found');
+
+    const { merged, dependsOn, scheduledAt } = this.prepareJobUpdate(job, updates);
+    const media = this.mediaLibrary.attach(merged.media);
+    const previousMediaId = job.media?.mediaId;
+    const dependencyUnchanged = JSON.stringify(dependsOn) === JSON.stringify(job.dependsOn ?? null);
+    const contentChanged = merged.messageText !== job.messageText ||
+      (merged.groupJid || '') !== (job.groupJid || '') ||
+      (merged.groupName || '') !== (job.groupName || '') ||
+      (merged.templateId ?? null) !== (job.templateId ?? null) ||
+      (media?.mediaId ?? null) !== (previousMediaId ?? null) ||
+      JSON.stringify(merged.payload) !== JSON.stringify(job.payload ?? null) ||
+      merged.mentions.join(',') !== (job.mentions || []).join(',');
 
     const now = new Date().toISOString();
     const nextRevision = {
       revisionId: job.revisions.length + 1,
       timestamp: now,
       source,
-      data: merged
+      data: { ...merged, scheduledAt, media, dependsOn }
     };
 
+    if (scheduledAt !== job.scheduledAt) job.deferredUntil = null;
     job.rowId = merged.rowId || job.rowId;
     job.messageText = merged.messageText;
-    job.scheduledAt = merged.scheduledAt;
+    job.scheduledAt = scheduledAt;
+    job.dependsOn = dependsOn;
+    job.timeZone = merged.timeZone;
     job.groupJid = merged.groupJid || '';
     job.groupName = merged.groupName || '';
     job.enabled = merged.enabled !== false;
+    job.media = media;
+    job.payload = merged.payload;
+    job.mentions = merged.mentions;
+    job.templateId = merged.templateId;
+    job.retryPolicy = merged.retryPolicy || job.retryPolicy || { ...this.state.settings.retryPolicy };
+    this.applyRecurrence(job, merged.recurrence);
     job.updatedAt = now;
     job.revisions.push(nextRevision);
 
-    if (job.status === 'sent') {
+    if (SENT_STATUSES.has(job.status)) {
       this.setStatus(job, 'uploaded', 'Edited after send; re-queued workflow required');
       job.actualSendAt = null;
+      job.messageId = null;
+      job.trackedMessageId = null;
+      job.renderedText = null;
+      job.attempts = 0;
       job.randomDelayAppliedMs = 0;
       job.statusReason = '';
-    } else if (job.status === 'scheduled' || job.status === 'queued') {
-      this.scheduleJob(job.id);
     }
 
-    this.saveState();
+    // Changed content needs a fresh review; time-only edits keep the approval
+    const needsReapproval = contentChanged && ['pending_approval', 'approved'].includes(job.approvalStatus);
+    if (needsReapproval) {
+      this.recordApproval(job, 'draft', { action: 'reset', comment: 'Content edited after submission' });
+    }
+    if (WAITING_STATUSES.has(job.status) || HELD_STATUSES.has(job.status)) {
+      // An edited job is armed again even if dry-run mode already logged it
+      job.dryRunHeldAt = null;
+      if (needsReapproval && this.state.settings.approval.enabled) {
+        this.clearTimer(job.id);
+        this.setStatus(job, 'uploaded', 'Edited; needs approval before sending');
+      } else if (HELD_STATUSES.has(job.status) || (job.dependsOn && !dependencyUnchanged)) {
+        // Re-check a changed sequence step against its (new) predecessor
+        this.clearTimer(job.id);
+        this.startJob(job);
+      } else {
+        this.scheduleJob(job.id);
+      }
+    }
+
+    if (previousMediaId && previousMediaId !== media?.mediaId) {
+      this.releaseMedia([previousMediaId]);
+    }
+    this.saveState({ jobs: [job] });
     this.emit('update', { type: 'jobs', jobs: [job] });
     return job;
   }
@@ -227,25 +677,40 @@ class PostQueueService extends EventEmitter {
     if (!job) throw new Error('Job not found');
     this.clearTimer(job.id);
     this.state.jobs = this.state.jobs.filter(item => String(item.id) !== String(jobId));
-    this.saveState();
+    this.releaseMedia([job.media?.mediaId]);
+    this.saveState({ deletedJobIds: [job.id] });
     this.emit('update', { type: 'jobs_deleted', ids: [Number(jobId)] });
+    this.settleDependents(job);
   }
 
   deleteJobs(ids = []) {
     const deleted = [];
+    const mediaIds = [];
     for (const id of ids) {
       const job = this.getJobById(id);
       if (!job) continue;
       this.clearTimer(job.id);
       deleted.push(Number(id));
+      mediaIds.push(job.media?.mediaId);
     }
     this.state.jobs = this.state.jobs.filter(item => !deleted.includes(Number(item.id)));
-    this.saveState();
+    this.releaseMedia(mediaIds);
+    this.saveState({ deletedJobIds: deleted });
     this.emit('update', { type: 'jobs_deleted', ids: deleted });
+    for (const id of deleted) this.settleDependents({ id });
     return deleted;
   }
 
   enqueueJobs(ids = []) {
+    if (this.state.settings.approval.enabled) {
+      const unapproved = ids
+        .map(id => this.getJobById(id))
+        .filter(job => job && job.deliveryType !== 'compose' && job.approvalStatus !== 'approved');
+      if (unapproved.length > 0) {
+        throw new Error(`Approval is required before enqueueing job(s): ${unapproved.map(job => job.id).join(', ')}`);
+      }
+    }
+
     const updated = [];
     for (const id of ids) {
       const job = this.getJobById(id);
@@ -255,16 +720,204 @@ class PostQueueService extends EventEmitter {
         updated.push(job);
         continue;
       }
+      job.deferredUntil = null;
+      job.nextRetryAt = null;
+      job.attempts = 0;
       this.setStatus(job, 'queued', 'Queued for scheduling');
-      this.setStatus(job, 'scheduled', 'Waiting for scheduled_at');
-      this.scheduleJob(job.id);
+      this.startJob(job);
       updated.push(job);
     }
-    this.saveState();
+    this.saveState({ jobs: updated });
     this.emit('update', { type: 'jobs', jobs: updated });
     return updated;
   }
 
+  /**
+   * Arm a queued job: hold it behind a predecessor that has not sent yet, otherwise move it into
+   * the allowed send time and set its timer.
+   * @param {object} job
+   * @param {string} [reason] - Status reason once scheduled
+   */
+  startJob(job, reason = 'Waiting for scheduled_at') {
+    job.dryRunHeldAt = null;
+    if (this.holdForPredecessor(job)) return;
+    let shiftReason;
+    try {
+      shiftReason = this.shiftIntoSendWindow(job);
+    } catch (error) {
+      this.setStatus(job, 'failed', error.message);
+      this.settleDependents(job);
+      return;
+    }
+    this.setStatus(job, 'scheduled', shiftReason || reason);
+    this.scheduleJob(job.id);
+  }
+
+  /**
+   * Check a sequence step's predecessor. A sent predecessor times
+   * the job (actual send + offset); a failed, cancelled, missed, retracted or deleted one blocks or cancels it;
+   * otherwise it waits.
+   * @param {object} job
+   * @returns {boolean} true if the job is held (waiting, blocked or cancelled)
+   */
+  holdForPredecessor(job) {
+    if (!job.dependsOn) return false;
+    const predecessorId = job.dependsOn.jobId;
+    const predecessor = this.getJobById(predecessorId);
+    if (predecessor && DELIVERED_STATUSES.has(predecessor.status)) {
+      const previousScheduledAt = job.scheduledAt;
+      job.scheduledAt = this.getDependentTime(job.dependsOn);
+      if (job.scheduledAt !== previousScheduledAt) {
+        job.revisions.push({
+          revisionId: job.revisions.length + 1,
+          timestamp: new Date().toISOString(),
+          source: 'dependency',
+          data: { previousScheduledAt, scheduledAt: job.scheduledAt, predecessorId }
+        });
+      }
+      return false;
+    }
+
+    this.clearTimer(job.id);
+    if (predecessor && !PREDECESSOR_FAILED_STATUSES.has(predecessor.status)) {
+      this.setStatus(job, 'waiting', `Waiting for job #${predecessorId} to send`);
+      return true;
+    }
+    const why = predecessor ? `job #${predecessorId} is ${predecessor.status}` : `job #${predecessorId} was deleted`;
+    if (job.dependsOn.onFailure === 'cancel') {
+      this.setStatus(job, 'cancelled', `Cancelled: predecessor ${why}`);
+    } else {
+      this.setStatus(job, 'blocked', `Blocked: predecessor ${why}; ${predecessor ? 'resend it, or ' : ''}edit or cancel this job`);
+    }
+    return true;
+  }
+
+  /**
+   * Release or fail the held jobs that come after a job, once it has sent, failed, been cancelled or deleted.
+   * Cancelled dependents cascade to their own dependents. Saves and emits what changed.
+   * @param {object} predecessor
+   * @returns {object[]} Changed jobs
+   */
+  settleDependents(predecessor) {
+    const changed = [];
+    const visit = (parent) => {
+      for (const job of this.getDependents(parent.id)) {
+        if (!HELD_STATUSES.has(job.status)) continue;
+        this.startJob(job, `Job #${parent.id} sent; due ${job.dependsOn.offsetMinutes} min later`);
+        changed.push(job);
+        if (job.status === 'cancelled') visit(job);
+      }
+    };
+    visit(predecessor);
+    if (changed.length > 0) {
+      this.saveState({ jobs: changed });
+      this.emit('update', { type: 'jobs', jobs: changed });
+    }
+    return changed;
+  }
+
+  getDependents(jobId) {
+    return this.state.jobs.filter(job => job.dependsOn && String(job.dependsOn.jobId) === String(jobId));
+  }
+
+  /**
+   * Validate import rows in order, including `after` references to earlier rows of the same import.
+   * @param {object[]} rows
+   * @returns {Array<{ row: object, error: string }>} error is '' for a valid row
+   */
+  validateRows(rows) {
+    const batch = new Map();
+    return rows.map((row) => {
+      try {
+        const normalized = this.normalizeRow(row);
+        this.resolveDependency(normalized, { batch });
+        if (normalized.rowId) batch.set(String(normalized.rowId), { id: null, dependsOn: null });
+        return { row, error: '' };
+      } catch (error) {
+        return { row, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Resolve a row's `after` reference to its predecessor.
+   * @param {object} normalized - From normalizeRow
+   * @param {object} [opts]
+   * @param {Map<string, object>} [opts.batch] - Jobs created earlier in the same import, by row_id (matched first)
+   * @param {number} [opts.jobId] - The job being edited, to reject cycles
+   * @returns {{ jobId: number, offsetMinutes: number, onFailure: string, notBefore: string|null }|null}
+   */
+  resolveDependency({ dependency, scheduledAt }, { batch = new Map(), jobId = null } = {}) {
+    if (!dependency) return null;
+    const predecessor = batch.get(dependency.ref) || (/^\d+$/.test(dependency.ref) ? this.getJobById(dependency.ref) : null);
+    if (!predecessor) {
+      throw new Error(`after "${dependency.ref}" is not a job ID or the row_id of an earlier row in this import`);
+    }
+    if (predecessor.deliveryType === 'compose') throw new Error('after cannot point to a Compose send');
+    for (let step = predecessor; step; step = step.dependsOn ? this.getJobById(step.dependsOn.jobId) : null) {
+      if (jobId !== null && String(step.id) === String(jobId)) {
+        throw new Error(step === predecessor ? 'a job cannot come after itself' : `after #${predecessor.id} would make a loop`);
+      }
+    }
+    return {
+      jobId: predecessor.id,
+      offsetMinutes: dependency.offsetMinutes,
+      onFailure: dependency.onFailure,
+      notBefore: scheduledAt || null
+    };
+  }
+
+  /**
+   * When a sequence step is due: its predecessor's send time (actual, else planned) plus the offset,
+   * but not before its own scheduled_at.
+   * @returns {string} ISO time
+   */
+  getDependentTime(dependsOn) {
+    const predecessor = this.getJobById(dependsOn.jobId);
+    const baseAt = predecessor
+      ? (predecessor.actualSendAt || predecessor.simulatedAt || predecessor.scheduledAt)
+      : new Date().toISOString();
+    const dueMs = new Date(baseAt).getTime() + dependsOn.offsetMinutes * 60 * 1000;
+    const notBeforeMs = dependsOn.notBefore ? new Date(dependsOn.notBefore).getTime() : 0;
+    return new Date(Math.max(dueMs, notBeforeMs)).toISOString();
+  }
+
+  /**
+   * A job's whole sequence: walks up to the first step, then lists every later step breadth-first.
+   * @param {number|string} jobId
+   * @returns {object[]|null} [{ id, rowId, groupName, groupJid, status, statusReason, scheduledAt, actualSendAt, dependsOn, depth }]
+   */
+  getJobChain(jobId) {
+    let root = this.getJobById(jobId);
+    if (!root) return null;
+    const seen = new Set([root.id]);
+    while (root.dependsOn) {
+      const predecessor = this.getJobById(root.dependsOn.jobId);
+      if (!predecessor || seen.has(predecessor.id)) break;
+      seen.add(predecessor.id);
+      root = predecessor;
+    }
+    const chain = [];
+    const queue = [{ job: root, depth: 0 }];
+    while (queue.length > 0) {
+      const { job, depth } = queue.shift();
+      chain.push({
+        id: job.id,
+        rowId: job.rowId,
+        groupName: job.groupName,
+        groupJid: job.groupJid,
+        status: job.status,
+        statusReason: job.statusReason,
+        scheduledAt: job.scheduledAt,
+        actualSendAt: job.actualSendAt,
+        dependsOn: job.dependsOn,
+        depth
+      });
+      for (const dependent of this.getDependents(job.id)) queue.push({ job: dependent, depth: depth + 1 });
+    }
+    return chain;
+  }
+
   pauseJobs(ids = []) {
     const updated = [];
     for (const id of ids) {
@@ -274,7 +927,7 @@ class PostQueueService extends EventEmitter {
       this.setStatus(job, 'uploaded', 'Paused');
       updated.push(job);
     }
-    this.saveState();
+    this.saveState({ jobs: updated });
     this.emit('update', { type: 'jobs', jobs: updated });
     return updated;
   }
@@ -288,44 +941,749 @@ class PostQueueService extends EventEmitter {
       this.setStatus(job, 'cancelled', 'Cancelled by user');
       updated.push(job);
     }
-    this.saveState();
+    this.saveState({ jobs: updated });
     this.emit('update', { type: 'jobs', jobs: updated });
+    for (const job of updated) this.settleDependents(job);
     return updated;
   }
 
+  /**
+   * Send draft or rejected jobs to a lead for review.
+   * @param {Array<number|string>} ids
+   * @param {{ by?: string, comment?: string }} [opts] - Submitter name and note
+   * @returns {object[]} Updated jobs
+   */
+  submitForApproval(ids = [], { by, comment } = {}) {
+    const note = cleanApprovalNote(comment, 'comment');
+    const jobs = this.getApprovalCandidates(ids, ['draft', 'rejected'], 'No selected jobs are drafts or rejected');
+    for (const job of jobs) {
+      this.recordApproval(job, 'pending_approval', { action: 'submit', by: String(by || '').trim(), comment: note });
+    }
+    this.saveState({ jobs });
+    this.emit('update', { type: 'jobs', jobs });
+    return jobs;
+  }
+
+  /**
+   * Approve jobs waiting for review, optionally enqueueing them straight away.
+   * @param {Array<number|string>} ids
+   * @param {{ by: string, comment?: string, enqueue?: boolean }} opts - Approver name (required)
+   * @returns {object[]} Updated jobs
+   */
+  approveJobs(ids = [], { by, comment, enqueue = false } = {}) {
+    const approver = this.assertApprover(by);
+    const note = cleanApprovalNote(comment, 'comment');
+    const jobs = this.getApprovalCandidates(ids, ['pending_approval'], 'No selected jobs are pending approval');
+    for (const job of jobs) {
+      this.recordApproval(job, 'approved', { action: 'approve', by: approver, comment: note });
+    }
+    this.saveState({ jobs });
+    this.emit('update', { type: 'jobs', jobs });
+    if (enqueue) {
+      const ready = jobs.filter(job => job.status === 'uploaded' || job.status === 'missed');
+      if (ready.length > 0) this.enqueueJobs(ready.map(job => job.id));
+    }
+    return jobs;
+  }
+
+  /**
+   * Send jobs back to their writer. A reason is required; the writer edits and resubmits.
+   * @param {Array<number|string>} ids
+   * @param {{ by: string, reason: string, comment?: string }} opts
+   * @returns {object[]} Updated jobs
+   */
+  rejectJobs(ids = [], { by, reason, comment } = {}) {
+    const approver = this.assertApprover(by);
+    const rejection = cleanApprovalNote(reason, 'reason');
+    if (!rejection) throw new Error('A rejection reason is required');
+    const note = cleanApprovalNote(comment, 'comment');
+    const jobs = this.getApprovalCandidates(ids, ['pending_approval'], 'No selected jobs are pending approval');
+    for (const job of jobs) {
+      this.recordApproval(job, 'rejected', { action: 'reject', by: approver, comment: note, reason: rejection });
+    }
+    this.saveState({ jobs });
+    this.emit('update', { type: 'jobs', jobs });
+    return jobs;
+  }
+
+  getApprovalCandidates(ids, fromStatuses, emptyMessage) {
+    const jobs = ids
+      .map(id => this.getJobById(id))
+      .filter(job => job && job.deliveryType !== 'compose' && !SENT_STATUSES.has(job.status) && fromStatuses.includes(job.approvalStatus));
+    if (jobs.length === 0) throw new Error(emptyMessage);
+    return jobs;
+  }
+
+  assertApprover(by) {
+    const name = String(by || '').trim();
+    if (!name) throw new Error('Approver name is required');
+    const { approvers } = this.state.settings.approval;
+    if (approvers.length === 0) return name;
+    const match = approvers.find(approver => approver.toLowerCase() === name.toLowerCase());
+    if (!match) throw new Error(`${name} is not an approver`);
+    return match;
+  }
+
+  /**
+   * Move a job to a new approval status and keep the decision in its revisions.
+   */
+  recordApproval(job, approvalStatus, { action, by = '', comment = '', reason = '' }) {
+    if (!APPROVAL_STATUSES.has(approvalStatus)) throw new Error(`Unknown approval status: ${approvalStatus}`);
+    const now = new Date().toISOString();
+    const previousApprovalStatus = job.approvalStatus;
+    job.approvalStatus = approvalStatus;
+    job.approval = { action, by: by || null, at: now, comment: comment || null, reason: reason || null };
+    job.revisions.push({
+      revisionId: job.revisions.length + 1,
+      timestamp: now,
+      source: 'approval',
+      data: { action, previousApprovalStatus, approvalStatus, by: by || null, comment: comment || null, reason: reason || null }
+    });
+    job.updatedAt = now;
+  }
+
+  /**
+   * Delete sent messages for everyone in their groups ("unsend"). Jobs are handled one by one; each
+   * result says whether that job's message was deleted.
+   * @param {Array<number|string>} ids
+   * @param {{ by?: string, reason?: string }} [opts]
+   * @returns {Promise<Array<{ id: number, success: boolean, error?: string }>>}
+   */
+  async retractSentJobs(ids = [], { by, reason } = {}) {
+    const note = cleanApprovalNote(reason, 'reason');
+    return this.changeSentMessages(ids, { action: 'retract', by, windowMs: WHATSAPP_DELETE_WINDOW_MS }, async (job) => {
+      const result = await this.whatsappManager.deleteMessageForEveryone(job.messageId);
+      if (!result.success) return result;
+      this.updateTrackedMessage(job, null);
+      this.setStatus(job, 'retracted', note ? `Deleted for everyone: ${note}` : 'Deleted for everyone');
+      return { success: true, data: { reason: note || null } };
+    });
+  }
+
+  /**
+   * Replace the text of sent messages in place. Placeholders in `messageText` are rendered per group,
+   * like a template; the job keeps the new text and no longer follows its template. The job's mentions
+   * and {{mention_all}} are rebuilt for the edit, as they were for the send.
+   * @param {Array<number|string>} ids
+   * @param {{ messageText: string, by?: string }} opts
+   * @returns {Promise<Array<{ id: number, success: boolean, error?: string }>>}
+   */
+  async editSentJobs(ids = [], { messageText, by } = {}) {
+    const text = String(messageText ?? '').trim();
+    if (!text) throw new Error('messageText is required');
+    return this.changeSentMessages(ids, { action: 'edit', by, windowMs: WHATSAPP_EDIT_WINDOW_MS }, async (job) => {
+      if (STRUCTURED_TYPES.has(job.payload?.type) || job.media?.kind === 'audio') {
+        return { success: false, error: `A ${job.payload?.type || 'audio'} message has no text to edit` };
+      }
+      const rendered = await this.renderJobText({
+        messageText: text,
+        templateId: null,
+        groupJid: job.resolvedGroup?.id || job.groupJid,
+        groupName: job.resolvedGroup?.name || job.groupName
+      });
+      const result = await this.whatsappManager.editMessage(job.messageId, rendered, {
+        mentions: job.mentions || [],
+        maxMentions: getMentionCap(this.state.settings, job)
+      });
+      if (!result.success) return result;
+      const previousText = job.renderedText || job.messageText;
+      job.messageText = text;
+      job.templateId = null;
+      job.renderedText = rendered;
+      this.updateTrackedMessage(job, { message_content: rendered });
+      this.setStatus(job, 'edited', 'Edited in WhatsApp');
+      return { success: true, data: { previousText, messageText: rendered } };
+    });
+  }
+
+  /**
+   * Shared checks and bookkeeping for retract/edit: the job must have a live message inside WhatsApp's
+   * time limit; each change is kept in the job's revisions.
+   */
+  async changeSentMessages(ids, { action, by, windowMs }, apply) {
+    const label = action === 'edit' ? 'edited' : 'deleted for everyone';
+    const results = [];
+    const changed = [];
+    for (const id of ids) {
+      const job = this.getJobById(id);
+      let outcome;
+      if (!job) {
+        outcome = { success: false, error: 'Job not found' };
+      } else if (!DELIVERED_STATUSES.has(job.status)) {
+        outcome = { success: false, error: `Only sent messages can be ${label} (status: ${job.status})` };
+      } else if (!job.messageId) {
+        outcome = { success: false, error: 'No WhatsApp message ID was stored for this job' };
+      } else if (Date.now() - new Date(job.actualSendAt).getTime() > windowMs) {
+        const limit = windowMs >= 2 * 60 * 60 * 1000 ? `${Math.round(windowMs / 3600000)} hours` : `${Math.round(windowMs / 60000)} minutes`;
+        outcome = { success: false, error: `Too late: WhatsApp only allows messages to be ${label} within ${limit} of sending` };
+      } else {
+        try {
+          outcome = await apply(job);
+        } catch (error) {
+          outcome = { success: false, error: error.message };
+        }
+      }
+
+      if (outcome.success) {
+        job.revisions.push({
+          revisionId: job.revisions.length + 1,
+          timestamp: new Date().toISOString(),
+          source: action === 'edit' ? 'sent_edit' : 'retract',
+          data: { action, by: String(by || '').trim() || null, messageId: job.messageId, ...outcome.data }
+        });
+        changed.push(job);
+      }
+      results.push(outcome.success ? { id: job.id, success: true } : { id: job ? job.id : Number(id), success: false, error: outcome.error });
+    }
+    if (changed.length > 0) {
+      this.saveState({ jobs: changed });
+      this.emit('update', { type: 'jobs', jobs: changed });
+    }
+    return results;
+  }
+
+  /**
+   * Mirror an edit (changes) or a deletion (null: stop tracking) into the engagement store.
+   */
+  updateTrackedMessage(job, changes) {
+    if (!this.engagementStore || !job.trackedMessageId) return;
+    try {
+      const message = this.engagementStore.getMessageById(job.trackedMessageId);
+      if (!message) return;
+      if (changes) {
+        this.engagementStore.addMessages([{ ...message, ...changes }]);
+      } else {
+        this.engagementStore.updateMessageTracking(job.trackedMessageId, false);
+      }
+    } catch (error) {
+      this.logger.warn('Failed to update tracked message', { jobId: job.id, error: error.message });
+    }
+  }
+
+  /**
+   * Spread jobs randomly over a range. Wall-clock bounds ("YYYY-MM-DD HH:mm") are read in each job's timezone,
+   * so "09:00–17:00" means business hours for every target group.
+   */
   randomizeJobTimes(ids = [], startAt, endAt) {
     if (!startAt || !endAt) throw new Error('startAt and endAt are required');
-    const startMs = new Date(startAt).getTime();
-    const endMs = new Date(endAt).getTime();
-    if (Number.isNaN(startMs) || Number.isNaN(endMs)) throw new Error('Invalid startAt or endAt');
-    if (startMs >= endMs) throw new Error('startAt must be before endAt');
+    const start = this.parseScheduledAt(startAt);
+    const end = this.parseScheduledAt(endAt);
+    if (!start || !end || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) throw new Error('Invalid startAt or endAt');
+    if (start >= end) throw new Error('startAt must be before endAt');
 
-    const updated = [];
+    // Pick only from each job's allowed send time; check every job before changing any
+    const plans = [];
     for (const id of ids) {
       const job = this.getJobById(id);
       if (!job || !MUTABLE_STATUSES.has(job.status)) continue;
-      const randomMs = startMs + Math.floor(Math.random() * (endMs - startMs + 1));
-      const randomAt = new Date(randomMs).toISOString();
-      this.updateJob(id, { scheduledAt: randomAt }, 'randomize_times');
-      updated.push(this.getJobById(id));
+      const startMs = this.parseScheduledAt(startAt, job.timeZone).getTime();
+      const endMs = this.parseScheduledAt(endAt, job.timeZone).getTime();
+      const rules = getSendRules(this.state.settings, job);
+      const intervals = getAllowedIntervals(new Date(startMs), new Date(endMs + 1), rules);
+      const totalMs = intervals.reduce((sum, interval) => sum + (interval.end - interval.start), 0);
+      if (totalMs <= 0) {
+        throw new Error(`Job ${job.id} has no allowed send time between startAt and endAt (${describeRules(rules)})`);
+      }
+      let offsetMs = Math.floor(Math.random() * totalMs);
+      let randomMs = intervals[intervals.length - 1].end.getTime() - 1;
+      for (const interval of intervals) {
+        const lengthMs = interval.end - interval.start;
+        if (offsetMs < lengthMs) {
+          randomMs = interval.start.getTime() + offsetMs;
+          break;
+        }
+        offsetMs -= lengthMs;
+      }
+      const scheduledAt = new Date(randomMs).toISOString();
+      try {
+        this.prepareJobUpdate(job, { scheduledAt });
+      } catch (error) {
+        throw new Error(`Job ${job.id}: ${error.message}`);
+      }
+      plans.push({ id, scheduledAt });
     }
-    return updated;
+
+    // All new times are valid, so every job is rescheduled or none is
+    return plans.map(({ id, scheduledAt }) => this.updateJob(id, { scheduledAt }, 'randomize_times'));
+  }
+
+  listAudiences() {
+    return this.state.audiences.slice();
+  }
+
+  getAudienceById(audienceId) {
+    return this.state.audiences.find(audience => String(audience.id) === String(audienceId));
+  }
+
+  /**
+   * Create or update a saved audience (a named list of target groups).
+   * @param {object} input - { id?, name, groups: [{ groupJid, groupName }] }
+   */
+  saveAudience({ id, name, groups } = {}) {
+    const audienceName = String(name || '').trim();
+    if (!audienceName) throw new Error('Audience name is required');
+    const targets = this.normalizeTargets(groups);
+    if (targets.length === 0) throw new Error('Audience needs at least one group');
+
+    const now = new Date().toISOString();
+    let audience = null;
+    if (id !== undefined && id !== null && id !== '') {
+      audience = this.getAudienceById(id);
+      if (!audience) throw new Error('Audience not found');
+      audience.name = audienceName;
+      audience.groups = targets;
+      audience.updatedAt = now;
+    } else {
+      audience = { id: this.state.nextAudienceId++, name: audienceName, groups: targets, createdAt: now, updatedAt: now };
+      this.state.audiences.push(audience);
+    }
+    this.saveState({ audiences: [audience] });
+    this.emit('update', { type: 'audiences', audiences: [audience] });
+    return audience;
+  }
+
+  deleteAudience(audienceId) {
+    const audience = this.getAudienceById(audienceId);
+    if (!audience) throw new Error('Audience not found');
+    // Campaigns keep their own copy of the targets, so they are unaffected
+    this.state.audiences = this.state.audiences.filter(item => item !== audience);
+    this.saveState({ deletedAudienceIds: [audience.id] });
+    this.emit('update', { type: 'audiences_deleted', ids: [audience.id] });
+  }
+
+  listCampaigns() {
+    return this.state.campaigns.map(campaign => this.describeCampaign(campaign));
+  }
+
+  getCampaignById(campaignId) {
+    return this.state.campaigns.find(campaign => String(campaign.id) === String(campaignId));
+  }
+
+  getCampaignJobs(campaignId) {
+    return this.state.jobs.filter(job => job.campaignId != null && String(job.campaignId) === String(campaignId));
+  }
+
+  /**
+   * Fan one message out to many groups. Each target becomes a child job linked by campaignId,
+   * staggered evenly from startAt to startAt + spreadMinutes.
+   * @param {object} input - { name, messageText, media, payload, mentions, recurrence, groups | audienceId, startAt, timeZone, spreadMinutes, enqueue,
+   *   submittedBy, approvalComment } (with approval on, enqueue submits the jobs for approval instead)
+   * @returns {object} Campaign with aggregate counts
+   */
+  createCampaign(input = {}) {
+    const hasAudience = input.audienceId !== undefined && input.audienceId !== null && input.audienceId !== '';
+    const audience = hasAudience ? this.getAudienceById(input.audienceId) : null;
+    if (hasAudience && !audience) throw new Error('Audience not found');
+    const targets = this.normalizeTargets(audience ? audience.groups : input.groups);
+    if (targets.length === 0) throw new Error('Campaign needs at least one group or an audience');
+
+    const timeZone = normalizeTimeZone(input.timeZone ?? input.timezone);
+    const startAt = this.parseScheduledAt(input.startAt || input.scheduledAt, timeZone);
+    if (!startAt) throw new Error('startAt is required and must be a valid date');
+    const spreadMinutes = input.spreadMinutes === undefined || input.spreadMinutes === '' ? 0 : Number(input.spreadMinutes);
+    if (Number.isNaN(spreadMinutes) || spreadMinutes < 0 || spreadMinutes > MAX_CAMPAIGN_SPREAD_MINUTES) {
+      throw new Error(`spreadMinutes must be a number between 0 and ${MAX_CAMPAIGN_SPREAD_MINUTES}`);
+    }
+
+    const approvalComment = cleanApprovalNote(input.approvalComment, 'approvalComment');
+
+    // A/B test: each variant goes to its share of a random test subset; the rest wait for the winner
+    let variants = null;
+    let abTest = null;
+    let assignments = targets.map(target => ({ target, variantId: null }));
+    if (input.variants !== undefined && input.variants !== null) {
+      variants = normalizeVariants(input.variants);
+      if (input.templateId ?? input.template) throw new Error('variants cannot be combined with a template');
+      if (input.recurrence) throw new Error('variants cannot be combined with a recurrence');
+      const options = normalizeAbTestOptions(input.abTest || {});
+      const split = splitTargets(targets, variants, options.testSharePercent);
+      assignments = split.assignments;
+      abTest = { ...options, status: 'testing', remainingTargets: split.remaining, winnerVariantId: null, decidedAt: null, decision: null, winnerJobIds: [] };
+    }
+
+    const id = this.state.nextCampaignId;
+    const spreadMs = spreadMinutes * 60 * 1000;
+    const mediaRef = this.mediaLibrary.resolveReference(input.media ?? input.mediaId);
+    const rows = assignments.map(({ target, variantId }, index) => ({
+      rowId: `campaign-${id}-${index + 1}`,
+      messageText: variantId ? variants.find(variant => variant.id === variantId).messageText : input.messageText,
+      scheduledAt: new Date(startAt.getTime() + (assignments.length > 1 ? Math.round(spreadMs * index / (assignments.length - 1)) : 0)).toISOString(),
+      timeZone,
+      groupJid: target.groupJid,
+      groupName: target.groupName,
+      recurrence: input.recurrence,
+      media: mediaRef,
+      payload: input.payload,
+      mentions: input.mentions,
+      templateId: input.templateId ?? input.template
+    }));
+    // Validate every row before creating anything so a bad input never leaves a partial campaign
+    const normalized = rows.map(row => this.normalizeRow(row));
+
+    // Import a file-path attachment once so all child jobs share one library item
+    const media = this.mediaLibrary.attach(mediaRef);
+    for (const row of rows) row.media = media ? media.mediaId : null;
+
+    const now = new Date().toISOString();
+    this.state.nextCampaignId++;
+    const campaign = {
+      id,
+      name: String(input.name || '').trim() || `Campaign ${id}`,
+      messageText: variants ? null : normalized[0].messageText,
+      media,
+      payload: normalized[0].payload,
+      templateId: normalized[0].templateId,
+      variants,
+      abTest,
+      recurrence: normalized[0].recurrence,
+      audienceId: audience ? audience.id : null,
+      targets,
+      startAt: startAt.toISOString(),
+      timeZone,
+      spreadMinutes,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.state.campaigns.push(campaign);
+
+    const jobs = this.createJobs(rows, 'campaign', { campaignId: id, variantIds: assignments.map(item => item.variantId) });
+    if (input.enqueue) {
+      this.releaseCampaignJobs(jobs, { by: input.submittedBy, comment: approvalComment });
+    }
+    return this.emitCampaign(campaign);
+  }
+
+  /**
+   * Enqueue new campaign jobs, or with approval on submit them for review (a lead releases them later).
+   */
+  releaseCampaignJobs(jobs, { by, comment } = {}) {
+    const ids = jobs.map(job => job.id);
+    if (this.state.settings.approval.enabled) {
+      this.submitForApproval(ids, { by, comment });
+    } else {
+      this.enqueueJobs(ids);
+    }
+  }
+
+  enqueueCampaign(campaignId) {
+    const campaign = this.getCampaignById(campaignId);
+    if (!campaign) throw new Error('Campaign not found');
+    const ids = this.getCampaignJobs(campaign.id).filter(job => job.status === 'uploaded').map(job => job.id);
+    this.enqueueJobs(ids);
+    return this.emitCampaign(campaign);
+  }
+
+  cancelCampaign(campaignId) {
+    const campaign = this.getCampaignById(campaignId);
+    if (!campaign) throw new Error('Campaign not found');
+    const ids = this.getCampaignJobs(campaign.id).filter(job => PENDING_STATUSES.has(job.status)).map(job => job.id);
+    this.cancelJobs(ids);
+    if (campaign.abTest?.status === 'testing') {
+      this.clearAbTestTimer(campaign.id);
+      campaign.abTest.status = 'cancelled';
+    }
+    return this.emitCampaign(campaign);
+  }
+
+  deleteCampaign(campaignId) {
+    const campaign = this.getCampaignById(campaignId);
+    if (!campaign) throw new Error('Campaign not found');
+    this.clearAbTestTimer(campaign.id);
+    this.deleteJobs(this.getCampaignJobs(campaign.id).map(job => job.id));
+    this.state.campaigns = this.state.campaigns.filter(item => item !== campaign);
+    this.saveState({ deletedCampaignIds: [campaign.id] });
+    this.emit('update', { type: 'campaigns_deleted', ids: [campaign.id] });
+  }
+
+  emitCampaign(campaign) {
+    campaign.updatedAt = new Date().toISOString();
+    this.saveState({ campaigns: [campaign] });
+    const described = this.describeCampaign(campaign);
+    this.emit('update', { type: 'campaigns', campaigns: [described] });
+    return described;
+  }
+
+  /**
+   * Attach aggregate status counts and combined engagement to a campaign record.
+   */
+  describeCampaign(campaign) {
+    const jobs = this.getCampaignJobs(campaign.id);
+    const counts = { total: jobs.length, sent: 0, failed: 0, pending: 0, cancelled: 0, missed: 0, retracted: 0, simulated: 0 };
+    for (const job of jobs) {
+      if (PENDING_STATUSES.has(job.status)) counts.pending++;
+      else if (DELIVERED_STATUSES.has(job.status)) counts.sent++;
+      else if (counts[job.status] !== undefined) counts[job.status]++;
+    }
+
+    let status = 'cancelled';
+    if (counts.pending > 0) {
+      status = jobs.some(job => WAITING_STATUSES.has(job.status)) ? 'running' : 'draft';
+    } else if (campaign.abTest?.status === 'testing') {
+      status = 'testing';
+    } else if (counts.sent + counts.failed + counts.missed + counts.retracted + counts.simulated > 0) {
+      status = 'completed';
+    }
+
+    return {
+      ...campaign,
+      status,
+      counts,
+      engagement: this.getCombinedEngagement(jobs),
+      abTestResults: campaign.variants ? this.getVariantResults(campaign) : null,
+      jobIds: jobs.map(job => job.id)
+    };
+  }
+
+  /**
+   * Per-variant engagement for an A/B campaign's test jobs, plus the leader and a significance indicator.
+   * Results are ready `windowHours` after the last test send, once no test job is pending.
+   * @returns {{ variants: object[], comparison: object, readyAt: string|null, ready: boolean }}
+   */
+  getVariantResults(campaign) {
+    const testJobs = this.getCampaignJobs(campaign.id).filter(job => job.variantId && !campaign.abTest?.winnerJobIds?.includes(job.id));
+    const variants = campaign.variants.map((variant) => {
+      const variantJobs = testJobs.filter(job => job.variantId === variant.id);
+      const stats = variantJobs.map(job => this.getJobEngagement(job)).filter(Boolean);
+      return {
+        variantId: variant.id,
+        label: variant.label,
+        messageText: variant.messageText,
+        jobs: variantJobs.length,
+        sent: variantJobs.filter(job => DELIVERED_STATUSES.has(job.status)).length,
+        ...summarizeVariant(stats)
+      };
+    });
+
+    const pending = testJobs.some(job => PENDING_STATUSES.has(job.status));
+    const sentTimes = testJobs.filter(job => DELIVERED_STATUSES.has(job.status) && job.actualSendAt).map(job => new Date(job.actualSendAt).getTime());
+    const readyAt = !pending && sentTimes.length > 0
+      ? new Date(Math.max(...sentTimes) + campaign.abTest.windowHours * 60 * 60 * 1000).toISOString()
+      : null;
+    return {
+      variants,
+      comparison: compareVariants(variants),
+      readyAt,
+      ready: Boolean(readyAt) && new Date(readyAt).getTime() <= Date.now()
+    };
+  }
+
+  /**
+   * Decide an A/B campaign once its measurement window has passed; re-arms itself until then.
+   * With sendWinnerToRest the leading variant goes to the remaining groups (unless
+   * requireSignificance is set and the lead is not significant).
+   */
+  checkAbTest(campaignId) {
+    const campaign = this.getCampaignById(campaignId);
+    if (!campaign || campaign.abTest?.status !== 'testing') return;
+    this.clearAbTestTimer(campaign.id);
+
+    const testJobs = this.getCampaignJobs(campaign.id).filter(job => job.variantId);
+    if (testJobs.some(job => PENDING_STATUSES.has(job.status))) return; // re-checked as each test job settles
+
+    const results = this.getVariantResults(campaign);
+    if (results.readyAt && !results.ready) {
+      const delayMs = Math.min(new Date(results.readyAt).getTime() - Date.now(), MAX_TIMER_DELAY_MS);
+      this.abTestTimers.set(String(campaign.id), setTimeout(() => this.checkAbTest(campaign.id), delayMs));
+      return;
+    }
+
+    const { comparison } = results;
+    campaign.abTest.decidedAt = new Date().toISOString();
+    campaign.abTest.decision = comparison;
+    if (!results.readyAt || !comparison.leader) {
+      campaign.abTest.status = 'no_data';
+    } else if (campaign.abTest.requireSignificance && comparison.level !== 'significant') {
+      campaign.abTest.status = 'no_clear_winner';
+    } else {
+      campaign.abTest.status = 'decided';
+      campaign.abTest.winnerVariantId = comparison.leader;
+    }
+    this.logger.info(`A/B campaign ${campaign.id}: ${campaign.abTest.status}${campaign.abTest.winnerVariantId ? ` (variant ${campaign.abTest.winnerVariantId})` : ''}`);
+
+    if (campaign.abTest.status === 'decided' && campaign.abTest.sendWinnerToRest && campaign.abTest.remainingTargets.length > 0) {
+      this.sendAbTestWinner(campaign.id);
+      return;
+    }
+    this.emitCampaign(campaign);
+  }
+
+  clearAbTestTimer(campaignId) {
+    const timer = this.abTestTimers.get(String(campaignId));
+    if (timer) {
+      clearTimeout(timer);
+      this.abTestTimers.delete(String(campaignId));
+    }
+  }
+
+  /**
+   * Send a variant (default: the decided winner, else the current leader) to the groups held out of the test.
+   * @param {number|string} campaignId
+   * @param {string} [variantId]
+   * @returns {object} Described campaign
+   */
+  sendAbTestWinner(campaignId, variantId) {
+    const campaign = this.getCampaignById(campaignId);
+    if (!campaign) throw new Error('Campaign not found');
+    if (!campaign.variants) throw new Error('Campaign is not an A/B test');
+    if (campaign.abTest.status === 'winner_sent') throw new Error('The winning variant was already sent');
+    if (campaign.abTest.remainingTargets.length === 0) throw new Error('No remaining groups to send the winner to');
+
+    const chosenId = variantId || campaign.abTest.winnerVariantId || this.getVariantResults(campaign).comparison.leader;
+    const variant = campaign.variants.find(item => item.id === String(chosenId || '').toUpperCase());
+    if (!variant) throw new Error(chosenId ? `Unknown variant: ${chosenId}` : 'No variant has engagement data yet; pass variantId');
+
+    const targets = campaign.abTest.remainingTargets;
+    const startMs = Date.now() + 60 * 1000;
+    const spreadMs = campaign.spreadMinutes * 60 * 1000;
+    const rows = targets.map((target, index) => ({
+      rowId: `campaign-${campaign.id}-winner-${index + 1}`,
+      messageText: variant.messageText,
+      scheduledAt: new Date(startMs + (targets.length > 1 ? Math.round(spreadMs * index / (targets.length - 1)) : 0)).toISOString(),
+      groupJid: target.groupJid,
+      groupName: target.groupName,
+      media: campaign.media ? campaign.media.mediaId : null,
+      payload: campaign.payload || null
+    }));
+    const jobs = this.createJobs(rows, 'ab_winner', { campaignId: campaign.id, variantIds: rows.map(() => variant.id) });
+    campaign.abTest.status = 'winner_sent';
+    campaign.abTest.winnerVariantId = variant.id;
+    campaign.abTest.winnerJobIds = jobs.map(job => job.id);
+    if (!campaign.abTest.decidedAt) campaign.abTest.decidedAt = new Date().toISOString();
+    this.releaseCampaignJobs(jobs, { comment: `A/B winner: ${variant.label}` });
+    return this.emitCampaign(campaign);
+  }
+
+  /**
+   * Sum scraped engagement for the sent jobs; messages not scraped yet are skipped.
+   */
+  getCombinedEngagement(jobs) {
+    const engagement = { scrapedMessages: 0, seen: 0, reactions: 0, replies: 0, totalMembers: 0, avgEngagementRate: 0 };
+    if (!this.engagementStore) return engagement;
+
+    let rateSum = 0;
+    for (const job of jobs) {
+      const stats = this.getJobEngagement(job);
+      if (!stats) continue;
+      engagement.scrapedMessages++;
+      engagement.seen += stats.seen;
+      engagement.reactions += stats.reactions;
+      engagement.replies += stats.replies;
+      engagement.totalMembers += stats.totalMembers;
+      rateSum += stats.engagementRate;
+    }
+    if (engagement.scrapedMessages > 0) {
+      engagement.avgEngagementRate = Number((rateSum / engagement.scrapedMessages).toFixed(2));
+    }
+    return engagement;
+  }
+
+  /**
+   * Live engagement for one sent job, read from the engagement store at call time.
+   * @returns {{ seen, reactions, replies, totalMembers, engagementRate, reactionBreakdown, lastUpdatedAt }|null} null when not sent or not in the store
+   */
+  getJobEngagement(job) {
+    if (!this.engagementStore || !DELIVERED_STATUSES.has(job.status)) return null;
+    const ref = job.trackedMessageId || job.messageId;
+    const messageId = ref ? this.engagementStore.resolveMessageId(ref) : null;
+    const message = messageId ? this.engagementStore.getMessageById(messageId) : null;
+    if (!message) return null;
+    return {
+      seen: Number(message.seen_count) || 0,
+      reactions: Number(message.reactions_count) || 0,
+      replies: Number(message.replies_count) || 0,
+      totalMembers: Number(message.total_members) || 0,
+      engagementRate: Number(message.engagement_rate) || 0,
+      // [{ emoji, count, sentiment }]; null until the message is scraped with reactions
+      reactionBreakdown: Array.isArray(message.reactions) ? summarizeReactions(message.reactions).byEmoji : null,
+      lastUpdatedAt: message.updated_at || null
+    };
+  }
+
+  /**
+   * Add a just-sent message to the engagement store (or re-enable it there) so the tracker
+   * refreshes its stats. The store keys messages by the short WhatsApp ID, as the scraper does.
+   * Best effort: a failure here is logged and never fails the send.
+   * @param {object} job - Sent job with messageId and resolvedGroup
+   * @param {{ messageShortId?: string }} [result] - Send result
+   */
+  trackSentMessage(job, { messageShortId } = {}) {
+    if (!this.engagementStore || !job.messageId) return;
+    // Direct follow-ups go to a member's own chat; only group posts are tracked
+    if (isContactJid(job.groupJid)) return;
+    // Serialized IDs look like "true_<chatJid>_<id>" (plus "_<participant>" in some groups)
+    const shortId = messageShortId || job.messageId.split('_')[2] || job.messageId;
+    try {
+      if (this.engagementStore.getMessageById(shortId)) {
+        this.engagementStore.updateMessageTracking(shortId, true);
+      } else {
+        const groupName = job.resolvedGroup?.name || job.groupName || '';
+        this.engagementStore.addMessages([{
+          message_id: shortId,
+          group_id: job.resolvedGroup?.id || job.groupJid || '',
+          group_name: groupName,
+          sender_id: '',
+          message_content: job.renderedText || job.messageText || '',
+          message_timestamp: job.actualSendAt || new Date().toISOString(),
+          has_media: Boolean(job.media),
+          message_type: getWhatsAppMessageType(job.payload, job.media),
+          is_forwarded: false,
+          seen_count: 0,
+          total_members: this.engagementStore.getGroupByName(groupName)?.total_members || 0,
+          reactions_count: 0,
+          replies_count: 0,
+          engagement_rate: 0,
+          is_tracked: true
+        }]);
+      }
+      job.trackedMessageId = shortId;
+    } catch (error) {
+      this.logger.warn('Failed to register sent message for engagement tracking', { jobId: job.id, error: error.message });
+    }
+  }
+
+  /**
+   * Normalize and de-duplicate campaign/audience targets. Plain strings are group names, or JIDs when they end in @g.us.
+   */
+  normalizeTargets(groups) {
+    const targets = [];
+    const seen = new Set();
+    for (const entry of Array.isArray(groups) ? groups : []) {
+      let raw = entry || {};
+      if (typeof entry === 'string') {
+        raw = entry.trim().endsWith('@g.us') ? { groupJid: entry } : { groupName: entry };
+      }
+      const groupJid = String(raw.groupJid || raw.jid || '').trim();
+      const groupName = String(raw.groupName || raw.name || '').trim();
+      if (!groupJid && !groupName) continue;
+      const key = (groupJid || groupName).toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      targets.push({ groupJid, groupName });
+    }
+    return targets;
   }
 
   scheduleJob(jobId) {
     const job = this.getJobById(jobId);
     if (!job) return;
     this.clearTimer(jobId);
+    // Already logged by dry-run mode; armed again when the mode is turned off or the job is rescheduled
+    if (job.dryRunHeldAt && this.state.settings.dryRun) return;
 
-    const scheduledTs = new Date(job.scheduledAt).getTime();
+    const scheduledTs = new Date(this.getDueAt(job)).getTime();
     const delayMs = Math.max(0, scheduledTs - Date.now());
+    if (delayMs > MAX_TIMER_DELAY_MS) {
+      this.timers.set(String(jobId), setTimeout(() => this.scheduleJob(jobId), MAX_TIMER_DELAY_MS));
+      return;
+    }
     const timer = setTimeout(() => {
       this.executeJob(jobId).catch((error) => {
         const failedJob = this.getJobById(jobId);
         if (!failedJob) return;
-        this.setStatus(failedJob, 'failed', error.message);
-        this.saveState();
-        this.emit('update', { type: 'jobs', jobs: [failedJob] });
+        const nextJob = this.handleSendFailure(failedJob, error.message);
+        this.saveState({ jobs: nextJob ? [failedJob, nextJob] : [failedJob] });
+        this.emit('update', { type: 'jobs', jobs: nextJob ? [failedJob, nextJob] : [failedJob] });
+        if (failedJob.variantId) this.checkAbTest(failedJob.campaignId);
       });
     }, delayMs);
 
@@ -346,74 +1704,1020 @@ class PostQueueService extends EventEmitter {
     if (job.status === 'cancelled') return;
     if (!job.enabled) {
       this.setStatus(job, 'failed', 'Job disabled');
-      this.saveState();
+      this.saveState({ jobs: [job] });
       this.emit('update', { type: 'jobs', jobs: [job] });
       return;
     }
 
-    const maxMinutes = Number(this.state.settings.randomDelayMaxMinutes) || 0;
-    const maxMs = Math.max(0, Math.floor(maxMinutes * 60 * 1000));
-    const jitterMs = maxMs > 0 ? Math.floor(Math.random() * (maxMs + 1)) : 0;
+    // Deferred and retrying jobs already had their random delay
+    if (job.status !== 'deferred' && job.status !== 'retrying') {
+      const maxMinutes = Number(this.state.settings.randomDelayMaxMinutes) || 0;
+      const maxMs = Math.max(0, Math.floor(maxMinutes * 60 * 1000));
+      const jitterMs = maxMs > 0 ? Math.floor(Math.random() * (maxMs + 1)) : 0;
 
-    job.randomDelayAppliedMs = jitterMs;
-    this.setStatus(job, 'queued', 'Applying random delay before send');
-    this.saveState();
-    this.emit('update', { type: 'jobs', jobs: [job] });
+      job.randomDelayAppliedMs = jitterMs;
+      this.setStatus(job, 'queued', 'Applying random delay before send');
+      this.saveState({ jobs: [job] });
+      this.emit('update', { type: 'jobs', jobs: [job] });
 
-    if (jitterMs > 0) {
-      await new Promise(resolve => setTimeout(resolve, jitterMs));
+      if (jitterMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, jitterMs));
+      }
     }
 
-    const result = await this.whatsappManager.sendMessageToGroup({
-      groupJid: job.groupJid,
-      groupName: job.groupName,
-      messageText: job.messageText
-    });
+    // Random delay (or a late start) can land in quiet hours or outside the group's window
+    const rules = getSendRules(this.state.settings, job);
+    const checkAt = new Date();
+    if (!isSendAllowed(checkAt, rules)) {
+      const allowedAt = getNextAllowedTime(checkAt, rules);
+      if (!allowedAt) throw new Error(`No allowed send time within the next week (${describeRules(rules)})`);
+      this.deferJob(job, { reason: `Outside allowed send time (${describeRules(rules)})`, retryAt: allowedAt });
+      return;
+    }
+
+    const dryRun = this.state.settings.dryRun;
+    const blocked = await this.reserveSendSlot(job, { dryRun });
+    if (blocked) {
+      this.deferJob(job, blocked);
+      return;
+    }
+    job.deferredUntil = null;
+    job.nextRetryAt = null;
+
+    if (dryRun) {
+      await this.completeDryRunSend(job);
+      return;
+    }
+    job.attempts = (job.attempts || 0) + 1;
+
+    let result;
+    try {
+      let media = null;
+      if (job.media?.mediaId) {
+        media = this.mediaLibrary.getSendable(job.media.mediaId);
+        if (!media) throw new Error(`Media file missing from library: ${job.media.originalName || job.media.mediaId}`);
+      }
+
+      const messageText = await this.renderJobText(job);
+      job.renderedText = messageText;
+
+      result = await this.whatsappManager.sendMessageToGroup({
+        groupJid: job.groupJid,
+        groupName: job.groupName,
+        messageText,
+        media,
+        payload: job.payload,
+        mentions: job.mentions || [],
+        maxMentions: getMentionCap(this.state.settings, job)
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
 
     const now = new Date().toISOString();
+    let nextJob = null;
     if (result.success) {
       job.actualSendAt = now;
+      job.messageId = result.messageId || null;
       job.resolvedGroup = {
         id: result.group?.id || '',
         name: result.group?.name || ''
       };
-      this.setStatus(job, 'sent', 'Message sent successfully');
+      this.trackSentMessage(job, result);
+      job.followUpError = result.followUpError || null;
+      const reason = result.followUpError
+        ? `Message sent, but its follow-up text failed: ${result.followUpError}`
+        : 'Message sent successfully';
+      this.setStatus(job, 'sent', reason, { attempt: job.attempts });
+      nextJob = this.spawnNextOccurrence(job);
     } else {
-      this.setStatus(job, 'failed', result.error || 'Failed to send message');
+      this.releaseSendSlot(job);
+      nextJob = this.handleSendFailure(job, result.error || 'Failed to send message');
     }
 
     job.updatedAt = now;
-    this.saveState();
+    this.saveState({ jobs: nextJob ? [job, nextJob] : [job] });
+    this.emit('update', { type: 'jobs', jobs: nextJob ? [job, nextJob] : [job] });
+    if (result.success) this.settleDependents(job);
+    if (job.variantId) this.checkAbTest(job.campaignId);
+  }
+
+  /**
+   * Resolve the text to send for a job: its template body (or own text) with placeholders filled in.
+   * Throws on a missing template or unknown placeholders so the job fails instead of posting raw {{tags}}.
+   * @param {object} job
+   * @param {object} [opts]
+   * @param {Date} [opts.at] - Time the variables are rendered for (default now)
+   * @param {{ groupJid: string, groupName: string }} [opts.target] - Already-resolved group, skips the lookup
+   */
+  async renderJobText(job, { at = new Date(), target = null } = {}) {
+    let body = job.messageText;
+    if (job.templateId) {
+      const template = this.templateStore.getById(job.templateId);
+      if (!template) throw new Error(`Template not found: ${job.templateId}`);
+      body = template.body;
+    }
+    if (!hasPlaceholders(body)) return body;
+
+    const resolved = target || await this.completeTarget({ groupJid: job.groupJid, groupName: job.groupName });
+    const { text, missing } = renderTemplate(body, this.templateStore.buildVariables({ ...resolved, at, timeZone: job.timeZone }));
+    if (missing.length > 0) {
+      throw new Error(`Unknown template variable(s): ${missing.join(', ')}`);
+    }
+    return text;
+  }
+
+  /**
+   * Fill in a target's missing group name or JID from WhatsApp so {{group_name}}/{{group_jid}} render.
+   * Best effort: an unresolvable group keeps what it has (sending reports the error).
+   */
+  async completeTarget({ groupJid, groupName }) {
+    if ((groupJid && groupName) || typeof this.whatsappManager?.resolveGroupTarget !== 'function') {
+      return { groupJid, groupName };
+    }
+    try {
+      const resolved = await this.whatsappManager.resolveGroupTarget({ groupJid, groupName });
+      return { groupJid: resolved.id, groupName: resolved.name };
+    } catch (error) {
+      return { groupJid, groupName };
+    }
+  }
+
+  /**
+   * Render a template (or raw text) for each target before enqueueing.
+   * Targets come from jobIds, a campaignId, an audienceId or a groups list; job targets use their own
+   * template/text and scheduled time, the others use `templateId`/`text` rendered at `at` (default now).
+   * @returns {object[]} [{ jobId, groupJid, groupName, text, missing, error? }]
+   */
+  async previewTemplate({ templateId, template, text, groups, audienceId, campaignId, jobIds, at } = {}) {
+    let targets;
+    if (campaignId !== undefined && campaignId !== null && campaignId !== '') {
+      if (!this.getCampaignById(campaignId)) throw new Error('Campaign not found');
+      jobIds = this.getCampaignJobs(campaignId).map(job => job.id);
+    }
+    if (Array.isArray(jobIds) && jobIds.length > 0) {
+      targets = jobIds.map(id => this.getJobById(id)).filter(Boolean).map(job => ({
+        jobId: job.id,
+        groupJid: job.groupJid,
+        groupName: job.groupName || job.resolvedGroup?.name || '',
+        templateId: job.templateId,
+        body: job.messageText,
+        at: job.scheduledAt,
+        timeZone: job.timeZone
+      }));
+    } else {
+      const resolvedTemplateId = this.templateStore.resolveReference(templateId ?? template);
+      if (!resolvedTemplateId && !String(text || '').trim()) {
+        throw new Error('templateId or text is required');
+      }
+      let groupList = groups;
+      if (audienceId !== undefined && audienceId !== null && audienceId !== '') {
+        const audience = this.getAudienceById(audienceId);
+        if (!audience) throw new Error('Audience not found');
+        groupList = audience.groups;
+      }
+      targets = this.normalizeTargets(groupList).map(target => ({
+        jobId: null,
+        ...target,
+        templateId: resolvedTemplateId,
+        body: text,
+        at: at || new Date()
+      }));
+    }
+    if (targets.length === 0) throw new Error('Provide groups, an audienceId, a campaignId or jobIds to preview');
+
+    const previews = [];
+    for (const { jobId, templateId: targetTemplateId, body: targetBody, at: targetAt, timeZone, ...target } of targets) {
+      const { groupJid, groupName } = await this.completeTarget(target);
+      let body = targetBody;
+      if (targetTemplateId) {
+        const found = this.templateStore.getById(targetTemplateId);
+        if (!found) {
+          previews.push({ jobId, groupJid, groupName, text: '', missing: [], error: `Template not found: ${targetTemplateId}` });
+          continue;
+        }
+        body = found.body;
+      }
+      const rendered = renderTemplate(body || '', this.templateStore.buildVariables({ groupJid, groupName, at: targetAt, timeZone }));
+      previews.push({ jobId, groupJid, groupName, text: rendered.text, missing: rendered.missing });
+    }
+    return previews;
+  }
+
+  /**
+   * Dry-run mode's stand-in for the WhatsApp send: check the job the way sendMessageToGroup would and log
+   * the outcome. The job itself is only held: it stays scheduled, without a timer, until dry-run mode is
+   * turned off, so its recurrence does not advance and its sequence steps keep waiting.
+   */
+  async completeDryRunSend(job) {
+    const result = await this.simulateSend(job);
+    const now = new Date().toISOString();
+    if (!result.success) this.releaseSendSlot(job, { dryRun: true });
+    const groupLabel = result.group?.name || job.groupName || job.groupJid;
+    this.recordDryRunSend({
+      at: now,
+      jobId: job.id,
+      rowId: job.rowId,
+      groupName: job.groupName,
+      groupJid: job.groupJid,
+      resolvedGroup: result.group || null,
+      scheduledAt: job.scheduledAt,
+      randomDelayMs: job.randomDelayAppliedMs || 0,
+      messageType: getMessageType(job.payload, job.media),
+      text: result.text || '',
+      mentionCount: result.mentionCount || 0,
+      error: result.success ? null : result.error,
+      warnings: result.warnings
+    });
+
+    job.dryRunHeldAt = now;
+    this.setStatus(job, 'scheduled', result.success
+      ? `Dry run: logged instead of sending to ${groupLabel}; held until dry-run mode is turned off`
+      : `Dry run: would fail (${result.error}); held until dry-run mode is turned off`);
+    this.saveState({ jobs: [job] });
+    this.emit('update', { type: 'jobs', jobs: [job] });
+  }
+
+  /**
+   * Re-arm the jobs dry-run mode held once it is turned off. Those already due send right away,
+   * within the send windows and rate limits.
+   */
+  releaseDryRunHolds() {
+    const released = this.state.jobs.filter(job => job.dryRunHeldAt && WAITING_STATUSES.has(job.status));
+    for (const job of released) {
+      this.startJob(job, 'Released: dry-run mode turned off');
+    }
+    if (released.length > 0) {
+      this.saveState({ jobs: released });
+      this.emit('update', { type: 'jobs', jobs: released });
+    }
+  }
+
+  recordDryRunSend(entry) {
+    this.dryRunLog.push(entry);
+    if (this.dryRunLog.length > MAX_DRY_RUN_LOG) this.dryRunLog.splice(0, this.dryRunLog.length - MAX_DRY_RUN_LOG);
+    this.emit('update', { type: 'dry_run_send', entry });
+  }
+
+  /**
+   * The fake sender: what sendMessageToGroup checks before posting (group, media, template, mention cap),
+   * without posting anything.
+   * @param {object} job
+   * @param {object} [opts]
+   * @param {Date} [opts.at] - Send time the template is rendered for (default now)
+   * @param {object} [opts.target] - From resolveDryRunTarget, if already looked up
+   * @returns {Promise<{ success: boolean, error?: string, group?: object|null, text?: string, mentionCount?: number, warnings: string[] }>}
+   */
+  async simulateSend(job, { at = new Date(), target = null } = {}) {
+    const warnings = [];
+    try {
+      const { group, warning } = target || await this.resolveDryRunTarget(job);
+      if (warning) warnings.push(warning);
+      if (job.media?.mediaId && !this.mediaLibrary.getSendable(job.media.mediaId)) {
+        throw new Error(`Media file missing from library: ${job.media.originalName || job.media.mediaId}`);
+      }
+
+      let text = await this.renderJobText(job, { at, target: group ? { groupJid: group.id, groupName: group.name } : null });
+      const structured = job.payload && STRUCTURED_TYPES.has(job.payload.type);
+      if (!String(text || '').trim() && !job.media && !structured) throw new Error('messageText or media is required');
+
+      const mentions = job.mentions || [];
+      let mentionCount = 0;
+      if (String(text || '').trim() && (mentions.length > 0 || hasMentionAll(text))) {
+        let participants = [];
+        if (hasMentionAll(text)) {
+          try {
+            if (!group) throw new Error('group not checked');
+            participants = await this.whatsappManager.getGroupParticipantIds(group.id);
+          } catch (error) {
+            warnings.push(`{{mention_all}} not expanded: ${error.message}`);
+          }
+        }
+        const built = buildMentionText(String(text).trim(), {
+          mentions,
+          participants,
+          selfJid: this.whatsappManager?.client?.info?.wid?._serialized
+        });
+        const cap = getMentionCap(this.state.settings, job);
+        if (built.mentions.length > cap) {
+          throw new Error(`Mention cap exceeded: ${built.mentions.length} participants would be mentioned in ${group?.name || job.groupName} (cap ${cap})`);
+        }
+        text = built.text;
+        mentionCount = built.mentions.length;
+      }
+      return { success: true, group, text, mentionCount, warnings };
+    } catch (error) {
+      return { success: false, error: error.message, warnings };
+    }
+  }
+
+  /**
+   * Look up a job's group for a dry run. Errors a real send would not retry (e.g. "Target group not found")
+   * are thrown; others, such as a WhatsApp client that isn't ready, leave the group unchecked with a warning.
+   * @returns {Promise<{ group: { id: string, name: string }|null, warning: string }>}
+   */
+  async resolveDryRunTarget(job) {
+    try {
+      const group = await this.whatsappManager.resolveGroupTarget({ groupJid: job.groupJid, groupName: job.groupName });
+      return { group: { id: group.id, name: group.name }, warning: '' };
+    } catch (error) {
+      if (classifySendError(error.message) === 'permanent') throw error;
+      return { group: null, warning: `Group not checked: ${error.message}` };
+    }
+  }
+
+  /**
+   * Simulate sending jobs on a virtual clock and report the timeline. Nothing is sent and no job changes:
+   * groups are resolved through WhatsApp and templates rendered for the simulated send time, with random
+   * delays, send windows, rate limits (starting from the real send log) and sequence offsets applied.
+   * Random delays are drawn afresh, so two runs can differ by up to randomDelayMaxMinutes per job.
+   * @param {object} [opts]
+   * @param {Array<number|string>} [opts.ids] - Jobs to simulate
+   * @param {number|string} [opts.campaignId] - Or a campaign's jobs (default: every pending job)
+   * @returns {Promise<{ createdAt: string, jobIds: number[], summary: object, timeline: object[] }>}
+   */
+  async runDryRun({ ids, campaignId } = {}) {
+    let jobs;
+    if (campaignId !== undefined && campaignId !== null && campaignId !== '') {
+      if (!this.getCampaignById(campaignId)) throw new Error('Campaign not found');
+      jobs = this.getCampaignJobs(campaignId);
+    } else if (Array.isArray(ids) && ids.length > 0) {
+      jobs = ids.map(id => this.getJobById(id)).filter(Boolean);
+    } else {
+      jobs = this.state.jobs.filter(job => PENDING_STATUSES.has(job.status));
+    }
+    jobs = jobs.filter(job => job.deliveryType !== 'compose' && !SENT_STATUSES.has(job.status));
+    if (jobs.length === 0) throw new Error('No unsent jobs to simulate');
+
+    const startMs = Date.now();
+    const { settings } = this.state;
+    const rateLimits = settings.rateLimits || DEFAULT_RATE_LIMITS;
+    const sendLog = pruneSendLog(this.state.sendLog, startMs).slice();
+    const maxDelayMs = Math.max(0, Math.floor((Number(settings.randomDelayMaxMinutes) || 0) * 60 * 1000));
+
+    const entries = new Map(jobs.map(job => [String(job.id), {
+      jobId: job.id,
+      rowId: job.rowId,
+      groupName: job.groupName,
+      groupJid: job.groupJid,
+      resolvedGroup: null,
+      dueAt: null,
+      sendAt: null,
+      randomDelayMs: 0,
+      waits: [],
+      messageType: getMessageType(job.payload, job.media),
+      text: '',
+      mentionCount: 0,
+      outcome: 'pending',
+      reason: '',
+      warnings: []
+    }]));
+    const entryOf = job => entries.get(String(job.id));
+    const queue = [];
+    const settle = (job, outcome, reason) => {
+      Object.assign(entryOf(job), { outcome, reason });
+      if (outcome !== 'sent') holdDependents(job);
+    };
+    // Steps after a job that won't send: blocked or cancelled behind a failure, otherwise left waiting
+    const holdDependents = (parent) => {
+      const { outcome } = entryOf(parent);
+      for (const dependent of this.getDependents(parent.id)) {
+        if (entryOf(dependent)?.outcome !== 'pending') continue;
+        if (outcome !== 'failed' && outcome !== 'cancelled') {
+          settle(dependent, 'waiting', `Waits for job #${parent.id}, which would be ${outcome}`);
+        } else if (dependent.dependsOn.onFailure === 'cancel') {
+          settle(dependent, 'cancelled', `Cancelled: predecessor job #${parent.id} would be ${outcome}`);
+        } else {
+          settle(dependent, 'blocked', `Blocked: predecessor job #${parent.id} would be ${outcome}`);
+        }
+      }
+    };
+    // Like startJob then executeJob: shift into the send window, then add the random delay
+    const arm = (job, dueMs) => {
+      const entry = entryOf(job);
+      entry.dueAt = new Date(dueMs).toISOString();
+      let atMs = Math.max(dueMs, startMs);
+      if (job.status !== 'deferred' && job.status !== 'retrying') {
+        const rules = getSendRules(settings, job);
+        const allowedAt = getNextAllowedTime(new Date(atMs), rules);
+        if (!allowedAt) {
+          settle(job, 'failed', `No allowed send time within the next week (${describeRules(rules)})`);
+          return;
+        }
+        if (allowedAt.getTime() !== atMs) {
+          entry.waits.push({ kind: 'send_window', until: allowedAt.toISOString(), reason: `Shifted (${describeRules(rules)})` });
+        }
+        entry.randomDelayMs = maxDelayMs > 0 ? Math.floor(Math.random() * (maxDelayMs + 1)) : 0;
+        atMs = allowedAt.getTime() + entry.randomDelayMs;
+      }
+      queue.push({ job, atMs });
+    };
+
+    const jobIds = new Set(entries.keys());
+    for (const job of jobs) {
+      if (entryOf(job).outcome !== 'pending') continue;
+      if (!job.enabled) {
+        settle(job, 'failed', 'Job disabled');
+        continue;
+      }
+      if (!job.dependsOn) {
+        arm(job, new Date(this.getDueAt(job)).getTime() || startMs);
+        continue;
+      }
+      // Steps after a job in this run are armed when it sends
+      if (jobIds.has(String(job.dependsOn.jobId))) continue;
+      const predecessor = this.getJobById(job.dependsOn.jobId);
+      if (predecessor && DELIVERED_STATUSES.has(predecessor.status)) {
+        arm(job, new Date(this.getDependentTime(job.dependsOn)).getTime());
+      } else if (predecessor && !PREDECESSOR_FAILED_STATUSES.has(predecessor.status)) {
+        settle(job, 'waiting', `Waits for job #${predecessor.id}, which is not in this dry run`);
+      } else {
+        const why = predecessor ? `job #${predecessor.id} is ${predecessor.status}` : `job #${job.dependsOn.jobId} was deleted`;
+        settle(job, job.dependsOn.onFailure === 'cancel' ? 'cancelled' : 'blocked', `Predecessor ${why}`);
+      }
+    }
+
+    const maxSteps = jobs.length * 100;
+    for (let step = 0; queue.length > 0; step++) {
+      if (step > maxSteps) throw new Error('Dry run did not finish; check the rate limits and send windows');
+      queue.sort((a, b) => a.atMs - b.atMs || a.job.id - b.job.id);
+      const { job, atMs } = queue.shift();
+      const entry = entryOf(job);
+      const at = new Date(atMs);
+
+      const rules = getSendRules(settings, job);
+      if (!isSendAllowed(at, rules)) {
+        const allowedAt = getNextAllowedTime(at, rules);
+        if (!allowedAt) {
+          settle(job, 'failed', `No allowed send time within the next week (${describeRules(rules)})`);
+          continue;
+        }
+        entry.waits.push({ kind: 'send_window', until: allowedAt.toISOString(), reason: `Outside allowed send time (${describeRules(rules)})` });
+        queue.push({ job, atMs: allowedAt.getTime() });
+        continue;
+      }
+
+      if (!entry.target) {
+        try {
+          entry.target = await this.resolveDryRunTarget(job);
+        } catch (error) {
+          settle(job, 'failed', error.message);
+          continue;
+        }
+        entry.resolvedGroup = entry.target.group;
+        if (entry.target.warning) entry.warnings.push(entry.target.warning);
+      }
+
+      const groupKey = this.getGroupKey({ groupJid: job.groupJid || entry.target.group?.id, groupName: job.groupName });
+      const blocked = checkRateLimit({ sendLog, rateLimits, groupKey, nowMs: atMs });
+      if (blocked) {
+        entry.waits.push({ kind: 'rate_limit', until: blocked.retryAt.toISOString(), reason: blocked.reason });
+        queue.push({ job, atMs: blocked.retryAt.getTime() });
+        continue;
+      }
+      sendLog.push({ at: at.toISOString(), group: groupKey, jobId: job.id });
+
+      const result = await this.simulateSend(job, { at, target: entry.target });
+      entry.warnings.push(...result.warnings.filter(warning => !entry.warnings.includes(warning)));
+      if (!result.success) {
+        settle(job, 'failed', result.error);
+        continue;
+      }
+      Object.assign(entry, { sendAt: at.toISOString(), text: result.text, mentionCount: result.mentionCount });
+      settle(job, 'sent', `Would send to ${result.group?.name || job.groupName || job.groupJid}`);
+      for (const dependent of this.getDependents(job.id)) {
+        if (entryOf(dependent)?.outcome !== 'pending') continue;
+        const { offsetMinutes, notBefore } = dependent.dependsOn;
+        arm(dependent, Math.max(atMs + offsetMinutes * 60 * 1000, notBefore ? new Date(notBefore).getTime() : 0));
+      }
+    }
+
+    const timeline = [...entries.values()].map(({ target, ...entry }) => entry);
+    // Held jobs have no time and go last
+    const sortKey = entry => new Date(entry.sendAt || entry.dueAt || NaN).getTime() || Infinity;
+    timeline.sort((a, b) => (sortKey(a) - sortKey(b)) || a.jobId - b.jobId);
+    const sendTimes = timeline.map(entry => entry.sendAt).filter(Boolean).sort();
+    const count = outcome => timeline.filter(entry => entry.outcome === outcome).length;
+    const report = {
+      createdAt: new Date(startMs).toISOString(),
+      jobIds: timeline.map(entry => entry.jobId),
+      summary: {
+        total: timeline.length,
+        sent: count('sent'),
+        failed: count('failed'),
+        held: count('waiting') + count('blocked') + count('cancelled'),
+        rateLimited: timeline.filter(entry => entry.waits.some(wait => wait.kind === 'rate_limit')).length,
+        shiftedBySendWindow: timeline.filter(entry => entry.waits.some(wait => wait.kind === 'send_window')).length,
+        withWarnings: timeline.filter(entry => entry.warnings.length > 0).length,
+        firstSendAt: sendTimes[0] || null,
+        lastSendAt: sendTimes[sendTimes.length - 1] || null
+      },
+      timeline
+    };
+    this.lastDryRun = report;
+    this.emit('update', { type: 'dry_run', report });
+    return report;
+  }
+
+  /**
+   * When a waiting job should next run: its retry or deferral time, else scheduledAt.
+   */
+  getDueAt(job) {
+    if (job.status === 'retrying' && job.nextRetryAt) return job.nextRetryAt;
+    if (job.status === 'deferred' && job.deferredUntil) return job.deferredUntil;
+    return job.scheduledAt;
+  }
+
+  /**
+   * Record a failed attempt and either schedule a retry with backoff or fail the job.
+   * Permanent errors (e.g. "Target group not found") are never retried.
+   * @returns {object|null} The next recurring occurrence if the job failed for good
+   */
+  handleSendFailure(job, message) {
+    const policy = job.retryPolicy || this.state.settings.retryPolicy || DEFAULT_RETRY_POLICY;
+    const attempt = job.attempts || 1;
+    const kind = classifySendError(message);
+    const details = { attempt, maxAttempts: policy.maxAttempts, error: message, errorKind: kind };
+
+    if (kind === 'retryable' && attempt < policy.maxAttempts) {
+      job.nextRetryAt = new Date(Date.now() + getRetryDelayMs(policy, attempt)).toISOString();
+      this.setStatus(job, 'retrying', `Attempt ${attempt}/${policy.maxAttempts} failed: ${message}; retrying at ${job.nextRetryAt}`, details);
+      this.scheduleJob(job.id);
+      return null;
+    }
+
+    job.nextRetryAt = null;
+    const suffix = kind === 'permanent' ? 'permanent error, not retried' : 'no attempts left';
+    this.setStatus(job, 'failed', `Attempt ${attempt}/${policy.maxAttempts} failed: ${message} (${suffix})`, details);
+    this.settleDependents(job);
+    return this.spawnNextOccurrence(job);
+  }
+
+  /**
+   * Key used for per-group rate limits: the JID when known, otherwise the lowercased group name.
+   */
+  getGroupKey({ groupJid, groupName, resolvedGroup } = {}) {
+    const jid = groupJid || resolvedGroup?.id;
+    if (jid) return jid;
+    return `name:${String(groupName || resolvedGroup?.name || '').trim().toLowerCase()}`;
+  }
+
+  /**
+   * Take a send slot from the rate limiter, or report why the job must wait.
+   * The check and the reservation run without an await in between, so jobs firing together can't overshoot.
+   * A failed send gives its slot back (releaseSendSlot), so only successful sends count.
+   * @param {object} job
+   * @param {object} [opts]
+   * @param {boolean} [opts.dryRun] - Count against the in-memory dry-run log instead of the real send budget
+   * @returns {Promise<{ reason: string, retryAt: Date }|null>}
+   */
+  async reserveSendSlot(job, { dryRun = false } = {}) {
+    const rateLimits = this.state.settings.rateLimits || DEFAULT_RATE_LIMITS;
+    let target = { groupJid: job.groupJid, groupName: job.groupName };
+    const perGroupActive = RATE_WINDOWS.some(window => Number(rateLimits.perGroup?.[window.key]) > 0);
+    if (perGroupActive && !target.groupJid) {
+      // Name-only jobs are counted under the group's JID so they share a bucket with JID jobs
+      target = await this.completeTarget(target);
+    }
+    const groupKey = this.getGroupKey(target);
+
+    const nowMs = Date.now();
+    if (dryRun) {
+      this.dryRunSendLog = pruneSendLog(this.dryRunSendLog, nowMs);
+      const blocked = checkRateLimit({ sendLog: this.dryRunSendLog, rateLimits, groupKey, nowMs });
+      if (blocked) return blocked;
+      this.dryRunSendLog.push({ at: new Date(nowMs).toISOString(), group: groupKey, jobId: job.id });
+      return null;
+    }
+    this.state.sendLog = pruneSendLog(this.state.sendLog, nowMs);
+    const blocked = checkRateLimit({ sendLog: this.state.sendLog, rateLimits, groupKey, nowMs });
+    if (blocked) return blocked;
+    this.logSend({ at: new Date(nowMs).toISOString(), group: groupKey, jobId: job.id });
+    return null;
+  }
+
+  /**
+   * Move a job's scheduled time forward to the next allowed send slot (quiet hours / group windows).
+   * The shift is recorded as a revision.
+   * @returns {string|null} Status reason when shifted, null when already allowed
+   */
+  shiftIntoSendWindow(job) {
+    const rules = getSendRules(this.state.settings, job);
+    const scheduled = new Date(job.scheduledAt);
+    const allowedAt = getNextAllowedTime(scheduled, rules);
+    if (!allowedAt) throw new Error(`No allowed send time within the next week (${describeRules(rules)})`);
+    if (allowedAt.getTime() === scheduled.getTime()) return null;
+
+    job.scheduledAt = allowedAt.toISOString();
+    job.revisions.push({
+      revisionId: job.revisions.length + 1,
+      timestamp: new Date().toISOString(),
+      source: 'send_window',
+      data: { previousScheduledAt: scheduled.toISOString(), scheduledAt: job.scheduledAt }
+    });
+    return `Shifted to ${job.scheduledAt} (${describeRules(rules)})`;
+  }
+
+  deferJob(job, { reason, retryAt }) {
+    job.deferredUntil = retryAt.toISOString();
+    this.setStatus(job, 'deferred', `${reason}; next attempt at ${job.deferredUntil}`);
+    this.saveState({ jobs: [job] });
     this.emit('update', { type: 'jobs', jobs: [job] });
+    this.scheduleJob(job.id);
+  }
+
+  releaseMedia(mediaIds = []) {
+    const stillReferenced = new Set(this.state.jobs.map(job => job.media?.mediaId).filter(Boolean));
+    return this.mediaLibrary.removeOrphans(mediaIds, stillReferenced);
+  }
+
+  applyRecurrence(job, recurrence) {
+    job.recurrence = recurrence || null;
+    if (!job.recurrence) {
+      job.seriesId = null;
+      job.seriesStartAt = null;
+      job.occurrence = null;
+      return;
+    }
+    if (!job.seriesId) {
+      job.seriesId = job.id;
+      job.occurrence = 1;
+    }
+    // The first occurrence anchors the series; moving it moves every later occurrence too
+    if (job.occurrence === 1 || !job.seriesStartAt) {
+      job.seriesStartAt = job.scheduledAt;
+    }
+  }
+
+  getUpcomingOccurrences(job, limit = 5) {
+    if (!job?.recurrence || job.nextOccurrenceJobId || job.status === 'cancelled') return [];
+    return listUpcomingOccurrences(job.recurrence, {
+      anchorAt: job.seriesStartAt || job.scheduledAt,
+      afterDate: job.scheduledAt,
+      occurrence: job.occurrence || 1,
+      timeZone: job.timeZone || null
+    }, limit);
+  }
+
+  /**
+   * Jobs shown in the calendar and ICS feed, optionally for one campaign or one group.
+   * Compose sends went out on the spot and are left out.
+   * @param {object} [filter]
+   * @param {number|string} [filter.campaignId]
+   * @param {string} [filter.group] - Group JID or name, case-insensitive
+   * @returns {object[]}
+   */
+  getCalendarJobs({ campaignId, group } = {}) {
+    const byCampaign = campaignId !== undefined && campaignId !== null && campaignId !== '';
+    if (byCampaign && !this.getCampaignById(campaignId)) throw new Error('Campaign not found');
+    const groupKey = String(group || '').trim().toLowerCase();
+    return this.state.jobs.filter((job) => {
+      if (job.deliveryType === 'compose') return false;
+      if (byCampaign && String(job.campaignId) !== String(campaignId)) return false;
+      if (groupKey && ![job.groupJid, job.groupName, job.resolvedGroup?.name]
+        .some(value => String(value || '').toLowerCase() === groupKey)) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Whether a calendar drag may move the job: unsent, and not a sequence step (those follow their predecessor).
+   */
+  isCalendarMovable(job) {
+    return MUTABLE_STATUSES.has(job.status) && !job.dependsOn;
+  }
+
+  /**
+   * Calendar entries between two instants. A job sits at its send time (actual, simulated or planned);
+   * a live recurring series also lists the dates it will spawn later, marked projected because those jobs
+   * do not exist yet and cannot be dragged.
+   * @param {object} opts
+   * @param {string} opts.from - Range start, inclusive
+   * @param {string} opts.to - Range end, exclusive
+   * @param {number|string} [opts.campaignId]
+   * @param {string} [opts.group]
+   * @returns {object[]} [{ id, jobId, start, title, messageText, groupJid, groupName, campaignId, campaignName,
+   *   status, timeZone, recurrence, occurrence, projected, draggable }] sorted by start
+   */
+  getCalendarEntries({ from, to, campaignId, group } = {}) {
+    if (!from || !to) throw new Error('from and to are required');
+    const start = this.parseScheduledAt(from);
+    const end = this.parseScheduledAt(to);
+    if (!start || !end) throw new Error('Invalid from or to');
+    if (start >= end) throw new Error('from must be before to');
+    if (end - start > MAX_CALENDAR_RANGE_DAYS * MS_PER_DAY) {
+      throw new Error(`Calendar range cannot be longer than ${MAX_CALENDAR_RANGE_DAYS} days`);
+    }
+
+    const entries = [];
+    for (const job of this.getCalendarJobs({ campaignId, group })) {
+      const campaign = job.campaignId != null ? this.getCampaignById(job.campaignId) : null;
+      const base = {
+        jobId: job.id,
+        title: job.groupName || job.groupJid || `Job ${job.id}`,
+        messageText: job.messageText,
+        groupJid: job.groupJid,
+        groupName: job.groupName,
+        campaignId: job.campaignId,
+        campaignName: campaign ? campaign.name : null,
+        timeZone: job.timeZone || null,
+        recurrence: formatRecurrence(job.recurrence)
+      };
+      const atMs = new Date(job.actualSendAt || job.simulatedAt || job.scheduledAt || NaN).getTime();
+      if (atMs >= start.getTime() && atMs < end.getTime()) {
+        entries.push({
+          ...base,
+          id: `job-${job.id}`,
+          start: new Date(atMs).toISOString(),
+          status: job.status,
+          occurrence: job.occurrence,
+          projected: false,
+          draggable: this.isCalendarMovable(job)
+        });
+      }
+
+      if (!job.recurrence || job.nextOccurrenceJobId || job.status === 'cancelled' || !job.scheduledAt) continue;
+      let current = new Date(job.scheduledAt);
+      let occurrence = job.occurrence || 1;
+      for (let i = 0; i < MAX_CALENDAR_OCCURRENCES; i++) {
+        const next = getNextOccurrence(job.recurrence, {
+          anchorAt: job.seriesStartAt || job.scheduledAt,
+          afterDate: current,
+          occurrence,
+          timeZone: job.timeZone || null
+        });
+        if (!next || next >= end) break;
+        current = next;
+        occurrence++;
+        if (next < start) continue;
+        entries.push({
+          ...base,
+          id: `job-${job.id}-${occurrence}`,
+          start: next.toISOString(),
+          status: 'projected',
+          occurrence,
+          projected: true,
+          draggable: false
+        });
+      }
+    }
+    return entries.sort((a, b) => a.start.localeCompare(b.start) || a.jobId - b.jobId);
   }
 
-  setStatus(job, status, reason = '') {
+  /**
+   * Move a job dropped on a new calendar slot. Goes through updateJob, so the move is kept as a revision
+   * and the job's timer is re-armed.
+   * @param {number|string} jobId
+   * @param {string} scheduledAt - New time (ISO, or wall-clock in the job's timezone)
+   * @returns {object} The updated job
+   */
+  rescheduleFromCalendar(jobId, scheduledAt) {
+    const job = this.getJobById(jobId);
+    if (!job) throw new Error('Job not found');
+    if (!scheduledAt) throw new Error('scheduledAt is required');
+    if (job.dependsOn) throw new Error('A sequence step follows its predecessor; change its after_offset_minutes instead');
+    if (!MUTABLE_STATUSES.has(job.status)) throw new Error(`Cannot reschedule job in status: ${job.status}`);
+    return this.updateJob(job.id, { scheduledAt }, 'calendar_drag');
+  }
+
+  /**
+   * Events for the ICS feed. The live head of an RRULE series is written once with an RRULE that starts at
+   * its occurrence (earlier occurrences are jobs of their own, and COUNT is cut to what is left). Cron series
+   * have no RRULE form, so their next dates are listed one by one. Series events use a UID per occurrence,
+   * so a projected date keeps its UID once the real job is spawned.
+   * @param {object} [filter] - { campaignId, group }
+   * @returns {object[]} Events for buildIcsCalendar
+   */
+  getCalendarFeedEvents(filter = {}) {
+    // Recurrence dates follow the job's zone; jobs without one step in machine time
+    const localZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const events = [];
+    for (const job of this.getCalendarJobs(filter)) {
+      const at = job.actualSendAt || job.simulatedAt || job.scheduledAt;
+      if (!at) continue;
+      const campaign = job.campaignId != null ? this.getCampaignById(job.campaignId) : null;
+      const groupLabel = job.groupName || job.groupJid || '';
+      const preview = String(job.messageText || '').replace(/\s+/g, ' ').trim().slice(0, 60);
+      const base = {
+        summary: [groupLabel || `Job ${job.id}`, preview].filter(Boolean).join(': '),
+        categories: [campaign?.name, groupLabel].filter(Boolean),
+        sequence: Math.max(0, (job.revisions?.length || 1) - 1),
+        updatedAt: job.updatedAt
+      };
+      const describe = (status, occurrence) => [job.messageText || '', '', ...[
+        `Status: ${status}`,
+        groupLabel && `Group: ${groupLabel}`,
+        campaign && `Campaign: ${campaign.name}`,
+        job.recurrence && `Repeats: ${formatRecurrence(job.recurrence)} (occurrence ${occurrence})`,
+        `Job #${job.id}`
+      ].filter(Boolean)].join('\n');
+      const uidFor = occurrence => (job.seriesId ? `series-${job.seriesId}-${occurrence}@groupiq` : `job-${job.id}@groupiq`);
+
+      const occurrence = job.occurrence || 1;
+      const upcoming = this.getUpcomingOccurrences(job, job.recurrence?.type === 'cron' ? MAX_FEED_CRON_OCCURRENCES : 1);
+      const event = {
+        ...base,
+        uid: uidFor(occurrence),
+        start: at,
+        description: describe(job.status, occurrence),
+        status: getIcsStatus(job.status)
+      };
+      if (upcoming.length > 0 && job.recurrence.type === 'rrule' && !SENT_STATUSES.has(job.status)) {
+        const recurrence = { ...job.recurrence, count: job.recurrence.count ? job.recurrence.count - occurrence + 1 : null };
+        events.push({ ...event, start: job.scheduledAt, rrule: formatRecurrence(recurrence), timeZone: job.timeZone || localZone });
+        continue;
+      }
+      events.push(event);
+      if (job.recurrence?.type !== 'cron') continue;
+      upcoming.forEach((nextAt, index) => {
+        events.push({
+          ...base,
+          uid: uidFor(occurrence + index + 1),
+          start: nextAt,
+          description: describe('projected', occurrence + index + 1),
+          status: 'TENTATIVE',
+          sequence: 0
+        });
+      });
+    }
+    return events;
+  }
+
+  spawnNextOccurrence(job) {
+    if (!job.recurrence || job.nextOccurrenceJobId) return null;
+
+    // Occurrences that already passed (late send, app closed) are skipped rather than sent in a burst,
+    // but still count towards the series' COUNT
+    const pending = getNextPendingOccurrence(job.recurrence, {
+      anchorAt: job.seriesStartAt || job.scheduledAt,
+      afterDate: job.scheduledAt,
+      occurrence: job.occurrence || 1,
+      timeZone: job.timeZone || null
+    }, new Date());
+    if (!pending) return null;
+
+    const now = new Date().toISOString();
+    const id = this.state.nextId++;
+    const { at: nextAt, occurrence } = pending;
+    const skipped = occurrence - (job.occurrence || 1) - 1;
+    const reason = `Occurrence ${occurrence} of recurring series #${job.seriesId || job.id}` +
+      (skipped > 0 ? ` (${skipped} missed occurrence(s) skipped)` : '');
+    const nextJob = {
+      id,
+      rowId: job.rowId,
+      messageText: job.messageText,
+      scheduledAt: nextAt.toISOString(),
+      timeZone: job.timeZone || null,
+      groupJid: job.groupJid,
+      groupName: job.groupName,
+      enabled: job.enabled,
+      status: 'scheduled',
+      statusReason: reason,
+      randomDelayAppliedMs: 0,
+      actualSendAt: null,
+      resolvedGroup: null,
+      deliveryType: 'scheduled',
+      media: job.media,
+      payload: job.payload || null,
+      mentions: job.mentions || [],
+      templateId: job.templateId || null,
+      renderedText: null,
+      retryPolicy: job.retryPolicy || null,
+      attempts: 0,
+      nextRetryAt: null,
+      recurrence: job.recurrence,
+      seriesId: job.seriesId || job.id,
+      seriesStartAt: job.seriesStartAt || job.scheduledAt,
+      occurrence,
+      nextOccurrenceJobId: null,
+      dependsOn: null,
+      campaignId: job.campaignId || null,
+      variantId: job.variantId || null,
+      messageId: null,
+      trackedMessageId: null,
+      // Later occurrences repeat the approved content, so they carry the series' approval
+      approvalStatus: job.approvalStatus ?? 'draft',
+      approval: job.approval || null,
+      createdAt: now,
+      updatedAt: now,
+      revisions: [{
+        revisionId: 1,
+        timestamp: now,
+        source: 'recurrence',
+        data: { previousJobId: job.id, scheduledAt: nextAt.toISOString(), occurrence }
+      }],
+      statusHistory: [{ status: 'scheduled', timestamp: now, reason }]
+    };
+
+    job.nextOccurrenceJobId = id;
+    this.state.jobs.push(nextJob);
+    this.scheduleJob(id);
+    return nextJob;
+  }
+
+  setStatus(job, status, reason = '', details = null) {
     const now = new Date().toISOString();
     job.status = status;
     job.statusReason = reason;
     job.updatedAt = now;
-    job.statusHistory.push({ status, timestamp: now, reason });
+    job.statusHistory.push(details ? { status, timestamp: now, reason, ...details } : { status, timestamp: now, reason });
   }
 
   normalizeRow(row = {}) {
     const messageText = String(row.messageText || row.message_text || '').trim();
-    const scheduledAtRaw = row.scheduledAt || row.scheduled_at;
-    const scheduledDate = this.parseScheduledAt(scheduledAtRaw);
     const groupJid = String(row.groupJid || row.group_jid || '').trim();
     const groupName = String(row.groupName || row.group_name || '').trim();
+    // Wall-clock times are in the row's timezone, else the group's configured one, else machine time
+    const timeZone = normalizeTimeZone(row.timeZone ?? row.timezone ?? row.time_zone) ||
+      this.templateStore.getGroupTimeZone({ groupJid, groupName });
+    let recurrence;
+    try {
+      recurrence = parseRecurrence(row.recurrence, { timeZone });
+    } catch (error) {
+      throw new Error(`recurrence is invalid: ${error.message}`);
+    }
+    let dependency;
+    try {
+      dependency = readDependencyInput(row);
+    } catch (error) {
+      throw new Error(`after is invalid: ${error.message}`);
+    }
+    if (dependency && recurrence) {
+      throw new Error('after cannot be combined with a recurrence');
+    }
+    let scheduledAtRaw = row.scheduledAt || row.scheduled_at;
+    if (!scheduledAtRaw && recurrence) {
+      // A recurring row without scheduled_at starts at the rule's first occurrence from now
+      scheduledAtRaw = getNextOccurrence(recurrence, { anchorAt: new Date(), afterDate: new Date(), timeZone });
+      if (!scheduledAtRaw) throw new Error('recurrence has no future occurrences');
+    }
+    const scheduledDate = this.parseScheduledAt(scheduledAtRaw, timeZone);
     const rowId = row.rowId || row.row_id || '';
     const enabled = row.enabled === undefined ? true : !(String(row.enabled).toLowerCase() === 'false' || row.enabled === false || row.enabled === 0 || row.enabled === '0');
 
-    if (!messageText) {
-      throw new Error('message_text is required');
+    let media;
+    try {
+      media = this.mediaLibrary.resolveReference(row.media !== undefined ? row.media : (row.mediaId || row.media_id));
+    } catch (error) {
+      throw new Error(`media is invalid: ${error.message}`);
+    }
+
+    let templateId;
+    try {
+      templateId = this.templateStore.resolveReference(row.templateId ?? row.template_id ?? row.template);
+    } catch (error) {
+      throw new Error(`template is invalid: ${error.message}`);
+    }
+
+    let retryPolicy = null;
+    const maxAttempts = row.maxAttempts ?? row.max_attempts;
+    if (row.retryPolicy || (maxAttempts !== undefined && maxAttempts !== null && maxAttempts !== '')) {
+      try {
+        retryPolicy = normalizeRetryPolicy({ ...(row.retryPolicy || {}), ...(maxAttempts !== undefined && maxAttempts !== '' ? { maxAttempts } : {}) }, this.state.settings.retryPolicy);
+      } catch (error) {
+        throw new Error(`retry policy is invalid: ${error.message}`);
+      }
     }
-    if (!scheduledAtRaw) {
+
+    let payload;
+    try {
+      payload = normalizePayload(readPayloadInput(row), {
+        messageText,
+        hasTemplate: Boolean(templateId),
+        mediaKind: this.mediaLibrary.getReferenceKind(media)
+      });
+    } catch (error) {
+      throw new Error(`payload is invalid: ${error.message}`);
+    }
+
+    let mentions;
+    try {
+      mentions = normalizeMentions(row.mentions);
+    } catch (error) {
+      throw new Error(`mentions are invalid: ${error.message}`);
+    }
+    if ((mentions.length > 0 || hasMentionAll(messageText)) && payload?.type === 'poll') {
+      throw new Error('mentions are not supported on polls');
+    }
+    if (mentions.length > 0 && !messageText && !templateId) {
+      throw new Error('mentions need message_text to appear in');
+    }
+    const mentionCap = getMentionCap(this.state.settings, { groupJid, groupName });
+    if (mentions.length > mentionCap) {
+      throw new Error(`mentions exceed the cap for this group (${mentions.length} > ${mentionCap})`);
+    }
+
+    if (!messageText && !media && !templateId && !payload) {
+      throw new Error('message_text is required (or attach media or a template, or set message_type)');
+    }
+    // A sequence step is timed from its predecessor; scheduled_at is then only the earliest send time
+    if (!scheduledAtRaw && !dependency) {
       throw new Error('scheduled_at is required');
     }
-    if (!scheduledDate || Number.isNaN(scheduledDate.getTime())) {
-      throw new Error('scheduled_at must be a valid local datetime (YYYY-MM-DD HH:mm or ISO)');
+    if (scheduledAtRaw && (!scheduledDate || Number.isNaN(scheduledDate.getTime()))) {
+      throw new Error('scheduled_at must be a valid datetime (YYYY-MM-DD HH:mm in the row\'s timezone, or ISO)');
     }
-    if (scheduledDate.getTime() < Date.now() - 1000) {
+    if (!dependency && scheduledDate.getTime() < Date.now() - 1000) {
       throw new Error('scheduled_at must be in the future');
     }
     if (!groupJid && !groupName) {
@@ -423,42 +2727,44 @@ class PostQueueService extends EventEmitter {
     return {
       rowId,
       messageText,
-      scheduledAt: scheduledDate.toISOString(),
+      scheduledAt: scheduledAtRaw ? scheduledDate.toISOString() : null,
+      timeZone,
       groupJid,
       groupName,
-      enabled
+      enabled,
+      recurrence,
+      media,
+      payload,
+      mentions,
+      templateId,
+      retryPolicy,
+      dependency
     };
   }
 
-  parseScheduledAt(value) {
+  /**
+   * Parse a schedule time. Wall-clock input ("YYYY-MM-DD HH:mm", "YYYY-MM-DDTHH:mm[:ss]", "YYYY/MM/DD HH:mm")
+   * is read in `timeZone`, or machine-local time without one; ISO strings with Z or an offset are absolute.
+   * @param {string|Date} value
+   * @param {string|null} [timeZone] - IANA zone
+   * @returns {Date|null}
+   */
+  parseScheduledAt(value, timeZone = null) {
     if (!value) return null;
     if (value instanceof Date) return value;
     const str = String(value).trim();
     if (!str) return null;
 
-    // Normalize "YYYY-MM-DD HH:mm" -> local datetime "YYYY-MM-DDTHH:mm"
-    const normalized = /^\d{4}-\d{2}-\d{2}\s\d{2}:\d{2}$/.test(str)
-      ? str.replace(' ', 'T')
-      : str;
-
-    const parsed = new Date(normalized);
-    if (!Number.isNaN(parsed.getTime())) return parsed;
-
-    // Accept "YYYY/MM/DD HH:mm" as a convenience local input.
-    const slash = /^(\d{4})\/(\d{2})\/(\d{2})\s(\d{2}):(\d{2})$/.exec(str);
-    if (slash) {
-      const local = new Date(
-        Number(slash[1]),
-        Number(slash[2]) - 1,
-        Number(slash[3]),
-        Number(slash[4]),
-        Number(slash[5]),
-        0,
-        0
-      );
-      if (!Number.isNaN(local.getTime())) return local;
+    const wallClock = /^(\d{4})([-/])(\d{2})\2(\d{2})[T\s](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(str);
+    if (wallClock) {
+      const [, year, , month, day, hour, minute, second] = wallClock.map(Number);
+      const parsed = zonedTimeToUtc(year, month, day, hour, minute, timeZone);
+      if (second) parsed.setTime(parsed.getTime() + second * 1000);
+      return Number.isNaN(parsed.getTime()) ? null : parsed;
     }
-    return null;
+
+    const parsed = new Date(str);
+    return Number.isNaN(parsed.getTime()) ? null : parsed;
   }
 }
 
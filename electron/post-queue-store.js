@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS jobs (
+    id INTEGER PRIMARY KEY,
+    status TEXT NOT NULL,
+    scheduled_at TEXT,
+    campaign_id INTEGER,
+    updated_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs (status);
+  CREATE INDEX IF NOT EXISTS idx_jobs_scheduled_at ON jobs (scheduled_at);
+  CREATE INDEX IF NOT EXISTS idx_jobs_campaign_id ON jobs (campaign_id);
+  CREATE TABLE IF NOT EXISTS campaigns (
+    id INTEGER PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS audiences (
+    id INTEGER PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS send_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    at TEXT NOT NULL,
+    group_key TEXT,
+    job_id INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS idx_send_log_at ON send_log (at);
+`;
+
+const META_KEYS = ['nextId', 'nextCampaignId', 'nextAudienceId', 'settings'];
+
+/**
+ * Post Queue Store
+ * SQLite persistence for the post queue at <dataDir>/post-queue.db. Jobs, campaigns and audiences
+ * are one row each (the full object as JSON, plus indexed columns for jobs); counters and settings
+ * live in `meta`. Every save runs in one transaction with WAL + synchronous=FULL, so a crash leaves
+ * either the old or the new rows, never a half-written queue.
+ * On first open, an existing post-queue.json is imported and renamed to post-queue.json.migrated.
+ */
+class PostQueueStore {
+  constructor(dataDir, logger = console) {
+    this.logger = logger;
+    this.dataDir = dataDir;
+    this.dbPath = path.join(dataDir, 'post-queue.db');
+    this.legacyJsonPath = path.join(dataDir, 'post-queue.json');
+
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = FULL');
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      getMeta: this.db.prepare('SELECT key, value FROM meta'),
+      setMeta: this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+      allJobs: this.db.prepare('SELECT data FROM jobs ORDER BY id'),
+      upsertJob: this.db.prepare(`
+        INSERT INTO jobs (id, status, scheduled_at, campaign_id, updated_at, data)
+        VALUES (@id, @status, @scheduledAt, @campaignId, @updatedAt, @data)
+        ON CONFLICT(id) DO UPDATE SET
+          status = excluded.status,
+          scheduled_at = excluded.scheduled_at,
+          campaign_id = excluded.campaign_id,
+          updated_at = excluded.updated_at,
+          data = excluded.data
+      `),
+      deleteJob: this.db.prepare('DELETE FROM jobs WHERE id = ?'),
+      allCampaigns: this.db.prepare('SELECT data FROM campaigns ORDER BY id'),
+      upsertCampaign: this.db.prepare('INSERT INTO campaigns (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data'),
+      deleteCampaign: this.db.prepare('DELETE FROM campaigns WHERE id = ?'),
+      allAudiences: this.db.prepare('SELECT data FROM audiences ORDER BY id'),
+      upsertAudience: this.db.prepare('INSERT INTO audiences (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data'),
+      deleteAudience: this.db.prepare('DELETE FROM audiences WHERE id = ?'),
+      allSendLog: this.db.prepare('SELECT at, group_key, job_id FROM send_log ORDER BY id'),
+      insertSendLog: this.db.prepare('INSERT INTO send_log (at, group_key, job_id) VALUES (?, ?, ?)'),
+      pruneSendLog: this.db.prepare('DELETE FROM send_log WHERE at <= ?'),
+      deleteSendLogEntry: this.db.prepare('DELETE FROM send_log WHERE id = (SELECT MAX(id) FROM send_log WHERE at = ? AND job_id IS ?)')
+    };
+    this.saveTransaction = this.db.transaction(changes => this.applyChanges(changes));
+
+    this.migrateLegacyJson();
+  }
+
+  readMeta() {
+    const meta = {};
+    for (const row of this.statements.getMeta.all()) {
+      meta[row.key] = JSON.parse(row.value);
+    }
+    return meta;
+  }
+
+  /**
+   * Import post-queue.json once, when the database has never been written.
+   * The JSON file is kept as post-queue.json.migrated for rollback.
+   */
+  migrateLegacyJson() {
+    if (!fs.existsSync(this.legacyJsonPath)) return;
+    if (this.readMeta().nextId !== undefined) {
+      this.logger.warn('post-queue.json found next to an initialized post-queue.db; ignoring it');
+      return;
+    }
+
+    let legacy;
+    try {
+      legacy = JSON.parse(fs.readFileSync(this.legacyJsonPath, 'utf8'));
+    } catch (error) {
+      this.logger.error('Failed to read post-queue.json for migration', { error: error.message });
+      return;
+    }
+
+    const jobs = Array.isArray(legacy.jobs) ? legacy.jobs : [];
+    this.db.transaction(() => {
+      this.applyChanges({
+        meta: {
+          nextId: Number(legacy.nextId) || jobs.reduce((max, job) => Math.max(max, Number(job.id) || 0), 0) + 1,
+          nextCampaignId: Number(legacy.nextCampaignId) || 1,
+          nextAudienceId: Number(legacy.nextAudienceId) || 1,
+          settings: legacy.settings || {}
+        },
+        jobs,
+        campaigns: Array.isArray(legacy.campaigns) ? legacy.campaigns : [],
+        audiences: Array.isArray(legacy.audiences) ? legacy.audiences : []
+      });
+      for (const entry of Array.isArray(legacy.sendLog) ? legacy.sendLog : []) {
+        this.statements.insertSendLog.run(entry.at, entry.group ?? null, entry.jobId ?? null);
+      }
+      this.statements.setMeta.run('schemaVersion', JSON.stringify(SCHEMA_VERSION));
+      this.statements.setMeta.run('migratedFromJsonAt', JSON.stringify(new Date().toISOString()));
+    })();
+
+    fs.renameSync(this.legacyJsonPath, `${this.legacyJsonPath}.migrated`);
+    this.logger.info(`Migrated ${jobs.length} post queue job(s) from post-queue.json to post-queue.db`);
+  }
+
+  /**
+   * Read the whole queue.
+   * @returns {object|null} { nextId, nextCampaignId, nextAudienceId, settings, jobs, campaigns, audiences, sendLog },
+   *   or null for a new, empty store
+   */
+  load() {
+    const meta = this.readMeta();
+    if (meta.nextId === undefined) return null;
+    const parseRows = rows => rows.map(row => JSON.parse(row.data));
+    return {
+      nextId: meta.nextId,
+      nextCampaignId: meta.nextCampaignId,
+      nextAudienceId: meta.nextAudienceId,
+      settings: meta.settings || {},
+      jobs: parseRows(this.statements.allJobs.all()),
+      campaigns: parseRows(this.statements.allCampaigns.all()),
+      audiences: parseRows(this.statements.allAudiences.all()),
+      sendLog: this.statements.allSendLog.all().map(row => ({ at: row.at, group: row.group_key, jobId: row.job_id }))
+    };
+  }
+
+  /**
+   * Write only what changed, atomically.
+   * @param {object} changes - { meta, jobs, deletedJobIds, campaigns, deletedCampaignIds, audiences, deletedAudienceIds }
+   */
+  save(changes = {}) {
+    this.saveTransaction(changes);
+  }
+
+  applyChanges({ meta, jobs = [], deletedJobIds = [], campaigns = [], deletedCampaignIds = [], audiences = [], deletedAudienceIds = [] }) {
+    if (meta) {
+      for (const key of META_KEYS) {
+        if (meta[key] !== undefined) this.statements.setMeta.run(key, JSON.stringify(meta[key]));
+      }
+    }
+    for (const job of jobs) {
+      this.statements.upsertJob.run({
+        id: job.id,
+        status: job.status,
+        scheduledAt: job.scheduledAt || null,
+        campaignId: job.campaignId ?? null,
+        updatedAt: job.updatedAt || null,
+        data: JSON.stringify(job)
+      });
+    }
+    for (const id of deletedJobIds) this.statements.deleteJob.run(id);
+    for (const campaign of campaigns) this.statements.upsertCampaign.run(campaign.id, JSON.stringify(campaign));
+    for (const id of deletedCampaignIds) this.statements.deleteCampaign.run(id);
+    for (const audience of audiences) this.statements.upsertAudience.run(audience.id, JSON.stringify(audience));
+    for (const id of deletedAudienceIds) this.statements.deleteAudience.run(id);
+  }
+
+  /**
+   * Record one send attempt for rate limiting and drop entries no window can see any more.
+   * @param {{ at: string, group: string, jobId: number }} entry
+   * @param {string} pruneBefore - ISO time; entries at or before it are deleted
+   */
+  appendSendLog(entry, pruneBefore) {
+    this.db.transaction(() => {
+      this.statements.insertSendLog.run(entry.at, entry.group ?? null, entry.jobId ?? null);
+      if (pruneBefore) this.statements.pruneSendLog.run(pruneBefore);
+    })();
+  }
+
+  /**
+   * Remove a send slot that was reserved for a send that then failed.
+   * @param {{ at: string, jobId: number }} entry
+   */
+  removeSendLogEntry(entry) {
+    this.statements.deleteSendLogEntry.run(entry.at, entry.jobId ?? null);
+  }
+
+  close() {
+    if (this.db.open) this.db.close();
+  }
+}
+
+module.exports = PostQueueStore;
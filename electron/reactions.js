@@ -0,0 +1,115 @@
+/**
+ * Normalized emoji reactions. whatsapp-web.js hands reactions over in several shapes depending on version and
+ * where they are read from:
+ * - msg.getReactions(): [{ id: '👍', aggregateEmoji, senders: [{ reaction, senderId, timestamp }] }]
+ * - msg.reactions / msg._data.reactions: single { reaction, senderId, timestamp } entries, or aggregates whose
+ *   senders use { reactionText, senderUserJid, timestamp }
+ * Each becomes { emoji, jid, reacted_at }. A member can only have one reaction on a message, so the latest wins.
+ */
+const { getReceiptJid } = require('./read-receipts');
+
+/**
+ * Sentiment of common reaction emojis; any other emoji counts as neutral.
+ * Skin tones and emoji variation selectors are ignored when looking an emoji up.
+ */
+const REACTION_SENTIMENT = {
+  positive: ['👍', '❤', '😂', '🙏', '😍', '🥰', '😊', '😁', '🤣', '👏', '🔥', '🎉', '💯', '✅', '💪', '🙌', '😘', '💖', '💕', '🤩'],
+  negative: ['👎', '😡', '😠', '🤬', '😢', '😭', '💔', '😞', '😒', '🙄', '🤮', '❌', '😤', '😔']
+};
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+const SENTIMENT_BY_EMOJI = new Map(
+  Object.entries(REACTION_SENTIMENT).flatMap(([sentiment, emojis]) => emojis.map(emoji => [emoji, sentiment]))
+);
+
+/**
+ * @param {string} emoji
+ * @returns {string} The emoji without skin tone modifiers or variation selectors, used to group reactions
+ */
+function getBaseEmoji(emoji) {
+  return String(emoji || '').replace(/[\u{1F3FB}-\u{1F3FF}\uFE0E\uFE0F]/gu, '');
+}
+
+/**
+ * @param {string} emoji
+ * @returns {'positive'|'neutral'|'negative'}
+ */
+function getReactionSentiment(emoji) {
+  return SENTIMENT_BY_EMOJI.get(getBaseEmoji(emoji)) || 'neutral';
+}
+
+function toIso(timestamp) {
+  const value = Number(timestamp);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  // Reaction timestamps are seconds in most builds and milliseconds in some
+  return new Date(value > 1e12 ? value : value * 1000).toISOString();
+}
+
+function readSender(sender, fallbackEmoji) {
+  if (typeof sender === 'string') return { emoji: fallbackEmoji, jid: sender, reacted_at: null };
+  return {
+    emoji: sender?.reaction ?? sender?.reactionText ?? sender?.text ?? fallbackEmoji,
+    jid: getReceiptJid(sender?.senderId || sender?.senderUserJid || sender?.author),
+    reacted_at: toIso(sender?.timestamp ?? sender?.t)
+  };
+}
+
+/**
+ * Turn reaction data in any of the known shapes into one record per reactor.
+ * Aggregates that only carry a count have no reactor, so they are left out.
+ * @param {object[]} reactionsData
+ * @returns {Array<{ emoji: string, jid: string, reacted_at: string|null }>}
+ */
+function normalizeReactions(reactionsData = []) {
+  const byJid = new Map();
+  for (const entry of reactionsData || []) {
+    if (!entry) continue;
+    const aggregateEmoji = entry.aggregateEmoji || (typeof entry.id === 'string' ? entry.id : '') || entry.emoji || '';
+    const records = Array.isArray(entry.senders)
+      ? entry.senders.map(sender => readSender(sender, aggregateEmoji))
+      : [readSender(entry, aggregateEmoji)];
+    for (const record of records) {
+      if (!record.jid) continue;
+      const current = byJid.get(record.jid);
+      if (current && (record.reacted_at || '') < (current.reacted_at || '')) continue;
+      // An empty reaction is WhatsApp's record of a removed reaction
+      byJid.set(record.jid, record.emoji ? record : null);
+    }
+  }
+  return Array.from(byJid.values())
+    .filter(Boolean)
+    .sort((a, b) => (a.reacted_at || '~').localeCompare(b.reacted_at || '~') || a.jid.localeCompare(b.jid));
+}
+
+/**
+ * Per-emoji counts and sentiment mix for one or more messages' reactions.
+ * @param {object[]} reactions - Normalized reactions
+ * @returns {{ total: number, byEmoji: object[], sentiment: { positive: number, neutral: number, negative: number } }}
+ *   byEmoji: [{ emoji, count, sentiment }], most used first
+ */
+function summarizeReactions(reactions = []) {
+  const byEmoji = new Map();
+  const sentiment = Object.fromEntries(SENTIMENTS.map(name => [name, 0]));
+  for (const reaction of reactions) {
+    const key = getBaseEmoji(reaction.emoji);
+    // Shown without the skin tone but with its variation selector, so ❤️ stays an emoji
+    const emoji = String(reaction.emoji).replace(/[\u{1F3FB}-\u{1F3FF}]/gu, '');
+    const entry = byEmoji.get(key) || { emoji, count: 0, sentiment: getReactionSentiment(key) };
+    entry.count++;
+    byEmoji.set(key, entry);
+    sentiment[entry.sentiment]++;
+  }
+  return {
+    total: reactions.length,
+    byEmoji: Array.from(byEmoji.values()).sort((a, b) => b.count - a.count || a.emoji.localeCompare(b.emoji)),
+    sentiment
+  };
+}
+
+module.exports = {
+  REACTION_SENTIMENT,
+  getBaseEmoji,
+  getReactionSentiment,
+  normalizeReactions,
+  summarizeReactions
+};
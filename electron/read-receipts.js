@@ -0,0 +1,195 @@
+/**
+ * Per-reader receipts from whatsapp-web.js `msg.getInfo()`.
+ * getInfo() returns { delivery, read, played } lists of { id: ContactId, t: unixSeconds }; a contact is in the
+ * list for the furthest state it reached, so one reader can appear in more than one list over time.
+ */
+
+/** Time-to-read buckets (upper bound in minutes, exclusive) */
+const TIME_TO_READ_BUCKETS = [
+  { label: '<5m', maxMinutes: 5 },
+  { label: '5-30m', maxMinutes: 30 },
+  { label: '30m-2h', maxMinutes: 120 },
+  { label: '2-6h', maxMinutes: 360 },
+  { label: '6-24h', maxMinutes: 1440 },
+  { label: '>24h', maxMinutes: Infinity }
+];
+
+const RECEIPT_FIELDS = [
+  { list: 'delivery', field: 'delivered_at' },
+  { list: 'read', field: 'read_at' },
+  { list: 'played', field: 'played_at' }
+];
+
+/**
+ * @param {object|string} entry - Receipt entry, ContactId or JID string
+ * @returns {string} Serialized JID ("4915112345678@c.us"), or '' if unknown
+ */
+function getReceiptJid(entry) {
+  if (!entry) return '';
+  if (typeof entry === 'string') return entry;
+  const id = entry.id ?? entry;
+  if (typeof id === 'string') return id;
+  return id?._serialized || (id?.user && id?.server ? `${id.user}@${id.server}` : '');
+}
+
+function toIso(seconds) {
+  const value = Number(seconds);
+  return Number.isFinite(value) && value > 0 ? new Date(value * 1000).toISOString() : null;
+}
+
+function earliest(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return a <= b ? a : b;
+}
+
+/**
+ * Turn getInfo() output into one record per reader.
+ * @param {object|null} messageInfo - null when getInfo() failed
+ * @returns {Array<{ jid: string, delivered_at: string|null, read_at: string|null, played_at: string|null }>|null}
+ *   null when there were no receipts to read, so a failed fetch is not stored as "nobody read it"
+ */
+function buildReaders(messageInfo) {
+  if (!messageInfo) return null;
+  const byJid = new Map();
+  for (const { list, field } of RECEIPT_FIELDS) {
+    if (!Array.isArray(messageInfo[list])) continue;
+    for (const entry of messageInfo[list]) {
+      const jid = getReceiptJid(entry);
+      if (!jid) continue;
+      const reader = byJid.get(jid) || { jid, delivered_at: null, read_at: null, played_at: null };
+      reader[field] = earliest(reader[field], toIso(entry?.t));
+      byJid.set(jid, reader);
+    }
+  }
+  return sortReaders(Array.from(byJid.values()));
+}
+
+/**
+ * Combine stored readers with a fresh scrape. Receipts only ever move forward, so a reader is never dropped
+ * and the earliest time seen for each state is kept.
+ * @param {object[]} [existing]
+ * @param {object[]} [incoming]
+ * @returns {object[]}
+ */
+function mergeReaders(existing = [], incoming = []) {
+  const byJid = new Map((existing || []).map(reader => [reader.jid, { ...reader }]));
+  for (const reader of incoming || []) {
+    const current = byJid.get(reader.jid);
+    if (!current) {
+      byJid.set(reader.jid, { ...reader });
+      continue;
+    }
+    for (const { field } of RECEIPT_FIELDS) current[field] = earliest(current[field], reader[field]);
+  }
+  return sortReaders(Array.from(byJid.values()));
+}
+
+function sortReaders(readers) {
+  const key = reader => reader.read_at || reader.played_at || reader.delivered_at || '~';
+  return readers.sort((a, b) => key(a).localeCompare(key(b)) || a.jid.localeCompare(b.jid));
+}
+
+/**
+ * Nearest-rank percentile of an ascending list.
+ * @param {number[]} sorted
+ * @param {number} p - 0..100
+ * @returns {number|null}
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+/**
+ * Counts and time-to-read distribution for one message.
+ * @param {object[]} readers
+ * @param {string} messageTimestamp - When the message was sent (ISO)
+ * @returns {{ delivered: number, read: number, played: number, timeToReadMinutes: object, distribution: object[] }}
+ */
+function summarizeReaders(readers = [], messageTimestamp) {
+  const sentMs = new Date(messageTimestamp).getTime();
+  const minutes = readers
+    .filter(reader => reader.read_at || reader.played_at)
+    .map(reader => (new Date(reader.read_at || reader.played_at).getTime() - sentMs) / 60000)
+    .filter(value => Number.isFinite(value))
+    .map(value => Math.max(0, value))
+    .sort((a, b) => a - b);
+  const round = value => (value === null ? null : Math.round(value * 10) / 10);
+
+  return {
+    delivered: readers.filter(reader => reader.delivered_at || reader.read_at || reader.played_at).length,
+    read: readers.filter(reader => reader.read_at || reader.played_at).length,
+    played: readers.filter(reader => reader.played_at).length,
+    timeToReadMinutes: {
+      min: round(minutes.length ? minutes[0] : null),
+      median: round(percentile(minutes, 50)),
+      p90: round(percentile(minutes, 90)),
+      max: round(minutes.length ? minutes[minutes.length - 1] : null)
+    },
+    distribution: TIME_TO_READ_BUCKETS.map((bucket, index) => {
+      const min = index === 0 ? 0 : TIME_TO_READ_BUCKETS[index - 1].maxMinutes;
+      return { bucket: bucket.label, count: minutes.filter(value => value >= min && value < bucket.maxMinutes).length };
+    })
+  };
+}
+
+function getPhone(jid) {
+  return jid.endsWith('@c.us') ? jid.split('@')[0] : '';
+}
+
+/**
+ * Members who have seen none of the given messages of one group.
+ * A message counts once it is at least `hours` old and has stored receipts; the others come back in `skipped`,
+ * so a message whose receipts could not be fetched never makes everyone look unseen.
+ * Receipts only cover current members, so someone who joined after a message was sent is listed as not having seen it.
+ * @param {object} opts
+ * @param {object[]} opts.messages - Stored messages of the group
+ * @param {string[]} opts.participants - Current member JIDs
+ * @param {string} [opts.selfJid] - Our own JID, never listed
+ * @param {number} [opts.hours=0] - Minimum message age
+ * @param {Date} [opts.now]
+ * @returns {{ considered: object[], skipped: object[], members: object[] }}
+ *   members: [{ jid, phone, unread, delivered }] where unread is how many considered messages they have not read
+ *   and delivered how many reached their phone. phone is '' for @lid members, whose JID hides the number
+ */
+function findUnseenMembers({ messages = [], participants = [], selfJid = '', hours = 0, now = new Date() }) {
+  const cutoffMs = now.getTime() - hours * 60 * 60 * 1000;
+  const considered = [];
+  const skipped = [];
+  for (const message of messages) {
+    const summary = { message_id: message.message_id, message_timestamp: message.message_timestamp };
+    if (new Date(message.message_timestamp).getTime() > cutoffMs) skipped.push({ ...summary, reason: `younger than ${hours}h` });
+    else if (!Array.isArray(message.readers)) skipped.push({ ...summary, reason: 'receipts unavailable' });
+    else considered.push({ ...summary, readers: new Map(message.readers.map(reader => [reader.jid, reader])) });
+  }
+
+  const members = [];
+  if (considered.length > 0) {
+    for (const jid of new Set(participants)) {
+      if (!jid || jid === selfJid) continue;
+      let unread = 0;
+      let delivered = 0;
+      for (const { readers } of considered) {
+        const reader = readers.get(jid);
+        if (reader?.read_at || reader?.played_at) continue;
+        unread++;
+        if (reader?.delivered_at) delivered++;
+      }
+      if (unread === considered.length) members.push({ jid, phone: getPhone(jid), unread, delivered });
+    }
+  }
+  members.sort((a, b) => (a.phone || a.jid).localeCompare(b.phone || b.jid));
+  return { considered: considered.map(({ readers, ...message }) => message), skipped, members };
+}
+
+module.exports = {
+  TIME_TO_READ_BUCKETS,
+  getReceiptJid,
+  buildReaders,
+  mergeReaders,
+  summarizeReaders,
+  findUnseenMembers,
+  percentile
+};
@@ -0,0 +1,440 @@
+const { MS_PER_DAY } = require('./constants');
+const { getZonedParts, zonedTimeToUtc } = require('./timezone-util');
+
+/** Upper bound on how far ahead a cron search may look before giving up (minutes in ~5 years) */
+const MAX_CRON_SEARCH_MINUTES = 5 * 366 * 24 * 60;
+
+const RRULE_FREQUENCIES = new Set(['daily', 'weekly', 'monthly']);
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+/**
+ * Parse one cron field ("*", "1,15", "1-5", "*\/10", "mon-fri") into a Set of allowed values.
+ * @param {string} expr - Field expression
+ * @param {object} field - Entry from CRON_FIELDS
+ * @returns {Set<number>}
+ */
+function parseCronField(expr, field) {
+  const values = new Set();
+  const toNumber = (token) => {
+    const lower = token.toLowerCase();
+    if (field.names && field.names.includes(lower)) {
+      return field.names.indexOf(lower) + field.nameOffset;
+    }
+    if (!/^\d+$/.test(token)) {
+      throw new Error(`Invalid ${field.name} value "${token}" in cron expression`);
+    }
+    return Number(token);
+  };
+
+  for (const part of expr.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid ${field.name} step "${stepPart}" in cron expression`);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes('-')) {
+      const [from, to] = rangePart.split('-');
+      start = toNumber(from);
+      end = toNumber(to);
+    } else {
+      start = toNumber(rangePart);
+      end = stepPart === undefined ? start : field.max;
+    }
+
+    if (start < field.min || end > field.max || start > end) {
+      throw new Error(`${field.name} out of range (${field.min}-${field.max}) in cron expression`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a standard 5-field cron expression (minute hour day-of-month month day-of-week).
+ * @param {string} expression
+ * @returns {object} Parsed field sets plus flags for day-of-month / day-of-week restriction
+ */
+function parseCronExpression(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields (minute hour day-of-month month day-of-week)');
+  }
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, idx) => parseCronField(part, CRON_FIELDS[idx]));
+  // Cron treats both 0 and 7 as Sunday
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    domRestricted: parts[2] !== '*',
+    dowRestricted: parts[4] !== '*'
+  };
+}
+
+/*
+ * Occurrences are found on the wall clock of the job's zone. A wall-clock time is held as a "civil" Date whose
+ * UTC fields are the zone's fields, so calendar arithmetic never crosses a DST change; zonedTimeToUtc turns
+ * it back into the real instant at the end.
+ */
+
+function toCivil(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute));
+}
+
+function fromCivil(civil, timeZone) {
+  return zonedTimeToUtc(
+    civil.getUTCFullYear(),
+    civil.getUTCMonth() + 1,
+    civil.getUTCDate(),
+    civil.getUTCHours(),
+    civil.getUTCMinutes(),
+    timeZone
+  );
+}
+
+function cronDayMatches(parsed, civil) {
+  const domMatch = parsed.daysOfMonth.has(civil.getUTCDate());
+  const dowMatch = parsed.daysOfWeek.has(civil.getUTCDay());
+  // Standard cron: when both day fields are restricted, either one may match
+  if (parsed.domRestricted && parsed.dowRestricted) return domMatch || dowMatch;
+  return domMatch && dowMatch;
+}
+
+/**
+ * Find the first cron match strictly after the given date, on the wall clock of `timeZone`.
+ * A match inside a DST gap fires when the clock resumes; a repeated hour fires once.
+ * @param {string} expression - Cron expression
+ * @param {Date} afterDate
+ * @param {string|null} [timeZone] - IANA zone; null means machine-local time
+ * @returns {Date|null} Next matching minute, or null if none within the search window
+ */
+function getNextCronDate(expression, afterDate, timeZone = null) {
+  const parsed = parseCronExpression(expression);
+  const candidate = toCivil(afterDate, timeZone);
+  candidate.setUTCMinutes(candidate.getUTCMinutes() + 1, 0, 0);
+
+  for (let i = 0; i < MAX_CRON_SEARCH_MINUTES; i++) {
+    if (!parsed.months.has(candidate.getUTCMonth() + 1)) {
+      candidate.setUTCMonth(candidate.getUTCMonth() + 1, 1);
+      candidate.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cronDayMatches(parsed, candidate)) {
+      candidate.setUTCDate(candidate.getUTCDate() + 1);
+      candidate.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.hours.has(candidate.getUTCHours())) {
+      candidate.setUTCHours(candidate.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.minutes.has(candidate.getUTCMinutes())) {
+      candidate.setUTCMinutes(candidate.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    const next = fromCivil(candidate, timeZone);
+    if (next.getTime() > afterDate.getTime()) return next;
+    candidate.setUTCMinutes(candidate.getUTCMinutes() + 1, 0, 0);
+  }
+  return null;
+}
+
+/**
+ * @param {*} value - RRULE UNTIL, a date, or an ISO time
+ * @param {string|null} [timeZone] - Zone of the job; dates and times without a UTC offset are read on its wall clock
+ * @returns {string|null} ISO instant
+ */
+function parseUntil(value, timeZone = null) {
+  if (value === undefined || value === null || value === '') return null;
+  const str = String(value).trim();
+  // A bare date means "through the end of that day": just before the next day starts
+  const endOfDay = (y, mo, d) => new Date(zonedTimeToUtc(y, mo, d + 1, 0, 0, timeZone).getTime() - 1);
+  const wallClock = (y, mo, d, h, mi, s = 0) => new Date(zonedTimeToUtc(y, mo, d, h, mi, timeZone).getTime() + s * 1000);
+  // RRULE basic format: 20261231, 20261231T235900 or 20261231T235900Z
+  const basic = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(str);
+  const local = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(str);
+  let date;
+  if (basic || local) {
+    const [, y, mo, d, h, mi, s, z] = (basic || local).map(part => (part === undefined || part === 'Z' ? part : Number(part)));
+    date = h === undefined
+      ? endOfDay(y, mo, d)
+      : z
+        ? new Date(Date.UTC(y, mo - 1, d, h, mi, s))
+        : wallClock(y, mo, d, h, mi, s || 0);
+  } else {
+    date = new Date(str);
+  }
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid recurrence end date "${value}"`);
+  }
+  return date.toISOString();
+}
+
+function parseCount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('Recurrence count must be a positive integer');
+  }
+  return count;
+}
+
+function parseByDay(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map((day) => {
+    const code = String(day).trim().toUpperCase().slice(0, 2);
+    if (!WEEKDAY_CODES.includes(code)) {
+      throw new Error(`Invalid BYDAY value "${day}" (use MO,TU,WE,TH,FR,SA,SU)`);
+    }
+    return code;
+  });
+}
+
+function buildRrule({ freq, interval, byDay, until, count }, timeZone = null) {
+  const normalizedFreq = String(freq || '').trim().toLowerCase();
+  if (!RRULE_FREQUENCIES.has(normalizedFreq)) {
+    throw new Error('Recurrence FREQ must be DAILY, WEEKLY or MONTHLY');
+  }
+  const normalizedInterval = interval === undefined || interval === null || interval === '' ? 1 : Number(interval);
+  if (!Number.isInteger(normalizedInterval) || normalizedInterval < 1) {
+    throw new Error('Recurrence INTERVAL must be a positive integer');
+  }
+  const days = parseByDay(byDay);
+  if (days.length > 0 && normalizedFreq !== 'weekly') {
+    throw new Error('BYDAY is only supported with FREQ=WEEKLY');
+  }
+  return {
+    type: 'rrule',
+    freq: normalizedFreq,
+    interval: normalizedInterval,
+    byDay: days,
+    until: parseUntil(until, timeZone),
+    count: parseCount(count)
+  };
+}
+
+/**
+ * Normalize a recurrence rule from CSV text or an API object.
+ * Accepts:
+ * - cron expression: "0 10 * * 1"
+ * - RRULE: "FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,TH;COUNT=6" or "RRULE:FREQ=DAILY;UNTIL=20261231"
+ * - shorthand: "daily", "weekly", "monthly"
+ * - object: { cron, until, count } or { freq, interval, byDay, until, count } (already-normalized rules pass through)
+ * @param {string|object|null} value
+ * @param {object} [opts]
+ * @param {string|null} [opts.timeZone] - The job's IANA zone; an UNTIL without a UTC offset ends on its wall clock.
+ *   null means machine-local time
+ * @returns {object|null} Normalized rule, or null when no recurrence is set
+ */
+function parseRecurrence(value, { timeZone = null } = {}) {
+  if (value === undefined || value === null || value === '' || value === false) return null;
+
+  if (typeof value === 'object') {
+    if (value.type === 'cron' || value.cron || value.expression) {
+      const expression = String(value.expression || value.cron).trim();
+      parseCronExpression(expression);
+      return { type: 'cron', expression, until: parseUntil(value.until, timeZone), count: parseCount(value.count) };
+    }
+    return buildRrule(value, timeZone);
+  }
+
+  const str = String(value).trim();
+  if (!str) return null;
+
+  if (RRULE_FREQUENCIES.has(str.toLowerCase())) {
+    return buildRrule({ freq: str }, timeZone);
+  }
+
+  const rruleText = str.replace(/^RRULE:/i, '');
+  if (/FREQ=/i.test(rruleText)) {
+    const parts = {};
+    for (const pair of rruleText.split(';')) {
+      if (!pair.trim()) continue;
+      const [key, ...rest] = pair.split('=');
+      parts[key.trim().toUpperCase()] = rest.join('=').trim();
+    }
+    return buildRrule({
+      freq: parts.FREQ,
+      interval: parts.INTERVAL,
+      byDay: parts.BYDAY,
+      until: parts.UNTIL,
+      count: parts.COUNT
+    }, timeZone);
+  }
+
+  parseCronExpression(str);
+  return { type: 'cron', expression: str, until: null, count: null };
+}
+
+/**
+ * Render a normalized rule back to the text form accepted by parseRecurrence.
+ * @param {object|null} recurrence
+ * @returns {string}
+ */
+function formatRecurrence(recurrence) {
+  if (!recurrence) return '';
+  if (recurrence.type === 'cron') return recurrence.expression;
+  const parts = [`FREQ=${recurrence.freq.toUpperCase()}`];
+  if (recurrence.interval > 1) parts.push(`INTERVAL=${recurrence.interval}`);
+  if (recurrence.byDay && recurrence.byDay.length) parts.push(`BYDAY=${recurrence.byDay.join(',')}`);
+  if (recurrence.count) parts.push(`COUNT=${recurrence.count}`);
+  if (recurrence.until) parts.push(`UNTIL=${recurrence.until.replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  return parts.join(';');
+}
+
+const civilDayNumber = civil => Math.floor(civil.getTime() / MS_PER_DAY);
+
+function civilMondayNumber(civil) {
+  return civilDayNumber(civil) - ((civil.getUTCDay() + 6) % 7);
+}
+
+/**
+ * Next RRULE occurrence after `afterDate`. Every occurrence keeps the anchor's wall-clock time in `timeZone`.
+ */
+function getNextRruleDate(rule, anchorDate, afterDate, timeZone = null) {
+  const afterMs = afterDate.getTime();
+  const anchor = toCivil(anchorDate, timeZone);
+  const at = (year, monthIndex, day) => fromCivil(
+    new Date(Date.UTC(year, monthIndex, day, anchor.getUTCHours(), anchor.getUTCMinutes())),
+    timeZone
+  );
+
+  if (rule.freq === 'daily' || (rule.freq === 'weekly' && rule.byDay.length === 0)) {
+    const stepDays = rule.freq === 'daily' ? rule.interval : rule.interval * 7;
+    // Jump close to the target, then walk forward by calendar days
+    let steps = Math.max(0, Math.floor((afterMs - anchorDate.getTime()) / (stepDays * MS_PER_DAY)) - 1);
+    let candidate = at(anchor.getUTCFullYear(), anchor.getUTCMonth(), anchor.getUTCDate() + steps * stepDays);
+    while (candidate.getTime() <= afterMs) {
+      steps++;
+      candidate = at(anchor.getUTCFullYear(), anchor.getUTCMonth(), anchor.getUTCDate() + steps * stepDays);
+    }
+    return candidate;
+  }
+
+  if (rule.freq === 'weekly') {
+    const anchorMonday = civilMondayNumber(anchor);
+    const day = toCivil(new Date(Math.max(afterMs, anchorDate.getTime())), timeZone);
+    day.setUTCHours(0, 0, 0, 0);
+    for (let i = 0; i <= rule.interval * 7 + 7; i++) {
+      const weeks = Math.round((civilMondayNumber(day) - anchorMonday) / 7);
+      if (weeks % rule.interval === 0 && rule.byDay.includes(WEEKDAY_CODES[day.getUTCDay()])) {
+        const candidate = at(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+        if (candidate.getTime() > afterMs) return candidate;
+      }
+      day.setUTCDate(day.getUTCDate() + 1);
+    }
+    return null;
+  }
+
+  // Monthly: same day of month as the anchor; months without that day are skipped (RFC 5545)
+  const anchorDay = anchor.getUTCDate();
+  const after = toCivil(afterDate, timeZone);
+  const monthsApart = (after.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + (after.getUTCMonth() - anchor.getUTCMonth());
+  let step = Math.max(0, Math.floor(monthsApart / rule.interval) - 1);
+  for (let i = 0; i < 48; i++, step++) {
+    const month = new Date(Date.UTC(anchor.getUTCFullYear(), anchor.getUTCMonth() + step * rule.interval, anchorDay));
+    if (month.getUTCDate() !== anchorDay) continue;
+    const candidate = at(month.getUTCFullYear(), month.getUTCMonth(), anchorDay);
+    if (candidate.getTime() > afterMs) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Compute the occurrence that follows `afterDate` for a recurring series.
+ * @param {object} recurrence - Normalized rule from parseRecurrence
+ * @param {object} opts
+ * @param {string|Date} opts.anchorAt - Scheduled time of the first occurrence in the series
+ * @param {string|Date} opts.afterDate - Scheduled time of the current occurrence
+ * @param {number} [opts.occurrence] - 1-based index of the current occurrence
+ * @param {string|null} [opts.timeZone] - The job's IANA zone; rules follow its wall clock across DST changes.
+ *   null means machine-local time
+ * @returns {Date|null} Next occurrence, or null when the series has ended
+ */
+function getNextOccurrence(recurrence, { anchorAt, afterDate, occurrence = 1, timeZone = null }) {
+  if (!recurrence) return null;
+  if (recurrence.count && occurrence >= recurrence.count) return null;
+
+  const after = new Date(afterDate);
+  const next = recurrence.type === 'cron'
+    ? getNextCronDate(recurrence.expression, after, timeZone)
+    : getNextRruleDate(recurrence, new Date(anchorAt || afterDate), after, timeZone);
+
+  if (!next) return null;
+  if (recurrence.until && next.getTime() > new Date(recurrence.until).getTime()) return null;
+  return next;
+}
+
+/**
+ * Find the first occurrence after `notBefore`, stepping over (and counting) the ones in between,
+ * so a series with COUNT still ends on the right occurrence when some were skipped.
+ * @param {object} recurrence
+ * @param {object} opts - Same as getNextOccurrence
+ * @param {string|Date} notBefore - Occurrences at or before this time are skipped
+ * @returns {{ at: Date, occurrence: number }|null} The occurrence and its 1-based index, or null when the series has ended
+ */
+function getNextPendingOccurrence(recurrence, { anchorAt, afterDate, occurrence = 1, timeZone = null }, notBefore) {
+  const cutoff = new Date(notBefore).getTime();
+  let current = afterDate;
+  let index = occurrence;
+  for (;;) {
+    const next = getNextOccurrence(recurrence, { anchorAt, afterDate: current, occurrence: index, timeZone });
+    if (!next) return null;
+    index++;
+    if (next.getTime() > cutoff) return { at: next, occurrence: index };
+    current = next;
+  }
+}
+
+/**
+ * List the next `limit` occurrences after the current one.
+ * @param {object} recurrence
+ * @param {object} opts - Same as getNextOccurrence
+ * @param {number} [limit=5]
+ * @returns {string[]} ISO timestamps
+ */
+function listUpcomingOccurrences(recurrence, { anchorAt, afterDate, occurrence = 1, timeZone = null }, limit = 5) {
+  const upcoming = [];
+  let current = afterDate;
+  let index = occurrence;
+  while (upcoming.length < limit) {
+    const next = getNextOccurrence(recurrence, { anchorAt, afterDate: current, occurrence: index, timeZone });
+    if (!next) break;
+    upcoming.push(next.toISOString());
+    current = next;
+    index++;
+  }
+  return upcoming;
+}
+
+module.exports = {
+  parseRecurrence,
+  formatRecurrence,
+  getNextOccurrence,
+  getNextPendingOccurrence,
+  listUpcomingOccurrences
+};
@@ -0,0 +1,93 @@
+/**
+ * Replies to our messages: group messages that quote one of them. Each scrape only sees the messages fetched
+ * with it, so replies are stored on the quoted message and merged across tracking cycles.
+ */
+const { percentile } = require('./read-receipts');
+
+/**
+ * @param {object} message - whatsapp-web.js Message
+ * @returns {string} Short ID of the quoted message, or '' if the message is not a reply
+ */
+function getQuotedMessageId(message) {
+  if (!message?.hasQuotedMsg) return '';
+  return message._data?.quotedMsg?.id || message._data?.quotedStanzaID || message.quotedMsg?.id || '';
+}
+
+/**
+ * Replies to one message among fetched chat messages.
+ * @param {object[]} messages - Fetched whatsapp-web.js Messages
+ * @param {object} target - The replied-to whatsapp-web.js Message
+ * @returns {Array<{ reply_id: string, author: string, text: string, replied_at: string, media_type: string|null }>}
+ *   media_type is the WhatsApp message type (image, ptt, sticker…) for anything but plain text
+ */
+function buildReplies(messages, target) {
+  const targetId = target.id.id || target.id._serialized;
+  return sortReplies(messages
+    .filter(message => getQuotedMessageId(message) === targetId)
+    .map(message => ({
+      reply_id: message.id?.id || message.id?._serialized,
+      author: message.author || message.from || '',
+      text: message.body || '',
+      replied_at: new Date(message.timestamp * 1000).toISOString(),
+      media_type: message.type && message.type !== 'chat' ? message.type : null
+    })));
+}
+
+/**
+ * Combine stored replies with a fresh scrape. Replies older than the fetched window are kept;
+ * a reply seen again takes the new copy, which has any edit to its text.
+ * @param {object[]} [existing]
+ * @param {object[]} [incoming]
+ * @returns {object[]}
+ */
+function mergeReplies(existing = [], incoming = []) {
+  const byId = new Map((existing || []).map(reply => [reply.reply_id, reply]));
+  for (const reply of incoming || []) byId.set(reply.reply_id, { ...byId.get(reply.reply_id), ...reply });
+  return sortReplies(Array.from(byId.values()));
+}
+
+function sortReplies(replies) {
+  return replies.sort((a, b) => a.replied_at.localeCompare(b.replied_at) || a.reply_id.localeCompare(b.reply_id));
+}
+
+function latencyStats(minutes) {
+  const sorted = minutes.filter(Number.isFinite).map(value => Math.max(0, value)).sort((a, b) => a - b);
+  const round = value => (value === null ? null : Math.round(value * 10) / 10);
+  return {
+    min: round(sorted.length ? sorted[0] : null),
+    median: round(percentile(sorted, 50)),
+    p90: round(percentile(sorted, 90)),
+    max: round(sorted.length ? sorted[sorted.length - 1] : null)
+  };
+}
+
+/**
+ * Reply counts and latency for one message.
+ * @param {object[]} replies
+ * @param {string} messageTimestamp - When the message was sent (ISO)
+ * @returns {{ count: number, repliers: number, firstReplyMinutes: number|null, latencyMinutes: object, mediaTypes: object }}
+ *   latencyMinutes is { min, median, p90, max } over all replies, in minutes from the send
+ */
+function summarizeReplies(replies = [], messageTimestamp) {
+  const sentMs = new Date(messageTimestamp).getTime();
+  const latency = latencyStats(replies.map(reply => (new Date(reply.replied_at).getTime() - sentMs) / 60000));
+  const mediaTypes = {};
+  for (const reply of replies) {
+    if (reply.media_type) mediaTypes[reply.media_type] = (mediaTypes[reply.media_type] || 0) + 1;
+  }
+  return {
+    count: replies.length,
+    repliers: new Set(replies.map(reply => reply.author).filter(Boolean)).size,
+    firstReplyMinutes: latency.min,
+    latencyMinutes: latency,
+    mediaTypes
+  };
+}
+
+module.exports = {
+  getQuotedMessageId,
+  buildReplies,
+  mergeReplies,
+  summarizeReplies,
+  latencyStats
+};
@@ -5,6 +5,9 @@ const fs = require('fs');
 const { loadJsonConfig } = require('./config-loader');
 const { getDelayMsForMessageAge, getMessageAgeInHours } = require('./delay-util');
 const { SCRAPER_CONFIG_PATH, GROUPS_CONFIG_PATH } = require('./constants');
+const { buildReaders } = require('./read-receipts');
+const { normalizeReactions } = require('./reactions');
+const { buildReplies } = require('./reply-threads');
 
 const VPS_BASE_URL = process.env.VPS_BASE_URL || 'https://group-iq.com';
 const allowInsecureSSL = process.env.ALLOW_INSECURE_SSL === 'true';
@@ -255,10 +258,13 @@ class ScraperService {
           // Count seen/read receipts (use read, not delivery)
           // Read receipts indicate the message was actually read/seen
           const seenCount = messageInfo?.read?.length || 0;
+          // Who read it and when; merged with earlier scrapes by the local data store
+          const readers = buildReaders(messageInfo);
 
           // Get reactions - try multiple methods
           let reactionsCount = 0;
           let reactionsData = [];
+          let reactionsFailed = false;
 
           try {
             // Method 1: Try getReactions() method
@@ -341,23 +347,20 @@ class ScraperService {
               });
             }
           } catch (e) {
+            reactionsFailed = true;
             logger.warn('Error getting reactions', {
               messageId: msg.id.id,
               error: e.message
             });
           }
+          // Who reacted with what; replaces the stored list since reactions can be changed or removed.
+          // null when reading them failed, so the stored list is kept
+          const reactions = reactionsFailed ? null : normalizeReactions(reactionsData);
 
-          // Count replies (messages that quote this message)
-          // Need to match both the message ID and check if it's actually a reply
-          const repliesCount = messages.filter(m => {
-            if (!m.hasQuotedMsg) return false;
-
-            // Try multiple ways to match the quoted message ID
-            const quotedId = m._data?.quotedMsg?.id || m._data?.quotedStanzaID || m.quotedMsg?.id;
-            const thisMessageId = msg.id.id || msg.id._serialized;
-
-            return quotedId === thisMessageId;
-          }).length;
+          // Replies (messages that quote this message) among the fetched messages; the local data store
+          // merges them with replies from earlier scrapes
+          const replies = buildReplies(messages, msg);
+          const repliesCount = replies.length;
 
           logger.debug('Engagement metrics extracted', {
             messageId: msg.id.id,
@@ -396,15 +399,7 @@ class ScraperService {
           });
 
           // Add users who replied
-          const replierIds = messages
-            .filter(m => {
-              if (!m.hasQuotedMsg) return false;
-              const quotedId = m._data?.quotedMsg?.id || m._data?.quotedStanzaID || m.quotedMsg?.id;
-              const thisMessageId = msg.id.id || msg.id._serialized;
-              return quotedId === thisMessageId;
-            })
-            .map(m => m.author || m.from)
-            .filter(Boolean);
+          const replierIds = replies.map(reply => reply.author).filter(Boolean);
 
           replierIds.forEach(userId => {
             uniqueEngagedUsers.add(userId);
@@ -439,7 +434,10 @@ class ScraperService {
             total_members: totalMembers,
             reactions_count: reactionsCount,
             replies_count: repliesCount,
-            engagement_rate: parseFloat(engagementRate)
+            engagement_rate: parseFloat(engagementRate),
+            readers,
+            reactions,
+            replies
           };
         } catch (msgError) {
           logger.error('Error processing message', {
@@ -482,10 +480,13 @@ class ScraperService {
   async syncMessagesToVPS(messages, token) {
     try {
       logger.info('Syncing messages to VPS', { count: messages.length });
+      // Per-reader receipts, reactors and reply threads (member phone numbers and texts) stay on this machine;
+      // the VPS gets the counts
+      const payload = messages.map(({ readers, reactions, replies, ...message }) => message);
       const response = await this._fetchVPS(`${this.vpsApiUrl}/messages/bulk`, {
         method: 'POST',
         headers: { 'Authorization': `Bearer ${token}` },
-        body: JSON.stringify({ messages })
+        body: JSON.stringify({ messages: payload })
       });
 
       const result = await response.json();
@@ -870,10 +871,12 @@ class ScraperService {
       }
 
       const seenCount = messageInfo?.read?.length || 0;
+      const readers = buildReaders(messageInfo);
 
       // Get reactions - try multiple methods
       let reactionsCount = 0;
       let reactionsData = [];
+      let reactionsFailed = false;
 
       try {
         if (typeof targetMessage.getReactions === 'function') {
@@ -913,16 +916,14 @@ class ScraperService {
           reactionsCount = totalReactions;
         }
       } catch (e) {
+        reactionsFailed = true;
         logger.warn('Error getting reactions during refresh', { error: e.message });
       }
+      const reactions = reactionsFailed ? null : normalizeReactions(reactionsData);
 
-      // Count replies
-      const repliesCount = messages.filter(m => {
-        if (!m.hasQuotedMsg) return false;
-        const quotedId = m._data?.quotedMsg?.id || m._data?.quotedStanzaID || m.quotedMsg?.id;
-        const thisMessageId = targetMessage.id.id || targetMessage.id._serialized;
-        return quotedId === thisMessageId;
-      }).length;
+      // Replies among the fetched messages; merged with earlier cycles by the local data store
+      const replies = buildReplies(messages, targetMessage);
+      const repliesCount = replies.length;
 
       // Calculate engagement rate using UNIQUE USERS (Option B)
       const uniqueEngagedUsers = new Set();
@@ -952,15 +953,7 @@ class ScraperService {
       });
 
       // Add users who replied
-      const replierIds = messages
-        .filter(m => {
-          if (!m.hasQuotedMsg) return false;
-          const quotedId = m._data?.quotedMsg?.id || m._data?.quotedStanzaID || m.quotedMsg?.id;
-          const thisMessageId = targetMessage.id.id || targetMessage.id._serialized;
-          return quotedId === thisMessageId;
-        })
-        .map(m => m.author || m.from)
-        .filter(Boolean);
+      const replierIds = replies.map(reply => reply.author).filter(Boolean);
 
       replierIds.forEach(userId => {
         uniqueEngagedUsers.add(userId);
@@ -996,6 +989,9 @@ class ScraperService {
         reactions_count: reactionsCount,
         replies_count: repliesCount,
         engagement_rate: parseFloat(engagementRate),
+        readers,
+        reactions,
+        replies,
         updated_at: new Date().toISOString()
       };
 
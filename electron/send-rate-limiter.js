@@ -0,0 +1,96 @@
+const { MS_PER_DAY } = require('./constants');
+
+/** Limit windows, smallest first */
+const RATE_WINDOWS = [
+  { key: 'perMinute', ms: 60 * 1000, label: 'minute' },
+  { key: 'perHour', ms: 60 * 60 * 1000, label: 'hour' },
+  { key: 'perDay', ms: MS_PER_DAY, label: 'day' }
+];
+
+const MAX_LIMIT_VALUE = 100000;
+
+/** 0 means unlimited */
+const DEFAULT_RATE_LIMITS = {
+  global: { perMinute: 0, perHour: 0, perDay: 0 },
+  perGroup: { perMinute: 0, perHour: 0, perDay: 0 }
+};
+
+/**
+ * Validate and fill a rate-limit settings object. Missing values keep `current` (or 0 = unlimited).
+ * @param {object} input - { global: { perMinute, perHour, perDay }, perGroup: { ... } }
+ * @param {object} [current]
+ * @returns {object}
+ */
+function normalizeRateLimits(input = {}, current = DEFAULT_RATE_LIMITS) {
+  const result = {};
+  for (const scope of ['global', 'perGroup']) {
+    result[scope] = {};
+    for (const { key } of RATE_WINDOWS) {
+      const raw = input?.[scope]?.[key];
+      if (raw === undefined || raw === null || raw === '') {
+        result[scope][key] = Number(current?.[scope]?.[key]) || 0;
+        continue;
+      }
+      const value = Number(raw);
+      if (!Number.isInteger(value) || value < 0 || value > MAX_LIMIT_VALUE) {
+        throw new Error(`rateLimits.${scope}.${key} must be a whole number between 0 and ${MAX_LIMIT_VALUE} (0 = unlimited)`);
+      }
+      result[scope][key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Drop send-log entries older than the largest window.
+ * @param {Array<{ at: string, group: string }>} sendLog
+ * @param {number} [nowMs]
+ * @returns {Array}
+ */
+function pruneSendLog(sendLog, nowMs = Date.now()) {
+  const cutoff = nowMs - RATE_WINDOWS[RATE_WINDOWS.length - 1].ms;
+  return sendLog.filter(entry => new Date(entry.at).getTime() > cutoff);
+}
+
+/**
+ * Check whether one more send is allowed. Limits are rolling: at most N sends in any minute/hour/day.
+ * @param {object} opts
+ * @param {Array<{ at: string, group: string }>} opts.sendLog - Recent successful sends and reserved slots
+ * @param {object} opts.rateLimits - Normalized limits
+ * @param {string} opts.groupKey - Target group key for per-group limits
+ * @param {number} [opts.nowMs]
+ * @returns {{ reason: string, retryAt: Date }|null} null when the send may go ahead
+ */
+function checkRateLimit({ sendLog, rateLimits, groupKey, nowMs = Date.now() }) {
+  let blocked = null;
+  const scopes = [
+    { name: 'Global', limits: rateLimits?.global, entries: sendLog },
+    { name: 'Per-group', limits: rateLimits?.perGroup, entries: sendLog.filter(entry => entry.group === groupKey) }
+  ];
+
+  for (const scope of scopes) {
+    for (const window of RATE_WINDOWS) {
+      const limit = Number(scope.limits?.[window.key]) || 0;
+      if (limit <= 0) continue;
+      const times = scope.entries
+        .map(entry => new Date(entry.at).getTime())
+        .filter(ms => ms > nowMs - window.ms)
+        .sort((a, b) => a - b);
+      if (times.length < limit) continue;
+      // The window frees a slot once enough of the oldest sends in it have aged out
+      const retryAt = new Date(times[times.length - limit] + window.ms);
+      if (!blocked || retryAt > blocked.retryAt) {
+        blocked = { reason: `${scope.name} limit of ${limit} per ${window.label} reached`, retryAt };
+      }
+    }
+  }
+  return blocked;
+}
+
+module.exports = {
+  RATE_WINDOWS,
+  DEFAULT_RATE_LIMITS,
+  normalizeRateLimits,
+  pruneSendLog,
+  checkRateLimit
+};
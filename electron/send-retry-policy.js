@@ -0,0 +1,83 @@
+/** Applied to new jobs unless a row or the settings override it */
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelaySeconds: 60,
+  backoffMultiplier: 2,
+  maxDelayMinutes: 30
+};
+
+/**
+ * Errors that will fail the same way on every attempt. Anything else (client not ready,
+ * puppeteer/protocol errors, timeouts) is treated as transient and retried.
+ */
+const PERMANENT_ERROR_PATTERNS = [
+  /target group not found/i,
+  /messageText or media is required/i,
+  /invalid media/i,
+  /media file missing/i,
+  /payload is invalid/i,
+  /poll question/i,
+  /mention cap exceeded/i,
+  /template not found/i,
+  /unknown template variable/i,
+  /no allowed send time/i,
+  /job disabled/i
+];
+
+const LIMITS = {
+  maxAttempts: [1, 20],
+  baseDelaySeconds: [1, 24 * 60 * 60],
+  backoffMultiplier: [1, 10],
+  maxDelayMinutes: [1, 7 * 24 * 60]
+};
+
+/**
+ * Validate a retry policy; missing fields come from `base`.
+ * @param {object} input - { maxAttempts, baseDelaySeconds, backoffMultiplier, maxDelayMinutes }
+ * @param {object} [base]
+ * @returns {object}
+ */
+function normalizeRetryPolicy(input = {}, base = DEFAULT_RETRY_POLICY) {
+  const policy = {};
+  for (const [key, [min, max]] of Object.entries(LIMITS)) {
+    const raw = input?.[key];
+    if (raw === undefined || raw === null || raw === '') {
+      policy[key] = base?.[key] ?? DEFAULT_RETRY_POLICY[key];
+      continue;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || value > max || (key === 'maxAttempts' && !Number.isInteger(value))) {
+      throw new Error(`retryPolicy.${key} must be a number between ${min} and ${max}`);
+    }
+    policy[key] = value;
+  }
+  return policy;
+}
+
+/**
+ * @param {string} message - Send error message
+ * @returns {'permanent'|'retryable'}
+ */
+function classifySendError(message) {
+  const text = String(message || '');
+  return PERMANENT_ERROR_PATTERNS.some(pattern => pattern.test(text)) ? 'permanent' : 'retryable';
+}
+
+/**
+ * Exponential backoff: base * multiplier^(attempt - 1), capped at maxDelayMinutes.
+ * @param {object} policy
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @returns {number} Delay in ms before the next attempt
+ */
+function getRetryDelayMs(policy, attempt) {
+  const baseMs = policy.baseDelaySeconds * 1000;
+  const delayMs = baseMs * Math.pow(policy.backoffMultiplier, Math.max(0, attempt - 1));
+  return Math.round(Math.min(delayMs, policy.maxDelayMinutes * 60 * 1000));
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  normalizeRetryPolicy,
+  classifySendError,
+  getRetryDelayMs
+};
@@ -0,0 +1,235 @@
+const { MS_PER_DAY } = require('./constants');
+const { getZonedParts, zonedTimeToUtc } = require('./timezone-util');
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MINUTES_PER_DAY = 24 * 60;
+
+/** How far ahead to look for an allowed slot; weekly windows repeat within this */
+const LOOKAHEAD_DAYS = 8;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Parse "HH:mm" to minutes since midnight.
+ * @param {string} value
+ * @param {string} label - Field name for the error message
+ * @returns {number}
+ */
+function parseClock(value, label) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`${label} must be a time in HH:mm format`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function formatClock(minutes) {
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+/**
+ * Parse weekday names/codes/numbers (0 = Sunday) into sorted day numbers.
+ * @param {Array<string|number>|string} days
+ * @returns {number[]}
+ */
+function parseDays(days, label) {
+  const list = Array.isArray(days) ? days : String(days || '').split(',');
+  const result = new Set();
+  for (const raw of list) {
+    const value = String(raw).trim();
+    if (!value) continue;
+    if (/^[0-6]$/.test(value)) {
+      result.add(Number(value));
+      continue;
+    }
+    const index = DAY_CODES.indexOf(value.slice(0, 2).toUpperCase());
+    if (index === -1) throw new Error(`${label} has an unknown weekday "${value}"`);
+    result.add(index);
+  }
+  if (result.size === 0) throw new Error(`${label} needs at least one weekday`);
+  return [...result].sort((a, b) => a - b);
+}
+
+/**
+ * Validate quiet hours. Empty/null disables them. A start after end wraps past midnight (22:00–08:00).
+ * @param {object|null} input - { start: 'HH:mm', end: 'HH:mm' }
+ * @returns {{ start: string, end: string }|null}
+ */
+function normalizeQuietHours(input) {
+  if (!input || (!input.start && !input.end)) return null;
+  const start = parseClock(input.start, 'quietHours.start');
+  const end = parseClock(input.end, 'quietHours.end');
+  if (start === end) throw new Error('quietHours.start and quietHours.end must differ');
+  return { start: formatClock(start), end: formatClock(end) };
+}
+
+/**
+ * Validate per-group allowed windows, keyed by group JID or name.
+ * @param {object} input - { [groupJidOrName]: [{ days: ['MO', ...], start: 'HH:mm', end: 'HH:mm' }] }
+ * @returns {object}
+ */
+function normalizeGroupSendWindows(input) {
+  if (!input) return {};
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('groupSendWindows must be an object keyed by group JID or name');
+  }
+  const result = {};
+  for (const [key, windows] of Object.entries(input)) {
+    const groupKey = String(key).trim();
+    if (!groupKey) continue;
+    const list = Array.isArray(windows) ? windows : [windows];
+    if (list.length === 0) continue;
+    result[groupKey] = list.map((window, index) => {
+      const label = `groupSendWindows["${groupKey}"][${index}]`;
+      const start = parseClock(window?.start, `${label}.start`);
+      const end = parseClock(window?.end, `${label}.end`);
+      if (start === end) throw new Error(`${label} start and end must differ`);
+      const days = window?.days === undefined ? [0, 1, 2, 3, 4, 5, 6] : parseDays(window.days, label);
+      return { days: days.map(day => DAY_CODES[day]), start: formatClock(start), end: formatClock(end) };
+    });
+  }
+  return result;
+}
+
+/**
+ * Pick the send rules that apply to a job. Clock times are read in the job's timezone.
+ * @param {object} settings - Queue settings with quietHours and groupSendWindows
+ * @param {{ groupJid?: string, groupName?: string, resolvedGroup?: object, timeZone?: string }} job
+ * @returns {{ quietHours: object|null, windows: object[]|null, timeZone: string|null }}
+ */
+function getSendRules(settings, job = {}) {
+  const windowsByGroup = settings?.groupSendWindows || {};
+  const candidates = [job.groupJid, job.resolvedGroup?.id, job.groupName, job.resolvedGroup?.name]
+    .filter(Boolean)
+    .map(value => String(value).trim().toLowerCase());
+  let windows = null;
+  for (const [key, list] of Object.entries(windowsByGroup)) {
+    if (candidates.includes(key.toLowerCase())) {
+      windows = list;
+      break;
+    }
+  }
+  return { quietHours: settings?.quietHours || null, windows, timeZone: job.timeZone || null };
+}
+
+function hasRules(rules) {
+  return Boolean(rules && (rules.quietHours || (rules.windows && rules.windows.length)));
+}
+
+/**
+ * Is a send allowed at this instant (in the rules' timezone, else local time)?
+ * @param {Date} date
+ * @param {{ quietHours: object|null, windows: object[]|null, timeZone?: string|null }} rules
+ * @returns {boolean}
+ */
+function isSendAllowed(date, rules) {
+  if (!hasRules(rules)) return true;
+  const parts = getZonedParts(date, rules.timeZone);
+  const minutes = parts.hour * 60 + parts.minute + parts.second / 60 + date.getMilliseconds() / 60000;
+  const day = parts.weekday;
+
+  if (rules.quietHours) {
+    const start = parseClock(rules.quietHours.start, 'quietHours.start');
+    const end = parseClock(rules.quietHours.end, 'quietHours.end');
+    const quiet = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+    if (quiet) return false;
+  }
+
+  if (rules.windows && rules.windows.length) {
+    return rules.windows.some((window) => {
+      const days = window.days.map(code => DAY_CODES.indexOf(code));
+      const start = parseClock(window.start, 'start');
+      const end = parseClock(window.end, 'end');
+      if (start < end) return days.includes(day) && minutes >= start && minutes < end;
+      // Overnight window: the tail belongs to the day it started on
+      return (days.includes(day) && minutes >= start) || (days.includes((day + 6) % 7) && minutes < end);
+    });
+  }
+  return true;
+}
+
+/**
+ * Split [from, to) into the sub-intervals where sends are allowed.
+ * Allowed-ness only changes at quiet-hour and window boundaries, so each segment between
+ * consecutive boundaries is tested once at its start.
+ * @param {Date} from
+ * @param {Date} to
+ * @param {object} rules
+ * @returns {Array<{ start: Date, end: Date }>}
+ */
+function getAllowedIntervals(from, to, rules) {
+  const fromMs = from.getTime();
+  const toMs = to.getTime();
+  if (!(toMs > fromMs)) return [];
+  if (!hasRules(rules)) return [{ start: new Date(fromMs), end: new Date(toMs) }];
+
+  const clockPoints = new Set([0]);
+  if (rules.quietHours) {
+    clockPoints.add(parseClock(rules.quietHours.start, 'quietHours.start'));
+    clockPoints.add(parseClock(rules.quietHours.end, 'quietHours.end'));
+  }
+  for (const window of rules.windows || []) {
+    clockPoints.add(parseClock(window.start, 'start'));
+    clockPoints.add(parseClock(window.end, 'end'));
+  }
+
+  const boundaries = new Set([fromMs, toMs]);
+  const timeZone = rules.timeZone || null;
+  const first = getZonedParts(from, timeZone);
+  for (let offset = 0; zonedTimeToUtc(first.year, first.month, first.day + offset, 0, 0, timeZone).getTime() <= toMs; offset++) {
+    for (const minutes of clockPoints) {
+      const point = zonedTimeToUtc(first.year, first.month, first.day + offset, 0, minutes, timeZone).getTime();
+      if (point > fromMs && point < toMs) boundaries.add(point);
+    }
+  }
+
+  const sorted = [...boundaries].sort((a, b) => a - b);
+  const intervals = [];
+  for (let i = 0; i < sorted.length - 1; i++) {
+    if (!isSendAllowed(new Date(sorted[i]), rules)) continue;
+    const last = intervals[intervals.length - 1];
+    if (last && last.end.getTime() === sorted[i]) {
+      last.end = new Date(sorted[i + 1]);
+    } else {
+      intervals.push({ start: new Date(sorted[i]), end: new Date(sorted[i + 1]) });
+    }
+  }
+  return intervals;
+}
+
+/**
+ * Earliest allowed send time at or after `date`.
+ * @param {Date} date
+ * @param {object} rules
+ * @returns {Date|null} null if nothing is allowed within the lookahead (e.g. windows fully inside quiet hours)
+ */
+function getNextAllowedTime(date, rules) {
+  if (isSendAllowed(date, rules)) return new Date(date.getTime());
+  const [first] = getAllowedIntervals(date, new Date(date.getTime() + LOOKAHEAD_DAYS * MS_PER_DAY), rules);
+  return first ? first.start : null;
+}
+
+/**
+ * Short human description of why a time is blocked, for status reasons.
+ * @param {object} rules
+ * @returns {string}
+ */
+function describeRules(rules) {
+  const parts = [];
+  if (rules?.quietHours) parts.push(`quiet hours ${rules.quietHours.start}–${rules.quietHours.end}`);
+  if (rules?.windows && rules.windows.length) {
+    parts.push(`group window ${rules.windows.map(w => `${w.days.join(',')} ${w.start}–${w.end}`).join('; ')}`);
+  }
+  const text = parts.join(' / ');
+  return text && rules.timeZone ? `${text}, ${rules.timeZone} time` : text;
+}
+
+module.exports = {
+  normalizeQuietHours,
+  normalizeGroupSendWindows,
+  getSendRules,
+  isSendAllowed,
+  getAllowedIntervals,
+  getNextAllowedTime,
+  describeRules
+};
@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const { loadJsonConfig } = require('./config-loader');
+const { GROUPS_CONFIG_PATH } = require('./constants');
+const { MENTION_ALL_TOKEN } = require('./mention-util');
+const { isValidTimeZone, getZonedParts } = require('./timezone-util');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Does the text contain any {{placeholder}}?
+ * @param {string} text
+ * @returns {boolean}
+ */
+function hasPlaceholders(text) {
+  return /\{\{\s*[a-zA-Z0-9_]+\s*\}\}/.test(String(text || ''));
+}
+
+/**
+ * Replace {{name}} placeholders (case-insensitive) with values from the variables map.
+ * Unknown placeholders are left in place and reported in `missing`.
+ * @param {string} text
+ * @param {object} variables
+ * @returns {{ text: string, missing: string[] }}
+ */
+function renderTemplate(text, variables = {}) {
+  const lookup = {};
+  for (const [key, value] of Object.entries(variables)) {
+    lookup[key.toLowerCase()] = value;
+  }
+  const missing = new Set();
+  const rendered = String(text || '').replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const value = lookup[name.toLowerCase()];
+    if (value === undefined || value === null) {
+      missing.add(name);
+      return match;
+    }
+    return String(value);
+  });
+  return { text: rendered, missing: [...missing] };
+}
+
+/**
+ * Template Store
+ * Named message bodies with {{placeholders}}, persisted to <dataDir>/message-templates.json.
+ * Per-group custom variables live on each group in groups-config.json under `variables`.
+ */
+class TemplateStore {
+  constructor(dataDir, logger = console, groupsConfigPath = GROUPS_CONFIG_PATH) {
+    this.logger = logger;
+    this.dataDir = dataDir;
+    this.indexPath = path.join(dataDir, 'message-templates.json');
+    this.groupsConfigPath = groupsConfigPath;
+    this.nextId = 1;
+    this.templates = [];
+    this.load();
+  }
+
+  /**
+   * Load templates from disk
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.indexPath)) {
+        const parsed = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+        this.templates = Array.isArray(parsed.templates) ? parsed.templates : [];
+        this.nextId = Number(parsed.nextId) || this.templates.length + 1;
+      }
+    } catch (error) {
+      this.logger.error('Failed to load message templates', { error: error.message });
+      this.templates = [];
+    }
+  }
+
+  /**
+   * Persist templates to disk
+   */
+  save() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+    fs.writeFileSync(this.indexPath, JSON.stringify({ nextId: this.nextId, templates: this.templates }, null, 2), 'utf8');
+  }
+
+  list() {
+    return this.templates.slice();
+  }
+
+  getById(templateId) {
+    return this.templates.find(template => String(template.id) === String(templateId));
+  }
+
+  /**
+   * Find a template by ID or (case-insensitive) name.
+   * @param {string|number} ref
+   * @returns {object|undefined}
+   */
+  find(ref) {
+    const value = String(ref ?? '').trim();
+    if (!value) return undefined;
+    return this.getById(value) ||
+      this.templates.find(template => template.name.toLowerCase() === value.toLowerCase());
+  }
+
+  /**
+   * Resolve a CSV/API template reference to a template ID.
+   * @param {string|number|null} ref
+   * @returns {number|null}
+   */
+  resolveReference(ref) {
+    if (ref === undefined || ref === null || String(ref).trim() === '') return null;
+    const template = this.find(ref);
+    if (!template) throw new Error(`template "${ref}" is not a template ID or name`);
+    return template.id;
+  }
+
+  /**
+   * Create or update a template.
+   * @param {object} input - { id?, name, body }
+   * @returns {object} Saved template
+   */
+  upsert({ id, name, body } = {}) {
+    const templateName = String(name || '').trim();
+    const templateBody = String(body || '').trim();
+    if (!templateName) throw new Error('Template name is required');
+    if (!templateBody) throw new Error('Template body is required');
+
+    const clash = this.templates.find(template =>
+      template.name.toLowerCase() === templateName.toLowerCase() && String(template.id) !== String(id));
+    if (clash) throw new Error(`A template named "${templateName}" already exists`);
+
+    const now = new Date().toISOString();
+    if (id !== undefined && id !== null && id !== '') {
+      const existing = this.getById(id);
+      if (!existing) throw new Error('Template not found');
+      existing.name = templateName;
+      existing.body = templateBody;
+      existing.updatedAt = now;
+      this.save();
+      return existing;
+    }
+
+    const template = { id: this.nextId++, name: templateName, body: templateBody, createdAt: now, updatedAt: now };
+    this.templates.push(template);
+    this.save();
+    return template;
+  }
+
+  /**
+   * Delete a template.
+   * @param {string|number} templateId
+   * @returns {boolean} true if a template was removed
+   */
+  remove(templateId) {
+    const template = this.getById(templateId);
+    if (!template) return false;
+    this.templates = this.templates.filter(item => item !== template);
+    this.save();
+    return true;
+  }
+
+  /**
+   * A group's entry in groups-config.json, matched by `jid` or (case-insensitive) `name`.
+   * @param {{ groupJid?: string, groupName?: string }} target
+   * @returns {object|null}
+   */
+  getGroupConfig({ groupJid, groupName } = {}) {
+    const config = loadJsonConfig(this.groupsConfigPath, { groups: [] });
+    const groups = Array.isArray(config.groups) ? config.groups : [];
+    const name = String(groupName || '').trim().toLowerCase();
+    return groups.find(entry => groupJid && entry.jid === groupJid) ||
+      groups.find(entry => name && String(entry.name || '').trim().toLowerCase() === name) ||
+      null;
+  }
+
+  /**
+   * Custom variables for a group from groups-config.json.
+   * @param {{ groupJid?: string, groupName?: string }} target
+   * @returns {object}
+   */
+  getGroupVariables(target = {}) {
+    const group = this.getGroupConfig(target);
+    return group && group.variables && typeof group.variables === 'object' ? group.variables : {};
+  }
+
+  /**
+   * A group's IANA `timezone` from groups-config.json. Invalid zones are ignored (machine time).
+   * @param {{ groupJid?: string, groupName?: string }} target
+   * @returns {string|null}
+   */
+  getGroupTimeZone(target = {}) {
+    const zone = this.getGroupConfig(target)?.timezone;
+    return isValidTimeZone(zone) ? zone : null;
+  }
+
+  /**
+   * Built-in plus per-group variables for one target at a given send time.
+   * Built-ins: group_name, group_jid, date (YYYY-MM-DD), time (HH:mm), weekday — in the job's timezone,
+   * else the group's.
+   * mention_all renders to itself; the WhatsApp client expands it from the group's participants.
+   * @param {{ groupJid?: string, groupName?: string, at?: Date|string, timeZone?: string|null }} target
+   * @returns {object}
+   */
+  buildVariables({ groupJid, groupName, at, timeZone } = {}) {
+    const zone = isValidTimeZone(timeZone) ? timeZone : this.getGroupTimeZone({ groupJid, groupName });
+    const when = getZonedParts(at ? new Date(at) : new Date(), zone);
+    return {
+      ...this.getGroupVariables({ groupJid, groupName }),
+      group_name: groupName || '',
+      group_jid: groupJid || '',
+      date: `${when.year}-${pad(when.month)}-${pad(when.day)}`,
+      time: `${pad(when.hour)}:${pad(when.minute)}`,
+      weekday: WEEKDAY_NAMES[when.weekday],
+      mention_all: MENTION_ALL_TOKEN
+    };
+  }
+}
+
+module.exports = TemplateStore;
+module.exports.renderTemplate = renderTemplate;
+module.exports.hasPlaceholders = hasPlaceholders;
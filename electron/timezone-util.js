@@ -0,0 +1,174 @@
+/**
+ * IANA timezone helpers built on Intl, so jobs can be scheduled in a group's own wall-clock time.
+ * A null/empty zone means the machine's local time everywhere below.
+ */
+
+const { MS_PER_DAY } = require('./constants');
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  let formatter = formatterCache.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    });
+    formatterCache.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * @param {string} timeZone
+ * @returns {boolean} Whether Intl knows the zone (e.g. "Europe/Berlin")
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate an optional zone. Blank means machine-local time.
+ * @param {string|null|undefined} value
+ * @param {string} [label]
+ * @returns {string|null} The zone name, or null
+ */
+function normalizeTimeZone(value, label = 'timezone') {
+  if (value === undefined || value === null) return null;
+  const zone = String(value).trim();
+  if (!zone) return null;
+  if (!isValidTimeZone(zone)) {
+    throw new Error(`${label} "${zone}" is not an IANA timezone (e.g. Europe/Berlin, America/New_York)`);
+  }
+  return zone;
+}
+
+/**
+ * Wall-clock parts of an instant in a zone.
+ * @param {Date} date
+ * @param {string|null} timeZone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number }}
+ *   month is 1-12, weekday is 0 (Sunday) to 6
+ */
+function getZonedParts(date, timeZone) {
+  if (!timeZone) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds(),
+      weekday: date.getDay()
+    };
+  }
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) parts[type] = value;
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+function getOffsetMs(utcMs, timeZone) {
+  const p = getZonedParts(new Date(utcMs), timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - (utcMs - (utcMs % 1000));
+}
+
+/**
+ * The instant a wall-clock time happens in a zone. Out-of-range fields roll over like the Date constructor.
+ * Times skipped by a DST jump move forward by the gap; repeated times resolve to the first occurrence.
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @param {number} [hour]
+ * @param {number} [minute]
+ * @param {string|null} [timeZone]
+ * @returns {Date}
+ */
+function zonedTimeToUtc(year, month, day, hour = 0, minute = 0, timeZone = null) {
+  if (!timeZone) return new Date(year, month - 1, day, hour, minute);
+  const wallMs = Date.UTC(year, month - 1, day, hour, minute);
+  // Offsets a day either side cover any single DST transition near this wall time
+  const offsets = [...new Set([getOffsetMs(wallMs - MS_PER_DAY, timeZone), getOffsetMs(wallMs + MS_PER_DAY, timeZone)])];
+  const matches = offsets
+    .map(offset => wallMs - offset)
+    .filter(utcMs => getOffsetMs(utcMs, timeZone) === wallMs - utcMs);
+  if (matches.length > 0) return new Date(Math.min(...matches));
+  return new Date(wallMs - Math.min(...offsets));
+}
+
+/**
+ * The zone's UTC offset changes (DST starts and ends) during one calendar year, found to the minute.
+ * @param {number} year
+ * @param {string} timeZone
+ * @returns {Array<{ at: Date, offsetFromMinutes: number, offsetToMinutes: number }>} In time order; empty for zones without DST
+ */
+function getOffsetTransitions(year, timeZone) {
+  const transitions = [];
+  const end = Date.UTC(year + 1, 0, 1);
+  let from = Date.UTC(year, 0, 1);
+  let fromOffset = getOffsetMs(from, timeZone);
+  while (from < end) {
+    const to = Math.min(from + MS_PER_DAY, end);
+    const toOffset = getOffsetMs(to, timeZone);
+    if (toOffset !== fromOffset) {
+      // The old offset holds at lo and the new one at hi; narrow down to the first minute of the new one
+      let lo = from / 60000;
+      let hi = to / 60000;
+      while (hi - lo > 1) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (getOffsetMs(mid * 60000, timeZone) === fromOffset) lo = mid;
+        else hi = mid;
+      }
+      transitions.push({ at: new Date(hi * 60000), offsetFromMinutes: fromOffset / 60000, offsetToMinutes: toOffset / 60000 });
+    }
+    from = to;
+    fromOffset = toOffset;
+  }
+  return transitions;
+}
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * Format an instant as "YYYY-MM-DD HH:mm" in a zone.
+ * @param {Date|string|number} value
+ * @param {string|null} timeZone
+ * @returns {string}
+ */
+function formatInTimeZone(value, timeZone) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+module.exports = {
+  isValidTimeZone,
+  normalizeTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  getOffsetTransitions,
+  formatInTimeZone
+};
@@ -2,7 +2,9 @@ const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const { spawn } = require('child_process');
-const { MessageMedia } = require('whatsapp-web.js');
+const { MessageMedia, Poll, Location } = require('whatsapp-web.js');
+const { STRUCTURED_TYPES, buildVCard } = require('./message-payload');
+const { hasMentionAll, isContactJid, buildMentionText } = require('./mention-util');
 const whatsappClient = require('../src/config/whatsapp');
 const logger = require('../src/utils/logger');
 const EventEmitter = require('events');
@@ -505,12 +507,22 @@ class WhatsAppManager extends EventEmitter {
 
   /**
    * Resolve a target group by jid first, then by exact name match.
+   * A contact JID (123@c.us, 123@lid) resolves to that member's own chat.
    */
   async resolveGroupTarget({ groupJid, groupName }) {
     if (!this.client || this.status !== 'ready') {
       throw new Error('WhatsApp client not ready');
     }
 
+    // Follow-ups to individual members go to their own chat, addressed by contact JID
+    if (isContactJid(groupJid)) {
+      return {
+        id: groupJid,
+        name: groupName || groupJid.split('@')[0],
+        chat: null
+      };
+    }
+
     const chats = await this.client.getChats();
     const groups = chats.filter(chat => chat.isGroup);
 
@@ -541,38 +553,108 @@ class WhatsAppManager extends EventEmitter {
   }
 
   /**
-   * Send a text and/or image message to a target group.
+   * Send a text and/or media message to a target group.
    * @param {Object} opts
    * @param {string} [opts.groupJid]
    * @param {string} [opts.groupName]
-   * @param {string} [opts.messageText] - Optional caption when sending image
+   * @param {string} [opts.messageText] - Optional caption when sending media
    * @param {Object} [opts.image] - Optional image: { filePath } or { data, mimetype }
+   * @param {Object} [opts.media] - Optional attachment: { filePath, mimetype, filename, kind } or { data, mimetype, filename, kind };
+   *   kind 'document' is sent as a file, 'audio' without a caption (WhatsApp drops audio captions)
+   * @param {Object} [opts.payload] - Optional typed message from message-payload.js: poll (messageText is the question),
+   *   location or contact (messageText follows as a separate message), voice or document (applies to the media)
+   * @param {string[]} [opts.mentions] - Participant JIDs to @mention; {{mention_all}} in messageText mentions every member
+   * @param {number} [opts.maxMentions] - Refuse to send if more participants than this would be mentioned
+   * @returns {Promise<object>} { success, messageId, messageShortId, followUpError, group } or { success: false, error };
+   *   followUpError is set when the message went out but the text sent after it did not
    */
-  async sendMessageToGroup({ groupJid, groupName, messageText, image }) {
+  async sendMessageToGroup({ groupJid, groupName, messageText, image, media, payload, mentions = [], maxMentions = null }) {
+    const attachment = media || image;
     const hasText = messageText && String(messageText).trim();
-    const hasImage = image && (image.filePath || (image.data && image.mimetype));
+    const hasMedia = attachment && (attachment.filePath || (attachment.data && attachment.mimetype));
+    const structured = payload && STRUCTURED_TYPES.has(payload.type);
 
-    if (!hasText && !hasImage) {
-      return { success: false, error: 'messageText or image is required' };
+    if (!hasText && !hasMedia && !structured) {
+      return { success: false, error: 'messageText or media is required' };
     }
 
     try {
       const target = await this.resolveGroupTarget({ groupJid, groupName });
 
-      if (hasImage) {
-        let media;
-        if (image.filePath && fs.existsSync(image.filePath)) {
-          media = MessageMedia.fromFilePath(image.filePath);
-        } else if (image.data && image.mimetype) {
-          media = new MessageMedia(image.mimetype, image.data);
+      const mentionOptions = {};
+      if (hasText && (mentions.length > 0 || hasMentionAll(messageText))) {
+        const participants = hasMentionAll(messageText) ? await this.getGroupParticipantIds(target.id) : [];
+        const built = buildMentionText(String(messageText).trim(), {
+          mentions,
+          participants,
+          selfJid: this.client.info?.wid?._serialized
+        });
+        if (maxMentions !== null && built.mentions.length > maxMentions) {
+          return { success: false, error: `Mention cap exceeded: ${built.mentions.length} participants would be mentioned in ${target.name} (cap ${maxMentions})` };
+        }
+        messageText = built.text;
+        mentionOptions.mentions = built.mentions;
+      }
+
+      if (structured) {
+        let content;
+        let followUp = hasText ? String(messageText).trim() : '';
+        if (payload.type === 'poll') {
+          if (!followUp) return { success: false, error: 'Poll question (messageText) is required' };
+          content = new Poll(followUp, payload.options, { allowMultipleAnswers: payload.allowMultipleAnswers === true });
+          followUp = '';
+        } else if (payload.type === 'location') {
+          content = new Location(payload.latitude, payload.longitude, {
+            name: payload.name || undefined,
+            address: payload.address || undefined,
+            url: payload.url || undefined
+          });
         } else {
-          return { success: false, error: 'Invalid image: provide filePath or data+mimetype' };
+          content = buildVCard(payload);
         }
+
+        const sendResult = await this.client.sendMessage(target.id, content);
+        const followUpError = followUp ? await this.sendFollowUp(target, followUp, mentionOptions) : null;
+        return {
+          success: true,
+          messageId: sendResult?.id?._serialized || '',
+          messageShortId: sendResult?.id?.id || '',
+          followUpError,
+          group: {
+            id: target.id,
+            name: target.name
+          }
+        };
+      }
+
+      if (hasMedia) {
+        let messageMedia;
+        if (attachment.filePath && fs.existsSync(attachment.filePath)) {
+          messageMedia = MessageMedia.fromFilePath(attachment.filePath);
+          if (attachment.mimetype) messageMedia.mimetype = attachment.mimetype;
+        } else if (attachment.data && attachment.mimetype) {
+          messageMedia = new MessageMedia(attachment.mimetype, attachment.data);
+        } else {
+          return { success: false, error: 'Invalid media: provide filePath or data+mimetype' };
+        }
+        const filename = payload?.type === 'document' && payload.filename ? payload.filename : attachment.filename;
+        if (filename) messageMedia.filename = filename;
+
         const caption = hasText ? String(messageText).trim() : undefined;
-        const sendResult = await this.client.sendMessage(target.id, media, { caption });
+        const asDocument = attachment.kind === 'document' || payload?.type === 'document';
+        const asAudio = !asDocument && attachment.kind === 'audio';
+        const options = { ...(asAudio ? {} : mentionOptions) };
+        if (asDocument) options.sendMediaAsDocument = true;
+        if (asAudio && payload?.type === 'voice') options.sendAudioAsVoice = true;
+        if (!asAudio) options.caption = caption;
+
+        const sendResult = await this.client.sendMessage(target.id, messageMedia, options);
+        const followUpError = asAudio && caption ? await this.sendFollowUp(target, caption, mentionOptions) : null;
         return {
           success: true,
           messageId: sendResult?.id?._serialized || '',
+          messageShortId: sendResult?.id?.id || '',
+          followUpError,
           group: {
             id: target.id,
             name: target.name
@@ -580,10 +662,11 @@ class WhatsAppManager extends EventEmitter {
         };
       }
 
-      const sendResult = await this.client.sendMessage(target.id, String(messageText));
+      const sendResult = await this.client.sendMessage(target.id, String(messageText), mentionOptions);
       return {
         success: true,
         messageId: sendResult?.id?._serialized || '',
+        messageShortId: sendResult?.id?.id || '',
         group: {
           id: target.id,
           name: target.name
@@ -602,6 +685,104 @@ class WhatsAppManager extends EventEmitter {
     }
   }
 
+  /**
+   * Send the text that follows a poll, location, contact or audio message. The first message is already
+   * in the group, so a failure here is only reported: failing the send would make a retry post it again.
+   * @param {{ id: string, name: string }} target
+   * @param {string} text
+   * @param {object} options - sendMessage options (mentions)
+   * @returns {Promise<string|null>} The error message, or null when the text was sent
+   */
+  async sendFollowUp(target, text, options) {
+    try {
+      await this.client.sendMessage(target.id, text, options);
+      return null;
+    } catch (error) {
+      logger.warn('Message sent, but its follow-up text failed', { error: error.message, groupJid: target.id, groupName: target.name });
+      return error.message;
+    }
+  }
+
+  /**
+   * Current member JIDs of a group chat.
+   * @param {string} chatId
+   * @returns {Promise<string[]>}
+   */
+  async getGroupParticipantIds(chatId) {
+    const chat = await this.client.getChatById(chatId);
+    if (!chat?.isGroup) throw new Error('Target group not found');
+    return (chat.participants || []).map(participant => participant.id?._serialized).filter(Boolean);
+  }
+
+  /**
+   * Look up one of our own sent messages by its serialized ID.
+   * @param {string} messageId
+   */
+  async getSentMessage(messageId) {
+    if (!this.client || this.status !== 'ready') {
+      throw new Error('WhatsApp client not ready');
+    }
+    const message = await this.client.getMessageById(messageId);
+    if (!message) throw new Error('Sent message not found in WhatsApp');
+    if (!message.fromMe) throw new Error('Only messages sent from this account can be changed');
+    return message;
+  }
+
+  /**
+   * Delete a sent message for everyone in the chat.
+   * @param {string} messageId - Serialized message ID returned by sendMessageToGroup
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async deleteMessageForEveryone(messageId) {
+    try {
+      const message = await this.getSentMessage(messageId);
+      await message.delete(true);
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to delete message for everyone', { error: error.message, messageId });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Replace the text (or media caption) of a sent message. Mentions are rebuilt the same way
+   * sendMessageToGroup builds them, so an edit keeps them highlighted.
+   * @param {string} messageId - Serialized message ID returned by sendMessageToGroup
+   * @param {string} messageText
+   * @param {object} [opts]
+   * @param {string[]} [opts.mentions] - Participant JIDs to @mention; {{mention_all}} in messageText mentions every member
+   * @param {number} [opts.maxMentions] - Refuse to edit if more participants than this would be mentioned
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async editMessage(messageId, messageText, { mentions = [], maxMentions = null } = {}) {
+    try {
+      const message = await this.getSentMessage(messageId);
+      let text = String(messageText);
+      const options = {};
+      if (mentions.length > 0 || hasMentionAll(text)) {
+        const chatId = message.id?.remote || message.to;
+        const participants = hasMentionAll(text) ? await this.getGroupParticipantIds(chatId) : [];
+        const built = buildMentionText(text.trim(), {
+          mentions,
+          participants,
+          selfJid: this.client.info?.wid?._serialized
+        });
+        if (maxMentions !== null && built.mentions.length > maxMentions) {
+          return { success: false, error: `Mention cap exceeded: ${built.mentions.length} participants would be mentioned (cap ${maxMentions})` };
+        }
+        text = built.text;
+        options.mentions = built.mentions;
+      }
+      // whatsapp-web.js resolves to null when WhatsApp refuses the edit (too old, or a type without text)
+      const edited = await message.edit(text, options);
+      if (!edited) return { success: false, error: 'WhatsApp refused the edit (message too old or not editable)' };
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to edit message', { error: error.message, messageId });
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Get the underlying client (for advanced operations)
    */
@@ -0,0 +1,365 @@
+/**
+ * Read posting rows from Excel workbooks (.xlsx). An .xlsx file is a ZIP of XML parts; this reads
+ * the parts it needs with zlib, so no spreadsheet library is required.
+ */
+
+const zlib = require('zlib');
+const { MS_PER_DAY } = require('./constants');
+
+// Days between Excel's serial day 0 and 1970-01-01, for the 1900 and 1904 date systems
+const EXCEL_EPOCH_OFFSET_DAYS = 25569;
+const EXCEL_1904_OFFSET_DAYS = 24107;
+/** Largest workbook part we unpack; a small upload can declare or inflate to gigabytes (ZIP bomb) */
+const MAX_PART_BYTES = 64 * 1024 * 1024;
+
+/** Built-in number formats that show a date and/or a time */
+const BUILTIN_DATE_FORMATS = new Map([
+  ...[14, 15, 16, 17, 27, 28, 29, 30, 31, 34, 35, 36, 50, 51, 52, 53, 54, 57, 58].map(id => [id, { date: true, time: false }]),
+  ...[18, 19, 20, 21, 32, 33, 45, 46, 47, 55, 56].map(id => [id, { date: false, time: true }]),
+  [22, { date: true, time: true }]
+]);
+
+const pad = (n) => String(n).padStart(2, '0');
+
+function readZipEntries(buffer) {
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('Not an .xlsx workbook (save it from Excel as "Excel Workbook (.xlsx)")');
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (offset === 0xffffffff) throw new Error('Workbook is too large (ZIP64 is not supported)');
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Workbook file is damaged');
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const uncompressedSize = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, { flags, method, compressedSize, uncompressedSize, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function readZipText(buffer, entries, name) {
+  const entry = entries.get(name);
+  if (!entry) return null;
+  if (entry.flags & 1) throw new Error('Workbook is password-protected; remove the password and try again');
+  const tooLarge = `Workbook part ${name} is too large (over ${MAX_PART_BYTES / 1024 / 1024} MB unpacked)`;
+  if (entry.uncompressedSize > MAX_PART_BYTES) throw new Error(tooLarge);
+  const start = entry.localOffset + 30 + buffer.readUInt16LE(entry.localOffset + 26) + buffer.readUInt16LE(entry.localOffset + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return data.toString('utf8');
+  if (entry.method === 8) {
+    // The declared size can lie, so the inflate itself is capped too
+    try {
+      return zlib.inflateRawSync(data, { maxOutputLength: MAX_PART_BYTES }).toString('utf8');
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(tooLarge);
+      throw error;
+    }
+  }
+  throw new Error(`Unsupported compression in workbook part ${name}`);
+}
+
+function decodeXml(text) {
+  return String(text)
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    // Excel escapes control characters such as carriage returns as _x000D_
+    .replace(/_x([0-9a-f]{4})_/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function readAttributes(text) {
+  const attributes = {};
+  for (const [, name, value] of String(text || '').matchAll(/([\w:]+)="([^"]*)"/g)) attributes[name] = decodeXml(value);
+  return attributes;
+}
+
+/** Text of a shared or inline string, skipping phonetic (furigana) runs */
+function readStringItem(xml) {
+  const text = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+  return [...text.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(match => decodeXml(match[1])).join('');
+}
+
+/**
+ * Which parts of a date a number format shows, or null if it is not a date format.
+ * @param {string} formatCode - e.g. "dd/mm/yyyy hh:mm"
+ * @returns {{ date: boolean, time: boolean }|null}
+ */
+function classifyFormatCode(formatCode) {
+  const code = String(formatCode || '')
+    .replace(/"[^"]*"/g, '')
+    .replace(/\\./g, '')
+    .replace(/\[(?![hms]+\])[^\]]*\]/gi, '')
+    .split(';')[0];
+  const date = /[dy]/i.test(code) || (/m/i.test(code) && !/[hs]/i.test(code));
+  const time = /[hs]/i.test(code);
+  return date || time ? { date, time } : null;
+}
+
+function readDateStyles(stylesXml) {
+  if (!stylesXml) return [];
+  const customFormats = new Map();
+  for (const [, attributes] of stylesXml.matchAll(/<numFmt\b([^>]*?)\/?>/g)) {
+    const { numFmtId, formatCode } = readAttributes(attributes);
+    customFormats.set(Number(numFmtId), classifyFormatCode(formatCode));
+  }
+  const cellXfs = /<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/.exec(stylesXml);
+  if (!cellXfs) return [];
+  return [...cellXfs[1].matchAll(/<xf\b([^>]*?)\/?>/g)].map(([, attributes]) => {
+    const id = Number(readAttributes(attributes).numFmtId) || 0;
+    return customFormats.has(id) ? customFormats.get(id) : (BUILTIN_DATE_FORMATS.get(id) || null);
+  });
+}
+
+/**
+ * Format an Excel date serial as the wall-clock text scheduled_at expects ("YYYY-MM-DD HH:mm").
+ * Excel stores no timezone, so the time is read as-is in the row's (or group's) timezone.
+ * @param {number} serial - Days since the workbook's epoch; the fraction is the time of day
+ * @param {{ date: boolean, time: boolean }} kind - Which parts the cell's format shows
+ * @param {boolean} [date1904]
+ * @returns {string}
+ */
+function formatExcelDate(serial, kind, date1904 = false) {
+  const offsetDays = date1904 ? EXCEL_1904_OFFSET_DAYS : EXCEL_EPOCH_OFFSET_DAYS;
+  // Round to the second; floating-point serials are often a hair off
+  const ms = Math.round((serial - offsetDays) * MS_PER_DAY / 1000) * 1000;
+  const d = new Date(ms);
+  const datePart = `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+  const seconds = d.getUTCSeconds() ? `:${pad(d.getUTCSeconds())}` : '';
+  const timePart = `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}${seconds}`;
+  if (!kind.date) return timePart;
+  if (!kind.time) return datePart;
+  return `${datePart} ${timePart}`;
+}
+
+function columnIndex(reference) {
+  const letters = /^[A-Z]+/i.exec(reference || '')?.[0].toUpperCase() || '';
+  let index = 0;
+  for (const letter of letters) index = index * 26 + (letter.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+function columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  return letters;
+}
+
+function readCellValue(attributes, body, { sharedStrings, dateStyles, date1904 }) {
+  const type = attributes.t || 'n';
+  if (type === 'inlineStr') return readStringItem(body);
+  const raw = /<v\b[^>]*>([\s\S]*?)<\/v>/.exec(body)?.[1];
+  if (raw === undefined) return '';
+  const value = decodeXml(raw);
+  if (type === 's') return sharedStrings[Number(value)] ?? '';
+  if (type === 'b') return value === '1' ? 'true' : 'false';
+  if (type === 'd') return value.replace('T', ' ').replace(/(\d{2}:\d{2})(:00)?(\.\d+)?Z?$/, '$1');
+  if (type !== 'n') return value;
+  const number = Number(value);
+  if (Number.isNaN(number)) return value;
+  const dateKind = dateStyles[Number(attributes.s) || 0];
+  return dateKind ? formatExcelDate(number, dateKind, date1904) : String(number);
+}
+
+function readSheetXml(xml, context) {
+  const rows = [];
+  let nextRowNumber = 1;
+  for (const [, rowAttributes, rowBody = ''] of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = Number(readAttributes(rowAttributes).r) || nextRowNumber;
+    nextRowNumber = rowNumber + 1;
+    const cells = [];
+    for (const [, cellAttributes, cellBody = ''] of rowBody.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = readAttributes(cellAttributes);
+      const index = attributes.r ? columnIndex(attributes.r) : cells.length;
+      cells[index] = readCellValue(attributes, cellBody, context);
+    }
+    rows.push({ rowNumber, cells: Array.from(cells, cell => cell ?? '') });
+  }
+  return rows;
+}
+
+function resolvePartPath(base, target) {
+  if (target.startsWith('/')) return target.slice(1);
+  const parts = base.split('/').slice(0, -1);
+  for (const segment of target.split('/')) {
+    if (segment === '..') parts.pop();
+    else if (segment !== '.') parts.push(segment);
+  }
+  return parts.join('/');
+}
+
+function readRelationships(buffer, entries, partPath) {
+  const relsPath = resolvePartPath(partPath, `_rels/${partPath.split('/').pop()}.rels`);
+  const xml = readZipText(buffer, entries, relsPath) || '';
+  const targets = new Map();
+  for (const [, attributes] of xml.matchAll(/<Relationship\b([^>]*?)\/?>/g)) {
+    const { Id, Target, Type = '' } = readAttributes(attributes);
+    targets.set(Id, { target: resolvePartPath(partPath, Target), type: Type });
+  }
+  return targets;
+}
+
+/**
+ * Read every worksheet of an .xlsx workbook. Cell values come back as text; date cells are formatted as
+ * "YYYY-MM-DD HH:mm" (or just the date or time, following the cell's format).
+ * @param {Buffer} buffer - The .xlsx file
+ * @returns {{ sheets: Array<{ name: string, hidden: boolean, rows: Array<{ rowNumber: number, cells: string[] }> }> }}
+ */
+function readWorkbook(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 22) throw new Error('Not an .xlsx workbook (save it from Excel as "Excel Workbook (.xlsx)")');
+  const entries = readZipEntries(buffer);
+  const rootRels = readRelationships(buffer, entries, '');
+  const workbookPath = [...rootRels.values()].find(rel => rel.type.endsWith('/officeDocument'))?.target || 'xl/workbook.xml';
+  const workbookXml = readZipText(buffer, entries, workbookPath);
+  if (!workbookXml) throw new Error('Not an .xlsx workbook (no workbook part found)');
+
+  const workbookRels = readRelationships(buffer, entries, workbookPath);
+  const partOfType = type => [...workbookRels.values()].find(rel => rel.type.endsWith(`/${type}`))?.target;
+  const sharedStringsXml = readZipText(buffer, entries, partOfType('sharedStrings') || 'xl/sharedStrings.xml') || '';
+  const context = {
+    sharedStrings: [...sharedStringsXml.matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g)].map(match => readStringItem(match[1])),
+    dateStyles: readDateStyles(readZipText(buffer, entries, partOfType('styles') || 'xl/styles.xml')),
+    date1904: /<workbookPr\b[^>]*\bdate1904="(1|true)"/.test(workbookXml)
+  };
+
+  const sheets = [];
+  for (const [, attributes] of workbookXml.matchAll(/<sheet\b([^>]*?)\/?>/g)) {
+    const { name, state, 'r:id': relId } = readAttributes(attributes);
+    const rel = workbookRels.get(relId);
+    // Chart sheets and dialog sheets have no cells
+    if (!rel || !rel.type.endsWith('/worksheet')) continue;
+    const xml = readZipText(buffer, entries, rel.target);
+    sheets.push({ name, hidden: state === 'hidden' || state === 'veryHidden', rows: xml ? readSheetXml(xml, context) : [] });
+  }
+  if (sheets.length === 0) throw new Error('Workbook has no worksheets');
+  return { sheets };
+}
+
+/**
+ * Pick a sheet by name (case-insensitive) or 1-based position; default is the first visible sheet.
+ * @param {object} workbook - From readWorkbook
+ * @param {string|number} [sheet]
+ * @returns {object} The sheet
+ */
+function selectSheet(workbook, sheet) {
+  const { sheets } = workbook;
+  if (sheet === undefined || sheet === null || String(sheet).trim() === '') {
+    return sheets.find(item => !item.hidden) || sheets[0];
+  }
+  const wanted = String(sheet).trim();
+  const byName = sheets.find(item => item.name.toLowerCase() === wanted.toLowerCase());
+  if (byName) return byName;
+  if (/^\d+$/.test(wanted) && sheets[Number(wanted) - 1]) return sheets[Number(wanted) - 1];
+  throw new Error(`Sheet "${wanted}" not found; the workbook has: ${sheets.map(item => item.name).join(', ')}`);
+}
+
+/** "Message Text" → "message_text", so headers that differ only in case or spacing need no mapping */
+function normalizeHeader(header) {
+  return String(header || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Turn sheet rows into import rows keyed by the queue's column names.
+ * @param {Array<{ rowNumber: number, cells: string[] }>} sheetRows
+ * @param {object} [opts]
+ * @param {number} [opts.headerRow] - Sheet row number holding the headers (default: the first non-empty row)
+ * @param {object} [opts.mapping] - Queue column → sheet header or column letter, e.g.
+ *   { message_text: "Post copy", scheduled_at: ["Date", "Time"] }; several columns are joined with a space.
+ *   Unmapped headers are used as column names after lowercasing and replacing spaces with "_".
+ * @returns {{ headerRow: number, headers: string[], mapping: object, rows: object[] }} rows carry __rowNumber
+ */
+function sheetToRows(sheetRows, { headerRow, mapping = {} } = {}) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('mapping must be an object of column name → sheet header');
+  }
+  const isBlank = row => row.cells.every(cell => String(cell).trim() === '');
+  let headerIndex;
+  if (headerRow !== undefined && headerRow !== null && headerRow !== '') {
+    const wanted = Number(headerRow);
+    if (!Number.isInteger(wanted) || wanted < 1) throw new Error('headerRow must be a row number (1 or more)');
+    headerIndex = sheetRows.findIndex(row => row.rowNumber === wanted);
+    if (headerIndex < 0) throw new Error(`Row ${wanted} is empty; headerRow must point at the header row`);
+  } else {
+    headerIndex = sheetRows.findIndex(row => !isBlank(row));
+    if (headerIndex < 0) return { headerRow: null, headers: [], mapping: {}, rows: [] };
+  }
+  const headers = sheetRows[headerIndex].cells.map(cell => String(cell).trim());
+
+  const findColumn = (field, ref) => {
+    const wanted = String(ref ?? '').trim();
+    const byHeader = headers.findIndex(header => header.toLowerCase() === wanted.toLowerCase());
+    if (wanted && byHeader >= 0) return byHeader;
+    if (/^[A-Z]{1,3}$/.test(wanted)) return columnIndex(wanted);
+    throw new Error(`mapping.${field}: no column "${wanted}" in header row ${sheetRows[headerIndex].rowNumber}`);
+  };
+  const columns = new Map();
+  for (const [field, ref] of Object.entries(mapping)) {
+    const key = normalizeHeader(field);
+    if (!key || ref === null || ref === '') continue;
+    columns.set(key, (Array.isArray(ref) ? ref : [ref]).map(item => findColumn(field, item)));
+  }
+  headers.forEach((header, index) => {
+    const key = normalizeHeader(header);
+    if (key && !columns.has(key) && ![...columns.values()].some(indexes => indexes.includes(index))) {
+      columns.set(key, [index]);
+    }
+  });
+
+  const rows = sheetRows.slice(headerIndex + 1).filter(row => !isBlank(row)).map((row) => {
+    const obj = {};
+    for (const [key, indexes] of columns) {
+      obj[key] = indexes.map(index => String(row.cells[index] ?? '').trim()).filter(Boolean).join(' ');
+    }
+    obj.__rowNumber = row.rowNumber;
+    return obj;
+  });
+  const effectiveMapping = {};
+  for (const [key, indexes] of columns) {
+    const names = indexes.map(index => headers[index] || columnLetter(index));
+    effectiveMapping[key] = names.length === 1 ? names[0] : names;
+  }
+  return { headerRow: sheetRows[headerIndex].rowNumber, headers, mapping: effectiveMapping, rows };
+}
+
+/**
+ * Read import rows from one sheet of an .xlsx file.
+ * @param {Buffer} buffer
+ * @param {object} [opts] - { sheet, headerRow, mapping } (see selectSheet and sheetToRows)
+ * @returns {{ sheets: Array<{ name: string, hidden: boolean, rowCount: number }>, sheet: string, headerRow: number|null, headers: string[], mapping: object, rows: object[] }}
+ */
+function readWorkbookRows(buffer, { sheet, headerRow, mapping } = {}) {
+  const workbook = readWorkbook(buffer);
+  const selected = selectSheet(workbook, sheet);
+  return {
+    sheets: workbook.sheets.map(item => ({ name: item.name, hidden: item.hidden, rowCount: item.rows.length })),
+    sheet: selected.name,
+    ...sheetToRows(selected.rows, { headerRow, mapping })
+  };
+}
+
+module.exports = {
+  readWorkbook,
+  selectSheet,
+  sheetToRows,
+  readWorkbookRows,
+  formatExcelDate,
+  classifyFormatCode
+};
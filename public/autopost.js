@@ -1,5 +1,7 @@
-const MUTABLE_STATUSES = new Set(['uploaded', 'queued', 'scheduled', 'failed', 'cancelled', 'sent']);
-const EDITABLE_COLS = ['row_id', 'message_text', 'group', 'scheduled_at'];
+const MUTABLE_STATUSES = new Set(['uploaded', 'queued', 'scheduled', 'deferred', 'retrying', 'waiting', 'blocked', 'failed', 'cancelled', 'missed', 'simulated', 'sent', 'edited', 'retracted']);
+const EDITABLE_COLS = ['row_id', 'message_text', 'group', 'scheduled_at', 'recurrence'];
+const RATE_LIMIT_SCOPES = ['global', 'perGroup'];
+const RATE_LIMIT_WINDOWS = ['perMinute', 'perHour', 'perDay'];
 
 const state = {
   jobs: [],
@@ -10,7 +12,8 @@ const state = {
   focusedCell: null,
   selectionRange: null,
   clipboardData: null,
-  cutMode: false
+  cutMode: false,
+  calendar: { view: 'month', date: new Date(), campaignId: '', group: '', entries: [] }
 };
 
 const el = {
@@ -20,10 +23,16 @@ const el = {
   csvFile: document.getElementById('csv-file'),
   csvPreviewOutput: document.getElementById('csv-preview-output'),
   pasteInput: document.getElementById('paste-input'),
+  mediaFile: document.getElementById('media-file'),
+  mediaList: document.getElementById('media-list'),
+  templateList: document.getElementById('template-list'),
+  templatePreviewOutput: document.getElementById('template-preview-output'),
   jobsTableBody: document.getElementById('jobs-table-body'),
   statusFilter: document.getElementById('status-filter'),
   searchInput: document.getElementById('search-input'),
-  selectAll: document.getElementById('select-all')
+  selectAll: document.getElementById('select-all'),
+  calendarGrid: document.getElementById('calendar-grid'),
+  calendarTitle: document.getElementById('calendar-title')
 };
 
 function rowToLocalInputValue(iso) {
@@ -34,6 +43,31 @@ function rowToLocalInputValue(iso) {
   return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
 }
 
+const LOCAL_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// "YYYY-MM-DD HH:mm" wall-clock time of an instant in an IANA zone
+function formatInTimeZone(iso, timeZone) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return '';
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+  });
+  for (const { type, value } of formatter.formatToParts(d)) parts[type] = value;
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+}
+
+// Jobs with their own timezone are edited in that zone; the server reads wall-clock input there
+function getScheduledInputValue(job) {
+  return job.timeZone ? formatInTimeZone(job.scheduledAt, job.timeZone) : rowToLocalInputValue(job.scheduledAt);
+}
+
+function getScheduledDisplayValue(job) {
+  if (!job.timeZone || job.timeZone === LOCAL_TIME_ZONE) return rowToLocalInputValue(job.scheduledAt);
+  return `${formatInTimeZone(job.scheduledAt, job.timeZone)} ${job.timeZone} (local ${rowToLocalInputValue(job.scheduledAt)})`;
+}
+
 function parseLocalDate(input) {
   if (!input || typeof input !== 'string') return '';
   const trimmed = input.trim();
@@ -77,6 +111,75 @@ function selectedIds() {
 async function loadSettings() {
   const data = await api('/api/posting/settings');
   el.randomDelayMax.value = String(data.settings?.randomDelayMaxMinutes || 0);
+  for (const scope of RATE_LIMIT_SCOPES) {
+    for (const windowKey of RATE_LIMIT_WINDOWS) {
+      document.getElementById(`rate-${scope}-${windowKey}`).value = String(data.settings?.rateLimits?.[scope]?.[windowKey] || 0);
+    }
+  }
+  document.getElementById('quiet-start').value = data.settings?.quietHours?.start || '';
+  document.getElementById('quiet-end').value = data.settings?.quietHours?.end || '';
+  const windows = data.settings?.groupSendWindows || {};
+  document.getElementById('group-send-windows').value = Object.keys(windows).length ? JSON.stringify(windows, null, 2) : '';
+  document.getElementById('missed-mode').value = data.settings?.missedJobPolicy?.mode || 'send_now';
+  document.getElementById('missed-grace').value = String(data.settings?.missedJobPolicy?.graceMinutes ?? 60);
+  document.getElementById('retry-max-attempts').value = String(data.settings?.retryPolicy?.maxAttempts ?? 3);
+  document.getElementById('retry-base-delay').value = String(data.settings?.retryPolicy?.baseDelaySeconds ?? 60);
+  document.getElementById('retry-max-delay').value = String(data.settings?.retryPolicy?.maxDelayMinutes ?? 30);
+  document.getElementById('approval-enabled').checked = Boolean(data.settings?.approval?.enabled);
+  document.getElementById('approval-approvers').value = (data.settings?.approval?.approvers || []).join(', ');
+  document.getElementById('mention-cap').value = String(data.settings?.mentions?.maxPerMessage ?? 50);
+  const mentionCaps = data.settings?.mentions?.perGroup || {};
+  document.getElementById('mention-group-caps').value = Object.keys(mentionCaps).length ? JSON.stringify(mentionCaps, null, 2) : '';
+  document.getElementById('dry-run-enabled').checked = Boolean(data.settings?.dryRun);
+  document.getElementById('folder-import-enabled').checked = Boolean(data.settings?.folderImport?.enabled);
+  document.getElementById('folder-import-path').value = data.settings?.folderImport?.path || '';
+  document.getElementById('folder-import-poll').value = String(data.settings?.folderImport?.pollSeconds ?? 10);
+  await loadFolderImportStatus();
+
+  const recovery = (await api('/api/posting/recovery')).recovery;
+  document.getElementById('recovery-info').textContent = recovery && recovery.total > 0
+    ? `Last startup (${new Date(recovery.checkedAt).toLocaleString()}): ${recovery.message}`
+    : '';
+}
+
+async function loadFolderImportStatus() {
+  const status = (await api('/api/posting/folder-import')).folderImport;
+  const last = status.results[0];
+  const parts = [];
+  if (status.lastError) parts.push(status.lastError);
+  else if (status.watching) parts.push(`Watching ${status.path}; valid files move to processed/, others to failed/ with an .errors.txt report`);
+  if (last) {
+    parts.push(`Last file: ${last.file} (${new Date(last.at).toLocaleString()}) ` +
+      (last.status === 'imported' ? `imported ${last.createdCount} job(s)` : `failed with ${last.errors.length} error(s)`));
+  }
+  document.getElementById('folder-import-info').textContent = parts.join(' · ');
+}
+
+function readRateLimitInputs() {
+  const rateLimits = {};
+  for (const scope of RATE_LIMIT_SCOPES) {
+    rateLimits[scope] = {};
+    for (const windowKey of RATE_LIMIT_WINDOWS) {
+      rateLimits[scope][windowKey] = Number(document.getElementById(`rate-${scope}-${windowKey}`).value || 0);
+    }
+  }
+  return rateLimits;
+}
+
+async function loadMedia() {
+  const data = await api('/api/posting/media');
+  const items = data.media || [];
+  el.mediaList.textContent = items.length
+    ? items.map(item => `${item.id}  ${item.kind}  ${item.originalName}`).join('\n')
+    : 'No media uploaded.';
+}
+
+async function loadTemplates() {
+  const data = await api('/api/posting/templates');
+  const items = data.templates || [];
+  el.templateList.textContent = items.length
+    ? items.map(item => `${item.id}  ${item.name}\n    ${item.body.replace(/\n/g, '\n    ')}`).join('\n')
+    : 'No templates saved.';
 }
 
 async function loadWhatsappStatus() {
@@ -107,6 +210,24 @@ function isJobEditable(job) {
   return MUTABLE_STATUSES.has(job.status);
 }
 
+function formatRecurrence(recurrence) {
+  if (!recurrence) return '';
+  if (recurrence.type === 'cron') return recurrence.expression;
+  const parts = [`FREQ=${recurrence.freq.toUpperCase()}`];
+  if (recurrence.interval > 1) parts.push(`INTERVAL=${recurrence.interval}`);
+  if (recurrence.byDay?.length) parts.push(`BYDAY=${recurrence.byDay.join(',')}`);
+  if (recurrence.count) parts.push(`COUNT=${recurrence.count}`);
+  if (recurrence.until) parts.push(`UNTIL=${rowToLocalInputValue(recurrence.until).slice(0, 10).replace(/-/g, '')}`);
+  return parts.join(';');
+}
+
+function getRecurrenceDisplayValue(job) {
+  if (!job.recurrence) return '';
+  const next = job.upcomingOccurrences?.[0];
+  const occurrence = job.occurrence ? ` (#${job.occurrence})` : '';
+  return `${formatRecurrence(job.recurrence)}${occurrence}${next ? ` → next ${rowToLocalInputValue(next)}` : ''}`;
+}
+
 function getGroupDisplayValue(job) {
   return [job.groupJid, job.groupName || job.resolvedGroup?.name].filter(Boolean).join(' / ');
 }
@@ -116,11 +237,37 @@ function getCellValue(job, col) {
     case 'row_id': return job.rowId || '';
     case 'message_text': return job.messageText || '';
     case 'group': return getGroupDisplayValue(job);
-    case 'scheduled_at': return rowToLocalInputValue(job.scheduledAt);
+    case 'scheduled_at': return getScheduledInputValue(job);
+    case 'recurrence': return formatRecurrence(job.recurrence);
     default: return '';
   }
 }
 
+function formatEngagement(engagement) {
+  if (!engagement) return '';
+  const emojis = (engagement.reactionBreakdown || []).slice(0, 3).map(entry => `${entry.emoji}${entry.count}`).join(' ');
+  return `${engagement.seen}/${engagement.totalMembers} seen · ${engagement.reactions} reactions${emojis ? ` (${emojis})` : ''} · ${engagement.replies} replies · ${engagement.engagementRate}%`;
+}
+
+function formatPayloadLabel(payload) {
+  if (!payload) return '';
+  switch (payload.type) {
+    case 'poll': return `[poll: ${payload.options.length} options${payload.allowMultipleAnswers ? ', multi' : ''}] `;
+    case 'location': return `[location: ${payload.name || `${payload.latitude}, ${payload.longitude}`}] `;
+    case 'contact': return `[contact: ${payload.name || 'vCard'}] `;
+    case 'document': return payload.filename ? `[as document: ${payload.filename}] ` : '[as document] ';
+    case 'voice': return '[voice note] ';
+    default: return '';
+  }
+}
+
+function formatSequenceLabel(job) {
+  const parts = [];
+  if (job.dependsOn) parts.push(`after #${job.dependsOn.jobId} +${job.dependsOn.offsetMinutes}m`);
+  if (job.dependentIds?.length) parts.push(`then #${job.dependentIds.join(', #')}`);
+  return parts.length ? `[${parts.join('; ')}] ` : '';
+}
+
 function parseGroupInput(value) {
   const v = String(value || '').trim();
   if (v.includes('@')) return { groupJid: v, groupName: '' };
@@ -148,7 +295,11 @@ function renderJobs() {
       return `<td class="${cls}${focusCls}${selectCls}" data-col="${col}" data-job-id="${job.id}" data-row-index="${rowIndex}">${cellContent}</td>`;
     };
 
-    const msgDisplay = (job.messageText || '').slice(0, 90);
+    const mediaLabel = job.media ? `[${job.media.kind}: ${job.media.originalName}] ` : '';
+    const templateLabel = job.templateId ? `[template ${job.templateId}] ` : '';
+    const variantLabel = job.variantId ? `[variant ${job.variantId}] ` : '';
+    const mentionLabel = job.mentions?.length ? `[@${job.mentions.length}] ` : '';
+    const msgDisplay = (formatSequenceLabel(job) + formatPayloadLabel(job.payload) + mentionLabel + mediaLabel + templateLabel + variantLabel + (job.renderedText || job.messageText || '')).slice(0, 90);
     return `
       <tr data-job-id="${job.id}" data-row-index="${rowIndex}">
         <td><input type="checkbox" data-job-select="1" value="${job.id}" /></td>
@@ -156,20 +307,26 @@ function renderJobs() {
         ${cell('row_id', job.rowId || '')}
         ${cell('message_text', msgDisplay)}
         ${cell('group', getGroupDisplayValue(job))}
-        ${cell('scheduled_at', rowToLocalInputValue(job.scheduledAt))}
+        ${cell('scheduled_at', getScheduledDisplayValue(job))}
+        ${cell('recurrence', getRecurrenceDisplayValue(job))}
         <td>${job.randomDelayAppliedMs || 0}</td>
         <td>${escapeHtml(rowToLocalInputValue(job.actualSendAt))}</td>
-        <td><span class="status">${escapeHtml(job.status)}</span></td>
+        <td>
+          <span class="status">${escapeHtml(job.status)}</span>
+          ${getApprovalLabel(job) ? `<span class="status approval-${escapeHtml(job.approvalStatus)}" title="${escapeHtml(getApprovalTitle(job))}">${escapeHtml(getApprovalLabel(job))}</span>` : ''}
+        </td>
         <td>${escapeHtml(job.statusReason || '')}</td>
+        <td>${escapeHtml(formatEngagement(job.engagement))}</td>
         <td>${(job.revisions || []).length}</td>
         <td>
           <button class="secondary" data-revisions="${job.id}">History</button>
+          ${job.dependsOn || job.dependentIds?.length ? `<button class="secondary" data-chain="${job.id}">Sequence</button>` : ''}
         </td>
       </tr>
     `;
   }).join('');
 
-  el.jobsTableBody.innerHTML = rows || '<tr><td colspan="12">No rows found.</td></tr>';
+  el.jobsTableBody.innerHTML = rows || '<tr><td colspan="14">No rows found.</td></tr>';
 
   if (state.editingCell) {
     requestAnimationFrame(() => {
@@ -233,6 +390,7 @@ function commitCellEdit(jobId, col, value) {
       break;
     }
     case 'scheduled_at': updates.scheduledAt = parseLocalDate(value); break;
+    case 'recurrence': updates.recurrence = String(value || '').trim(); break;
     default: return;
   }
 
@@ -266,6 +424,15 @@ function setupCellEditing() {
       return;
     }
 
+    const chainBtn = e.target?.closest('[data-chain]');
+    if (chainBtn) {
+      api(`/api/posting/jobs/${chainBtn.getAttribute('data-chain')}/chain`).then((data) => {
+        alert((data.chain || []).map(step => `${'  '.repeat(step.depth)}#${step.id} ${step.groupName || step.groupJid} · ${step.status}` +
+          `${step.dependsOn ? ` (+${step.dependsOn.offsetMinutes} min after #${step.dependsOn.jobId})` : ''} · ${rowToLocalInputValue(step.actualSendAt || step.scheduledAt)}`).join('\n'));
+      });
+      return;
+    }
+
     const td = e.target?.closest('.editable-cell');
     const cellInfo = getCellInfo(td);
     if (cellInfo && isJobEditable(state.jobs.find(j => j.id === cellInfo.jobId))) {
@@ -480,6 +647,7 @@ async function doPaste() {
               case 'message_text': updates.messageText = ''; break;
               case 'group': updates.groupJid = ''; updates.groupName = ''; break;
               case 'scheduled_at': updates.scheduledAt = nextDefaultScheduledAt(); break;
+              case 'recurrence': updates.recurrence = ''; break;
             }
             if (Object.keys(updates).length) {
               api(`/api/posting/jobs/${jobId}`, { method: 'PATCH', body: JSON.stringify(updates) }).catch(() => {});
@@ -510,6 +678,7 @@ async function doPaste() {
           case 'message_text': updates.messageText = val; break;
           case 'group': Object.assign(updates, parseGroupInput(val)); break;
           case 'scheduled_at': updates.scheduledAt = parseLocalDate(val); break;
+          case 'recurrence': updates.recurrence = val.trim(); break;
         }
       }
       if (Object.keys(updates).length) {
@@ -520,7 +689,8 @@ async function doPaste() {
         row_id: cells[0] ?? '',
         message_text: cells[1] ?? '(new)',
         group_name: cells[2] ?? '(required)',
-        scheduled_at: parseLocalDate(cells[3]) || nextDefaultScheduledAt()
+        scheduled_at: parseLocalDate(cells[3]) || nextDefaultScheduledAt(),
+        recurrence: cells[4] ?? ''
       };
       newRows.push(row);
     }
@@ -540,6 +710,7 @@ async function doPaste() {
           case 'message_text': updates.messageText = ''; break;
           case 'group': updates.groupJid = ''; updates.groupName = ''; break;
           case 'scheduled_at': updates.scheduledAt = nextDefaultScheduledAt(); break;
+          case 'recurrence': updates.recurrence = ''; break;
         }
         if (Object.keys(updates).length) {
           try {
@@ -586,23 +757,512 @@ async function enqueueAction(endpoint) {
     alert('Select at least one row.');
     return;
   }
-  await api(`/api/posting/jobs/${endpoint}`, {
-    method: 'POST',
-    body: JSON.stringify({ ids })
+  try {
+    await api(`/api/posting/jobs/${endpoint}`, {
+      method: 'POST',
+      body: JSON.stringify({ ids })
+    });
+  } catch (error) {
+    alert(error.message);
+  }
+  await loadJobs();
+}
+
+function formatDryRunReport(report) {
+  const { summary } = report;
+  const lines = [
+    `Dry run of ${summary.total} job(s): ${summary.sent} would send, ${summary.failed} would fail, ${summary.held} held` +
+      (summary.firstSendAt ? ` · ${rowToLocalInputValue(summary.firstSendAt)} to ${rowToLocalInputValue(summary.lastSendAt)}` : ''),
+    `${summary.rateLimited} delayed by rate limits, ${summary.shiftedBySendWindow} moved by send windows, ${summary.withWarnings} with warnings`,
+    ''
+  ];
+  for (const entry of report.timeline) {
+    const when = entry.sendAt ? rowToLocalInputValue(entry.sendAt) : '—';
+    const group = entry.resolvedGroup?.name || entry.groupName || entry.groupJid;
+    const waits = entry.waits.map(wait => `${wait.reason} → ${rowToLocalInputValue(wait.until)}`).join('; ');
+    lines.push(`${when}  #${entry.jobId} ${group} · ${entry.outcome}: ${entry.reason}`);
+    if (waits) lines.push(`    waited: ${waits}`);
+    for (const warning of entry.warnings) lines.push(`    warning: ${warning}`);
+    if (entry.text) lines.push(`    "${entry.text.slice(0, 120)}"`);
+  }
+  return lines.join('\n');
+}
+
+async function postXlsx(path) {
+  const file = document.getElementById('xlsx-file').files?.[0];
+  if (!file) throw new Error('Choose an .xlsx file first.');
+  const form = new FormData();
+  form.append('file', file);
+  form.append('sheet', document.getElementById('xlsx-sheet').value);
+  form.append('headerRow', document.getElementById('xlsx-header-row').value);
+  form.append('mapping', document.getElementById('xlsx-mapping').value);
+  const response = await fetch(path, { method: 'POST', body: form });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || 'Request failed');
+  return data;
+}
+
+async function dryRunAction() {
+  const output = document.getElementById('dry-run-output');
+  try {
+    // No selection simulates every pending job
+    const data = await api('/api/posting/dry-run', {
+      method: 'POST',
+      body: JSON.stringify({ ids: selectedIds() })
+    });
+    output.textContent = formatDryRunReport(data.report);
+  } catch (error) {
+    output.textContent = error.message;
+  }
+}
+
+async function approvalAction(endpoint, extra = {}) {
+  const ids = selectedIds();
+  if (!ids.length) {
+    alert('Select at least one row.');
+    return;
+  }
+  const by = document.getElementById('approval-by').value.trim();
+  const note = document.getElementById('approval-note').value.trim();
+  const body = endpoint === 'reject'
+    ? { ids, by, reason: note }
+    : { ids, by, comment: note, ...extra };
+  try {
+    await api(`/api/posting/jobs/${endpoint}`, { method: 'POST', body: JSON.stringify(body) });
+    document.getElementById('approval-note').value = '';
+  } catch (error) {
+    alert(error.message);
+  }
+  await loadJobs();
+}
+
+// Delete-for-everyone / edit of already-posted rows; WhatsApp's time limits are enforced per row server-side
+async function sentMessageAction(endpoint) {
+  const ids = selectedIds();
+  if (!ids.length) {
+    alert('Select at least one row.');
+    return;
+  }
+  const body = { ids, by: document.getElementById('approval-by').value.trim() };
+  if (endpoint === 'edit-sent') {
+    body.messageText = document.getElementById('sent-edit-text').value.trim();
+    if (!body.messageText) return alert('Enter the corrected text first.');
+  } else {
+    if (!confirm(`Delete ${ids.length} sent message(s) for everyone in their groups?`)) return;
+    body.reason = document.getElementById('approval-note').value.trim();
+  }
+  try {
+    const data = await api(`/api/posting/jobs/${endpoint}`, { method: 'POST', body: JSON.stringify(body) });
+    const failed = data.results.filter(result => !result.success);
+    if (failed.length) {
+      alert(`${data.results.length - failed.length} done, ${failed.length} failed:\n${failed.map(result => `#${result.id}: ${result.error}`).join('\n')}`);
+    }
+    if (endpoint === 'edit-sent' && failed.length < data.results.length) {
+      document.getElementById('sent-edit-text').value = '';
+    }
+  } catch (error) {
+    alert(error.message);
+  }
+  await loadJobs();
+}
+
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+function getDayKey(date) {
+  return rowToLocalInputValue(date.toISOString()).slice(0, 10);
+}
+
+// Month view shows six whole weeks from the Monday on or before the 1st
+function getCalendarRange() {
+  const { view, date } = state.calendar;
+  if (view === 'day') {
+    const from = startOfDay(date);
+    return { from, to: addDays(from, 1), days: 1 };
+  }
+  const anchor = view === 'month' ? new Date(date.getFullYear(), date.getMonth(), 1) : startOfDay(date);
+  const from = addDays(anchor, -((anchor.getDay() + 6) % 7));
+  const days = view === 'month' ? 42 : 7;
+  return { from, to: addDays(from, days), days };
+}
+
+function getCalendarFilterParams() {
+  const params = new URLSearchParams();
+  if (state.calendar.campaignId) params.set('campaignId', state.calendar.campaignId);
+  if (state.calendar.group) params.set('group', state.calendar.group);
+  return params;
+}
+
+async function loadCalendar() {
+  const { from, to } = getCalendarRange();
+  const params = getCalendarFilterParams();
+  const feedQuery = params.toString();
+  document.getElementById('calendar-ics').href = `/api/posting/calendar.ics${feedQuery ? `?${feedQuery}` : ''}`;
+  params.set('from', from.toISOString());
+  params.set('to', to.toISOString());
+  const data = await api(`/api/posting/calendar?${params.toString()}`);
+  state.calendar.entries = data.entries || [];
+  renderCalendar();
+}
+
+function renderCalendarEntry(entry) {
+  const time = rowToLocalInputValue(entry.start).slice(11);
+  const title = [
+    `#${entry.jobId} ${entry.status}${entry.projected ? ` (occurrence ${entry.occurrence})` : ''}`,
+    entry.timeZone && entry.timeZone !== LOCAL_TIME_ZONE ? `${formatInTimeZone(entry.start, entry.timeZone)} ${entry.timeZone}` : '',
+    entry.campaignName ? `Campaign: ${entry.campaignName}` : '',
+    entry.recurrence ? `Repeats: ${entry.recurrence}` : '',
+    entry.messageText || ''
+  ].filter(Boolean).join('\n');
+  const classes = ['calendar-entry', `status-${entry.status}`, entry.projected ? 'projected' : ''].filter(Boolean).join(' ');
+  return `<span class="${classes}" draggable="${entry.draggable ? 'true' : 'false'}" data-entry-id="${escapeHtml(entry.id)}" title="${escapeHtml(title)}">${time} ${escapeHtml(entry.title)}</span>`;
+}
+
+function renderCalendar() {
+  const { view, date, entries } = state.calendar;
+  const { from, days } = getCalendarRange();
+  const todayKey = getDayKey(new Date());
+  const byDay = new Map();
+  for (const entry of entries) {
+    const key = getDayKey(new Date(entry.start));
+    byDay.set(key, [...(byDay.get(key) || []), entry]);
+  }
+
+  const dayFormat = { day: 'numeric', month: 'short', year: 'numeric' };
+  if (view === 'month') el.calendarTitle.textContent = date.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  else if (view === 'week') el.calendarTitle.textContent = `${from.toLocaleDateString(undefined, dayFormat)} – ${addDays(from, 6).toLocaleDateString(undefined, dayFormat)}`;
+  else el.calendarTitle.textContent = date.toLocaleDateString(undefined, { weekday: 'long', ...dayFormat });
+  el.calendarGrid.className = `calendar calendar-${view}`;
+
+  const dayList = Array.from({ length: days }, (_, index) => addDays(from, index));
+  const html = [];
+  if (view === 'month') {
+    for (const label of WEEKDAY_LABELS) html.push(`<div class="calendar-head">${label}</div>`);
+    for (const day of dayList) {
+      const key = getDayKey(day);
+      const classes = ['calendar-cell', day.getMonth() !== date.getMonth() ? 'outside' : '', key === todayKey ? 'today' : ''].filter(Boolean).join(' ');
+      html.push(`<div class="${classes}" data-day="${key}"><div class="calendar-date">${day.getDate()}</div>${(byDay.get(key) || []).map(renderCalendarEntry).join('')}</div>`);
+    }
+  } else {
+    html.push('<div class="calendar-head"></div>');
+    for (const day of dayList) {
+      html.push(`<div class="calendar-head">${day.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })}</div>`);
+    }
+    for (let hour = 0; hour < 24; hour++) {
+      html.push(`<div class="calendar-hour">${String(hour).padStart(2, '0')}:00</div>`);
+      for (const day of dayList) {
+        const key = getDayKey(day);
+        const hourEntries = (byDay.get(key) || []).filter(entry => new Date(entry.start).getHours() === hour);
+        html.push(`<div class="calendar-cell${key === todayKey ? ' today' : ''}" data-day="${key}" data-hour="${hour}">${hourEntries.map(renderCalendarEntry).join('')}</div>`);
+      }
+    }
+  }
+  el.calendarGrid.innerHTML = html.join('');
+}
+
+function shiftCalendar(direction) {
+  const { view, date } = state.calendar;
+  if (view === 'month') state.calendar.date = new Date(date.getFullYear(), date.getMonth() + direction, 1);
+  else state.calendar.date = addDays(date, view === 'week' ? 7 * direction : direction);
+  loadCalendar().catch(error => alert(error.message));
+}
+
+// Dropping keeps the post's time of day; week and day views also take the hour of the slot
+async function rescheduleFromCalendar(entryId, cell) {
+  const entry = state.calendar.entries.find(item => item.id === entryId);
+  if (!entry || !entry.draggable) return;
+  const current = new Date(entry.start);
+  const [year, month, day] = cell.dataset.day.split('-').map(Number);
+  const hour = cell.dataset.hour !== undefined ? Number(cell.dataset.hour) : current.getHours();
+  const target = new Date(year, month - 1, day, hour, current.getMinutes());
+  if (target.getTime() === current.getTime()) return;
+  if (target.getTime() < Date.now()) return alert('Cannot move a post into the past.');
+  try {
+    await api('/api/posting/calendar/reschedule', {
+      method: 'POST',
+      body: JSON.stringify({ jobId: entry.jobId, scheduledAt: target.toISOString() })
+    });
+  } catch (error) {
+    alert(error.message);
+  }
+  await Promise.all([loadCalendar(), loadJobs()]);
+}
+
+function setupCalendar() {
+  let draggedId = null;
+  el.calendarGrid.addEventListener('dragstart', (e) => {
+    const item = e.target.closest('.calendar-entry');
+    if (!item || item.getAttribute('draggable') !== 'true') return e.preventDefault();
+    draggedId = item.dataset.entryId;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', draggedId);
+  });
+  el.calendarGrid.addEventListener('dragover', (e) => {
+    const cell = e.target.closest('.calendar-cell');
+    if (!cell || !draggedId) return;
+    e.preventDefault();
+    cell.classList.add('drop-target');
+  });
+  el.calendarGrid.addEventListener('dragleave', (e) => {
+    const cell = e.target.closest('.calendar-cell');
+    if (cell && !cell.contains(e.relatedTarget)) cell.classList.remove('drop-target');
+  });
+  el.calendarGrid.addEventListener('drop', (e) => {
+    const cell = e.target.closest('.calendar-cell');
+    if (!cell || !draggedId) return;
+    e.preventDefault();
+    cell.classList.remove('drop-target');
+    const entryId = draggedId;
+    draggedId = null;
+    rescheduleFromCalendar(entryId, cell);
+  });
+  el.calendarGrid.addEventListener('dragend', () => {
+    draggedId = null;
+    el.calendarGrid.querySelectorAll('.drop-target').forEach(cell => cell.classList.remove('drop-target'));
   });
+
+  document.getElementById('calendar-view').addEventListener('change', (e) => {
+    state.calendar.view = e.target.value;
+    loadCalendar().catch(error => alert(error.message));
+  });
+  document.getElementById('calendar-prev').addEventListener('click', () => shiftCalendar(-1));
+  document.getElementById('calendar-next').addEventListener('click', () => shiftCalendar(1));
+  document.getElementById('calendar-today').addEventListener('click', () => {
+    state.calendar.date = new Date();
+    loadCalendar().catch(error => alert(error.message));
+  });
+  document.getElementById('calendar-apply').addEventListener('click', () => {
+    state.calendar.campaignId = document.getElementById('calendar-campaign').value.trim();
+    state.calendar.group = document.getElementById('calendar-group').value.trim();
+    loadCalendar().catch(error => alert(error.message));
+  });
+}
+
+// Who-hasn't-seen-it lookup: one message by ID, or our last N messages in a group
+function getFollowUpQuery() {
+  const messageId = document.getElementById('followup-message-id').value.trim();
+  const groupName = document.getElementById('followup-group').value.trim();
+  const hours = document.getElementById('followup-hours').value.trim();
+  if (messageId) return { messageId, hours };
+  if (!groupName) throw new Error('Enter a message ID or a group name.');
+  return { groupName, last: document.getElementById('followup-last').value.trim(), hours };
+}
+
+function getUnseenPath(query, format = '') {
+  const params = new URLSearchParams({ hours: query.hours });
+  if (query.last) params.set('last', query.last);
+  if (format) params.set('format', format);
+  const base = query.messageId
+    ? `/api/messages/${encodeURIComponent(query.messageId)}/unseen`
+    : `/api/groups/${encodeURIComponent(query.groupName)}/unseen`;
+  return `${base}?${params}`;
+}
+
+function formatUnseenReport(data) {
+  const lines = [
+    `${data.group.name}: ${data.members.length} of ${data.memberCount} members have not seen ${data.considered.length} message(s) older than ${data.hours}h`
+  ];
+  for (const message of data.skipped) lines.push(`Skipped ${message.message_id}: ${message.reason}`);
+  for (const member of data.members) {
+    lines.push(`${member.phone ? `+${member.phone}` : member.jid}${member.delivered ? ` (delivered ${member.delivered}/${member.unread})` : ''}`);
+  }
+  return lines.join('\n');
+}
+
+async function listUnseen() {
+  const output = document.getElementById('followup-output');
+  try {
+    output.textContent = formatUnseenReport(await api(getUnseenPath(getFollowUpQuery())));
+  } catch (error) {
+    output.textContent = error.message;
+  }
+}
+
+async function exportUnseenCsv() {
+  try {
+    const response = await fetch(getUnseenPath(getFollowUpQuery(), 'csv'));
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Request failed');
+    }
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `unseen-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+async function createFollowUps() {
+  const output = document.getElementById('followup-output');
+  try {
+    const messageText = document.getElementById('followup-text').value.trim();
+    if (!messageText) throw new Error('Enter the follow-up text first.');
+    const scheduledAt = document.getElementById('followup-scheduled-at').value.trim();
+    const data = await api('/api/posting/follow-ups', {
+      method: 'POST',
+      body: JSON.stringify({
+        ...getFollowUpQuery(),
+        messageText,
+        mode: document.getElementById('followup-mode').value,
+        scheduledAt: scheduledAt ? parseLocalDate(scheduledAt) : undefined
+      })
+    });
+    output.textContent = `Created ${data.created.length} follow-up job(s) for ${data.members.length} member(s). Enqueue them from the table below.`;
+  } catch (error) {
+    output.textContent = error.message;
+  }
   await loadJobs();
 }
 
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+function renderSentimentBar(sentiment) {
+  const total = SENTIMENTS.reduce((sum, name) => sum + (sentiment[name] || 0), 0);
+  if (!total) return '<div class="sentiment-bar"></div>';
+  const segments = SENTIMENTS
+    .filter(name => sentiment[name])
+    .map(name => `<span class="sentiment-${name}" style="width:${(sentiment[name] / total) * 100}%" title="${name}: ${sentiment[name]}"></span>`)
+    .join('');
+  return `<div class="sentiment-bar">${segments}</div>`;
+}
+
+function renderReactionSummary(summary) {
+  if (!summary.total) return '<p class="muted">No reactions.</p>';
+  const mix = SENTIMENTS.map(name => `${name} ${Math.round((summary.sentiment[name] / summary.total) * 100)}%`).join(' · ');
+  const max = summary.byEmoji[0].count;
+  const rows = summary.byEmoji.map(entry => `
+    <div class="reaction-row">
+      <span class="label">${escapeHtml(entry.emoji)} <span class="muted">${entry.sentiment}</span></span>
+      <div class="sentiment-bar"><span class="sentiment-${entry.sentiment}" style="width:${(entry.count / max) * 100}%"></span></div>
+      <span>${entry.count}</span>
+    </div>`).join('');
+  return `<h3>Sentiment mix</h3>${renderSentimentBar(summary.sentiment)}<p class="muted">${summary.total} reactions: ${mix}</p><h3>By emoji</h3>${rows}`;
+}
+
+async function loadReactions() {
+  const output = document.getElementById('reactions-output');
+  const messageId = document.getElementById('reactions-message-id').value.trim();
+  const groupName = document.getElementById('reactions-group').value.trim();
+  try {
+    if (messageId) {
+      const data = await api(`/api/messages/${encodeURIComponent(messageId)}/reactions`);
+      output.innerHTML = data.reactions_captured
+        ? renderReactionSummary(data.summary)
+        : '<p class="muted">No reactions stored for this message yet; they are captured on its next tracking refresh.</p>';
+      return;
+    }
+    if (!groupName) throw new Error('Enter a message ID or a group name.');
+    const days = document.getElementById('reactions-days').value.trim() || '30';
+    const data = await api(`/api/groups/${encodeURIComponent(groupName)}/reactions?days=${encodeURIComponent(days)}`);
+    const posts = data.messages.filter(message => message.total).map(message => `
+      <div class="reaction-row">
+        <span class="label" title="${escapeHtml(message.message_content)}">${escapeHtml(rowToLocalInputValue(message.message_timestamp))} ${escapeHtml(message.message_content)}</span>
+        ${renderSentimentBar(message.sentiment)}
+        <span>${message.total}</span>
+      </div>`).join('');
+    output.innerHTML = `<p class="muted">${data.messages_with_reactions_captured} of ${data.message_count} messages in the last ${data.days} days have reactions stored.</p>` +
+      renderReactionSummary(data.summary) + (posts ? `<h3>Per message</h3>${posts}` : '');
+  } catch (error) {
+    output.textContent = error.message;
+  }
+}
+
+function formatMinutes(minutes) {
+  if (minutes === null || minutes === undefined) return '–';
+  if (minutes < 60) return `${Math.round(minutes)}m`;
+  if (minutes < 1440) return `${(minutes / 60).toFixed(1)}h`;
+  return `${(minutes / 1440).toFixed(1)}d`;
+}
+
+function formatLatency(latency) {
+  return `median ${formatMinutes(latency.median)} · p90 ${formatMinutes(latency.p90)} · slowest ${formatMinutes(latency.max)}`;
+}
+
+function renderReplyThread(data) {
+  if (!data.replies_captured) return '<p class="muted">No replies stored for this message yet; they are captured on its next tracking refresh.</p>';
+  const { summary } = data;
+  const sentMs = new Date(data.message_timestamp).getTime();
+  const rows = data.replies.map(reply => `
+    <tr>
+      <td>${escapeHtml(rowToLocalInputValue(reply.replied_at))}</td>
+      <td>+${escapeHtml(formatMinutes((new Date(reply.replied_at).getTime() - sentMs) / 60000))}</td>
+      <td>${escapeHtml(reply.author.split('@')[0])}</td>
+      <td>${escapeHtml(reply.media_type || '')}</td>
+      <td>${escapeHtml(reply.text)}</td>
+    </tr>`).join('');
+  return `<p><strong>${escapeHtml(data.group_name)}</strong> · ${escapeHtml(rowToLocalInputValue(data.message_timestamp))}: ${escapeHtml(data.message_content)}</p>
+    <p class="muted">${summary.count} replies from ${summary.repliers} members · first after ${formatMinutes(summary.firstReplyMinutes)} · ${formatLatency(summary.latencyMinutes)}</p>
+    ${rows ? `<table><thead><tr><th>Time</th><th>After</th><th>From</th><th>Type</th><th>Text</th></tr></thead><tbody>${rows}</tbody></table>` : ''}`;
+}
+
+function renderGroupReplyStats(data) {
+  const rows = data.messages.map(message => `
+    <tr>
+      <td>${escapeHtml(rowToLocalInputValue(message.message_timestamp))}</td>
+      <td>${escapeHtml(message.message_content)}</td>
+      <td>${message.count}</td>
+      <td>${escapeHtml(formatMinutes(message.firstReplyMinutes))}</td>
+      <td>${escapeHtml(formatMinutes(message.latencyMinutes.median))}</td>
+    </tr>`).join('');
+  return `<p class="muted">${data.replies} replies from ${data.repliers} members to ${data.messages_with_replies} of ${data.messages_with_replies_captured} messages in the last ${data.days} days.</p>
+    <p>First reply: ${formatLatency(data.firstReplyMinutes)}<br />All replies: ${formatLatency(data.latencyMinutes)}</p>
+    ${rows ? `<table><thead><tr><th>Sent</th><th>Message</th><th>Replies</th><th>First reply</th><th>Median</th></tr></thead><tbody>${rows}</tbody></table>` : ''}`;
+}
+
+async function loadReplies() {
+  const output = document.getElementById('replies-output');
+  const messageId = document.getElementById('replies-message-id').value.trim();
+  const groupName = document.getElementById('replies-group').value.trim();
+  try {
+    if (messageId) {
+      output.innerHTML = renderReplyThread(await api(`/api/messages/${encodeURIComponent(messageId)}/replies`));
+      return;
+    }
+    if (!groupName) throw new Error('Enter a message ID or a group name.');
+    const days = document.getElementById('replies-days').value.trim() || '30';
+    output.innerHTML = renderGroupReplyStats(await api(`/api/groups/${encodeURIComponent(groupName)}/replies?days=${encodeURIComponent(days)}`));
+  } catch (error) {
+    output.textContent = error.message;
+  }
+}
+
+function getApprovalLabel(job) {
+  if (!job.approvalStatus || ['sent', 'edited', 'retracted'].includes(job.status)) return '';
+  return job.approvalStatus.replace('_', ' ');
+}
+
+function getApprovalTitle(job) {
+  const approval = job.approval;
+  if (!approval) return '';
+  return [approval.by && `by ${approval.by}`, approval.reason && `reason: ${approval.reason}`, approval.comment]
+    .filter(Boolean).join(' · ');
+}
+
 async function setupEventStream() {
   const events = new EventSource('/api/posting/events');
-  events.addEventListener('update', async () => {
-    await loadJobs();
+  events.addEventListener('update', async (event) => {
+    const payload = JSON.parse(event.data || '{}');
+    if (payload.type === 'folder_import') await loadFolderImportStatus();
+    await Promise.all([loadJobs(), loadCalendar()]);
   });
 }
 
 async function setupListeners() {
   document.getElementById('refresh-all').addEventListener('click', async () => {
-    await Promise.all([loadWhatsappStatus(), loadJobs(), loadSettings()]);
+    await Promise.all([loadWhatsappStatus(), loadJobs(), loadCalendar(), loadSettings(), loadMedia(), loadTemplates()]);
   });
 
   document.getElementById('wa-connect').addEventListener('click', async () => {
@@ -622,12 +1282,55 @@ async function setupListeners() {
   });
 
   document.getElementById('save-settings').addEventListener('click', async () => {
+    const windowsText = document.getElementById('group-send-windows').value.trim();
+    let groupSendWindows;
+    try {
+      groupSendWindows = windowsText ? JSON.parse(windowsText) : {};
+    } catch (error) {
+      return alert('Per-group windows must be valid JSON.');
+    }
+    const mentionCapsText = document.getElementById('mention-group-caps').value.trim();
+    let mentionCaps;
+    try {
+      mentionCaps = mentionCapsText ? JSON.parse(mentionCapsText) : {};
+    } catch (error) {
+      return alert('Per-group mention caps must be valid JSON.');
+    }
+    const quietStart = document.getElementById('quiet-start').value;
+    const quietEnd = document.getElementById('quiet-end').value;
     await api('/api/posting/settings', {
       method: 'PATCH',
       body: JSON.stringify({
-        randomDelayMaxMinutes: Number(el.randomDelayMax.value || 0)
+        randomDelayMaxMinutes: Number(el.randomDelayMax.value || 0),
+        rateLimits: readRateLimitInputs(),
+        quietHours: quietStart || quietEnd ? { start: quietStart, end: quietEnd } : null,
+        groupSendWindows,
+        missedJobPolicy: {
+          mode: document.getElementById('missed-mode').value,
+          graceMinutes: Number(document.getElementById('missed-grace').value || 0)
+        },
+        retryPolicy: {
+          maxAttempts: Number(document.getElementById('retry-max-attempts').value || 1),
+          baseDelaySeconds: Number(document.getElementById('retry-base-delay').value || 60),
+          maxDelayMinutes: Number(document.getElementById('retry-max-delay').value || 30)
+        },
+        approval: {
+          enabled: document.getElementById('approval-enabled').checked,
+          approvers: document.getElementById('approval-approvers').value
+        },
+        mentions: {
+          maxPerMessage: Number(document.getElementById('mention-cap').value || 0),
+          perGroup: mentionCaps
+        },
+        dryRun: document.getElementById('dry-run-enabled').checked,
+        folderImport: {
+          enabled: document.getElementById('folder-import-enabled').checked,
+          path: document.getElementById('folder-import-path').value,
+          pollSeconds: Number(document.getElementById('folder-import-poll').value || 10)
+        }
       })
     });
+    await loadFolderImportStatus();
     alert('Settings saved');
   });
 
@@ -665,7 +1368,15 @@ async function setupListeners() {
       group_jid: document.getElementById('manual-group-jid').value.trim(),
       group_name: document.getElementById('manual-group-name').value.trim(),
       scheduled_at: parseLocalDate(document.getElementById('manual-scheduled-at').value),
-      message_text: document.getElementById('manual-message').value
+      timezone: document.getElementById('manual-timezone').value.trim(),
+      after: document.getElementById('manual-after').value.trim(),
+      after_offset_minutes: document.getElementById('manual-after-offset').value.trim(),
+      message_text: document.getElementById('manual-message').value,
+      recurrence: document.getElementById('manual-recurrence').value.trim(),
+      media: document.getElementById('manual-media').value.trim(),
+      template: document.getElementById('manual-template').value.trim(),
+      mentions: document.getElementById('manual-mentions').value.trim(),
+      payload: document.getElementById('manual-payload').value.trim()
     };
     await api('/api/posting/jobs', {
       method: 'POST',
@@ -674,6 +1385,82 @@ async function setupListeners() {
     await loadJobs();
   });
 
+  document.getElementById('xlsx-file').addEventListener('change', () => {
+    document.getElementById('xlsx-sheet').innerHTML = '<option value="">First visible sheet</option>';
+  });
+
+  document.getElementById('xlsx-preview').addEventListener('click', async () => {
+    const output = document.getElementById('xlsx-preview-output');
+    try {
+      const data = await postXlsx('/api/posting/import/xlsx-preview');
+      const sheetSelect = document.getElementById('xlsx-sheet');
+      sheetSelect.innerHTML = data.sheets.map(sheet => (
+        `<option value="${escapeHtml(sheet.name)}">${escapeHtml(sheet.name)}${sheet.hidden ? ' (hidden)' : ''} · ${sheet.rowCount} rows</option>`
+      )).join('');
+      sheetSelect.value = data.sheet;
+      output.textContent = JSON.stringify({
+        sheet: data.sheet,
+        headerRow: data.headerRow,
+        mapping: data.mapping,
+        totalRows: data.rows.length,
+        firstRows: data.rows.slice(0, 3),
+        invalidRows: data.validation.filter(v => !v.valid)
+      }, null, 2);
+    } catch (error) {
+      output.textContent = error.message;
+    }
+  });
+
+  document.getElementById('xlsx-import').addEventListener('click', async () => {
+    try {
+      const data = await postXlsx('/api/posting/import/xlsx');
+      const skipped = data.errors.length ? `; ${data.errors.length} row(s) skipped:\n${data.errors.map(e => `row ${e.rowNumber}: ${e.error}`).join('\n')}` : '';
+      alert(`Imported ${data.createdCount} rows from "${data.sheet}"${skipped}`);
+      await loadJobs();
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  document.getElementById('media-upload').addEventListener('click', async () => {
+    const file = el.mediaFile.files?.[0];
+    if (!file) return alert('Choose a media file first.');
+    const form = new FormData();
+    form.append('file', file);
+    const response = await fetch('/api/posting/media', { method: 'POST', body: form });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.media) return alert(data.error || 'Upload failed');
+    el.mediaFile.value = '';
+    await loadMedia();
+  });
+
+  document.getElementById('template-save').addEventListener('click', async () => {
+    const name = document.getElementById('template-name').value.trim();
+    const body = document.getElementById('template-body').value;
+    if (!name || !body.trim()) return alert('Template name and body are required.');
+    await api('/api/posting/templates', {
+      method: 'POST',
+      body: JSON.stringify({ name, body })
+    });
+    document.getElementById('template-name').value = '';
+    document.getElementById('template-body').value = '';
+    await loadTemplates();
+  });
+
+  document.getElementById('template-preview').addEventListener('click', async () => {
+    const ids = selectedIds();
+    if (!ids.length) return alert('Select rows to preview.');
+    const data = await api('/api/posting/templates/preview', {
+      method: 'POST',
+      body: JSON.stringify({ jobIds: ids })
+    });
+    el.templatePreviewOutput.textContent = (data.previews || []).map((item) => {
+      const header = `#${item.jobId} → ${item.groupName || item.groupJid}`;
+      const warning = item.error || (item.missing.length ? `Unknown variables: ${item.missing.join(', ')}` : '');
+      return `${header}${warning ? `  ⚠ ${warning}` : ''}\n${item.text}`;
+    }).join('\n\n');
+  });
+
   document.getElementById('paste-import').addEventListener('click', async () => {
     const text = el.pasteInput.value;
     if (!text.trim()) return alert('Paste rows first');
@@ -719,9 +1506,16 @@ async function setupListeners() {
   });
 
   document.getElementById('action-enqueue').addEventListener('click', async () => enqueueAction('enqueue'));
+  document.getElementById('action-dry-run').addEventListener('click', dryRunAction);
   document.getElementById('action-pause').addEventListener('click', async () => enqueueAction('pause'));
   document.getElementById('action-resume').addEventListener('click', async () => enqueueAction('resume'));
   document.getElementById('action-cancel').addEventListener('click', async () => enqueueAction('cancel'));
+  document.getElementById('action-submit-approval').addEventListener('click', async () => approvalAction('submit-approval'));
+  document.getElementById('action-approve').addEventListener('click', async () => approvalAction('approve'));
+  document.getElementById('action-approve-enqueue').addEventListener('click', async () => approvalAction('approve', { enqueue: true }));
+  document.getElementById('action-reject').addEventListener('click', async () => approvalAction('reject'));
+  document.getElementById('action-edit-sent').addEventListener('click', async () => sentMessageAction('edit-sent'));
+  document.getElementById('action-retract').addEventListener('click', async () => sentMessageAction('retract'));
 
   el.selectAll.addEventListener('change', () => {
     const checked = el.selectAll.checked;
@@ -730,13 +1524,20 @@ async function setupListeners() {
     });
   });
 
+  document.getElementById('followup-list').addEventListener('click', listUnseen);
+  document.getElementById('followup-csv').addEventListener('click', exportUnseenCsv);
+  document.getElementById('followup-create').addEventListener('click', createFollowUps);
+  document.getElementById('reactions-load').addEventListener('click', loadReactions);
+  document.getElementById('replies-load').addEventListener('click', loadReplies);
+
   setupCellEditing();
+  setupCalendar();
 }
 
 async function bootstrap() {
   try {
     await setupListeners();
-    await Promise.all([loadWhatsappStatus(), loadSettings(), loadJobs()]);
+    await Promise.all([loadWhatsappStatus(), loadSettings(), loadJobs(), loadCalendar(), loadMedia(), loadTemplates()]);
     await setupEventStream();
   } catch (error) {
     alert(error.message);
@@ -7,6 +7,7 @@
     jobs: [],       // queue jobs from API
     submitting: false,
     nextId: 1,
+    calendar: { view: 'month', date: new Date(), entries: [] },
   };
 
   // ── Helpers ──────────────────────────────────────────────────────────────
@@ -33,6 +34,17 @@
       .replace(/"/g, '&quot;');
   }
 
+  // Short tag for typed messages (poll, location, contact, ...) shown before the text
+  function payloadLabel(job) {
+    var payload = job.payload;
+    if (!payload) return job.media ? '[' + job.media.kind + '] ' : '';
+    if (payload.type === 'poll') return '[poll: ' + payload.options.length + ' options] ';
+    if (payload.type === 'location') return '[location: ' + (payload.name || payload.latitude + ', ' + payload.longitude) + '] ';
+    if (payload.type === 'contact') return '[contact: ' + (payload.name || 'vCard') + '] ';
+    if (payload.type === 'voice') return '[voice note] ';
+    return '[' + payload.type + '] ';
+  }
+
   function formatDateTime(iso) {
     if (!iso) return '';
     try {
@@ -42,6 +54,24 @@
     } catch (e) { return iso; }
   }
 
+  // Wall-clock parts of an instant in an IANA zone, e.g. { year: '2026', month: '03', ... }
+  function zonedParts(iso, timeZone) {
+    var parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+    }).formatToParts(new Date(iso)).forEach(function (part) { parts[part.type] = part.value; });
+    return parts;
+  }
+
+  // Local time, plus the group's own time when the job has a different timezone
+  function formatJobTime(job, iso) {
+    var local = formatDateTime(iso);
+    if (!iso || !job.timeZone || isNaN(new Date(iso))) return local;
+    var p = zonedParts(iso, job.timeZone);
+    var zoned = p.year + '-' + p.month + '-' + p.day + ' ' + p.hour + ':' + p.minute + ' ' + job.timeZone;
+    return local + ' (' + zoned + ')';
+  }
+
   // ── Sample CSV download ──────────────────────────────────────────────────
   function downloadSampleCsv() {
     var lines = [
@@ -78,16 +108,20 @@
       .catch(function (err) { setReportStatus('Export failed: ' + err.message, 'error'); });
   }
 
+  // Edited messages are still delivered; retracted ones were deleted for everyone after sending
+  function isDelivered(j) { return j.status === 'sent' || j.status === 'edited'; }
+  function isWithdrawn(j) { return j.status === 'cancelled' || j.status === 'retracted'; }
+
   function buildAnalyticsCSV(jobs) {
     var esc = function (v) { return '"' + String(v == null ? '' : v).replace(/"/g, '""') + '"'; };
     var lines = [];
 
     // ── Section 1: Summary ───────────────────────────────────────────────
     var total   = jobs.length;
-    var sent    = jobs.filter(function (j) { return j.status === 'sent'; }).length;
+    var sent    = jobs.filter(isDelivered).length;
     var failed  = jobs.filter(function (j) { return j.status === 'failed'; }).length;
-    var pending = jobs.filter(function (j) { return j.status === 'scheduled' || j.status === 'queued' || j.status === 'uploaded'; }).length;
-    var cancelled = jobs.filter(function (j) { return j.status === 'cancelled'; }).length;
+    var pending = jobs.filter(function (j) { return j.status === 'scheduled' || j.status === 'queued' || j.status === 'deferred' || j.status === 'retrying' || j.status === 'uploaded'; }).length;
+    var cancelled = jobs.filter(isWithdrawn).length;
     var rate    = total > 0 ? (sent / total * 100).toFixed(1) : '0.0';
 
     lines.push('SUMMARY');
@@ -105,9 +139,9 @@
     jobs.forEach(function (j) {
       var name = (j.resolvedGroup && j.resolvedGroup.name) || j.groupName || 'Unknown';
       if (!byGroup[name]) byGroup[name] = { sent: 0, failed: 0, pending: 0, cancelled: 0 };
-      if (j.status === 'sent')      byGroup[name].sent++;
+      if (isDelivered(j))           byGroup[name].sent++;
       else if (j.status === 'failed') byGroup[name].failed++;
-      else if (j.status === 'cancelled') byGroup[name].cancelled++;
+      else if (isWithdrawn(j))      byGroup[name].cancelled++;
       else                          byGroup[name].pending++;
     });
 
@@ -126,7 +160,7 @@
       var dateStr = (j.actualSendAt || j.scheduledAt || j.createdAt || '').slice(0, 10);
       if (!dateStr) return;
       if (!byDay[dateStr]) byDay[dateStr] = { sent: 0, failed: 0, other: 0 };
-      if (j.status === 'sent')       byDay[dateStr].sent++;
+      if (isDelivered(j))            byDay[dateStr].sent++;
       else if (j.status === 'failed') byDay[dateStr].failed++;
       else                            byDay[dateStr].other++;
     });
@@ -164,9 +198,43 @@
     el.className = 'upload-status' + (type ? ' ' + type : '');
   }
 
+  function showImportResult(data) {
+    if (data.error) {
+      setUploadStatus('Upload failed: ' + data.error, 'error');
+      return;
+    }
+    var created = (data.created || []).length || data.createdCount || 0;
+    var errs = data.errors || [];
+    if (errs.length > 0) {
+      var errSummary = errs.slice(0, 2).map(function (e) {
+        if (typeof e === 'string') return e;
+        return e.message || e.error || e.row || JSON.stringify(e);
+      }).join('; ');
+      setUploadStatus(
+        created + ' scheduled, ' + errs.length + ' error(s): ' + errSummary,
+        'error'
+      );
+    } else {
+      setUploadStatus(created + ' job(s) scheduled successfully.', 'success');
+    }
+    loadJobs();
+  }
+
   function handleCsvUpload(file) {
     if (!file) return;
     setUploadStatus('Uploading…', '');
+    // Excel workbooks import their first visible sheet, with headers in the first non-empty row
+    if (/\.xlsx$/i.test(file.name)) {
+      var form = new FormData();
+      form.append('file', file);
+      fetch('/api/posting/import/xlsx', { method: 'POST', body: form })
+        .then(function (r) { return r.json(); })
+        .then(showImportResult)
+        .catch(function (err) {
+          setUploadStatus('Upload failed: ' + err.message, 'error');
+        });
+      return;
+    }
     var reader = new FileReader();
     reader.onload = function (e) {
       var csvText = e.target.result;
@@ -176,23 +244,7 @@
         body: JSON.stringify({ csvText: csvText }),
       })
         .then(function (r) { return r.json(); })
-        .then(function (data) {
-          var created = (data.created || []).length || data.createdCount || 0;
-          var errs = data.errors || [];
-          if (errs.length > 0) {
-            var errSummary = errs.slice(0, 2).map(function (e) {
-              if (typeof e === 'string') return e;
-              return e.message || e.error || e.row || JSON.stringify(e);
-            }).join('; ');
-            setUploadStatus(
-              created + ' scheduled, ' + errs.length + ' error(s): ' + errSummary,
-              'error'
-            );
-          } else {
-            setUploadStatus(created + ' job(s) scheduled successfully.', 'success');
-          }
-          loadJobs();
-        })
+        .then(showImportResult)
         .catch(function (err) {
           setUploadStatus('Upload failed: ' + err.message, 'error');
         });
@@ -486,12 +538,12 @@
     renderQueue();
   }
 
-  var EDITABLE_STATUSES = { uploaded: 1, queued: 1, scheduled: 1, failed: 1, cancelled: 1, sent: 1 };
+  var EDITABLE_STATUSES = { uploaded: 1, queued: 1, scheduled: 1, deferred: 1, retrying: 1, waiting: 1, blocked: 1, failed: 1, cancelled: 1, missed: 1, simulated: 1, sent: 1 };
 
   function renderQueue() {
     var tbody = document.getElementById('queue-tbody');
     var visible = state.jobs.filter(function (j) {
-      return j.status === 'scheduled' || j.status === 'queued' || j.status === 'pending' || j.status === 'uploaded';
+      return j.status === 'scheduled' || j.status === 'queued' || j.status === 'deferred' || j.status === 'retrying' || j.status === 'waiting' || j.status === 'blocked' || j.status === 'pending' || j.status === 'uploaded' || j.status === 'missed';
     });
 
     if (visible.length === 0) {
@@ -503,6 +555,7 @@
     visible.forEach(function (job) {
       var groupName = (job.resolvedGroup && job.resolvedGroup.name) || job.groupName || job.group_name || '';
       var msg = job.messageText || job.message_text || job.message || '';
+      var typeTag = payloadLabel(job);
       var at = job.scheduledAt || job.scheduled_at || '';
       var status = job.status || 'scheduled';
       var editable = !!EDITABLE_STATUSES[status];
@@ -520,22 +573,23 @@
       // Message
       if (editable) {
         html += '<td class="q-cell" data-job-id="' + job.id + '" data-qfield="messageText">';
+        if (typeTag) html += '<span class="text-muted">' + escapeHtml(typeTag) + '</span>';
         html += '<span class="cell-display' + (msg ? '' : ' cell-placeholder') + '">' + escapeHtml(msg.length > 80 ? msg.slice(0, 80) + '…' : msg || 'Message…') + '</span></td>';
       } else {
-        html += '<td>' + escapeHtml(msg.length > 80 ? msg.slice(0, 80) + '…' : msg) + '</td>';
+        html += '<td>' + escapeHtml(typeTag + (msg.length > 80 ? msg.slice(0, 80) + '…' : msg)) + '</td>';
       }
 
       // Scheduled At
       if (editable) {
         html += '<td class="q-cell" data-job-id="' + job.id + '" data-qfield="scheduledAt">';
-        html += '<span class="cell-display' + (at ? '' : ' cell-placeholder') + '">' + escapeHtml(formatDateTime(at) || 'Date…') + '</span></td>';
+        html += '<span class="cell-display' + (at ? '' : ' cell-placeholder') + '">' + escapeHtml(formatJobTime(job, at) || 'Date…') + '</span></td>';
       } else {
-        html += '<td>' + escapeHtml(formatDateTime(at)) + '</td>';
+        html += '<td>' + escapeHtml(formatJobTime(job, at)) + '</td>';
       }
 
       html += '<td><span class="pill pill-' + status + '">' + status + '</span></td>';
       html += '<td style="white-space:nowrap">';
-      if (status === 'uploaded' || status === 'failed' || status === 'cancelled') {
+      if (status === 'uploaded' || status === 'failed' || status === 'cancelled' || status === 'missed') {
         html += '<button class="btn btn-accent btn-sm btn-schedule-job" data-id="' + job.id + '" style="margin-right:4px">Schedule</button>';
       }
       html += '<button class="btn btn-outline btn-sm btn-cancel-job" data-id="' + job.id + '">Cancel</button>';
@@ -562,10 +616,14 @@
     }
     input.className = 'cell-edit';
 
-    // datetime-local needs value in YYYY-MM-DDTHH:MM format
+    // datetime-local needs value in YYYY-MM-DDTHH:MM format; jobs with a timezone are edited in that zone
     if (field === 'scheduledAt' && rawValue) {
       var d = new Date(rawValue);
-      if (!isNaN(d)) {
+      if (!isNaN(d) && job.timeZone) {
+        var p = zonedParts(rawValue, job.timeZone);
+        rawValue = p.year + '-' + p.month + '-' + p.day + 'T' + p.hour + ':' + p.minute;
+        input.title = 'Time in ' + job.timeZone;
+      } else if (!isNaN(d)) {
         var pad = function (n) { return String(n).padStart(2, '0'); };
         rawValue = d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate()) +
                    'T' + pad(d.getHours()) + ':' + pad(d.getMinutes());
@@ -619,7 +677,11 @@
       body: JSON.stringify({ ids: [id] }),
     })
       .then(function (r) { return r.json(); })
-      .then(function () { loadJobs(); })
+      .then(function (data) {
+        // e.g. blocked because the job still needs approval
+        if (data && data.error) alert(data.error);
+        loadJobs();
+      })
       .catch(function (err) { console.error('scheduleJob error:', err); });
   }
 
@@ -634,6 +696,187 @@
       .catch(function (err) { console.error('cancelJob error:', err); });
   }
 
+  // ── Calendar ─────────────────────────────────────────────────────────────
+  var CAL_WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+  function pad2(n) { return String(n).padStart(2, '0'); }
+
+  function addDays(date, days) {
+    var d = new Date(date);
+    d.setDate(d.getDate() + days);
+    return d;
+  }
+
+  function dayKey(d) {
+    return d.getFullYear() + '-' + pad2(d.getMonth() + 1) + '-' + pad2(d.getDate());
+  }
+
+  // Month view shows six whole weeks from the Monday on or before the 1st
+  function calendarRange() {
+    var cal = state.calendar;
+    var day = new Date(cal.date.getFullYear(), cal.date.getMonth(), cal.date.getDate());
+    if (cal.view === 'day') return { from: day, days: 1 };
+    var anchor = cal.view === 'month' ? new Date(day.getFullYear(), day.getMonth(), 1) : day;
+    return { from: addDays(anchor, -((anchor.getDay() + 6) % 7)), days: cal.view === 'month' ? 42 : 7 };
+  }
+
+  function loadCalendar() {
+    var range = calendarRange();
+    var query = 'from=' + encodeURIComponent(range.from.toISOString()) +
+      '&to=' + encodeURIComponent(addDays(range.from, range.days).toISOString());
+    fetch('/api/posting/calendar?' + query)
+      .then(function (r) { return r.json(); })
+      .then(function (data) {
+        if (!data.success) throw new Error(data.error || 'Failed to load calendar');
+        state.calendar.entries = data.entries || [];
+        renderCalendar();
+      })
+      .catch(function (err) { console.error('loadCalendar error:', err); });
+  }
+
+  function renderCalendarEntry(entry) {
+    var d = new Date(entry.start);
+    var title = '#' + entry.jobId + ' ' + entry.status +
+      (entry.campaignName ? '\nCampaign: ' + entry.campaignName : '') +
+      (entry.recurrence ? '\nRepeats: ' + entry.recurrence : '') +
+      (entry.messageText ? '\n' + entry.messageText : '');
+    return '<span class="cal-entry status-' + entry.status + (entry.projected ? ' projected' : '') + '"' +
+      ' draggable="' + (entry.draggable ? 'true' : 'false') + '" data-entry-id="' + escapeHtml(entry.id) + '"' +
+      ' title="' + escapeHtml(title) + '">' + pad2(d.getHours()) + ':' + pad2(d.getMinutes()) + ' ' + escapeHtml(entry.title) + '</span>';
+  }
+
+  function renderCalendar() {
+    var cal = state.calendar;
+    var range = calendarRange();
+    var today = dayKey(new Date());
+    var byDay = {};
+    cal.entries.forEach(function (entry) {
+      var key = dayKey(new Date(entry.start));
+      (byDay[key] = byDay[key] || []).push(entry);
+    });
+    var days = [];
+    for (var i = 0; i < range.days; i++) days.push(addDays(range.from, i));
+
+    var title = document.getElementById('cal-title');
+    if (cal.view === 'month') title.textContent = cal.date.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    else if (cal.view === 'week') title.textContent = days[0].toLocaleDateString() + ' – ' + days[6].toLocaleDateString();
+    else title.textContent = cal.date.toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+
+    var html = [];
+    if (cal.view === 'month') {
+      CAL_WEEKDAYS.forEach(function (label) { html.push('<div class="cal-head">' + label + '</div>'); });
+      days.forEach(function (day) {
+        var key = dayKey(day);
+        var cls = 'cal-cell' + (day.getMonth() !== cal.date.getMonth() ? ' outside' : '') + (key === today ? ' today' : '');
+        html.push('<div class="' + cls + '" data-day="' + key + '"><div class="cal-date">' + day.getDate() + '</div>' +
+          (byDay[key] || []).map(renderCalendarEntry).join('') + '</div>');
+      });
+    } else {
+      html.push('<div class="cal-head"></div>');
+      days.forEach(function (day) {
+        html.push('<div class="cal-head">' + day.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' }) + '</div>');
+      });
+      for (var hour = 0; hour < 24; hour++) {
+        html.push('<div class="cal-hour">' + pad2(hour) + ':00</div>');
+        days.forEach(function (day) {
+          var key = dayKey(day);
+          var entries = (byDay[key] || []).filter(function (entry) { return new Date(entry.start).getHours() === hour; });
+          html.push('<div class="cal-cell' + (key === today ? ' today' : '') + '" data-day="' + key + '" data-hour="' + hour + '">' +
+            entries.map(renderCalendarEntry).join('') + '</div>');
+        });
+      }
+    }
+    var grid = document.getElementById('cal-grid');
+    grid.className = 'cal-grid cal-' + cal.view;
+    grid.innerHTML = html.join('');
+  }
+
+  function shiftCalendar(direction) {
+    var cal = state.calendar;
+    if (cal.view === 'month') cal.date = new Date(cal.date.getFullYear(), cal.date.getMonth() + direction, 1);
+    else cal.date = addDays(cal.date, cal.view === 'week' ? 7 * direction : direction);
+    loadCalendar();
+  }
+
+  function setCalendarStatus(msg, type) {
+    var el = document.getElementById('cal-status');
+    el.textContent = msg;
+    el.className = 'submit-summary' + (type ? ' ' + type : '');
+  }
+
+  // Dropping keeps the post's time of day; week and day views also take the hour of the slot
+  function moveCalendarEntry(entryId, cell) {
+    var entry = state.calendar.entries.find(function (item) { return item.id === entryId; });
+    if (!entry || !entry.draggable) return;
+    var current = new Date(entry.start);
+    var parts = cell.dataset.day.split('-').map(Number);
+    var hour = cell.dataset.hour !== undefined ? Number(cell.dataset.hour) : current.getHours();
+    var target = new Date(parts[0], parts[1] - 1, parts[2], hour, current.getMinutes());
+    if (target.getTime() === current.getTime()) return;
+    if (target.getTime() < Date.now()) { setCalendarStatus('Cannot move a post into the past.', 'err'); return; }
+
+    fetch('/api/posting/calendar/reschedule', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jobId: entry.jobId, scheduledAt: target.toISOString() }),
+    })
+      .then(function (r) { return r.json(); })
+      .then(function (data) {
+        if (!data.success) throw new Error(data.error || 'Reschedule failed');
+        setCalendarStatus('Moved #' + entry.jobId + ' to ' + formatJobTime(data.job, data.job.scheduledAt) + '.', 'ok');
+        loadJobs();
+        loadCalendar();
+      })
+      .catch(function (err) { setCalendarStatus(err.message, 'err'); });
+  }
+
+  function initCalendar() {
+    var grid = document.getElementById('cal-grid');
+    var draggedId = null;
+    grid.addEventListener('dragstart', function (e) {
+      var item = e.target.closest('.cal-entry');
+      if (!item || item.getAttribute('draggable') !== 'true') { e.preventDefault(); return; }
+      draggedId = item.dataset.entryId;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', draggedId);
+    });
+    grid.addEventListener('dragover', function (e) {
+      var cell = e.target.closest('.cal-cell');
+      if (!cell || !draggedId) return;
+      e.preventDefault();
+      cell.classList.add('drop-target');
+    });
+    grid.addEventListener('dragleave', function (e) {
+      var cell = e.target.closest('.cal-cell');
+      if (cell && !cell.contains(e.relatedTarget)) cell.classList.remove('drop-target');
+    });
+    grid.addEventListener('drop', function (e) {
+      var cell = e.target.closest('.cal-cell');
+      if (!cell || !draggedId) return;
+      e.preventDefault();
+      cell.classList.remove('drop-target');
+      var entryId = draggedId;
+      draggedId = null;
+      moveCalendarEntry(entryId, cell);
+    });
+    grid.addEventListener('dragend', function () {
+      draggedId = null;
+      Array.prototype.forEach.call(grid.querySelectorAll('.drop-target'), function (cell) { cell.classList.remove('drop-target'); });
+    });
+
+    document.getElementById('cal-view').addEventListener('change', function (e) {
+      state.calendar.view = e.target.value;
+      loadCalendar();
+    });
+    document.getElementById('cal-prev').addEventListener('click', function () { shiftCalendar(-1); });
+    document.getElementById('cal-next').addEventListener('click', function () { shiftCalendar(1); });
+    document.getElementById('cal-today').addEventListener('click', function () {
+      state.calendar.date = new Date();
+      loadCalendar();
+    });
+    loadCalendar();
+  }
+
   // ── SSE ──────────────────────────────────────────────────────────────────
   function initSSE() {
     var es = new EventSource('/api/posting/events');
@@ -649,6 +892,7 @@
       try {
         var job = JSON.parse(e.data);
         upsertJob(job);
+        if (job && job.type === 'jobs') loadCalendar();
       } catch (err) { /* ignore */ }
     });
     es.addEventListener('message', function (e) {
@@ -670,6 +914,7 @@
 
     // Load existing queue
     loadJobs();
+    initCalendar();
     initSSE();
 
     // Save Report
@@ -39,6 +39,7 @@
 
     scheduleField:$('schedule-field'),
     scheduleAt:   $('schedule-at'),
+    scheduleSpread: $('schedule-spread'),
 
     composeError: $('compose-error'),
     btnSubmit:    $('btn-submit'),
@@ -65,6 +66,14 @@
     return d.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
   }
 
+  // The group's own time for jobs scheduled in another timezone, e.g. "Mar 1, 10:00 Europe/Berlin"
+  function fmtZoned(iso, timeZone) {
+    if (!iso || !timeZone) return '';
+    const d = new Date(iso);
+    if (isNaN(d)) return '';
+    return `${d.toLocaleString(undefined, { timeZone, month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })} ${timeZone}`;
+  }
+
   async function apiFetch(path, opts = {}) {
     const res = await fetch(path, opts);
     const data = await res.json().catch(() => ({}));
@@ -353,35 +362,40 @@
     el.btnSubmit.disabled = true;
     el.submitStatus.textContent = `Scheduling ${state.selectedGroups.length} group(s)…`;
 
-    let ok = 0, fail = 0;
-    for (const g of state.selectedGroups) {
-      try {
-        await apiFetch('/api/posting/jobs', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            messageText: msgText,
-            groupJid: g.jid,
-            groupName: g.name,
-            scheduledAt
-          })
-        });
-        ok++;
-      } catch (_) {
-        fail++;
+    try {
+      let mediaId = null;
+      if (state.imageFile) {
+        const fd = new FormData();
+        fd.append('file', state.imageFile);
+        const upload = await apiFetch('/api/posting/media', { method: 'POST', body: fd });
+        mediaId = upload.media.id;
       }
-    }
-
-    state.submitting = false;
-    el.btnSubmit.disabled = false;
-    el.submitStatus.textContent = fail === 0
-      ? `Scheduled ${ok} group(s).`
-      : `Scheduled ${ok}, failed ${fail}.`;
-    if (fail === 0) {
+      const data = await apiFetch('/api/posting/campaigns', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          messageText: msgText,
+          media: mediaId,
+          groups: state.selectedGroups.map(g => ({ groupJid: g.jid, groupName: g.name })),
+          startAt: scheduledAt,
+          spreadMinutes: Number(el.scheduleSpread.value) || 0,
+          enqueue: true
+        })
+      });
+      // With approval mode on the jobs wait for a lead instead of being scheduled
+      el.submitStatus.textContent = data.campaign.status === 'draft'
+        ? `Sent ${data.campaign.counts.total} group(s) for approval as ${data.campaign.name}.`
+        : `Scheduled ${data.campaign.counts.total} group(s) as ${data.campaign.name}.`;
       el.msgText.value = '';
       el.scheduleAt.value = '';
       clearImage();
+    } catch (err) {
+      showError(err.message);
+      el.submitStatus.textContent = '';
     }
+
+    state.submitting = false;
+    el.btnSubmit.disabled = false;
   }
 
   // ── Image ──────────────────────────────────────────────
@@ -430,6 +444,25 @@
     source.onerror = () => {};
   }
 
+  function engagementLine(engagement) {
+    if (!engagement) return '';
+    return `<div class="td-engagement text-muted">${engagement.seen} seen · ${engagement.reactions} reactions · ${engagement.replies} replies</div>`;
+  }
+
+  function payloadLabel(payload) {
+    if (!payload) return '';
+    switch (payload.type) {
+      case 'poll': return `Poll · ${payload.options.length} options${payload.allowMultipleAnswers ? ' (multi-select)' : ''}`;
+      case 'location': return `Location · ${payload.name || `${payload.latitude}, ${payload.longitude}`}`;
+      case 'contact': return `Contact · ${payload.name || 'vCard'}`;
+      case 'document': return `Document${payload.filename ? ` · ${payload.filename}` : ''}`;
+      case 'voice': return 'Voice note';
+      default: return '';
+    }
+  }
+
+  const CANCELLABLE_STATUSES = ['scheduled', 'queued', 'deferred', 'retrying', 'waiting', 'blocked', 'uploaded', 'pending_approval', 'rejected'];
+
   function renderQueue() {
     const filter = state.queueFilter;
     const filtered = state.jobs
@@ -442,16 +475,21 @@
     }
 
     el.queueBody.innerHTML = filtered.map((j) => {
-      const status = j.status || 'unknown';
+      let status = j.status || 'unknown';
+      if (status === 'uploaded' && (j.approvalStatus === 'pending_approval' || j.approvalStatus === 'rejected')) {
+        status = j.approvalStatus;
+      }
       const groupName = escHtml(j.groupName || j.group_name || j.groupJid || '—');
       const msgPreview = escHtml((j.messageText || j.message_text || '').substring(0, 80));
+      const typeLabel = payloadLabel(j.payload);
       const time = fmtDate(j.scheduledAt || j.scheduled_at || j.sentAt || j.sent_at || j.createdAt);
-      const canCancel = status === 'scheduled' || status === 'queued' || status === 'uploaded';
+      const zonedTime = fmtZoned(j.scheduledAt, j.timeZone);
+      const canCancel = CANCELLABLE_STATUSES.includes(status);
       return `<tr>
         <td>${groupName}</td>
-        <td class="td-msg" title="${escHtml(j.messageText || j.message_text || '')}">${msgPreview}</td>
-        <td style="white-space:nowrap">${time}</td>
-        <td><span class="pill pill-${escHtml(status)}">${escHtml(status)}</span></td>
+        <td class="td-msg" title="${escHtml(j.messageText || j.message_text || '')}">${typeLabel ? `<div class="td-type text-muted">${escHtml(typeLabel)}</div>` : ''}${msgPreview}</td>
+        <td style="white-space:nowrap">${time}${zonedTime ? `<div class="text-muted">${escHtml(zonedTime)}</div>` : ''}</td>
+        <td><span class="pill pill-${escHtml(status)}">${escHtml(status)}</span>${engagementLine(j.engagement)}</td>
         <td>${canCancel ? `<button class="btn btn-danger btn-sm" data-cancel-id="${j.id}">Cancel</button>` : '—'}</td>
       </tr>`;
     }).join('');
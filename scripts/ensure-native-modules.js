@@ -0,0 +1,41 @@
+/**
+ * Make sure better-sqlite3 is built for the runtime about to load it.
+ * `npm start` runs the app in Electron and `npm test` runs plain Node; the two need different native
+ * builds, so prestart/pretest call this and it rebuilds only when the current build does not load.
+ * Usage: node scripts/ensure-native-modules.js electron|node
+ */
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const projectRoot = path.join(__dirname, '..');
+const target = process.argv[2];
+const PROBE = "new (require('better-sqlite3'))(':memory:').close()";
+
+if (!['electron', 'node'].includes(target)) {
+  console.error('Usage: node scripts/ensure-native-modules.js electron|node');
+  process.exit(1);
+}
+
+function loads() {
+  const runtime = target === 'electron' ? require('electron') : process.execPath;
+  const result = spawnSync(runtime, ['-e', PROBE], {
+    cwd: projectRoot,
+    env: { ...process.env, ELECTRON_RUN_AS_NODE: '1' },
+    stdio: 'ignore'
+  });
+  return result.status === 0;
+}
+
+if (loads()) process.exit(0);
+
+console.log(`better-sqlite3 is not built for ${target}, rebuilding...`);
+const npx = process.platform === 'win32' ? 'npx.cmd' : 'npx';
+const npm = process.platform === 'win32' ? 'npm.cmd' : 'npm';
+const result = target === 'electron'
+  ? spawnSync(npx, ['electron-builder', 'install-app-deps'], { cwd: projectRoot, stdio: 'inherit', shell: process.platform === 'win32' })
+  : spawnSync(npm, ['rebuild', 'better-sqlite3'], { cwd: projectRoot, stdio: 'inherit', shell: process.platform === 'win32' });
+
+if (result.status !== 0 || !loads()) {
+  console.error(`Could not rebuild better-sqlite3 for ${target}; run "npm run rebuild:electron" or "npm rebuild better-sqlite3" and check the output`);
+  process.exit(1);
+}
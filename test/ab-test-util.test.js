@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeVariants, splitTargets, summarizeVariant, compareVariants } = require('../electron/ab-test-util');
+
+const variant = (variantId, eligible, engaged) => ({ variantId, eligible, engaged });
+
+test('compareVariants grades the gap between the two best variants with a two-proportion z-test', () => {
+  assert.deepStrictEqual(compareVariants([variant('B', 100, 15), variant('A', 100, 30)]), {
+    leader: 'A', runnerUp: 'B', zScore: 2.54, level: 'significant', confidence: 95
+  });
+  assert.deepStrictEqual(compareVariants([variant('A', 100, 30), variant('B', 100, 19)]), {
+    leader: 'A', runnerUp: 'B', zScore: 1.81, level: 'likely', confidence: 90
+  });
+  assert.deepStrictEqual(compareVariants([variant('A', 100, 30), variant('B', 100, 20), variant('C', 100, 5)]), {
+    leader: 'A', runnerUp: 'B', zScore: 1.63, level: 'not_significant', confidence: null
+  });
+});
+
+test('compareVariants reports insufficient data below the minimum sample per variant', () => {
+  assert.deepStrictEqual(compareVariants([variant('A', 19, 15), variant('B', 100, 1)]), {
+    leader: 'A', runnerUp: 'B', zScore: null, level: 'insufficient_data', confidence: null
+  });
+  assert.strictEqual(compareVariants([variant('A', 20, 15), variant('B', 20, 1)]).level, 'significant');
+  // A variant nobody could see yet is left out of the ranking
+  assert.deepStrictEqual(compareVariants([variant('A', 50, 5), variant('B', 0, 0)]), {
+    leader: 'A', runnerUp: null, zScore: null, level: 'insufficient_data', confidence: null
+  });
+});
+
+test('summarizeVariant estimates engaged readers from each message engagement rate', () => {
+  assert.deepStrictEqual(summarizeVariant([
+    { seen: 8, reactions: 2, replies: 1, totalMembers: 11, engagementRate: 30 },
+    { seen: 12, reactions: 0, replies: 3, totalMembers: 31, engagementRate: 10 }
+  ]), { measured: 2, seen: 20, reactions: 2, replies: 4, eligible: 40, engaged: 6, seenRate: 50, engagementRate: 15 });
+});
+
+test('splitTargets deals the test share out to the variants in turn', () => {
+  const variants = normalizeVariants(['first', { label: 'Short', messageText: 'second' }]);
+  assert.deepStrictEqual(variants.map(item => [item.id, item.label]), [['A', 'Variant A'], ['B', 'Short']]);
+
+  const targets = ['g1', 'g2', 'g3', 'g4', 'g5'];
+  // random() → 0.999… keeps every element in place
+  const { assignments, remaining } = splitTargets(targets, variants, 50, () => 0.9999);
+  assert.deepStrictEqual(assignments, [{ target: 'g1', variantId: 'A' }, { target: 'g2', variantId: 'B' }, { target: 'g3', variantId: 'A' }]);
+  assert.deepStrictEqual(remaining, ['g4', 'g5']);
+
+  // Every variant gets a group even when the share is tiny
+  assert.strictEqual(splitTargets(targets, variants, 1).assignments.length, 2);
+  assert.throws(() => splitTargets(['g1'], variants, 100), /needs at least 2 groups/);
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, silentLogger } = require('./helpers');
+const FolderImportWatcher = require('../electron/folder-import-watcher');
+
+const CSV_HEADER = 'group_name,scheduled_at,message_text';
+
+function createStubQueue() {
+  const queue = {
+    created: [],
+    updates: [],
+    validateRows(rows) {
+      return rows.map(row => ({ row, error: row.message_text ? null : 'message_text is required' }));
+    },
+    createJobs(rows, source) {
+      const jobs = rows.map((row, index) => ({ id: queue.created.length + index + 1, source, messageText: row.message_text }));
+      queue.created.push(...jobs);
+      return jobs;
+    },
+    emit(event, payload) {
+      queue.updates.push(payload);
+    }
+  };
+  return queue;
+}
+
+function createWatcher() {
+  const folder = useTempDataDir();
+  const queue = createStubQueue();
+  const watcher = new FolderImportWatcher(queue, silentLogger);
+  // Scans are driven by the tests; configure() would also start the poll timer
+  watcher.settings = { enabled: true, path: folder, pollSeconds: 10 };
+  return { folder, queue, watcher };
+}
+
+test('a file is imported only once two scans see the same size and modified time', async () => {
+  const { folder, queue, watcher } = createWatcher();
+  const file = path.join(folder, 'posts.csv');
+  fs.writeFileSync(file, `${CSV_HEADER}\nA,2030-01-01 10:00,one\n`);
+
+  assert.deepStrictEqual(await watcher.scan(), []);
+  fs.appendFileSync(file, 'B,2030-01-01 11:00,two\n');
+  assert.deepStrictEqual(await watcher.scan(), [], 'the file grew since the last scan');
+  assert.strictEqual(queue.created.length, 0);
+
+  const [result] = await watcher.scan();
+  assert.strictEqual(result.status, 'imported');
+  assert.deepStrictEqual(queue.created.map(job => [job.messageText, job.source]), [['one', 'folder_import'], ['two', 'folder_import']]);
+  assert.strictEqual(result.movedTo, path.join(folder, 'processed', 'posts.csv'));
+  assert.strictEqual(fs.existsSync(file), false);
+  assert.ok(fs.existsSync(result.movedTo));
+  assert.deepStrictEqual(queue.updates, [{ type: 'folder_import', result }]);
+});
+
+test('a file with one invalid row imports nothing and moves to failed/ with a report', async () => {
+  const { folder, queue, watcher } = createWatcher();
+  fs.writeFileSync(path.join(folder, 'posts.csv'), `${CSV_HEADER},row_id\nA,2030-01-01 10:00,one,r1\nB,2030-01-01 11:00,,r2\n`);
+
+  const [result] = await watcher.scan({ now: true });
+  assert.strictEqual(result.status, 'failed');
+  assert.strictEqual(result.createdCount, 0);
+  assert.strictEqual(queue.created.length, 0);
+  assert.deepStrictEqual(result.errors.map(({ rowId, error }) => [rowId, error]), [['r2', 'message_text is required']]);
+  assert.strictEqual(result.movedTo, path.join(folder, 'failed', 'posts.csv'));
+  const report = fs.readFileSync(`${result.movedTo}.errors.txt`, 'utf8');
+  assert.match(report, /No rows were imported/);
+  assert.match(report, /Row \d+ \(row_id r2\): message_text is required/);
+});
+
+test('an unreadable file moves to failed/ and a name clash keeps both files', async () => {
+  const { folder, watcher } = createWatcher();
+  fs.mkdirSync(path.join(folder, 'failed'));
+  fs.writeFileSync(path.join(folder, 'failed', 'empty.csv'), 'older');
+  fs.writeFileSync(path.join(folder, 'empty.csv'), `${CSV_HEADER}\n`);
+  fs.writeFileSync(path.join(folder, 'notes.txt'), 'not an import');
+
+  const results = await watcher.scan({ now: true });
+  assert.strictEqual(results.length, 1);
+  assert.deepStrictEqual(results[0].errors, [{ rowNumber: null, rowId: '', error: 'File has no data rows' }]);
+  assert.notStrictEqual(results[0].movedTo, path.join(folder, 'failed', 'empty.csv'));
+  assert.strictEqual(fs.readFileSync(path.join(folder, 'failed', 'empty.csv'), 'utf8'), 'older');
+  assert.ok(fs.existsSync(path.join(folder, 'notes.txt')));
+});
+
+test('a file another program still has open is left in place and retried on the next scan', async () => {
+  const { folder, queue, watcher } = createWatcher();
+  const file = path.join(folder, 'posts.csv');
+  fs.writeFileSync(file, `${CSV_HEADER}\nA,2030-01-01 10:00,one\n`);
+  const readRows = watcher.readRows.bind(watcher);
+  let reads = 0;
+  watcher.readRows = filePath => {
+    reads += 1;
+    if (reads === 1) throw Object.assign(new Error('resource busy or locked'), { code: 'EBUSY' });
+    if (reads === 2) throw Object.assign(new Error('operation not permitted'), { code: 'EPERM' });
+    return readRows(filePath);
+  };
+
+  assert.deepStrictEqual(await watcher.scan({ now: true }), []);
+  assert.deepStrictEqual(await watcher.scan({ now: true }), []);
+  assert.ok(fs.existsSync(file));
+  assert.deepStrictEqual(watcher.results, []);
+  assert.deepStrictEqual(queue.updates, []);
+
+  const [result] = await watcher.scan({ now: true });
+  assert.strictEqual(result.status, 'imported');
+  assert.strictEqual(reads, 3);
+  assert.strictEqual(queue.created.length, 1);
+});
+
+test('the watcher stops when an imported file cannot be moved out of the folder', async () => {
+  const { folder, queue, watcher } = createWatcher();
+  watcher.configure({ enabled: true, path: folder, pollSeconds: 3600 });
+  try {
+    // Let the scan configure() starts finish first
+    await watcher.scan();
+    assert.strictEqual(watcher.getStatus().watching, true);
+    // A file named like the subfolder makes the move fail
+    fs.rmSync(path.join(folder, 'processed'), { recursive: true });
+    fs.writeFileSync(path.join(folder, 'processed'), '');
+    fs.writeFileSync(path.join(folder, 'posts.csv'), `${CSV_HEADER}\nA,2030-01-01 10:00,one\n`);
+
+    const [result] = await watcher.scan({ now: true });
+    assert.strictEqual(result.status, 'imported');
+    assert.strictEqual(result.movedTo, '');
+    assert.strictEqual(queue.created.length, 1);
+    assert.strictEqual(watcher.getStatus().watching, false);
+    assert.match(watcher.getStatus().lastError, /Could not move posts.csv out of the folder, stopped watching/);
+  } finally {
+    watcher.stop();
+  }
+});
@@ -0,0 +1,20 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Point DATA_DIR at a fresh temporary folder so stores never touch the repo's data/.
+ * @returns {string} The folder
+ */
+function useTempDataDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'groupiq-test-'));
+  process.env.DATA_DIR = dir;
+  return dir;
+}
+
+module.exports = {
+  silentLogger,
+  useTempDataDir
+};
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { escapeIcsText, foldIcsLine, buildIcsTimeZone, buildIcsCalendar } = require('../electron/ics-util');
+
+const NOW = new Date('2026-03-01T08:00:00Z');
+
+test('buildIcsTimeZone writes yearly DST observances starting the year before', () => {
+  assert.deepStrictEqual(buildIcsTimeZone('America/New_York', 2026), [
+    'BEGIN:VTIMEZONE',
+    'TZID:America/New_York',
+    'BEGIN:DAYLIGHT',
+    'DTSTART:20250309T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+    'TZOFFSETFROM:-0500',
+    'TZOFFSETTO:-0400',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'DTSTART:20251102T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+    'TZOFFSETFROM:-0400',
+    'TZOFFSETTO:-0500',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ]);
+});
+
+test('buildIcsTimeZone uses the last weekday of the month when the change falls in its last week', () => {
+  const lines = buildIcsTimeZone('Europe/Berlin', 2026);
+  assert.ok(lines.includes('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU'));
+  assert.ok(lines.includes('RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU'));
+  assert.ok(lines.includes('DTSTART:20251026T030000'));
+});
+
+test('buildIcsTimeZone writes one fixed observance for a zone without DST', () => {
+  assert.deepStrictEqual(buildIcsTimeZone('Asia/Kolkata', 2026), [
+    'BEGIN:VTIMEZONE',
+    'TZID:Asia/Kolkata',
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    'TZOFFSETFROM:+0530',
+    'TZOFFSETTO:+0530',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ]);
+});
+
+test('buildIcsCalendar adds one VTIMEZONE per zone referenced by a TZID', () => {
+  const ics = buildIcsCalendar({
+    name: 'Queue',
+    now: NOW,
+    events: [
+      { uid: 'a@groupiq', start: '2026-03-02T09:00:00Z', summary: 'A', rrule: 'FREQ=DAILY', timeZone: 'Europe/Berlin' },
+      { uid: 'b@groupiq', start: '2026-03-03T09:00:00Z', summary: 'B', rrule: 'FREQ=WEEKLY', timeZone: 'Europe/Berlin' },
+      { uid: 'c@groupiq', start: '2026-03-04T09:00:00Z', summary: 'C', timeZone: 'Asia/Kolkata' }
+    ]
+  });
+  const lines = ics.split('\r\n');
+  assert.deepStrictEqual(lines.filter(line => line.startsWith('TZID:')), ['TZID:Europe/Berlin']);
+  assert.ok(lines.indexOf('END:VTIMEZONE') < lines.indexOf('BEGIN:VEVENT'));
+  assert.ok(lines.includes('DTSTART;TZID=Europe/Berlin:20260302T100000'));
+  assert.ok(lines.includes('DTSTART:20260304T090000Z'));
+});
+
+test('escapeIcsText escapes backslashes, separators and new lines', () => {
+  assert.strictEqual(escapeIcsText('a\\b; c, d\r\ne\nf'), 'a\\\\b\\; c\\, d\\ne\\nf');
+  assert.strictEqual(escapeIcsText(null), '');
+});
+
+test('foldIcsLine keeps every physical line within 75 bytes and never splits a character', () => {
+  const ascii = `SUMMARY:${'x'.repeat(150)}`;
+  const folded = foldIcsLine(ascii).split('\r\n');
+  assert.deepStrictEqual(folded.map(line => Buffer.byteLength(line)), [75, 75, 10]);
+  assert.strictEqual(folded.map((line, i) => (i === 0 ? line : line.slice(1))).join(''), ascii);
+
+  // "é" is two bytes; after 74 bytes it would end at byte 76, so it moves to the next line whole
+  const accented = `SUMMARY:${'x'.repeat(66)}${'é'.repeat(5)}`;
+  assert.deepStrictEqual(foldIcsLine(accented).split('\r\n'), [`SUMMARY:${'x'.repeat(66)}`, ' ééééé']);
+  assert.strictEqual(foldIcsLine('SHORT:1'), 'SHORT:1');
+});
+
+test('buildIcsCalendar writes a single event in UTC with escaped, folded text', () => {
+  const ics = buildIcsCalendar({
+    name: 'Queue; main',
+    now: NOW,
+    events: [{
+      uid: 'job-7@groupiq',
+      start: '2026-03-02T09:00:00Z',
+      summary: 'Group A, B: hello',
+      description: `line one\n${'y'.repeat(80)}`,
+      categories: ['Launch, spring', 'Group A'],
+      status: 'TENTATIVE',
+      sequence: 2,
+      updatedAt: '2026-03-01T07:30:00Z'
+    }]
+  });
+  assert.ok(ics.endsWith('\r\n'));
+  assert.deepStrictEqual(ics.split('\r\n'), [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//GroupIQ//Post Queue//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Queue\\; main',
+    'BEGIN:VEVENT',
+    'UID:job-7@groupiq',
+    'DTSTAMP:20260301T080000Z',
+    'DTSTART:20260302T090000Z',
+    'DTEND:20260302T091500Z',
+    'SUMMARY:Group A\\, B: hello',
+    `DESCRIPTION:line one\\n${'y'.repeat(53)}`,
+    ` ${'y'.repeat(27)}`,
+    'CATEGORIES:Launch\\, spring,Group A',
+    'STATUS:TENTATIVE',
+    'SEQUENCE:2',
+    'LAST-MODIFIED:20260301T073000Z',
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT',
+    'END:VCALENDAR',
+    ''
+  ]);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./helpers');
+
+useTempDataDir();
+const localDataStore = require('../electron/local-data-store');
+
+const SENT_AT = '2026-03-02T10:00:00.000Z';
+const reply = (id, author) => ({ reply_id: id, author, text: 'ok', replied_at: '2026-03-02T10:10:00.000Z', media_type: null });
+
+test('engagement_rate counts replies merged from earlier scrapes', () => {
+  const message = { message_id: 'm1', group_id: 'g@g.us', group_name: 'G', message_timestamp: SENT_AT, total_members: 5 };
+  localDataStore.addMessages([{ ...message, replies: [reply('r1', 'a@c.us')], replies_count: 1, engagement_rate: 25 }]);
+
+  // The next scrape's window only has the newer reply, so its own rate counts one member
+  localDataStore.addMessages([{ ...message, replies: [reply('r2', 'b@c.us')], replies_count: 1, engagement_rate: 25 }]);
+  const stored = localDataStore.getMessageById('m1');
+  assert.strictEqual(stored.replies_count, 2);
+  assert.strictEqual(stored.engagement_rate, 50);
+});
+
+test('engagement_rate counts each member once across readers, reactions and replies', () => {
+  const message = { message_id: 'm2', group_id: 'g@g.us', group_name: 'G', message_timestamp: SENT_AT, total_members: 5 };
+  localDataStore.addMessages([{ ...message, engagement_rate: 0 }]);
+  localDataStore.addMessages([{
+    ...message,
+    engagement_rate: 0,
+    readers: [{ jid: 'a@c.us', delivered_at: null, read_at: SENT_AT, played_at: null }, { jid: 'c@c.us', delivered_at: SENT_AT, read_at: null, played_at: null }],
+    reactions: [{ emoji: '👍', jid: 'a@c.us', reacted_at: SENT_AT }],
+    replies: [reply('r3', 'b@c.us')]
+  }]);
+  assert.strictEqual(localDataStore.getMessageById('m2').engagement_rate, 50);
+});
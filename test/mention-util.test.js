@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_MENTION_SETTINGS,
+  hasMentionAll,
+  isContactJid,
+  normalizeMentions,
+  normalizeMentionSettings,
+  getMentionCap,
+  buildMentionText
+} = require('../electron/mention-util');
+
+test('normalizeMentions turns phone numbers into @c.us JIDs and keeps participant JIDs', () => {
+  assert.deepStrictEqual(normalizeMentions(''), []);
+  assert.deepStrictEqual(normalizeMentions(null), []);
+  assert.deepStrictEqual(
+    normalizeMentions('+49 151 1111-1111 | @4915122222222; 123456789@lid\n4915111111111, (0049) 151 3333'),
+    ['4915111111111@c.us', '4915122222222@c.us', '123456789@lid', '00491513333@c.us']
+  );
+  assert.deepStrictEqual(normalizeMentions(['4915111111111@c.us', '4915111111111@c.us', ' ']), ['4915111111111@c.us']);
+});
+
+test('normalizeMentions rejects names, short numbers and group JIDs', () => {
+  assert.throws(() => normalizeMentions('Ana'), /"Ana" is not a participant JID or phone number/);
+  assert.throws(() => normalizeMentions('12345'), /"12345" is not/);
+  assert.throws(() => normalizeMentions(['1234567890123456']), /is not a participant JID/);
+  assert.throws(() => normalizeMentions('120363000000000000@g.us'), /is not a participant JID/);
+  assert.strictEqual(isContactJid('120363000000000000@g.us'), false);
+  assert.strictEqual(isContactJid('4915111111111@c.us'), true);
+});
+
+test('normalizeMentionSettings validates caps and keeps what is not given', () => {
+  assert.deepStrictEqual(normalizeMentionSettings({}), DEFAULT_MENTION_SETTINGS);
+  const settings = normalizeMentionSettings({ maxPerMessage: '10', perGroup: { ' 111@g.us ': 0, Team: 200, Empty: '' } });
+  assert.deepStrictEqual(settings, { maxPerMessage: 10, perGroup: { '111@g.us': 0, Team: 200 } });
+  assert.deepStrictEqual(normalizeMentionSettings({ maxPerMessage: 5 }, settings), { maxPerMessage: 5, perGroup: settings.perGroup });
+  assert.throws(() => normalizeMentionSettings({ maxPerMessage: -1 }), /mentions.maxPerMessage must be a whole number between 0 and 5000/);
+  assert.throws(() => normalizeMentionSettings({ maxPerMessage: 2.5 }), /whole number/);
+  assert.throws(() => normalizeMentionSettings({ perGroup: [] }), /mentions.perGroup must be an object/);
+  assert.throws(() => normalizeMentionSettings({ perGroup: { Team: 5001 } }), /mentions.perGroup\["Team"\]/);
+});
+
+test('getMentionCap uses a group cap by JID or name, else the default', () => {
+  const settings = { mentions: { maxPerMessage: 10, perGroup: { '111@g.us': 0, team: 200 } } };
+  assert.strictEqual(getMentionCap(settings, { groupJid: '111@g.us', groupName: 'A' }), 0);
+  assert.strictEqual(getMentionCap(settings, { groupName: 'Team' }), 200);
+  assert.strictEqual(getMentionCap(settings, { groupName: 'X', resolvedGroup: { id: '222@g.us', name: 'TEAM' } }), 200);
+  assert.strictEqual(getMentionCap(settings, { groupJid: '333@g.us', groupName: 'Other' }), 10);
+  assert.strictEqual(getMentionCap({}, { groupName: 'Team' }), DEFAULT_MENTION_SETTINGS.maxPerMessage);
+});
+
+test('buildMentionText expands {{mention_all}} without mentioning ourselves', () => {
+  assert.strictEqual(hasMentionAll('Hi {{ Mention_All }}!'), true);
+  assert.strictEqual(hasMentionAll('Hi all'), false);
+  const built = buildMentionText('Hi {{mention_all}}!', {
+    participants: ['4915100000000@c.us', '4915111111111@c.us', '123456789@lid'],
+    selfJid: '4915100000000@c.us'
+  });
+  assert.deepStrictEqual(built, {
+    text: 'Hi @4915111111111 @123456789!',
+    mentions: ['4915111111111@c.us', '123456789@lid']
+  });
+});
+
+test('buildMentionText writes out explicit mentions missing from the text', () => {
+  assert.deepStrictEqual(
+    buildMentionText('Thanks @4915111111111', { mentions: ['4915111111111@c.us', '491512@c.us'] }),
+    { text: 'Thanks @4915111111111\n@491512', mentions: ['4915111111111@c.us', '491512@c.us'] }
+  );
+  assert.deepStrictEqual(buildMentionText('', { mentions: ['4915111111111@c.us'] }).text, '@4915111111111');
+});
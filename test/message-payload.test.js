@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readPayloadInput, normalizePayload, buildVCard, describePayload } = require('../electron/message-payload');
+
+const poll = options => ({ type: 'poll', options });
+
+test('readPayloadInput reads a payload object, a JSON string or flat CSV columns', () => {
+  assert.strictEqual(readPayloadInput({ message_text: 'plain' }), null);
+  assert.deepStrictEqual(readPayloadInput({ payload: { type: 'poll' } }), { type: 'poll' });
+  assert.deepStrictEqual(readPayloadInput({ payload: '{"type":"location","latitude":1}' }), { type: 'location', latitude: 1 });
+  assert.throws(() => readPayloadInput({ payload: '[1, 2]' }), /payload must be a JSON object/);
+  assert.throws(() => readPayloadInput({ payload: '{oops' }), /payload must be a JSON object/);
+
+  const flat = readPayloadInput({ message_type: 'contact', contact_name: 'Ana', contact_phone: '+49 151 1111111', contact_org: 'ACME' });
+  assert.deepStrictEqual(
+    { type: flat.type, name: flat.name, phone: flat.phone, organization: flat.organization },
+    { type: 'contact', name: 'Ana', phone: '+49 151 1111111', organization: 'ACME' }
+  );
+});
+
+test('normalizePayload checks poll option count, length and uniqueness', () => {
+  assert.deepStrictEqual(
+    normalizePayload({ type: 'POLL', options: ' Yes | No |', allowMultipleAnswers: 'yes' }, { messageText: 'Coming?' }),
+    { type: 'poll', options: ['Yes', 'No'], allowMultipleAnswers: true }
+  );
+  assert.throws(() => normalizePayload(poll('Only'), { messageText: 'Q' }), /between 2 and 12 options/);
+  assert.throws(() => normalizePayload(poll(Array.from({ length: 13 }, (_, i) => `o${i}`)), { messageText: 'Q' }), /between 2 and 12 options/);
+  assert.throws(() => normalizePayload(poll(['a', 'x'.repeat(101)]), { messageText: 'Q' }), /longer than 100 characters/);
+  assert.throws(() => normalizePayload(poll(['Yes', 'yes']), { messageText: 'Q' }), /poll options must be unique/);
+  assert.throws(() => normalizePayload(poll(['Yes', 'No'])), /needs its question in message_text/);
+  assert.strictEqual(normalizePayload(poll(['Yes', 'No']), { hasTemplate: true }).type, 'poll');
+  assert.throws(() => normalizePayload(poll(['Yes', 'No']), { messageText: 'q'.repeat(256) }), /at most 255 characters/);
+});
+
+test('normalizePayload keeps coordinates in range and location urls on http(s)', () => {
+  assert.deepStrictEqual(normalizePayload({ type: 'location', latitude: '-33.86', longitude: '151.21', name: 'Opera' }), {
+    type: 'location', latitude: -33.86, longitude: 151.21, name: 'Opera', address: '', url: ''
+  });
+  assert.throws(() => normalizePayload({ type: 'location', latitude: 91, longitude: 0 }), /latitude must be a number between -90 and 90/);
+  assert.throws(() => normalizePayload({ type: 'location', latitude: 0, longitude: -180.5 }), /longitude must be a number between -180 and 180/);
+  assert.throws(() => normalizePayload({ type: 'location', latitude: 0 }), /longitude is required/);
+  assert.throws(() => normalizePayload({ type: 'location', latitude: 0, longitude: 0, url: 'ftp://x' }), /must start with http/);
+});
+
+test('normalizePayload checks contact phone digits, email and a pasted vCard', () => {
+  assert.deepStrictEqual(normalizePayload({ type: 'contact', name: 'Ana', phone: '+49 (151) 111-1111' }), {
+    type: 'contact', name: 'Ana', phone: '+491511111111', organization: '', email: ''
+  });
+  assert.throws(() => normalizePayload({ type: 'contact', name: 'Ana', phone: '12345' }), /6-15 digits/);
+  assert.throws(() => normalizePayload({ type: 'contact', name: 'Ana', phone: '+49 151 abc' }), /6-15 digits/);
+  assert.throws(() => normalizePayload({ type: 'contact', phone: '+491511111111' }), /contact_name is required/);
+  assert.throws(() => normalizePayload({ type: 'contact', name: 'Ana', phone: '+491511111111', email: 'ana@' }), /not a valid address/);
+
+  const vcard = 'BEGIN:VCARD\nVERSION:3.0\nFN:Ana Lima\nEND:VCARD';
+  assert.deepStrictEqual(normalizePayload({ type: 'contact', vcard }), { type: 'contact', name: 'Ana Lima', vcard });
+  assert.throws(() => normalizePayload({ type: 'contact', vcard: 'FN:Ana' }), /BEGIN:VCARD/);
+});
+
+test('normalizePayload matches the message type to the attached media kind', () => {
+  assert.throws(() => normalizePayload({ type: 'sticker' }), /"sticker" is not supported/);
+  assert.strictEqual(normalizePayload({ type: 'text' }), null);
+  assert.throws(() => normalizePayload({ type: 'text' }, { mediaKind: 'image' }), /text message cannot carry media/);
+  assert.throws(() => normalizePayload({ type: 'location', latitude: 0, longitude: 0 }, { mediaKind: 'image' }), /location message cannot carry media/);
+  assert.throws(() => normalizePayload({ type: 'image' }), /image message needs media/);
+  assert.throws(() => normalizePayload({ type: 'voice' }, { mediaKind: 'video' }), /voice message needs audio media, got video/);
+  assert.deepStrictEqual(normalizePayload({ type: 'voice' }, { mediaKind: 'audio' }), { type: 'voice' });
+  assert.deepStrictEqual(normalizePayload({ type: 'document', filename: '../../etc/report.pdf' }, { mediaKind: 'image' }), { type: 'document', filename: 'report.pdf' });
+});
+
+test('buildVCard writes an escaped vCard 3.0 with a WhatsApp id', () => {
+  assert.strictEqual(
+    buildVCard({ name: 'Lima, Ana', phone: '+491511111111', organization: 'ACME; EU', email: 'ana@example.com' }),
+    [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      'FN:Lima\\, Ana',
+      'ORG:ACME\\; EU',
+      'TEL;type=CELL;type=VOICE;waid=491511111111:+491511111111',
+      'EMAIL:ana@example.com',
+      'END:VCARD'
+    ].join('\n')
+  );
+  assert.strictEqual(buildVCard({ vcard: 'BEGIN:VCARD\nEND:VCARD' }), 'BEGIN:VCARD\nEND:VCARD');
+  assert.strictEqual(describePayload({ type: 'poll', options: ['a', 'b', 'c'], allowMultipleAnswers: true }), 'poll (3 options, multi-select)');
+});
@@ -0,0 +1,497 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir, silentLogger } = require('./helpers');
+const { buildIcsCalendar } = require('../electron/ics-util');
+
+function createService(whatsappManager = {}) {
+  useTempDataDir();
+  const PostQueueService = require('../electron/post-queue-service');
+  return new PostQueueService(whatsappManager, silentLogger);
+}
+
+test('randomizeJobTimes changes no job when one of them fails validation', () => {
+  const service = createService();
+  try {
+    const [plain, mentioning] = service.createJobs([
+      { group_jid: '111@g.us', group_name: 'A', scheduled_at: '2030-01-01 10:00', message_text: 'one' },
+      { group_jid: '222@g.us', group_name: 'B', scheduled_at: '2030-01-01 10:00', message_text: 'two', mentions: '4915111111111|4915122222222' }
+    ], 'manual');
+    service.updateSettings({ mentions: { maxPerMessage: 1 } });
+
+    assert.throws(
+      () => service.randomizeJobTimes([plain.id, mentioning.id], '2030-02-01 09:00', '2030-02-01 17:00'),
+      new RegExp(`Job ${mentioning.id}: .*[Mm]ention`)
+    );
+    assert.strictEqual(service.getJobById(plain.id).scheduledAt, plain.scheduledAt);
+    assert.strictEqual(service.getJobById(plain.id).revisions.length, 1);
+  } finally {
+    service.close();
+  }
+});
+
+test('randomizeJobTimes reschedules every job inside the range', () => {
+  const service = createService();
+  try {
+    const jobs = service.createJobs([
+      { group_jid: '111@g.us', group_name: 'A', scheduled_at: '2030-01-01 10:00', message_text: 'one' },
+      { group_jid: '222@g.us', group_name: 'B', scheduled_at: '2030-01-01 10:00', message_text: 'two' }
+    ], 'manual');
+    const start = service.parseScheduledAt('2030-02-01 09:00').getTime();
+    const end = service.parseScheduledAt('2030-02-01 17:00').getTime();
+    const updated = service.randomizeJobTimes(jobs.map(job => job.id), '2030-02-01 09:00', '2030-02-01 17:00');
+    assert.strictEqual(updated.length, 2);
+    for (const job of updated) {
+      const ms = new Date(job.scheduledAt).getTime();
+      assert.ok(ms >= start && ms <= end, job.scheduledAt);
+      assert.strictEqual(job.revisions.at(-1).source, 'randomize_times');
+    }
+  } finally {
+    service.close();
+  }
+});
+
+test('dry-run mode logs a due job and holds it without advancing its series', async () => {
+  const service = createService({
+    async resolveGroupTarget() {
+      return { id: '111@g.us', name: 'A' };
+    },
+    async sendMessageToGroup() {
+      throw new Error('dry-run mode must not send');
+    }
+  });
+  try {
+    const [job] = service.createJobs([
+      { group_jid: '111@g.us', group_name: 'A', scheduled_at: '2030-01-01 10:00', message_text: 'daily', recurrence: 'FREQ=DAILY' }
+    ], 'manual');
+    service.updateSettings({ dryRun: true });
+
+    await service.executeJob(job.id);
+    const held = service.getJobById(job.id);
+    assert.strictEqual(held.status, 'scheduled');
+    assert.ok(held.dryRunHeldAt);
+    assert.strictEqual(held.nextOccurrenceJobId ?? null, null);
+    assert.strictEqual(service.listJobs().length, 1);
+    assert.strictEqual(service.dryRunLog.length, 1);
+    assert.strictEqual(service.state.sendLog.length, 0);
+    assert.strictEqual(service.timers.has(String(job.id)), false);
+
+    service.updateSettings({ dryRun: false });
+    assert.strictEqual(service.getJobById(job.id).dryRunHeldAt, null);
+    assert.strictEqual(service.timers.has(String(job.id)), true);
+  } finally {
+    service.close();
+  }
+});
+
+test('a direct follow-up is not tracked as a group post', () => {
+  useTempDataDir();
+  const PostQueueService = require('../electron/post-queue-service');
+  const added = [];
+  const engagementStore = {
+    getMessageById: () => null,
+    getGroupByName: () => null,
+    addMessages: messages => added.push(...messages)
+  };
+  const service = new PostQueueService({}, silentLogger, engagementStore);
+  try {
+    const [direct, post] = service.createJobs([
+      { group_jid: '4915111111111@c.us', group_name: '4915111111111', scheduled_at: '2030-01-01 10:00', message_text: 'hi' },
+      { group_jid: '111@g.us', group_name: 'A', scheduled_at: '2030-01-01 10:00', message_text: 'hello' }
+    ], 'follow_up');
+    service.trackSentMessage({ ...direct, messageId: 'true_4915111111111@c.us_AAA' });
+    service.trackSentMessage({ ...post, messageId: 'true_111@g.us_BBB' });
+    assert.deepStrictEqual(added.map(message => message.message_id), ['BBB']);
+  } finally {
+    service.close();
+  }
+});
+
+test('editing a sent job keeps its mentions', async () => {
+  const edits = [];
+  const service = createService({
+    async editMessage(messageId, messageText, options) {
+      edits.push({ messageId, messageText, options });
+      return { success: true };
+    }
+  });
+  try {
+    const [job] = service.createJobs([
+      { group_jid: '111@g.us', group_name: 'A', scheduled_at: '2030-01-01 10:00', message_text: 'hi @4915111111111', mentions: '4915111111111' }
+    ], 'manual');
+    service.updateSettings({ mentions: { perGroup: { '111@g.us': 3 } } });
+    Object.assign(service.getJobById(job.id), { status: 'sent', messageId: 'true_111@g.us_AAA', actualSendAt: new Date().toISOString() });
+
+    const [result] = await service.editSentJobs([job.id], { messageText: 'updated {{mention_all}}' });
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(edits, [{
+      messageId: 'true_111@g.us_AAA',
+      messageText: 'updated {{mention_all}}',
+      options: { mentions: ['4915111111111@c.us'], maxMentions: 3 }
+    }]);
+    assert.strictEqual(service.getJobById(job.id).status, 'edited');
+  } finally {
+    service.close();
+  }
+});
+
+function createSeries(service) {
+  const [daily, weekly] = service.createJobs([
+    { group_jid: '111@g.us', group_name: 'A', scheduled_at: '2030-01-07 10:00', message_text: 'daily', recurrence: 'FREQ=DAILY;COUNT=3', timezone: 'Europe/Berlin' },
+    { group_jid: '222@g.us', group_name: 'C', scheduled_at: '2030-01-07 09:00', message_text: 'weekly', recurrence: '0 9 * * 1', timezone: 'Asia/Kolkata' }
+  ], 'manual');
+  Object.assign(service.getJobById(daily.id), { status: 'sent', actualSendAt: daily.scheduledAt });
+  const next = service.spawnNextOccurrence(service.getJobById(daily.id));
+  return { daily, next, weekly };
+}
+
+test('the ICS feed cuts COUNT to the occurrences left and gives each occurrence its own UID', () => {
+  const service = createService();
+  try {
+    const { daily, next, weekly } = createSeries(service);
+    const events = service.getCalendarFeedEvents();
+    const ofJob = id => events.filter(event => event.description.endsWith(`Job #${id}`));
+
+    const [sent] = ofJob(daily.id);
+    assert.deepStrictEqual(
+      [sent.uid, sent.start, sent.status, sent.rrule],
+      [`series-${daily.seriesId}-1@groupiq`, '2030-01-07T09:00:00.000Z', 'CONFIRMED', undefined]
+    );
+    const [head] = ofJob(next.id);
+    assert.deepStrictEqual(
+      [head.uid, head.start, head.rrule, head.timeZone],
+      [`series-${daily.seriesId}-2@groupiq`, '2030-01-08T09:00:00.000Z', 'FREQ=DAILY;COUNT=2', 'Europe/Berlin']
+    );
+
+    const ics = buildIcsCalendar({ name: 'Queue', events: [head], now: new Date('2030-01-01T00:00:00Z') }).split('\r\n');
+    assert.ok(ics.includes('DTSTART;TZID=Europe/Berlin:20300108T100000'));
+    assert.ok(ics.includes('DTEND;TZID=Europe/Berlin:20300108T101500'));
+    assert.ok(ics.includes('RRULE:FREQ=DAILY;COUNT=2'));
+    assert.ok(ics.includes('SUMMARY:A: daily'));
+
+    // Cron has no RRULE form: the job plus one projected event per upcoming date
+    const cron = ofJob(weekly.id);
+    assert.strictEqual(cron.length, 51);
+    assert.deepStrictEqual(
+      cron.slice(0, 3).map(event => [event.uid, event.start, event.status]),
+      [
+        [`series-${weekly.seriesId}-1@groupiq`, '2030-01-07T03:30:00.000Z', 'TENTATIVE'],
+        [`series-${weekly.seriesId}-2@groupiq`, '2030-01-14T03:30:00.000Z', 'TENTATIVE'],
+        [`series-${weekly.seriesId}-3@groupiq`, '2030-01-21T03:30:00.000Z', 'TENTATIVE']
+      ]
+    );
+    assert.ok(cron.every(event => !event.rrule));
+  } finally {
+    service.close();
+  }
+});
+
+test('calendar entries list jobs and project the dates a live series will spawn', () => {
+  const service = createService();
+  try {
+    const { daily, next, weekly } = createSeries(service);
+    const entries = service.getCalendarEntries({ from: '2030-01-01T00:00:00Z', to: '2030-01-22T00:00:00Z' });
+    assert.deepStrictEqual(entries.map(entry => [entry.id, entry.start, entry.status, entry.occurrence, entry.projected, entry.draggable]), [
+      [`job-${weekly.id}`, '2030-01-07T03:30:00.000Z', weekly.status, 1, false, true],
+      [`job-${daily.id}`, '2030-01-07T09:00:00.000Z', 'sent', 1, false, false],
+      [`job-${next.id}`, '2030-01-08T09:00:00.000Z', 'scheduled', 2, false, true],
+      // COUNT=3 ends the daily series here
+      [`job-${next.id}-3`, '2030-01-09T09:00:00.000Z', 'projected', 3, true, false],
+      [`job-${weekly.id}-2`, '2030-01-14T03:30:00.000Z', 'projected', 2, true, false],
+      [`job-${weekly.id}-3`, '2030-01-21T03:30:00.000Z', 'projected', 3, true, false]
+    ]);
+
+    const later = service.getCalendarEntries({ from: '2030-01-15T00:00:00Z', to: '2030-01-22T00:00:00Z', group: 'c' });
+    assert.deepStrictEqual(later.map(entry => entry.id), [`job-${weekly.id}-3`]);
+    assert.throws(() => service.getCalendarEntries({ from: '2030-01-22T00:00:00Z', to: '2030-01-01T00:00:00Z' }), /from must be before to/);
+    assert.throws(() => service.getCalendarEntries({ from: '2030-01-01T00:00:00Z', to: '2031-06-01T00:00:00Z' }), /cannot be longer/);
+  } finally {
+    service.close();
+  }
+});
+
+test('a failed send is retried with backoff until the attempts run out, and a permanent error is not', async () => {
+  let error = 'WhatsApp client not ready';
+  const service = createService({
+    async resolveGroupTarget() {
+      return { id: '111@g.us', name: 'A' };
+    },
+    async sendMessageToGroup() {
+      return { success: false, error };
+    }
+  });
+  try {
+    // Jobs take a copy of the policy when they are created
+    service.updateSettings({ retryPolicy: { maxAttempts: 2, baseDelaySeconds: 60, backoffMultiplier: 2, maxDelayMinutes: 30 } });
+    const [job, other] = service.createJobs([
+      { group_jid: '111@g.us', group_name: 'A', scheduled_at: '2030-01-01 10:00', message_text: 'one' },
+      { group_jid: '111@g.us', group_name: 'A', scheduled_at: '2030-01-01 10:00', message_text: 'two' }
+    ], 'manual');
+
+    const before = Date.now();
+    await service.executeJob(job.id);
+    const retrying = service.getJobById(job.id);
+    assert.strictEqual(retrying.status, 'retrying');
+    assert.strictEqual(retrying.attempts, 1);
+    const delayMs = new Date(retrying.nextRetryAt).getTime() - before;
+    assert.ok(delayMs >= 59 * 1000 && delayMs <= 61 * 1000, String(delayMs));
+
+    await service.executeJob(job.id);
+    assert.strictEqual(service.getJobById(job.id).status, 'failed');
+    assert.match(service.getJobById(job.id).statusReason, /Attempt 2\/2 failed: .*no attempts left/);
+
+    error = 'Target group not found';
+    await service.executeJob(other.id);
+    const failed = service.getJobById(other.id);
+    assert.strictEqual(failed.status, 'failed');
+    assert.strictEqual(failed.attempts, 1);
+    assert.strictEqual(failed.statusHistory.at(-1).errorKind, 'permanent');
+  } finally {
+    service.close();
+  }
+});
+
+test('with approval on, jobs are enqueued only once an approver signs them off', () => {
+  const service = createService();
+  try {
+    service.updateSettings({ approval: { enabled: true, approvers: ['Lead'] } });
+    const [job, other] = service.createJobs([
+      { group_jid: '111@g.us', group_name: 'A', scheduled_at: '2030-01-01 10:00', message_text: 'one' },
+      { group_jid: '222@g.us', group_name: 'B', scheduled_at: '2030-01-01 10:00', message_text: 'two' }
+    ], 'manual');
+    assert.strictEqual(job.approvalStatus, 'draft');
+    assert.throws(() => service.enqueueJobs([job.id]), new RegExp(`Approval is required before enqueueing job\\(s\\): ${job.id}`));
+    assert.strictEqual(service.getJobById(job.id).status, 'uploaded');
+
+    service.submitForApproval([job.id, other.id], { by: 'Writer' });
+    assert.throws(() => service.approveJobs([job.id], { by: 'Writer' }), /Writer is not an approver/);
+    assert.throws(() => service.rejectJobs([other.id], { by: 'Lead' }), /rejection reason is required/);
+
+    service.rejectJobs([other.id], { by: 'lead', reason: 'Wrong date' });
+    assert.strictEqual(service.getJobById(other.id).approvalStatus, 'rejected');
+    assert.throws(() => service.enqueueJobs([other.id]), /Approval is required/);
+
+    service.approveJobs([job.id], { by: 'lead', enqueue: true });
+    const approved = service.getJobById(job.id);
+    assert.strictEqual(approved.approvalStatus, 'approved');
+    assert.strictEqual(approved.status, 'scheduled');
+    assert.deepStrictEqual(
+      approved.revisions.filter(revision => revision.data?.action).map(revision => [revision.data.action, revision.data.by]),
+      [['submit', 'Writer'], ['approve', 'Lead']]
+    );
+
+    // Changing the text sends an approved job back for review and stops it
+    service.updateJob(job.id, { messageText: 'one, reworded' });
+    const edited = service.getJobById(job.id);
+    assert.deepStrictEqual([edited.approvalStatus, edited.status], ['draft', 'uploaded']);
+    assert.strictEqual(service.timers.has(String(job.id)), false);
+  } finally {
+    service.close();
+  }
+});
+
+test('sequence steps wait for their predecessor, follow its send time, and cancel or block when it fails', async () => {
+  const service = createService({
+    async resolveGroupTarget() {
+      return { id: '111@g.us', name: 'A' };
+    },
+    async sendMessageToGroup({ messageText }) {
+      if (messageText === 'broken') return { success: false, error: 'Target group not found' };
+      return { success: true, messageId: `true_111@g.us_${messageText}`, group: { id: '111@g.us', name: 'A' } };
+    }
+  });
+  try {
+    const [first, second, failing, cancelled, grandchild, blocked] = service.createJobs([
+      { row_id: 'intro', group_jid: '111@g.us', group_name: 'A', scheduled_at: '2030-01-01 10:00', message_text: 'intro' },
+      { row_id: 'details', group_jid: '111@g.us', group_name: 'A', message_text: 'details', after: 'intro', after_offset_minutes: 30 },
+      { row_id: 'bad', group_jid: '111@g.us', group_name: 'A', scheduled_at: '2030-01-01 10:00', message_text: 'broken' },
+      { row_id: 'next', group_jid: '111@g.us', group_name: 'A', message_text: 'next', after: 'bad', on_predecessor_failure: 'cancel' },
+      { group_jid: '111@g.us', group_name: 'A', message_text: 'later', after: 'next', on_predecessor_failure: 'block' },
+      { group_jid: '111@g.us', group_name: 'A', message_text: 'held', after: 'bad' }
+    ], 'manual');
+    service.enqueueJobs([first, second, failing, cancelled, grandchild, blocked].map(job => job.id));
+    assert.strictEqual(service.getJobById(second.id).status, 'waiting');
+    assert.strictEqual(service.getJobById(cancelled.id).status, 'waiting');
+
+    await service.executeJob(first.id);
+    const sentAt = new Date(service.getJobById(first.id).actualSendAt).getTime();
+    const released = service.getJobById(second.id);
+    assert.strictEqual(released.status, 'scheduled');
+    assert.strictEqual(new Date(released.scheduledAt).getTime(), sentAt + 30 * 60 * 1000);
+
+    await service.executeJob(failing.id);
+    assert.strictEqual(service.getJobById(failing.id).status, 'failed');
+    assert.match(service.getJobById(cancelled.id).statusReason, new RegExp(`Cancelled: predecessor job #${failing.id} is failed`));
+    assert.strictEqual(service.getJobById(cancelled.id).status, 'cancelled');
+    // The cancellation cascades down the chain; that step blocks instead of cancelling
+    assert.strictEqual(service.getJobById(grandchild.id).status, 'blocked');
+    assert.strictEqual(service.getJobById(blocked.id).status, 'blocked');
+    assert.strictEqual(service.timers.has(String(blocked.id)), false);
+  } finally {
+    service.close();
+  }
+});
+
+test('a send whose follow-up text failed is kept as sent and not retried', async () => {
+  const service = createService({
+    async resolveGroupTarget() {
+      return { id: '111@g.us', name: 'A' };
+    },
+    async sendMessageToGroup() {
+      return { success: true, messageId: 'true_111@g.us_AAA', followUpError: 'Target closed', group: { id: '111@g.us', name: 'A' } };
+    }
+  });
+  try {
+    const [job] = service.createJobs([
+      { group_jid: '111@g.us', group_name: 'A', scheduled_at: '2030-01-01 10:00', message_text: 'Meet here', message_type: 'location', latitude: '52.52', longitude: '13.405' }
+    ], 'manual');
+    await service.executeJob(job.id);
+    const sent = service.getJobById(job.id);
+    assert.strictEqual(sent.status, 'sent');
+    assert.strictEqual(sent.followUpError, 'Target closed');
+    assert.match(sent.statusReason, /follow-up text failed: Target closed/);
+    assert.strictEqual(sent.nextRetryAt ?? null, null);
+  } finally {
+    service.close();
+  }
+});
+
+test('a job over the mention cap of its group fails without a retry', async () => {
+  const calls = [];
+  const service = createService({
+    async resolveGroupTarget() {
+      return { id: '111@g.us', name: 'A' };
+    },
+    async sendMessageToGroup(options) {
+      calls.push(options);
+      return { success: false, error: `Mention cap exceeded: ${options.mentions.length} participants would be mentioned in A (cap ${options.maxMentions})` };
+    }
+  });
+  try {
+    const [job] = service.createJobs([
+      { group_jid: '111@g.us', group_name: 'A', scheduled_at: '2030-01-01 10:00', message_text: 'Reminder', mentions: '4915111111111|4915122222222' }
+    ], 'manual');
+    // Lowered after the job was created, so only the send can catch it
+    service.updateSettings({ mentions: { maxPerMessage: 50, perGroup: { '111@g.us': 1 } } });
+    await service.executeJob(job.id);
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].maxMentions, 1);
+    const failed = service.getJobById(job.id);
+    assert.strictEqual(failed.status, 'failed');
+    assert.match(failed.statusReason, /Mention cap exceeded: 2 .*permanent error, not retried/);
+    assert.strictEqual(failed.nextRetryAt ?? null, null);
+  } finally {
+    service.close();
+  }
+});
+
+test('a late send skips the missed occurrences and still ends the series on its COUNT', async () => {
+  const service = createService({
+    async resolveGroupTarget() {
+      return { id: '111@g.us', name: 'A' };
+    },
+    async sendMessageToGroup() {
+      return { success: true, messageId: 'true_111@g.us_AAA', group: { id: '111@g.us', name: 'A' } };
+    }
+  });
+  try {
+    const [job] = service.createJobs([
+      { group_jid: '111@g.us', group_name: 'A', scheduled_at: '2030-01-01 10:00', message_text: 'daily', recurrence: 'FREQ=DAILY;COUNT=4' }
+    ], 'manual');
+    // As if the app was closed for two and a half days past the first occurrence
+    const first = service.getJobById(job.id);
+    first.scheduledAt = new Date(Date.now() - 2.5 * 24 * 60 * 60 * 1000).toISOString();
+    first.seriesStartAt = first.scheduledAt;
+
+    await service.executeJob(job.id);
+    const next = service.getJobById(service.getJobById(job.id).nextOccurrenceJobId);
+    assert.strictEqual(next.occurrence, 4);
+    assert.match(next.statusReason, /Occurrence 4 .*\(2 missed occurrence\(s\) skipped\)/);
+    assert.ok(new Date(next.scheduledAt).getTime() > Date.now());
+    assert.strictEqual(service.spawnNextOccurrence(next), null);
+  } finally {
+    service.close();
+  }
+});
+
+const MINUTE_MS = 60 * 1000;
+
+/** Create jobs, then backdate them as if they were scheduled and came due while the app was closed */
+function createMissedJobs(service, lateMinutes, extra = {}) {
+  const jobs = service.createJobs(lateMinutes.map((_, index) => (
+    { group_jid: `${index + 1}@g.us`, group_name: `G${index + 1}`, scheduled_at: '2030-01-01 10:00', message_text: `late ${index + 1}`, ...extra }
+  )), 'manual');
+  return jobs.map((job, index) => {
+    const stored = service.getJobById(job.id);
+    stored.status = 'scheduled';
+    stored.scheduledAt = new Date(Date.now() - lateMinutes[index] * MINUTE_MS).toISOString();
+    if (stored.seriesStartAt) stored.seriesStartAt = stored.scheduledAt;
+    return stored;
+  });
+}
+
+test('recoverMissedJobs send_now keeps late jobs due so they send right away', () => {
+  const service = createService();
+  try {
+    const [late, onTime] = createMissedJobs(service, [90, 0.5]);
+    const summary = service.recoverMissedJobs();
+    assert.deepStrictEqual([summary.mode, summary.total, summary.sent], ['send_now', 1, 1]);
+    assert.deepStrictEqual(summary.jobs.map(job => [job.jobId, job.action]), [[late.id, 'send_now']]);
+    assert.strictEqual(late.status, 'scheduled');
+    assert.match(late.statusReason, /Missed by 90 min while the app was closed; sending now/);
+    assert.strictEqual(onTime.statusHistory.length, 1);
+    assert.match(summary.message, /1 post\(s\) came due while the app was closed: 1 sending now/);
+  } finally {
+    service.close();
+  }
+});
+
+test('recoverMissedJobs send_within_grace sends inside the grace period and marks the rest missed', () => {
+  const service = createService();
+  try {
+    service.updateSettings({ missedJobPolicy: { mode: 'send_within_grace', graceMinutes: 30 } });
+    const [inside, outside] = createMissedJobs(service, [29, 31]);
+    const summary = service.recoverMissedJobs();
+    assert.deepStrictEqual(summary.jobs.map(job => [job.jobId, job.action]), [[inside.id, 'send_now'], [outside.id, 'mark_missed']]);
+    assert.strictEqual(inside.status, 'scheduled');
+    assert.strictEqual(outside.status, 'missed');
+    assert.match(outside.statusReason, /needs review/);
+    assert.deepStrictEqual([summary.sent, summary.missed], [1, 1]);
+  } finally {
+    service.close();
+  }
+});
+
+test('recoverMissedJobs mark_missed spawns the next occurrence of a recurring job', () => {
+  const service = createService();
+  try {
+    service.updateSettings({ missedJobPolicy: { mode: 'mark_missed' } });
+    const [job] = createMissedJobs(service, [120], { recurrence: 'FREQ=DAILY' });
+    const summary = service.recoverMissedJobs();
+    assert.strictEqual(summary.missed, 1);
+    assert.strictEqual(job.status, 'missed');
+    const next = service.getJobById(job.nextOccurrenceJobId);
+    assert.strictEqual(next.status, 'scheduled');
+    assert.strictEqual(next.occurrence, 2);
+    assert.ok(new Date(next.scheduledAt).getTime() > Date.now());
+  } finally {
+    service.close();
+  }
+});
+
+test('recoverMissedJobs reschedule moves a late job to the next allowed time', () => {
+  const service = createService();
+  try {
+    service.updateSettings({ missedJobPolicy: { mode: 'reschedule' } });
+    const [job] = createMissedJobs(service, [45]);
+    const before = Date.now();
+    const summary = service.recoverMissedJobs();
+    assert.strictEqual(summary.rescheduled, 1);
+    assert.strictEqual(job.status, 'scheduled');
+    // No quiet hours or group windows: the next allowed time is now
+    assert.ok(Math.abs(new Date(job.scheduledAt).getTime() - before) < MINUTE_MS);
+    assert.deepStrictEqual(job.revisions.at(-1).source, 'missed_recovery');
+    assert.match(job.statusReason, /rescheduled to /);
+  } finally {
+    service.close();
+  }
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, silentLogger } = require('./helpers');
+const PostQueueStore = require('../electron/post-queue-store');
+
+const legacyQueue = {
+  nextId: 4,
+  nextCampaignId: 2,
+  nextAudienceId: 3,
+  settings: { dryRun: false, rateLimits: { global: { maxPerHour: 20 } } },
+  jobs: [
+    { id: 1, status: 'sent', scheduledAt: '2030-01-01T09:00:00.000Z', campaignId: 1, messageText: 'one' },
+    { id: 3, status: 'scheduled', scheduledAt: '2030-01-02T09:00:00.000Z', campaignId: null, messageText: 'three' }
+  ],
+  campaigns: [{ id: 1, name: 'Launch' }],
+  audiences: [{ id: 2, name: 'Everyone', groups: ['111@g.us'] }],
+  sendLog: [
+    { at: '2030-01-01T09:00:01.000Z', group: '111@g.us', jobId: 1 },
+    { at: '2030-01-01T09:05:00.000Z', group: '222@g.us', jobId: null }
+  ]
+};
+
+function writeLegacyJson(dir, queue = legacyQueue) {
+  fs.writeFileSync(path.join(dir, 'post-queue.json'), JSON.stringify(queue));
+}
+
+test('a new store without post-queue.json loads as empty', () => {
+  const dir = useTempDataDir();
+  const store = new PostQueueStore(dir, silentLogger);
+  try {
+    assert.strictEqual(store.load(), null);
+  } finally {
+    store.close();
+  }
+});
+
+test('post-queue.json is migrated once and survives a reopen', () => {
+  const dir = useTempDataDir();
+  writeLegacyJson(dir);
+  new PostQueueStore(dir, silentLogger).close();
+
+  assert.strictEqual(fs.existsSync(path.join(dir, 'post-queue.json')), false);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'post-queue.json.migrated'), 'utf8')), legacyQueue);
+
+  const store = new PostQueueStore(dir, silentLogger);
+  try {
+    assert.deepStrictEqual(store.load(), legacyQueue);
+    assert.strictEqual(store.readMeta().schemaVersion, 1);
+    assert.ok(store.readMeta().migratedFromJsonAt);
+  } finally {
+    store.close();
+  }
+});
+
+test('migration derives nextId from the jobs when the JSON has none', () => {
+  const dir = useTempDataDir();
+  writeLegacyJson(dir, { jobs: [{ id: 7, status: 'scheduled' }, { id: 2, status: 'sent' }] });
+  const store = new PostQueueStore(dir, silentLogger);
+  try {
+    const loaded = store.load();
+    assert.strictEqual(loaded.nextId, 8);
+    assert.strictEqual(loaded.nextCampaignId, 1);
+    assert.strictEqual(loaded.nextAudienceId, 1);
+    assert.deepStrictEqual(loaded.settings, {});
+    assert.deepStrictEqual(loaded.jobs.map(job => job.id), [2, 7]);
+    assert.deepStrictEqual(loaded.sendLog, []);
+  } finally {
+    store.close();
+  }
+});
+
+test('post-queue.json next to an initialized post-queue.db is ignored and kept', () => {
+  const dir = useTempDataDir();
+  const first = new PostQueueStore(dir, silentLogger);
+  first.save({ meta: { nextId: 1, nextCampaignId: 1, nextAudienceId: 1, settings: {} } });
+  first.close();
+
+  writeLegacyJson(dir);
+  const warnings = [];
+  const store = new PostQueueStore(dir, { ...silentLogger, warn: message => warnings.push(message) });
+  try {
+    assert.deepStrictEqual(store.load().jobs, []);
+    assert.strictEqual(fs.existsSync(path.join(dir, 'post-queue.json')), true);
+    assert.strictEqual(fs.existsSync(path.join(dir, 'post-queue.json.migrated')), false);
+    assert.strictEqual(warnings.length, 1);
+  } finally {
+    store.close();
+  }
+});
+
+test('an unreadable post-queue.json is left in place and nothing is migrated', () => {
+  const dir = useTempDataDir();
+  fs.writeFileSync(path.join(dir, 'post-queue.json'), '{ not json');
+  const store = new PostQueueStore(dir, silentLogger);
+  try {
+    assert.strictEqual(store.load(), null);
+    assert.strictEqual(fs.existsSync(path.join(dir, 'post-queue.json')), true);
+  } finally {
+    store.close();
+  }
+});
+
+test('save upserts and deletes single rows without touching the others', () => {
+  const dir = useTempDataDir();
+  writeLegacyJson(dir);
+  const store = new PostQueueStore(dir, silentLogger);
+  try {
+    store.save({
+      meta: { nextId: 5 },
+      jobs: [
+        { id: 3, status: 'sent', scheduledAt: '2030-01-02T09:00:00.000Z', messageText: 'three' },
+        { id: 4, status: 'scheduled', scheduledAt: '2030-01-03T09:00:00.000Z', messageText: 'four' }
+      ],
+      deletedJobIds: [1],
+      campaigns: [{ id: 1, name: 'Relaunch' }],
+      deletedAudienceIds: [2]
+    });
+
+    const loaded = store.load();
+    assert.strictEqual(loaded.nextId, 5);
+    assert.strictEqual(loaded.nextCampaignId, 2);
+    assert.deepStrictEqual(loaded.settings, legacyQueue.settings);
+    assert.deepStrictEqual(loaded.jobs.map(job => [job.id, job.status]), [[3, 'sent'], [4, 'scheduled']]);
+    assert.deepStrictEqual(loaded.campaigns, [{ id: 1, name: 'Relaunch' }]);
+    assert.deepStrictEqual(loaded.audiences, []);
+    assert.deepStrictEqual(
+      store.db.prepare('SELECT id, status, scheduled_at, campaign_id FROM jobs ORDER BY id').all(),
+      [
+        { id: 3, status: 'sent', scheduled_at: '2030-01-02T09:00:00.000Z', campaign_id: null },
+        { id: 4, status: 'scheduled', scheduled_at: '2030-01-03T09:00:00.000Z', campaign_id: null }
+      ]
+    );
+  } finally {
+    store.close();
+  }
+});
+
+test('a save that throws leaves every row as it was', () => {
+  const dir = useTempDataDir();
+  writeLegacyJson(dir);
+  const store = new PostQueueStore(dir, silentLogger);
+  try {
+    assert.throws(() => store.save({
+      jobs: [{ id: 3, status: 'sent', messageText: 'three' }, { id: 9, status: null }],
+      deletedJobIds: [1]
+    }));
+    assert.deepStrictEqual(store.load().jobs, legacyQueue.jobs);
+  } finally {
+    store.close();
+  }
+});
+
+test('the send log appends, prunes old entries and removes a reserved slot', () => {
+  const dir = useTempDataDir();
+  writeLegacyJson(dir);
+  const store = new PostQueueStore(dir, silentLogger);
+  try {
+    store.appendSendLog({ at: '2030-01-01T10:00:00.000Z', group: '111@g.us', jobId: 3 }, '2030-01-01T09:00:01.000Z');
+    assert.deepStrictEqual(store.load().sendLog, [
+      { at: '2030-01-01T09:05:00.000Z', group: '222@g.us', jobId: null },
+      { at: '2030-01-01T10:00:00.000Z', group: '111@g.us', jobId: 3 }
+    ]);
+
+    store.appendSendLog({ at: '2030-01-01T10:00:00.000Z', group: '111@g.us', jobId: 3 });
+    store.removeSendLogEntry({ at: '2030-01-01T10:00:00.000Z', jobId: 3 });
+    store.removeSendLogEntry({ at: '2030-01-01T09:05:00.000Z' });
+    assert.deepStrictEqual(store.load().sendLog, [
+      { at: '2030-01-01T10:00:00.000Z', group: '111@g.us', jobId: 3 }
+    ]);
+  } finally {
+    store.close();
+  }
+});
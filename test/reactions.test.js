@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./helpers');
+const { normalizeReactions, summarizeReactions } = require('../electron/reactions');
+
+const SENT_AT = '2026-03-02T10:00:00.000Z';
+
+test('normalizeReactions keeps the latest reaction per member and drops removed ones', () => {
+  const reactions = normalizeReactions([
+    { id: '👍', senders: [{ reaction: '👍', senderId: 'a@c.us', timestamp: 100 }, { reaction: '👍', senderId: 'b@c.us', timestamp: 100 }] },
+    { reaction: '❤️', senderId: 'a@c.us', timestamp: 200 },
+    { reaction: '', senderId: 'b@c.us', timestamp: 300 }
+  ]);
+  assert.deepStrictEqual(reactions, [{ emoji: '❤️', jid: 'a@c.us', reacted_at: new Date(200 * 1000).toISOString() }]);
+  assert.deepStrictEqual(summarizeReactions(reactions).sentiment, { positive: 1, neutral: 0, negative: 0 });
+});
+
+test('a scrape that failed to read reactions keeps the stored ones', () => {
+  useTempDataDir();
+  const localDataStore = require('../electron/local-data-store');
+  const message = { message_id: 'm1', group_id: 'g@g.us', group_name: 'G', message_timestamp: SENT_AT, total_members: 3 };
+  const stored = [{ emoji: '👍', jid: 'a@c.us', reacted_at: SENT_AT }];
+  localDataStore.addMessages([{ ...message, reactions: stored, reactions_count: 1 }]);
+
+  localDataStore.addMessages([{ ...message, reactions: null, reactions_count: 0 }]);
+  assert.deepStrictEqual(localDataStore.getMessageById('m1').reactions, stored);
+  assert.strictEqual(localDataStore.getMessageById('m1').reactions_count, 1);
+
+  localDataStore.addMessages([{ ...message, reactions: [], reactions_count: 0 }]);
+  assert.deepStrictEqual(localDataStore.getMessageById('m1').reactions, []);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./helpers');
+const { buildReaders, findUnseenMembers } = require('../electron/read-receipts');
+
+const SENT_AT = '2026-03-02T10:00:00.000Z';
+const seconds = iso => Date.parse(iso) / 1000;
+
+test('buildReaders keeps the earliest time per state for each reader', () => {
+  const readers = buildReaders({
+    delivery: [{ id: { _serialized: 'b@c.us' }, t: seconds('2026-03-02T10:01:00Z') }],
+    read: [{ id: { user: 'a', server: 'c.us' }, t: seconds('2026-03-02T10:05:00Z') }],
+    played: []
+  });
+  assert.deepStrictEqual(readers, [
+    { jid: 'b@c.us', delivered_at: '2026-03-02T10:01:00.000Z', read_at: null, played_at: null },
+    { jid: 'a@c.us', delivered_at: null, read_at: '2026-03-02T10:05:00.000Z', played_at: null }
+  ]);
+});
+
+test('a failed getInfo() is not stored as a message nobody read', () => {
+  assert.strictEqual(buildReaders(null), null);
+
+  useTempDataDir();
+  const localDataStore = require('../electron/local-data-store');
+  const message = { message_id: 'm1', group_id: 'g@g.us', group_name: 'G', message_timestamp: SENT_AT, total_members: 3 };
+  localDataStore.addMessages([{ ...message, readers: buildReaders(null) }]);
+  assert.strictEqual(localDataStore.getMessageReaders('m1').receipts_captured, false);
+
+  const stored = [{ jid: 'a@c.us', delivered_at: null, read_at: '2026-03-02T10:05:00.000Z', played_at: null }];
+  localDataStore.addMessages([{ ...message, readers: stored }]);
+  localDataStore.addMessages([{ ...message, readers: buildReaders(null) }]);
+  const result = localDataStore.getMessageReaders('m1');
+  assert.strictEqual(result.receipts_captured, true);
+  assert.deepStrictEqual(result.readers, stored);
+});
+
+test('findUnseenMembers skips messages without receipts', () => {
+  const result = findUnseenMembers({
+    messages: [
+      { message_id: 'm1', message_timestamp: SENT_AT, readers: null },
+      { message_id: 'm2', message_timestamp: SENT_AT, readers: [{ jid: 'a@c.us', read_at: SENT_AT }] }
+    ],
+    participants: ['a@c.us', 'b@c.us', '123456789012345@lid'],
+    now: new Date('2026-03-03T10:00:00Z')
+  });
+  assert.deepStrictEqual(result.considered.map(message => message.message_id), ['m2']);
+  assert.deepStrictEqual(result.skipped.map(({ message_id, reason }) => ({ message_id, reason })), [
+    { message_id: 'm1', reason: 'receipts unavailable' }
+  ]);
+  assert.deepStrictEqual(result.members.map(({ jid, phone }) => ({ jid, phone })), [
+    { jid: '123456789012345@lid', phone: '' },
+    { jid: 'b@c.us', phone: 'b' }
+  ]);
+});
+
+test('findUnseenMembers lists nobody when no message has receipts', () => {
+  const result = findUnseenMembers({
+    messages: [{ message_id: 'm1', message_timestamp: SENT_AT, readers: null }],
+    participants: ['a@c.us', 'b@c.us'],
+    now: new Date('2026-03-03T10:00:00Z')
+  });
+  assert.deepStrictEqual(result.considered, []);
+  assert.deepStrictEqual(result.members, []);
+});
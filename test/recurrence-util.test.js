@@ -0,0 +1,124 @@
+// Run as if the machine were in New York, so its DST change differs from the jobs' zones
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRecurrence, getNextOccurrence, getNextPendingOccurrence, listUpcomingOccurrences } = require('../electron/recurrence-util');
+
+const isoList = dates => dates.map(date => new Date(date).toISOString());
+
+test('weekly series keeps its wall-clock time in the job zone across a machine DST change', () => {
+  // 10:00 Asia/Kolkata is 04:30Z all year; New York leaves DST on 2026-11-01
+  const recurrence = parseRecurrence('FREQ=WEEKLY');
+  const upcoming = listUpcomingOccurrences(recurrence, {
+    anchorAt: '2026-10-19T04:30:00.000Z',
+    afterDate: new Date('2026-10-19T04:30:00.000Z'),
+    timeZone: 'Asia/Kolkata'
+  }, 4);
+  assert.deepStrictEqual(isoList(upcoming), [
+    '2026-10-26T04:30:00.000Z',
+    '2026-11-02T04:30:00.000Z',
+    '2026-11-09T04:30:00.000Z',
+    '2026-11-16T04:30:00.000Z'
+  ]);
+});
+
+test('daily series follows the job zone through its own DST change', () => {
+  // 09:00 Europe/Berlin: 07:00Z in summer time, 08:00Z after 2026-10-25
+  const upcoming = listUpcomingOccurrences(parseRecurrence('FREQ=DAILY'), {
+    anchorAt: '2026-10-23T07:00:00.000Z',
+    afterDate: new Date('2026-10-23T07:00:00.000Z'),
+    timeZone: 'Europe/Berlin'
+  }, 3);
+  assert.deepStrictEqual(isoList(upcoming), [
+    '2026-10-24T07:00:00.000Z',
+    '2026-10-25T08:00:00.000Z',
+    '2026-10-26T08:00:00.000Z'
+  ]);
+});
+
+test('weekly BYDAY and monthly rules use the job zone calendar', () => {
+  // 18:00Z is 23:30 in Kolkata, so the days are Kolkata's Monday and Thursday
+  const weekly = getNextOccurrence(parseRecurrence('FREQ=WEEKLY;BYDAY=MO,TH'), {
+    anchorAt: '2026-10-19T18:00:00.000Z',
+    afterDate: new Date('2026-10-19T18:00:00.000Z'),
+    timeZone: 'Asia/Kolkata'
+  });
+  assert.strictEqual(weekly.toISOString(), '2026-10-22T18:00:00.000Z');
+
+  const monthly = listUpcomingOccurrences(parseRecurrence('FREQ=MONTHLY'), {
+    anchorAt: '2026-10-31T08:00:00.000Z',
+    afterDate: new Date('2026-10-31T08:00:00.000Z'),
+    timeZone: 'Europe/Berlin'
+  }, 2);
+  // November has no 31st; 09:00 Berlin is 08:00Z in winter
+  assert.deepStrictEqual(isoList(monthly), ['2026-12-31T08:00:00.000Z', '2027-01-31T08:00:00.000Z']);
+});
+
+test('cron expressions fire on the job zone clock', () => {
+  const recurrence = parseRecurrence({ cron: '0 9 * * 1-5' });
+  const upcoming = listUpcomingOccurrences(recurrence, {
+    afterDate: new Date('2026-10-23T12:00:00.000Z'),
+    timeZone: 'Europe/Berlin'
+  }, 2);
+  // Friday the 23rd has passed; the next weekdays are after Berlin's DST end on the 25th
+  assert.deepStrictEqual(isoList(upcoming), ['2026-10-26T08:00:00.000Z', '2026-10-27T08:00:00.000Z']);
+});
+
+test('without a zone the rules step in machine time', () => {
+  const upcoming = listUpcomingOccurrences(parseRecurrence('FREQ=WEEKLY'), {
+    anchorAt: '2026-10-26T14:00:00.000Z',
+    afterDate: new Date('2026-10-26T14:00:00.000Z')
+  }, 1);
+  // 10:00 New York: EDT before November 1st, EST after
+  assert.deepStrictEqual(isoList(upcoming), ['2026-11-02T15:00:00.000Z']);
+});
+
+test('count and until end the series', () => {
+  const counted = listUpcomingOccurrences(parseRecurrence('FREQ=DAILY;COUNT=3'), {
+    anchorAt: '2026-10-19T04:30:00.000Z',
+    afterDate: new Date('2026-10-19T04:30:00.000Z'),
+    timeZone: 'Asia/Kolkata'
+  });
+  assert.strictEqual(counted.length, 2);
+
+  const until = parseRecurrence('FREQ=DAILY;UNTIL=20261021T000000Z');
+  const next = getNextOccurrence(until, {
+    anchorAt: '2026-10-19T04:30:00.000Z',
+    afterDate: new Date('2026-10-20T04:30:00.000Z'),
+    timeZone: 'Asia/Kolkata'
+  });
+  assert.strictEqual(next, null);
+});
+
+test('skipped occurrences count towards COUNT', () => {
+  const recurrence = parseRecurrence('FREQ=DAILY;COUNT=5');
+  const opts = { anchorAt: '2026-10-19T09:00:00.000Z', afterDate: '2026-10-19T09:00:00.000Z', occurrence: 1, timeZone: 'UTC' };
+  // The 20th and 21st passed while the app was closed: the 22nd is occurrence 4
+  assert.deepStrictEqual(getNextPendingOccurrence(recurrence, opts, '2026-10-21T12:00:00.000Z'), {
+    at: new Date('2026-10-22T09:00:00.000Z'),
+    occurrence: 4
+  });
+  assert.deepStrictEqual(getNextPendingOccurrence(recurrence, opts, '2026-10-19T09:00:00.000Z').occurrence, 2);
+  assert.strictEqual(getNextPendingOccurrence(recurrence, opts, '2026-10-23T09:00:00.000Z'), null);
+});
+
+test('an UNTIL without a UTC offset ends on the job zone wall clock, not the machine one', () => {
+  // 09:00 Tokyo is 00:00Z; the 21st ends at 14:59:59Z in Tokyo but only at 03:59:59Z the next day in New York
+  for (const until of ['20261021', '2026-10-21']) {
+    const recurrence = parseRecurrence(`FREQ=DAILY;UNTIL=${until}`, { timeZone: 'Asia/Tokyo' });
+    assert.strictEqual(recurrence.until, '2026-10-21T14:59:59.999Z');
+    const upcoming = listUpcomingOccurrences(recurrence, {
+      anchorAt: '2026-10-19T00:00:00.000Z',
+      afterDate: new Date('2026-10-19T00:00:00.000Z'),
+      timeZone: 'Asia/Tokyo'
+    });
+    assert.deepStrictEqual(isoList(upcoming), ['2026-10-20T00:00:00.000Z', '2026-10-21T00:00:00.000Z']);
+  }
+
+  assert.strictEqual(parseRecurrence('FREQ=DAILY;UNTIL=20261021T090000', { timeZone: 'Asia/Tokyo' }).until, '2026-10-21T00:00:00.000Z');
+  assert.strictEqual(parseRecurrence('FREQ=DAILY;UNTIL=20261021T090000Z', { timeZone: 'Asia/Tokyo' }).until, '2026-10-21T09:00:00.000Z');
+  assert.strictEqual(parseRecurrence({ cron: '0 9 * * *', until: '2026-10-21 09:00' }, { timeZone: 'Asia/Tokyo' }).until, '2026-10-21T00:00:00.000Z');
+  // Without a zone the machine's wall clock still applies
+  assert.strictEqual(parseRecurrence('FREQ=DAILY;UNTIL=20261021').until, '2026-10-22T03:59:59.999Z');
+});
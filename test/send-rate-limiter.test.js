@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir, silentLogger } = require('./helpers');
+const { normalizeRateLimits, pruneSendLog, checkRateLimit } = require('../electron/send-rate-limiter');
+
+const NOW = Date.parse('2026-03-02T12:00:00Z');
+const at = secondsAgo => new Date(NOW - secondsAgo * 1000).toISOString();
+
+test('normalizeRateLimits keeps current values and rejects bad input', () => {
+  const limits = normalizeRateLimits({ global: { perMinute: 5 } }, normalizeRateLimits({ perGroup: { perDay: 10 } }));
+  assert.deepStrictEqual(limits.global, { perMinute: 5, perHour: 0, perDay: 0 });
+  assert.strictEqual(limits.perGroup.perDay, 10);
+  assert.throws(() => normalizeRateLimits({ global: { perHour: -1 } }), /rateLimits.global.perHour/);
+});
+
+test('pruneSendLog drops entries older than a day', () => {
+  const log = [{ at: at(2 * 86400) }, { at: at(60) }];
+  assert.deepStrictEqual(pruneSendLog(log, NOW), [log[1]]);
+});
+
+test('checkRateLimit blocks at the limit and reports when a slot frees up', () => {
+  const rateLimits = normalizeRateLimits({ global: { perMinute: 2 } });
+  const sendLog = [{ at: at(50), group: 'a' }, { at: at(10), group: 'b' }];
+  const blocked = checkRateLimit({ sendLog, rateLimits, groupKey: 'c', nowMs: NOW });
+  assert.match(blocked.reason, /Global limit of 2 per minute/);
+  assert.strictEqual(blocked.retryAt.toISOString(), new Date(NOW + 10 * 1000).toISOString());
+  assert.strictEqual(checkRateLimit({ sendLog: sendLog.slice(1), rateLimits, groupKey: 'c', nowMs: NOW }), null);
+});
+
+test('checkRateLimit counts per-group limits per group only', () => {
+  const rateLimits = normalizeRateLimits({ perGroup: { perHour: 1 } });
+  const sendLog = [{ at: at(600), group: 'a@g.us' }];
+  assert.ok(checkRateLimit({ sendLog, rateLimits, groupKey: 'a@g.us', nowMs: NOW }));
+  assert.strictEqual(checkRateLimit({ sendLog, rateLimits, groupKey: 'b@g.us', nowMs: NOW }), null);
+});
+
+test('a failed send gives its rate-limit slot back before it is retried', async () => {
+  useTempDataDir();
+  const PostQueueService = require('../electron/post-queue-service');
+  let sends = 0;
+  const whatsappManager = {
+    async sendMessageToGroup() {
+      sends++;
+      return sends === 1 ? { success: false, error: 'Not authorized to send' } : { success: true, messageId: 'ok', group: { id: 'b@g.us', name: 'B' } };
+    }
+  };
+  const service = new PostQueueService(whatsappManager, silentLogger);
+  try {
+    service.updateSettings({ rateLimits: { global: { perMinute: 1 } } });
+    const soon = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const [failing, next] = service.createJobs([
+      { group_jid: 'a@g.us', group_name: 'A', scheduled_at: soon, message_text: 'one' },
+      { group_jid: 'b@g.us', group_name: 'B', scheduled_at: soon, message_text: 'two' }
+    ], 'manual');
+
+    await service.executeJob(failing.id);
+    assert.strictEqual(service.getJobById(failing.id).status, 'retrying');
+    assert.strictEqual(service.state.sendLog.length, 0);
+
+    await service.executeJob(next.id);
+    assert.strictEqual(service.getJobById(next.id).status, 'sent');
+    assert.strictEqual(service.state.sendLog.length, 1);
+  } finally {
+    service.close();
+  }
+});
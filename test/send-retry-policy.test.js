@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_RETRY_POLICY, normalizeRetryPolicy, classifySendError, getRetryDelayMs } = require('../electron/send-retry-policy');
+
+test('classifySendError fails fast on errors that repeat on every attempt', () => {
+  for (const message of [
+    'Target group not found',
+    'Mention cap exceeded: 60 participants would be mentioned in A (cap 50)',
+    'Media file missing from library: flyer.png',
+    'Unknown template variable(s): city',
+    'Job disabled'
+  ]) {
+    assert.strictEqual(classifySendError(message), 'permanent', message);
+  }
+  for (const message of ['WhatsApp client not ready', 'Protocol error (Runtime.callFunctionOn): Target closed', 'Navigation timeout of 30000 ms exceeded', '', undefined]) {
+    assert.strictEqual(classifySendError(message), 'retryable', String(message));
+  }
+});
+
+test('getRetryDelayMs backs off exponentially up to the cap', () => {
+  const policy = { maxAttempts: 10, baseDelaySeconds: 60, backoffMultiplier: 2, maxDelayMinutes: 5 };
+  assert.deepStrictEqual([1, 2, 3, 4, 5].map(attempt => getRetryDelayMs(policy, attempt) / 1000), [60, 120, 240, 300, 300]);
+  assert.strictEqual(getRetryDelayMs({ ...policy, backoffMultiplier: 1 }, 4), 60 * 1000);
+});
+
+test('normalizeRetryPolicy fills gaps from the base policy and rejects values out of range', () => {
+  assert.deepStrictEqual(normalizeRetryPolicy({ maxAttempts: '5' }), { ...DEFAULT_RETRY_POLICY, maxAttempts: 5 });
+  assert.deepStrictEqual(normalizeRetryPolicy({}, { ...DEFAULT_RETRY_POLICY, baseDelaySeconds: 10 }).baseDelaySeconds, 10);
+  assert.throws(() => normalizeRetryPolicy({ maxAttempts: 2.5 }), /retryPolicy.maxAttempts must be a number between 1 and 20/);
+  assert.throws(() => normalizeRetryPolicy({ backoffMultiplier: 11 }), /retryPolicy.backoffMultiplier/);
+  assert.throws(() => normalizeRetryPolicy({ maxDelayMinutes: 'soon' }), /retryPolicy.maxDelayMinutes/);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeQuietHours,
+  normalizeGroupSendWindows,
+  getSendRules,
+  isSendAllowed,
+  getAllowedIntervals,
+  getNextAllowedTime,
+  describeRules
+} = require('../electron/send-window-util');
+
+const at = iso => new Date(iso);
+// 2026-10-19 is a Monday
+const overnightQuiet = { quietHours: { start: '22:00', end: '08:00' }, windows: null, timeZone: 'UTC' };
+
+test('normalizeQuietHours validates clock times and keeps an overnight range', () => {
+  assert.strictEqual(normalizeQuietHours(null), null);
+  assert.strictEqual(normalizeQuietHours({ start: '', end: '' }), null);
+  assert.deepStrictEqual(normalizeQuietHours({ start: '22:00', end: '8:00' }), { start: '22:00', end: '08:00' });
+  assert.throws(() => normalizeQuietHours({ start: '24:00', end: '08:00' }), /quietHours.start must be a time in HH:mm format/);
+  assert.throws(() => normalizeQuietHours({ start: '08:00', end: '08:00' }), /must differ/);
+});
+
+test('normalizeGroupSendWindows reads weekday names, codes and numbers', () => {
+  assert.deepStrictEqual(
+    normalizeGroupSendWindows({ Team: [{ days: 'monday, 3,FR', start: '9:00', end: '17:30' }], ' ': [], Night: { start: '20:00', end: '02:00' } }),
+    {
+      Team: [{ days: ['MO', 'WE', 'FR'], start: '09:00', end: '17:30' }],
+      Night: [{ days: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'], start: '20:00', end: '02:00' }]
+    }
+  );
+  assert.throws(() => normalizeGroupSendWindows({ Team: [{ days: 'XX', start: '09:00', end: '17:00' }] }), /unknown weekday "XX"/);
+  assert.throws(() => normalizeGroupSendWindows([]), /groupSendWindows must be an object/);
+});
+
+test('quiet hours that wrap past midnight block both sides of it', () => {
+  assert.strictEqual(isSendAllowed(at('2026-10-19T21:59:00.000Z'), overnightQuiet), true);
+  assert.strictEqual(isSendAllowed(at('2026-10-19T22:00:00.000Z'), overnightQuiet), false);
+  assert.strictEqual(isSendAllowed(at('2026-10-20T03:00:00.000Z'), overnightQuiet), false);
+  assert.strictEqual(isSendAllowed(at('2026-10-20T07:59:59.999Z'), overnightQuiet), false);
+  assert.strictEqual(isSendAllowed(at('2026-10-20T08:00:00.000Z'), overnightQuiet), true);
+  // Read on the job zone's clock: 22:30 in Kolkata is 17:00Z
+  assert.strictEqual(isSendAllowed(at('2026-10-19T17:00:00.000Z'), { ...overnightQuiet, timeZone: 'Asia/Kolkata' }), false);
+});
+
+test('getNextAllowedTime moves a blocked time to the end of the quiet hours', () => {
+  assert.deepStrictEqual(getNextAllowedTime(at('2026-10-19T23:15:00.000Z'), overnightQuiet), at('2026-10-20T08:00:00.000Z'));
+  assert.deepStrictEqual(getNextAllowedTime(at('2026-10-20T02:00:00.000Z'), overnightQuiet), at('2026-10-20T08:00:00.000Z'));
+  assert.deepStrictEqual(getNextAllowedTime(at('2026-10-19T12:00:00.000Z'), overnightQuiet), at('2026-10-19T12:00:00.000Z'));
+  assert.deepStrictEqual(getNextAllowedTime(at('2026-10-19T23:15:00.000Z'), { quietHours: null, windows: null }), at('2026-10-19T23:15:00.000Z'));
+});
+
+test('getNextAllowedTime finds the next group window outside quiet hours', () => {
+  const rules = {
+    ...overnightQuiet,
+    windows: [{ days: ['MO', 'WE'], start: '07:00', end: '09:00' }, { days: ['FR'], start: '21:00', end: '23:00' }]
+  };
+  // Monday 09:30: Wednesday's window opens at 07:00, but quiet hours hold it until 08:00
+  assert.deepStrictEqual(getNextAllowedTime(at('2026-10-19T09:30:00.000Z'), rules), at('2026-10-21T08:00:00.000Z'));
+  // Wednesday 10:00: Friday 21:00-22:00 is the only open part before next Monday
+  assert.deepStrictEqual(
+    getAllowedIntervals(at('2026-10-21T10:00:00.000Z'), at('2026-10-26T00:00:00.000Z'), rules),
+    [{ start: at('2026-10-23T21:00:00.000Z'), end: at('2026-10-23T22:00:00.000Z') }]
+  );
+  // A window that lies entirely inside quiet hours never opens
+  const closed = { ...overnightQuiet, windows: [{ days: ['MO'], start: '23:00', end: '23:30' }] };
+  assert.strictEqual(getNextAllowedTime(at('2026-10-19T12:00:00.000Z'), closed), null);
+});
+
+test('getSendRules picks the window of the job group by JID or name', () => {
+  const settings = {
+    quietHours: { start: '22:00', end: '08:00' },
+    groupSendWindows: { team: [{ days: ['MO'], start: '09:00', end: '10:00' }] }
+  };
+  const rules = getSendRules(settings, { groupJid: '111@g.us', groupName: 'Team', timeZone: 'Europe/Berlin' });
+  assert.deepStrictEqual(rules.windows, settings.groupSendWindows.team);
+  assert.strictEqual(rules.timeZone, 'Europe/Berlin');
+  assert.strictEqual(getSendRules(settings, { groupName: 'Other' }).windows, null);
+  assert.strictEqual(describeRules(rules), 'quiet hours 22:00–08:00 / group window MO 09:00–10:00, Europe/Berlin time');
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, silentLogger } = require('./helpers');
+const TemplateStore = require('../electron/template-store');
+const { renderTemplate, hasPlaceholders } = TemplateStore;
+
+function createStore(groups = []) {
+  const dir = useTempDataDir();
+  const groupsConfigPath = path.join(dir, 'groups-config.json');
+  fs.writeFileSync(groupsConfigPath, JSON.stringify({ groups }));
+  return { dir, store: new TemplateStore(dir, silentLogger, groupsConfigPath) };
+}
+
+test('renderTemplate fills placeholders case-insensitively and reports the missing ones', () => {
+  assert.strictEqual(hasPlaceholders('Hi {{ name }}'), true);
+  assert.strictEqual(hasPlaceholders('Hi {name}'), false);
+  assert.deepStrictEqual(
+    renderTemplate('Hi {{Name}}, {{ count }} new, see {{link}} and {{LINK}} or {{other}}', { name: 'Ana', COUNT: 0, link: null }),
+    { text: 'Hi Ana, 0 new, see {{link}} and {{LINK}} or {{other}}', missing: ['link', 'LINK', 'other'] }
+  );
+  assert.deepStrictEqual(renderTemplate('', {}), { text: '', missing: [] });
+});
+
+test('buildVariables merges group variables with the built-ins in the job zone', () => {
+  const { store } = createStore([
+    { jid: '111@g.us', name: 'Team', timezone: 'Asia/Tokyo', variables: { leader: 'Ana', group_name: 'ignored' } }
+  ]);
+  const at = '2026-10-18T23:30:00.000Z';
+
+  const byName = store.buildVariables({ groupName: 'team', at });
+  assert.deepStrictEqual(byName, {
+    leader: 'Ana',
+    group_name: 'team',
+    group_jid: '',
+    date: '2026-10-19',
+    time: '08:30',
+    weekday: 'Monday',
+    mention_all: '{{mention_all}}'
+  });
+
+  const inJobZone = store.buildVariables({ groupJid: '111@g.us', groupName: 'Team', at, timeZone: 'America/New_York' });
+  assert.deepStrictEqual([inJobZone.date, inJobZone.time, inJobZone.weekday], ['2026-10-18', '19:30', 'Sunday']);
+
+  const { text, missing } = renderTemplate('{{leader}} on {{weekday}}: {{topic}}', byName);
+  assert.strictEqual(text, 'Ana on Monday: {{topic}}');
+  assert.deepStrictEqual(missing, ['topic']);
+  assert.deepStrictEqual(store.getGroupVariables({ groupName: 'Other' }), {});
+});
+
+test('templates are saved, found by id or name and reloaded', () => {
+  const { dir, store } = createStore();
+  const created = store.upsert({ name: ' Weekly ', body: ' Hi {{group_name}} ' });
+  assert.deepStrictEqual([created.id, created.name, created.body], [1, 'Weekly', 'Hi {{group_name}}']);
+  assert.throws(() => store.upsert({ name: 'weekly', body: 'x' }), /A template named "weekly" already exists/);
+  assert.throws(() => store.upsert({ name: 'Empty', body: ' ' }), /Template body is required/);
+  assert.throws(() => store.upsert({ id: 9, name: 'Nine', body: 'x' }), /Template not found/);
+
+  assert.strictEqual(store.resolveReference('WEEKLY'), 1);
+  assert.strictEqual(store.resolveReference('1'), 1);
+  assert.strictEqual(store.resolveReference(''), null);
+  assert.throws(() => store.resolveReference('Daily'), /template "Daily" is not a template ID or name/);
+
+  const reloaded = new TemplateStore(dir, silentLogger, path.join(dir, 'groups-config.json'));
+  assert.deepStrictEqual(reloaded.list(), [created]);
+  assert.strictEqual(reloaded.upsert({ name: 'Daily', body: 'x' }).id, 2);
+  assert.strictEqual(reloaded.remove(1), true);
+  assert.strictEqual(reloaded.remove(1), false);
+});
+
+test('a job whose text uses an unknown variable fails to render', async () => {
+  useTempDataDir();
+  const PostQueueService = require('../electron/post-queue-service');
+  const service = new PostQueueService({}, silentLogger);
+  try {
+    const job = { messageText: 'Hi {{group_name}}, {{nickname}} and {{ Nickname }}', groupJid: '111@g.us', groupName: 'A' };
+    await assert.rejects(service.renderJobText(job), /Unknown template variable\(s\): nickname, Nickname/);
+    assert.strictEqual(await service.renderJobText({ ...job, messageText: 'Hi {{group_name}}' }), 'Hi A');
+
+    const template = service.templateStore.upsert({ name: 'Greeting', body: 'Morning {{group_name}}' });
+    assert.strictEqual(await service.renderJobText({ ...job, templateId: template.id }), 'Morning A');
+    await assert.rejects(service.renderJobText({ ...job, templateId: 99 }), /Template not found: 99/);
+  } finally {
+    service.close();
+  }
+});
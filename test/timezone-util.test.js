@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeTimeZone, getZonedParts, zonedTimeToUtc, getOffsetTransitions, formatInTimeZone } = require('../electron/timezone-util');
+
+test('normalizeTimeZone accepts IANA zones and rejects unknown ones', () => {
+  assert.strictEqual(normalizeTimeZone('Europe/Berlin'), 'Europe/Berlin');
+  assert.strictEqual(normalizeTimeZone(''), null);
+  assert.throws(() => normalizeTimeZone('Mars/Olympus'));
+});
+
+test('getZonedParts reads the wall clock of a zone', () => {
+  const parts = getZonedParts(new Date('2026-10-25T00:30:00Z'), 'Asia/Kolkata');
+  assert.deepStrictEqual(
+    { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute },
+    { year: 2026, month: 10, day: 25, hour: 6, minute: 0 }
+  );
+});
+
+test('zonedTimeToUtc follows DST changes', () => {
+  assert.strictEqual(zonedTimeToUtc(2026, 10, 24, 9, 0, 'Europe/Berlin').toISOString(), '2026-10-24T07:00:00.000Z');
+  assert.strictEqual(zonedTimeToUtc(2026, 10, 26, 9, 0, 'Europe/Berlin').toISOString(), '2026-10-26T08:00:00.000Z');
+  // 02:30 does not exist on 2026-03-29 in Berlin; it moves forward to 03:30
+  assert.strictEqual(zonedTimeToUtc(2026, 3, 29, 2, 30, 'Europe/Berlin').toISOString(), '2026-03-29T01:30:00.000Z');
+  // 02:30 happens twice on 2026-10-25; the first one is used
+  assert.strictEqual(zonedTimeToUtc(2026, 10, 25, 2, 30, 'Europe/Berlin').toISOString(), '2026-10-25T00:30:00.000Z');
+});
+
+test('formatInTimeZone round-trips zonedTimeToUtc', () => {
+  const instant = zonedTimeToUtc(2026, 11, 2, 10, 0, 'Asia/Kolkata');
+  assert.strictEqual(formatInTimeZone(instant, 'Asia/Kolkata'), '2026-11-02 10:00');
+});
+
+test('getOffsetTransitions finds DST changes to the minute', () => {
+  assert.deepStrictEqual(
+    getOffsetTransitions(2026, 'Europe/Berlin').map(t => [t.at.toISOString(), t.offsetFromMinutes, t.offsetToMinutes]),
+    [['2026-03-29T01:00:00.000Z', 60, 120], ['2026-10-25T01:00:00.000Z', 120, 60]]
+  );
+  assert.deepStrictEqual(getOffsetTransitions(2026, 'Asia/Kolkata'), []);
+});
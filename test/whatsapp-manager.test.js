@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const whatsappManager = require('../electron/whatsapp-manager');
+
+function useFakeClient({ participants = [] } = {}) {
+  const edits = [];
+  whatsappManager.status = 'ready';
+  whatsappManager.client = {
+    info: { wid: { _serialized: '4915100000000@c.us' } },
+    async getMessageById(messageId) {
+      return {
+        id: { _serialized: messageId, remote: '111@g.us' },
+        fromMe: true,
+        async edit(text, options) {
+          edits.push({ text, options });
+          return {};
+        }
+      };
+    },
+    async getChatById() {
+      return { isGroup: true, participants: participants.map(jid => ({ id: { _serialized: jid } })) };
+    }
+  };
+  return edits;
+}
+
+test('editMessage rebuilds explicit mentions and {{mention_all}}', async () => {
+  const edits = useFakeClient({ participants: ['4915100000000@c.us', '4915111111111@c.us', '4915122222222@c.us'] });
+  const result = await whatsappManager.editMessage('true_111@g.us_AAA', 'hi {{mention_all}}', { mentions: ['4915133333333@c.us'] });
+  assert.deepStrictEqual(result, { success: true });
+  assert.deepStrictEqual(edits, [{
+    text: 'hi @4915111111111 @4915122222222\n@4915133333333',
+    options: { mentions: ['4915133333333@c.us', '4915111111111@c.us', '4915122222222@c.us'] }
+  }]);
+});
+
+test('editMessage sends plain text without mention options', async () => {
+  const edits = useFakeClient();
+  await whatsappManager.editMessage('true_111@g.us_AAA', 'plain');
+  assert.deepStrictEqual(edits, [{ text: 'plain', options: {} }]);
+});
+
+test('editMessage refuses an edit over the mention cap', async () => {
+  const edits = useFakeClient({ participants: ['4915111111111@c.us', '4915122222222@c.us'] });
+  const result = await whatsappManager.editMessage('true_111@g.us_AAA', '{{mention_all}}', { maxMentions: 1 });
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /Mention cap exceeded: 2/);
+  assert.deepStrictEqual(edits, []);
+});
+
+function useFailingFollowUpClient() {
+  const sent = [];
+  whatsappManager.status = 'ready';
+  whatsappManager.resolveGroupTarget = async () => ({ id: '111@g.us', name: 'A' });
+  whatsappManager.client = {
+    info: { wid: { _serialized: '4915100000000@c.us' } },
+    async sendMessage(chatId, content, options) {
+      sent.push({ chatId, content, options });
+      if (sent.length > 1) throw new Error('Evaluation failed: rate-overlimit');
+      return { id: { _serialized: 'true_111@g.us_FIRST', id: 'FIRST' } };
+    }
+  };
+  return sent;
+}
+
+test('a location whose follow-up text fails still counts as sent', async () => {
+  const sent = useFailingFollowUpClient();
+  const result = await whatsappManager.sendMessageToGroup({
+    groupJid: '111@g.us',
+    messageText: 'Meet here',
+    payload: { type: 'location', latitude: 52.52, longitude: 13.405, name: 'Office' }
+  });
+  assert.strictEqual(sent.length, 2);
+  assert.deepStrictEqual(
+    { success: result.success, messageId: result.messageId, followUpError: result.followUpError },
+    { success: true, messageId: 'true_111@g.us_FIRST', followUpError: 'Evaluation failed: rate-overlimit' }
+  );
+});
+
+test('a voice note whose caption fails still counts as sent', async () => {
+  const sent = useFailingFollowUpClient();
+  const result = await whatsappManager.sendMessageToGroup({
+    groupJid: '111@g.us',
+    messageText: 'Listen',
+    media: { data: Buffer.from('ogg').toString('base64'), mimetype: 'audio/ogg', kind: 'audio' },
+    payload: { type: 'voice' }
+  });
+  assert.strictEqual(sent.length, 2);
+  assert.strictEqual(sent[0].options.sendAudioAsVoice, true);
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.messageId, 'true_111@g.us_FIRST');
+  assert.strictEqual(result.followUpError, 'Evaluation failed: rate-overlimit');
+});
+
+test('sendMessageToGroup refuses a send over the mention cap and sends nothing', async () => {
+  const sent = useFailingFollowUpClient();
+  const result = await whatsappManager.sendMessageToGroup({
+    groupJid: '111@g.us',
+    messageText: 'Reminder',
+    mentions: ['4915111111111@c.us', '4915122222222@c.us', '4915100000000@c.us'],
+    maxMentions: 1
+  });
+  assert.deepStrictEqual(result, { success: false, error: 'Mention cap exceeded: 2 participants would be mentioned in A (cap 1)' });
+  assert.deepStrictEqual(sent, []);
+});
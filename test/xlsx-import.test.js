@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { readWorkbook, readWorkbookRows, selectSheet, sheetToRows, formatExcelDate, classifyFormatCode } = require('../electron/xlsx-import');
+
+/**
+ * A deflated ZIP of the given parts.
+ * @param {Array<[string, Buffer|string, number?]>} parts - [name, content, declared unpacked size]
+ */
+function zipWithEntries(parts) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, rawContent, declared] of parts) {
+    const content = Buffer.from(rawContent);
+    const declaredSize = declared ?? content.length;
+    const data = zlib.deflateRawSync(content);
+    const nameBytes = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(declaredSize, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(declaredSize, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, data);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(parts.length, 8);
+  end.writeUInt16LE(parts.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+/**
+ * A workbook with a hidden "Notes" sheet followed by a "Posts" sheet. Posts uses shared strings,
+ * an inline string, and date cells styled as date-time (style 1), date only (2) and time only (3).
+ */
+function buildWorkbook({ date1904 = false, postsRows } = {}) {
+  const sheetXml = rows => `<worksheet><sheetData>${rows}</sheetData></worksheet>`;
+  return zipWithEntries([
+    ['_rels/.rels', `<Relationships><Relationship Id="rId1" Type="${REL}/officeDocument" Target="xl/workbook.xml"/></Relationships>`],
+    ['xl/workbook.xml', `<workbook>${date1904 ? '<workbookPr date1904="1"/>' : ''}<sheets>` +
+      '<sheet name="Notes" sheetId="1" state="hidden" r:id="rId1"/><sheet name="Posts" sheetId="2" r:id="rId2"/></sheets></workbook>'],
+    ['xl/_rels/workbook.xml.rels', '<Relationships>' +
+      `<Relationship Id="rId1" Type="${REL}/worksheet" Target="worksheets/sheet1.xml"/>` +
+      `<Relationship Id="rId2" Type="${REL}/worksheet" Target="worksheets/sheet2.xml"/>` +
+      `<Relationship Id="rId3" Type="${REL}/sharedStrings" Target="sharedStrings.xml"/>` +
+      `<Relationship Id="rId4" Type="${REL}/styles" Target="styles.xml"/></Relationships>`],
+    ['xl/sharedStrings.xml', '<sst><si><t>Group</t></si><si><t>Post copy</t></si><si><t>Send at</t></si>' +
+      '<si><r><t>Hello </t></r><r><t xml:space="preserve">&amp; welcome</t></r><rPh><t>ハロー</t></rPh></si>' +
+      '<si><t>Team A</t></si><si><t>Day</t></si><si><t>Time</t></si></sst>'],
+    ['xl/styles.xml', '<styleSheet><numFmts count="1"><numFmt numFmtId="164" formatCode="dd/mm/yyyy hh:mm"/></numFmts>' +
+      '<cellXfs count="4"><xf numFmtId="0"/><xf numFmtId="164"/><xf numFmtId="14"/><xf numFmtId="20"/></cellXfs></styleSheet>'],
+    ['xl/worksheets/sheet1.xml', sheetXml('<row r="1"><c r="A1" t="inlineStr"><is><t>ignore me</t></is></c></row>')],
+    ['xl/worksheets/sheet2.xml', sheetXml(postsRows ||
+      '<row r="2"><c r="A2" t="s"><v>0</v></c><c r="B2" t="s"><v>1</v></c><c r="C2" t="s"><v>2</v></c><c r="D2" t="s"><v>5</v></c><c r="E2" t="s"><v>6</v></c></row>' +
+      '<row r="3"><c r="A3" t="s"><v>4</v></c><c r="B3" t="s"><v>3</v></c><c r="C3" s="1"><v>46388.5625</v></c><c r="D3" s="2"><v>46388</v></c><c r="E3" s="3"><v>0.375</v></c></row>' +
+      '<row r="4"/>' +
+      '<row r="5"><c r="A5" t="inlineStr"><is><t>Team &lt;B&gt;</t></is></c><c r="B5"><v>42</v></c><c r="D5" t="b"><v>1</v></c></row>')]
+  ]);
+}
+
+test('readWorkbook rejects a part that declares a huge unpacked size', () => {
+  const zip = zipWithEntries([['xl/workbook.xml', '<workbook/>', 0xfffffff0]]);
+  assert.throws(() => readWorkbook(zip), /xl\/workbook.xml is too large/);
+});
+
+test('readWorkbook stops inflating a part that unpacks past the cap', () => {
+  const zip = zipWithEntries([['xl/workbook.xml', Buffer.alloc(65 * 1024 * 1024, 0x20), 100]]);
+  assert.ok(zip.length < 1024 * 1024);
+  assert.throws(() => readWorkbook(zip), /xl\/workbook.xml is too large/);
+});
+
+test('readWorkbook reads shared, inline and rich strings and formats date cells by their style', () => {
+  const { sheets } = readWorkbook(buildWorkbook());
+  assert.deepStrictEqual(sheets.map(sheet => [sheet.name, sheet.hidden]), [['Notes', true], ['Posts', false]]);
+  assert.deepStrictEqual(sheets[1].rows, [
+    { rowNumber: 2, cells: ['Group', 'Post copy', 'Send at', 'Day', 'Time'] },
+    { rowNumber: 3, cells: ['Team A', 'Hello & welcome', '2027-01-01 13:30', '2027-01-01', '09:00'] },
+    { rowNumber: 4, cells: [] },
+    { rowNumber: 5, cells: ['Team <B>', '42', '', 'true'] }
+  ]);
+});
+
+test('readWorkbook shifts date cells of a 1904-based workbook', () => {
+  const posts = buildWorkbook({ date1904: true });
+  // Serial 46388 is 1462 days later in the 1904 system
+  assert.strictEqual(readWorkbook(posts).sheets[1].rows[1].cells[2], '2031-01-02 13:30');
+});
+
+test('formatExcelDate handles both epochs and each date/time kind', () => {
+  const both = { date: true, time: true };
+  assert.strictEqual(formatExcelDate(46388.5625, both), '2027-01-01 13:30');
+  assert.strictEqual(formatExcelDate(46388.5625 - 1462, both, true), '2027-01-01 13:30');
+  assert.strictEqual(formatExcelDate(46388, { date: true, time: false }), '2027-01-01');
+  assert.strictEqual(formatExcelDate(0.75, { date: false, time: true }), '18:00');
+  // A serial a hair under the minute rounds to the second, and seconds show only when set
+  assert.strictEqual(formatExcelDate(46388.5625 - 1e-9, both), '2027-01-01 13:30');
+  assert.strictEqual(formatExcelDate(46388 + 45 / 86400, both), '2027-01-01 00:00:45');
+});
+
+test('classifyFormatCode tells dates, times and plain numbers apart', () => {
+  assert.deepStrictEqual(classifyFormatCode('dd/mm/yyyy hh:mm'), { date: true, time: true });
+  assert.deepStrictEqual(classifyFormatCode('[$-409]mmm d'), { date: true, time: false });
+  assert.deepStrictEqual(classifyFormatCode('[h]:mm:ss'), { date: false, time: true });
+  assert.strictEqual(classifyFormatCode('#,##0.00 "days"'), null);
+  assert.strictEqual(classifyFormatCode('[Red]0.00'), null);
+});
+
+test('selectSheet picks the first visible sheet, or one by name or position', () => {
+  const workbook = readWorkbook(buildWorkbook());
+  assert.strictEqual(selectSheet(workbook).name, 'Posts');
+  assert.strictEqual(selectSheet(workbook, 'notes').name, 'Notes');
+  assert.strictEqual(selectSheet(workbook, '1').name, 'Notes');
+  assert.throws(() => selectSheet(workbook, 'Archive'), /Sheet "Archive" not found; the workbook has: Notes, Posts/);
+});
+
+test('readWorkbookRows maps headers to queue columns and joins mapped columns', () => {
+  const result = readWorkbookRows(buildWorkbook(), {
+    mapping: { group_name: 'group', message_text: 'B', scheduled_at: ['Day', 'Time'] }
+  });
+  assert.strictEqual(result.sheet, 'Posts');
+  assert.deepStrictEqual(result.sheets, [{ name: 'Notes', hidden: true, rowCount: 1 }, { name: 'Posts', hidden: false, rowCount: 4 }]);
+  assert.strictEqual(result.headerRow, 2);
+  assert.deepStrictEqual(result.mapping, {
+    group_name: 'Group',
+    message_text: 'Post copy',
+    scheduled_at: ['Day', 'Time'],
+    send_at: 'Send at'
+  });
+  assert.deepStrictEqual(result.rows, [
+    { group_name: 'Team A', message_text: 'Hello & welcome', scheduled_at: '2027-01-01 09:00', send_at: '2027-01-01 13:30', __rowNumber: 3 },
+    { group_name: 'Team <B>', message_text: '42', scheduled_at: 'true', send_at: '', __rowNumber: 5 }
+  ]);
+});
+
+test('sheetToRows honours an explicit header row and rejects unknown columns', () => {
+  const sheetRows = [
+    { rowNumber: 1, cells: ['Exported 2027-01-01'] },
+    { rowNumber: 2, cells: ['Group Name', 'Message Text'] },
+    { rowNumber: 3, cells: ['Team A', 'hi'] }
+  ];
+  assert.deepStrictEqual(sheetToRows(sheetRows, { headerRow: 2 }).rows, [{ group_name: 'Team A', message_text: 'hi', __rowNumber: 3 }]);
+  assert.throws(() => sheetToRows(sheetRows, { headerRow: 9 }), /Row 9 is empty/);
+  assert.throws(() => sheetToRows(sheetRows, { headerRow: 2, mapping: { message_text: 'Body' } }), /mapping.message_text: no column "Body"/);
+});